@@ -0,0 +1,132 @@
+// scripts/generate-sounds.js
+// Membuat ulang semua file suara di public/sounds (WAV 8-bit mono) dari not di bawah, tanpa unduhan,
+// supaya QuizLive tetap bersuara di jaringan kelas yang offline. Hasilnya deterministik dan tidak di-commit:
+// `npm run dev` dan `npm run build` menjalankan `npm run sounds` lebih dulu.
+import { mkdirSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const RATE = 11025;
+const OUT_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "public", "sounds");
+
+/* ---------- Synth ---------- */
+const WAVES = {
+  square: (p) => (p % 1 < 0.5 ? 1 : -1),
+  triangle: (p) => 1 - 4 * Math.abs((p % 1) - 0.5),
+  sine: (p) => Math.sin(2 * Math.PI * p)
+};
+
+// "C4", "F#3", "Bb5" → Hz; null or "-" is a rest
+function frequency(note) {
+  if (!note || note === "-") return 0;
+  const m = /^([A-G])([#b]?)(\d)$/.exec(note);
+  if (!m) throw new Error(`bad note ${note}`);
+  const semis = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[m[1]] + (m[2] === "#" ? 1 : m[2] === "b" ? -1 : 0);
+  return 440 * 2 ** ((semis - 9) / 12 + (Number(m[3]) - 4));
+}
+
+// mix one voice into `buf`: notes are [note, beats] pairs played back to back from `startSec`
+function addVoice(buf, notes, { bpm, wave = "square", volume = 0.3, startSec = 0, decay = 6, slide = 0 }) {
+  const beat = 60 / bpm;
+  let at = Math.round(startSec * RATE);
+  notes.forEach(([note, beats]) => {
+    const len = Math.round(beats * beat * RATE);
+    const hz = frequency(note);
+    let phase = 0;
+    for (let i = 0; i < len && at + i < buf.length; i++) {
+      if (!hz) break;
+      const time = i / RATE;
+      const env = Math.min(1, i / 40) * Math.exp(-decay * time) * Math.min(1, (len - i) / 80);
+      phase += (hz * (1 + slide * time)) / RATE;
+      buf[at + i] += WAVES[wave](phase) * volume * env;
+    }
+    at += len;
+  });
+}
+
+const seconds = (beats, bpm) => (beats * 60) / bpm;
+const repeat = (notes, times) => Array.from({ length: times }, () => notes).flat();
+
+/* ---------- WAV ---------- */
+function wav(buf) {
+  const data = Buffer.alloc(buf.length);
+  buf.forEach((v, i) => { data[i] = Math.round(128 + 127 * Math.max(-1, Math.min(1, v))); });
+  const head = Buffer.alloc(44);
+  head.write("RIFF", 0);
+  head.writeUInt32LE(36 + data.length, 4);
+  head.write("WAVEfmt ", 8);
+  head.writeUInt32LE(16, 16);
+  head.writeUInt16LE(1, 20); // PCM
+  head.writeUInt16LE(1, 22); // mono
+  head.writeUInt32LE(RATE, 24);
+  head.writeUInt32LE(RATE, 28);
+  head.writeUInt16LE(1, 32);
+  head.writeUInt16LE(8, 34);
+  head.write("data", 36);
+  head.writeUInt32LE(data.length, 40);
+  return Buffer.concat([head, data]);
+}
+
+// a loop of `beats` beats with every voice in `voices` ([notes, options]) mixed in
+function track(bpm, beats, voices) {
+  const buf = new Float32Array(Math.round(seconds(beats, bpm) * RATE));
+  voices.forEach(([notes, options]) => addVoice(buf, notes, { bpm, ...options }));
+  return buf;
+}
+
+/* ---------- Music: one lobby and one question loop per theme ---------- */
+const chord = (root, third, fifth) => [[root, 0.5], [third, 0.5], [fifth, 0.5], [third, 0.5]];
+
+const MUSIC = {
+  ceria: {
+    lobby: track(128, 16, [
+      [[...chord("C5", "E5", "G5"), ...chord("A4", "C5", "E5"), ...chord("F4", "A4", "C5"), ...chord("G4", "B4", "D5")], { volume: 0.18, decay: 5 }],
+      [repeat([["C3", 1], ["C3", 1], ["A2", 1], ["A2", 1], ["F2", 1], ["F2", 1], ["G2", 1], ["G2", 1]], 2), { wave: "triangle", volume: 0.35, decay: 3 }]
+    ]),
+    question: track(120, 16, [
+      [repeat([["E5", 0.5], ["-", 0.5], ["E5", 0.5], ["G5", 0.5], ["-", 1], ["D5", 1]], 4), { volume: 0.12, decay: 8 }],
+      [repeat([["A2", 0.5], ["A3", 0.5]], 16), { wave: "triangle", volume: 0.3, decay: 6 }]
+    ])
+  },
+  tenang: {
+    lobby: track(76, 16, [
+      [[["C4", 4], ["A3", 4], ["F3", 4], ["G3", 4]], { wave: "sine", volume: 0.3, decay: 0.6 }],
+      [[["E5", 2], ["G5", 2], ["C5", 2], ["E5", 2], ["A4", 2], ["C5", 2], ["B4", 2], ["D5", 2]], { wave: "triangle", volume: 0.16, decay: 1.2 }]
+    ]),
+    question: track(84, 16, [
+      [repeat([["D4", 2], ["F4", 2]], 4), { wave: "sine", volume: 0.22, decay: 0.8 }],
+      [repeat([["A4", 1], ["-", 3]], 4), { wave: "triangle", volume: 0.1, decay: 2 }]
+    ])
+  },
+  arcade: {
+    lobby: track(150, 16, [
+      [repeat([["C5", 0.25], ["G5", 0.25], ["E5", 0.25], ["G5", 0.25]], 8).concat(repeat([["D5", 0.25], ["A5", 0.25], ["F5", 0.25], ["A5", 0.25]], 8)), { volume: 0.12, decay: 10 }],
+      [repeat([["C3", 0.5], ["C4", 0.5]], 8).concat(repeat([["D3", 0.5], ["D4", 0.5]], 8)), { volume: 0.14, decay: 4 }]
+    ]),
+    question: track(160, 16, [
+      [repeat([["A4", 0.25], ["-", 0.25], ["C5", 0.25], ["-", 0.25], ["E5", 0.5], ["-", 0.5]], 8), { volume: 0.1, decay: 12 }],
+      [repeat([["A2", 0.5], ["E3", 0.5]], 16), { volume: 0.14, decay: 5 }]
+    ])
+  }
+};
+
+/* ---------- Effects shared by every theme ---------- */
+const SFX = {
+  correct: track(240, 3, [[[["C5", 0.5], ["E5", 0.5], ["G5", 0.5], ["C6", 1.5]], { volume: 0.35, decay: 3 }]]),
+  wrong: track(120, 2, [[[["E3", 0.5], ["C3", 1.5]], { volume: 0.35, decay: 2, slide: -0.2 }]]),
+  tick: track(600, 1, [[[["A5", 1]], { wave: "sine", volume: 0.5, decay: 30 }]]),
+  finish: track(200, 8, [
+    [[["C5", 0.5], ["E5", 0.5], ["G5", 0.5], ["C6", 0.5], ["G5", 0.5], ["C6", 2], ["-", 1]], { volume: 0.3, decay: 2 }],
+    [[["C3", 2], ["G3", 2], ["C4", 3]], { wave: "triangle", volume: 0.35, decay: 1 }]
+  ])
+};
+
+mkdirSync(OUT_DIR, { recursive: true });
+const files = [
+  ...Object.entries(MUSIC).flatMap(([theme, tracks]) => Object.entries(tracks).map(([name, buf]) => [`${theme}-${name}.wav`, buf])),
+  ...Object.entries(SFX).map(([name, buf]) => [`${name}.wav`, buf])
+];
+files.forEach(([name, buf]) => {
+  writeFileSync(join(OUT_DIR, name), wav(buf));
+  console.log(`${name}  ${(buf.length / RATE).toFixed(1)}s`);
+});
@@ -0,0 +1,267 @@
+// server/relay.js
+// Relay kecil untuk mode lokal di jaringan kelas, tanpa internet dan tanpa Firebase:
+//   npm run build && npm run relay        (PORT=8787 default)
+// Murid membuka http://<ip-komputer-guru>:8787/?relay=ws://<ip-komputer-guru>:8787.
+// Relay menyimpan data di memori, memberi waktu server untuk timer soal, menyiarkan setiap
+// tulisan ke klien yang boleh membacanya dan menandai peserta offline saat koneksinya putus.
+// Kunci jawaban (answerKeys/) dan nilai PR yang belum ditutup (hwGrades/) hanya sampai ke host room,
+// jawaban PR (hwAnswers/) ke host dan murid yang menjawab, kuis di pustaka (quizzes/) hanya ke
+// pemiliknya (ownerUid) dan teachers/{uid} hanya ke guru itu sendiri;
+// bacaan di atasnya hanya berisi bagian milik pembaca. Tulisan diperiksa seperti database.rules.json:
+// room hanya diubah pemiliknya, peserta hanya menulis datanya sendiri. Identitas (uid) dibuat oleh relay,
+// bukan oleh klien: klien hanya menyimpan token rahasia untuk mendapatkan uid yang sama setelah reload
+// atau putus koneksi.
+import { randomBytes } from "node:crypto";
+import { createReadStream, existsSync, statSync } from "node:fs";
+import { createServer } from "node:http";
+import { extname, join, normalize } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { WebSocketServer } from "ws";
+import { createMemoryStore, resolveOp, splitPath } from "../src/lib/transport/memoryStore.js";
+
+const DIST = fileURLToPath(new URL("../dist", import.meta.url));
+const MIME = { ".html": "text/html", ".js": "text/javascript", ".css": "text/css", ".svg": "image/svg+xml", ".png": "image/png", ".jpg": "image/jpeg", ".json": "application/json", ".woff2": "font/woff2", ".mp3": "audio/mpeg", ".wav": "audio/wav" };
+
+// host-only trees, keyed by room like database.rules.json
+const PRIVATE_ROOTS = ["answerKeys", "hwGrades"];
+
+// [path, value] for every location an op writes, e.g. update("rooms/X", { "players/p1/score": 3 }) → [rooms/X/players/p1/score, 3]
+const opWrites = (op) => (op.type === "update"
+  ? Object.entries(op.updates || {}).map(([k, v]) => [[...splitPath(op.path), ...splitPath(k)], v])
+  : [[splitPath(op.path), op.value]]);
+
+// the value an op leaves at `parts`: written there or inside a write above it; undefined when untouched
+function writtenAt(writes, parts) {
+  let found;
+  writes.forEach(([at, value]) => {
+    if (at.length > parts.length || at.some((p, i) => p !== parts[i])) return;
+    let v = value;
+    for (const p of parts.slice(at.length)) v = v !== null && typeof v === "object" ? v[p] ?? null : null;
+    found = v;
+  });
+  return found;
+}
+
+// fields of a player record only the host changes (database.rules.json: score, streak, extraTimePct)
+const HOST_FIELDS = ["score", "streak", "extraTimePct"];
+
+// serve the built app (dist/) so students need nothing but the relay's address
+function serveStatic(req, res) {
+  const url = new URL(req.url, "http://relay");
+  let file = normalize(join(DIST, decodeURIComponent(url.pathname)));
+  if (!file.startsWith(DIST) || !existsSync(file) || statSync(file).isDirectory()) file = join(DIST, "index.html");
+  if (!existsSync(file)) {
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("Relay QuizLive berjalan. Jalankan `npm run build` untuk menyajikan aplikasinya dari sini.\n");
+    return;
+  }
+  res.writeHead(200, { "content-type": MIME[extname(file)] || "application/octet-stream" });
+  createReadStream(file).pipe(res);
+}
+
+/**
+ * Start the relay; resolves once it listens. `port: 0` picks a free port (tests).
+ */
+export function startRelay({ port = 8787, host } = {}) {
+  const store = createMemoryStore();
+  const http = createServer(serveStatic);
+  const wss = new WebSocketServer({ server: http });
+  // socket → { uid, presence: Set<path> }
+  const clients = new Map();
+  // secret token → uid, handed out in "welcome"
+  const identities = new Map();
+  const newSecret = () => randomBytes(18).toString("base64url");
+  const identify = (token) => {
+    if (typeof token === "string" && identities.has(token)) return { token, uid: identities.get(token) };
+    const issued = { token: newSecret(), uid: `local-${randomBytes(6).toString("hex")}` };
+    identities.set(issued.token, issued.uid);
+    return issued;
+  };
+
+  const send = (ws, msg) => { if (ws.readyState === 1) ws.send(JSON.stringify(msg)); };
+  const isPrivate = (parts) => PRIVATE_ROOTS.includes(parts[0]);
+  const hostOf = (room) => store.get(`rooms/${room}/meta/hostUid`);
+  // a key may also be written just before its room exists
+  const mayWriteKey = (parts, uid) => Boolean(parts[1]) && (!hostOf(parts[1]) || hostOf(parts[1]) === uid);
+  // trees a client only sees its own part of, like database.rules.json: may `uid` read [root, key, …]
+  const readers = {
+    answerKeys: ([, room], uid) => hostOf(room) === uid,
+    hwGrades: ([, room], uid) => hostOf(room) === uid,
+    // the host sees every student's homework answers, a student only their own
+    hwAnswers: ([, room, pid], uid) => hostOf(room) === uid || pid === uid,
+    quizzes: ([, id], uid) => store.get(`quizzes/${id}/ownerUid`) === uid,
+    teachers: ([, key], uid) => key === uid
+  };
+  const mayRead = (parts, uid) => Boolean(uid) && readers[parts[0]](parts, uid);
+  // what `uid` may see at `parts` (undefined: nothing); trees below the path keep only the parts it owns
+  const readable = (parts, uid) => {
+    if (!parts.length) {
+      const data = store.get("") || {};
+      Object.keys(readers).forEach((root) => {
+        const own = readable([root], uid);
+        if (own === null) delete data[root];
+        else data[root] = own;
+      });
+      return data;
+    }
+    const path = parts.join("/");
+    if (!readers[parts[0]]) return store.get(path);
+    if (parts.length > 1) return mayRead(parts, uid) ? store.get(path) : undefined;
+    const own = Object.keys(store.get(path) || {}).filter((key) => mayRead([parts[0], key], uid));
+    return own.length ? Object.fromEntries(own.map((key) => [key, store.get(`${path}/${key}`)])) : null;
+  };
+  // the part of an op `uid` may see; a deletion reveals nothing and reaches everyone
+  const seenBy = (parts, value, uid) => value === null || !readers[parts[0]] || (parts.length > 1 && mayRead(parts, uid));
+  const visibleOp = (op, uid) => {
+    if (op.type !== "update") return seenBy(splitPath(op.path), op.value, uid) ? op : null;
+    const updates = Object.fromEntries(Object.entries(op.updates).filter(([k, v]) => seenBy([...splitPath(op.path), ...splitPath(k)], v, uid)));
+    return Object.keys(updates).length ? { ...op, updates } : null;
+  };
+  // rooms/{room}/players/{uid}/connected
+  const ownPresence = (parts, uid) => parts.length === 5 && parts[0] === "rooms" && parts[2] === "players" && parts[3] === uid && parts[4] === "connected";
+  // rooms/{room}/…, mirroring database.rules.json: the owner writes anything; a room that does not exist yet
+  // may only be created by a write that makes the writer its host; players write their own record and answers
+  const mayWriteRoom = (parts, writes, uid) => {
+    const [, room, node, pid, ...rest] = parts;
+    if (!room) return false;
+    const host = hostOf(room);
+    if (host) {
+      if (host === uid) return true;
+    } else {
+      return !store.get(`rooms/${room}`) && writtenAt(writes, ["rooms", room, "meta", "hostUid"]) === uid;
+    }
+    const at = (...more) => store.get(["rooms", room, ...more].join("/"));
+    const record = at("players", uid);
+    const count = Number(at("playerCount") || 0);
+    const seat = writtenAt(writes, ["rooms", room, "playerCount"]);
+    const touchesRecord = writes.some(([w]) => w[0] === "rooms" && w[1] === room && w[2] === "players" && w[3] === uid);
+    // a new player takes exactly the next seat, within maxPlayers, while the room lets players in
+    const takesSeat = () => {
+      const max = Number(at("meta", "maxPlayers") || 0);
+      const state = at("state");
+      const open = state === "lobby" || state === "homework" || at("meta", "allowLateJoin") === true;
+      return seat === count + 1 && (!max || seat <= max) && open && at("meta", "locked") !== true && at("kicked", uid) !== true;
+    };
+    if (node === "players" && pid === uid) {
+      if (!record && !takesSeat()) return false;
+      return HOST_FIELDS.every((field) => {
+        const value = writtenAt(writes, ["rooms", room, "players", uid, field]);
+        const before = record ? record[field] ?? null : null;
+        return value === undefined || value === null || value === before || (!record && value === 0);
+      });
+    }
+    // a seat is taken or given back together with the player's own record
+    if (node === "playerCount" && !pid) {
+      if (!record) return touchesRecord && takesSeat();
+      return seat === count - 1 && writtenAt(writes, ["rooms", room, "players", uid]) === null;
+    }
+    if (node === "answers" && pid === uid && !rest.length) return at("answers", uid) === null;
+    return false;
+  };
+  // hwAnswers/{room}/{pid}/{index}: the host, or a student once for the question they are on
+  const mayWriteHwAnswer = ([, room, pid, index, ...rest], uid) => {
+    if (!room) return false;
+    if (hostOf(room) === uid) return true;
+    const at = (...more) => store.get(["rooms", room, ...more].join("/"));
+    return pid === uid && index !== undefined && !rest.length && store.get(`hwAnswers/${room}/${pid}/${index}`) === null &&
+      at("state") === "homework" && String(at("players", uid, "hw", "index")) === index;
+  };
+  // quizzes/{id} belongs to ownerUid, which a write may set only to the writer
+  const mayWriteQuiz = (id, writes, uid) => {
+    if (!id) return false;
+    const quiz = store.get(`quizzes/${id}`);
+    if (quiz && quiz.ownerUid !== uid) return false;
+    if (writtenAt(writes, ["quizzes", id]) === null) return Boolean(quiz);
+    const owner = writtenAt(writes, ["quizzes", id, "ownerUid"]);
+    return owner === undefined ? Boolean(quiz) : owner === uid;
+  };
+  // never the whole store at once, never another room's private data, and no-one else's room or account
+  const mayWrite = (parts, writes, uid) => {
+    if (!parts.length) return false;
+    if (isPrivate(parts)) return mayWriteKey(parts, uid);
+    if (parts[0] === "rooms") return mayWriteRoom(parts, writes, uid);
+    if (parts[0] === "teachers") return parts[1] === uid;
+    if (parts[0] === "hwAnswers") return mayWriteHwAnswer(parts, uid);
+    if (parts[0] === "quizzes") return mayWriteQuiz(parts[1], writes, uid);
+    return false;
+  };
+
+  const apply = (op, from) => {
+    const resolved = resolveOp(op, Date.now());
+    store.apply(resolved);
+    clients.forEach((client, ws) => {
+      const visible = ws !== from && visibleOp(resolved, client.uid);
+      if (visible) send(ws, { type: "op", op: visible });
+    });
+    return resolved;
+  };
+
+  wss.on("connection", (ws) => {
+    const client = { uid: null, presence: new Set() };
+    clients.set(ws, client);
+
+    ws.on("message", (raw) => {
+      let msg;
+      try { msg = JSON.parse(String(raw)); } catch { return; }
+      const reply = (extra) => msg.id !== undefined && send(ws, { id: msg.id, ...extra });
+      switch (msg.type) {
+        case "hello": {
+          // the relay decides who a client is; a claimed uid is never trusted
+          const { token, uid } = identify(msg.token);
+          client.uid = uid;
+          send(ws, { type: "welcome", now: Date.now(), uid, token, data: readable([], uid) });
+          break;
+        }
+        case "get": {
+          const value = readable(splitPath(msg.path), client.uid);
+          if (value === undefined) return reply({ type: "error", code: "forbidden" });
+          reply({ type: "value", value });
+          break;
+        }
+        case "write": {
+          if (!client.uid || !msg.op) return reply({ type: "error", code: "forbidden" });
+          const writes = opWrites(msg.op);
+          if (!writes.length || writes.some(([parts]) => !mayWrite(parts, writes, client.uid))) return reply({ type: "error", code: "forbidden" });
+          const resolved = visibleOp(apply(msg.op, ws), client.uid);
+          // the writer applies its own op once the relay has stamped the server time
+          if (resolved) send(ws, { type: "op", op: resolved });
+          reply({ type: "ack" });
+          break;
+        }
+        case "presence":
+          // only a client's own connected flag, so a closing socket cannot overwrite anything else
+          if (!ownPresence(splitPath(msg.path), client.uid)) break;
+          if (msg.cancel) client.presence.delete(msg.path);
+          else client.presence.add(msg.path);
+          break;
+        default:
+          break;
+      }
+    });
+
+    ws.on("close", () => {
+      clients.delete(ws);
+      client.presence.forEach((path) => {
+        if (store.get(path) !== null) apply({ type: "set", path, value: false }, null);
+      });
+    });
+  });
+
+  return new Promise((resolve) => {
+    http.listen(port, host, () => {
+      resolve({
+        port: http.address().port,
+        store,
+        close: () => new Promise((done) => {
+          wss.clients.forEach((ws) => ws.terminate());
+          wss.close(() => http.close(() => done()));
+        })
+      });
+    });
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  startRelay({ port }).then(() => console.log(`QuizLive relay di port ${port} — buka http://<ip-komputer-ini>:${port}/?relay=ws://<ip-komputer-ini>:${port}`));
+}
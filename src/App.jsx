@@ -1,26 +1,65 @@
 // src/App.jsx
 import React, { useEffect, useRef, useState } from "react";
-
-/* ---------- SAMPLE KUIS (Arduino & Sensor — 15 Soal, Bahasa Indonesia) ---------- */
+import QuizEditor from "./components/QuizEditor";
+import RevealCard from "./components/RevealCard";
+import ResultsPanel from "./components/ResultsPanel";
+import TeacherAuth from "./components/TeacherAuth";
+import DuplicatePlayers from "./components/DuplicatePlayers";
+import RoomSettings from "./components/RoomSettings";
+import TeamBoard from "./components/TeamBoard";
+import HomeworkDashboard from "./components/HomeworkDashboard";
+import HomeworkPlayer from "./components/HomeworkPlayer";
+import RoomQr from "./components/RoomQr";
+import HostControls from "./components/HostControls";
+import PresenterView from "./components/PresenterView";
+import QuestionCard from "./components/QuestionCard";
+import NetworkMode from "./components/NetworkMode";
+import AudioControls from "./components/AudioControls";
+import ExtraTimeSelect from "./components/ExtraTimeSelect";
+import BankDraw from "./components/BankDraw";
+import { localizeQuiz, normalizeQuiz } from "./lib/quiz";
+import { FORMATS, detectFormat, exportQuiz, importQuiz } from "./lib/quizFormats";
+import { downloadText, slugify } from "./lib/download";
+import { ANSWER_GRACE_MS, extraTimeMs, pendingExtraMs, roomTimeLeft } from "./lib/timing";
+import { backUpdates, extendUpdates, logEntry, nextUpdates, pauseUpdates, resumeUpdates, skipUpdates, startUpdates } from "./lib/roomCommands";
+import { answerRecord, newRoom, revealUpdates, webSubmissions } from "./lib/game";
+import { takeSeat } from "./lib/join";
+import { gradeHtml, gradeHtmlResponses } from "./lib/webChecks";
+import { HOMEWORK_STATE, advanceUpdates, closeHomeworkUpdates, gradeHomeworkUpdates, gradesPublic, homeworkWindow, isHomework, parseLocalDateTime, publishGradesUpdates, startHomeworkUpdates, ungradedWebAnswers } from "./lib/homework";
+import { autoAssignUpdates, fillTeamsUpdates, teamColor, teamName, teamOf, teamSettings } from "./lib/teams";
+import { clearSession, loadSession, saveSession } from "./lib/session";
+import { createTransport, transportOptions, transportSearch } from "./lib/transport";
+import { joinUrl, newRoomCode, normalizeRoomCode, presenterUrl, roomFromSearch, viewFromSearch } from "./lib/roomCode";
+import { DEFAULT_BLOCKED_NAMES, kickPlayerUpdates, leaveUpdates, mergePlayerUpdates, removePlayerUpdates } from "./lib/players";
+import { DEFAULT_SCORING, SCORING_RULES, getScoringRule } from "./lib/scoring";
+import { LOCALES, formatNumber, getLocale, onLocaleChange, setLocale, t } from "./lib/i18n";
+import { createAudioManager, loadAudioSettings, musicFor, saveAudioSettings, shouldTick, themeOf } from "./lib/audio";
+import { mountAnnouncer, onReducedMotionChange, prefersReducedMotion } from "./lib/a11y";
+import { DEFAULT_DRAW_COUNT, bankQuestions, drawQuiz } from "./lib/questionBank";
+import { choiceOrder, shuffleQuestion, toOriginal, toShown } from "./lib/shuffle";
+
+/* ---------- SAMPLE KUIS (Arduino & Sensor — 15 Soal, Bahasa Indonesia + English) ---------- */
 const SAMPLE_QUIZ = {
   id: "arduino-sensors-1",
   title: "Arduino & Sensor — Kuis (15 Soal)",
+  lang: "id",
+  translations: { en: { title: "Arduino & Sensors — Quiz (15 Questions)" } },
   questions: [
-    { id: 1, text: "Pin Arduino manakah yang biasanya digunakan untuk input sensor analog?", choices: ["Pin Digital PWM", "Pin Analog (A0-A5)", "Pin Ground", "Pin VCC"], answer: 1, time: 20 },
-    { id: 2, text: "Sensor apa yang digunakan untuk mengukur suhu?", choices: ["Sensor Ultrasonik", "Sensor PIR", "DHT11/DHT22", "IR Receiver"], answer: 2, time: 18 },
-    { id: 3, text: "Sensor mana yang mengukur jarak menggunakan gelombang suara?", choices: ["Sensor Cahaya", "Sensor Ultrasonik", "Sensor Gas", "Sensor Fleksibel"], answer: 1, time: 18 },
-    { id: 4, text: "Modul apa yang digunakan untuk mendeteksi gerakan manusia?", choices: ["LDR", "Sensor PIR", "MQ-2", "BMP180"], answer: 1, time: 15 },
-    { id: 5, text: "Apa fungsi potensiometer ketika digunakan pada Arduino?", choices: ["Output digital on/off", "Menghasilkan tegangan analog yang dapat diubah", "Mengukur suhu", "Mengirim sinyal nirkabel"], answer: 1, time: 15 },
-    { id: 6, text: "Sensor apa yang digunakan untuk mendeteksi intensitas cahaya?", choices: ["Sensor Ultrasonik", "LDR (Light Dependent Resistor)", "DHT11", "HC-SR04"], answer: 1, time: 15 },
-    { id: 7, text: "Bagaimana sensor gas MQ mendeteksi adanya gas?", choices: ["Mengirim sinyal HIGH ketika ada gas", "Mengeluarkan tegangan analog sesuai konsentrasi gas", "Mematikan Arduino", "Mengubah alamat I2C"], answer: 1, time: 20 },
-    { id: 8, text: "Protokol komunikasi apa yang digunakan banyak sensor digital seperti modul I2C?", choices: ["PWM", "SPI", "I2C", "UART"], answer: 2, time: 15 },
-    { id: 9, text: "Apa fungsi resistor pull-down saat membaca tombol?", choices: ["Memberikan kondisi LOW saat tidak ditekan", "Menaikkan tegangan", "Menghilangkan noise", "Memberi daya pada tombol"], answer: 0, time: 15 },
-    { id: 10, text: "Modul mana yang digunakan untuk mengukur tekanan udara?", choices: ["BMP180/BMP280", "Sensor PIR", "Servo", "Sensor Ultrasonik"], answer: 0, time: 18 },
-    { id: 11, text: "Apa arti PWM dan mengapa digunakan?", choices: ["Pulse Width Modulation — mensimulasikan output analog dari pin digital", "Pulse Width Modulation — mengukur suhu", "Peripheral Wire Module — untuk sensor", "Power Watt Management — untuk baterai"], answer: 0, time: 20 },
-    { id: 12, text: "Sensor apa yang dapat mendeteksi api atau nyala?", choices: ["Sensor Api (berbasis IR)", "Sensor Kelembaban Tanah", "LDR", "DHT11"], answer: 0, time: 15 },
-    { id: 13, text: "Berapa tegangan umum untuk sensor Arduino UNO?", choices: ["3.3V saja", "12V", "5V (atau 3.3V untuk beberapa modul)", "24V"], answer: 2, time: 12 },
-    { id: 14, text: "Sensor apa yang digunakan untuk mengukur kelembaban tanah?", choices: ["Sensor Kelembaban Tanah", "HC-SR04", "MQ-7", "Sensor PIR"], answer: 0, time: 15 },
-    { id: 15, text: "Perangkat apa yang mengubah gerakan rotasi menjadi posisi sudut untuk umpan balik?", choices: ["Sensor Ultrasonik", "Encoder", "DHT22", "Relay"], answer: 1, time: 18 }
+    { id: 1, text: "Pin Arduino manakah yang biasanya digunakan untuk input sensor analog?", choices: ["Pin Digital PWM", "Pin Analog (A0-A5)", "Pin Ground", "Pin VCC"], answer: 1, time: 20, tags: ["pin", "analog"], difficulty: "easy", translations: { en: { text: "Which Arduino pins are usually used for analog sensor input?", choices: ["Digital PWM pins", "Analog pins (A0-A5)", "Ground pin", "VCC pin"] } } },
+    { id: 2, text: "Sensor apa yang digunakan untuk mengukur suhu?", choices: ["Sensor Ultrasonik", "Sensor PIR", "DHT11/DHT22", "IR Receiver"], answer: 2, time: 18, tags: ["sensor"], difficulty: "easy", translations: { en: { text: "Which sensor is used to measure temperature?", choices: ["Ultrasonic sensor", "PIR sensor", "DHT11/DHT22", "IR receiver"] } } },
+    { id: 3, text: "Sensor mana yang mengukur jarak menggunakan gelombang suara?", choices: ["Sensor Cahaya", "Sensor Ultrasonik", "Sensor Gas", "Sensor Fleksibel"], answer: 1, time: 18, tags: ["sensor"], difficulty: "easy", translations: { en: { text: "Which sensor measures distance using sound waves?", choices: ["Light sensor", "Ultrasonic sensor", "Gas sensor", "Flex sensor"] } } },
+    { id: 4, text: "Modul apa yang digunakan untuk mendeteksi gerakan manusia?", choices: ["LDR", "Sensor PIR", "MQ-2", "BMP180"], answer: 1, time: 15, tags: ["sensor"], difficulty: "easy", translations: { en: { text: "Which module is used to detect human motion?", choices: ["LDR", "PIR sensor", "MQ-2", "BMP180"] } } },
+    { id: 5, text: "Apa fungsi potensiometer ketika digunakan pada Arduino?", choices: ["Output digital on/off", "Menghasilkan tegangan analog yang dapat diubah", "Mengukur suhu", "Mengirim sinyal nirkabel"], answer: 1, time: 15, tags: ["analog"], difficulty: "medium", translations: { en: { text: "What does a potentiometer do when used with an Arduino?", choices: ["Digital on/off output", "Produces an adjustable analog voltage", "Measures temperature", "Sends a wireless signal"] } } },
+    { id: 6, text: "Sensor apa yang digunakan untuk mendeteksi intensitas cahaya?", choices: ["Sensor Ultrasonik", "LDR (Light Dependent Resistor)", "DHT11", "HC-SR04"], answer: 1, time: 15, tags: ["sensor"], difficulty: "easy", translations: { en: { text: "Which sensor is used to detect light intensity?", choices: ["Ultrasonic sensor", "LDR (Light Dependent Resistor)", "DHT11", "HC-SR04"] } } },
+    { id: 7, text: "Bagaimana sensor gas MQ mendeteksi adanya gas?", choices: ["Mengirim sinyal HIGH ketika ada gas", "Mengeluarkan tegangan analog sesuai konsentrasi gas", "Mematikan Arduino", "Mengubah alamat I2C"], answer: 1, time: 20, tags: ["sensor", "analog"], difficulty: "medium", translations: { en: { text: "How does an MQ gas sensor detect gas?", choices: ["It sends a HIGH signal when gas is present", "It outputs an analog voltage that follows the gas concentration", "It turns the Arduino off", "It changes its I2C address"] } } },
+    { id: 8, text: "Protokol komunikasi apa yang digunakan banyak sensor digital seperti modul I2C?", choices: ["PWM", "SPI", "I2C", "UART"], answer: 2, time: 15, tags: ["I2C"], difficulty: "medium", translations: { en: { text: "Which communication protocol do many digital sensors such as I2C modules use?", choices: ["PWM", "SPI", "I2C", "UART"] } } },
+    { id: 9, text: "Apa fungsi resistor pull-down saat membaca tombol?", choices: ["Memberikan kondisi LOW saat tidak ditekan", "Menaikkan tegangan", "Menghilangkan noise", "Memberi daya pada tombol"], answer: 0, time: 15, tags: ["pin", "digital"], difficulty: "medium", translations: { en: { text: "What does a pull-down resistor do when reading a button?", choices: ["Keeps the input LOW while the button is not pressed", "Raises the voltage", "Removes noise", "Powers the button"] } } },
+    { id: 10, text: "Modul mana yang digunakan untuk mengukur tekanan udara?", choices: ["BMP180/BMP280", "Sensor PIR", "Servo", "Sensor Ultrasonik"], answer: 0, time: 18, tags: ["sensor", "I2C"], difficulty: "medium", translations: { en: { text: "Which module is used to measure air pressure?", choices: ["BMP180/BMP280", "PIR sensor", "Servo", "Ultrasonic sensor"] } } },
+    { id: 11, text: "Apa arti PWM dan mengapa digunakan?", choices: ["Pulse Width Modulation — mensimulasikan output analog dari pin digital", "Pulse Width Modulation — mengukur suhu", "Peripheral Wire Module — untuk sensor", "Power Watt Management — untuk baterai"], answer: 0, time: 20, tags: ["PWM"], difficulty: "medium", translations: { en: { text: "What does PWM stand for and why is it used?", choices: ["Pulse Width Modulation — simulates analog output from a digital pin", "Pulse Width Modulation — measures temperature", "Peripheral Wire Module — for sensors", "Power Watt Management — for batteries"] } } },
+    { id: 12, text: "Sensor apa yang dapat mendeteksi api atau nyala?", choices: ["Sensor Api (berbasis IR)", "Sensor Kelembaban Tanah", "LDR", "DHT11"], answer: 0, time: 15, tags: ["sensor"], difficulty: "easy", translations: { en: { text: "Which sensor can detect fire or a flame?", choices: ["Flame sensor (IR based)", "Soil moisture sensor", "LDR", "DHT11"] } } },
+    { id: 13, text: "Berapa tegangan umum untuk sensor Arduino UNO?", choices: ["3.3V saja", "12V", "5V (atau 3.3V untuk beberapa modul)", "24V"], answer: 2, time: 12, tags: ["daya"], difficulty: "hard", translations: { en: { text: "What voltage do Arduino UNO sensors commonly use?", choices: ["3.3V only", "12V", "5V (or 3.3V for some modules)", "24V"] } } },
+    { id: 14, text: "Sensor apa yang digunakan untuk mengukur kelembaban tanah?", choices: ["Sensor Kelembaban Tanah", "HC-SR04", "MQ-7", "Sensor PIR"], answer: 0, time: 15, tags: ["sensor", "analog"], difficulty: "easy", translations: { en: { text: "Which sensor is used to measure soil moisture?", choices: ["Soil moisture sensor", "HC-SR04", "MQ-7", "PIR sensor"] } } },
+    { id: 15, text: "Perangkat apa yang mengubah gerakan rotasi menjadi posisi sudut untuk umpan balik?", choices: ["Sensor Ultrasonik", "Encoder", "DHT22", "Relay"], answer: 1, time: 18, tags: ["sensor"], difficulty: "hard", translations: { en: { text: "Which device turns rotation into an angular position for feedback?", choices: ["Ultrasonic sensor", "Encoder", "DHT22", "Relay"] } } }
   ]
 };
 
@@ -51,6 +90,67 @@ const responsiveStyles = `
 .choice-btn { padding: 12px; border-radius: 10px; border: 1px solid #e5e7eb; text-align:left; background:#fff; cursor:pointer; }
 .choice-btn[disabled] { cursor: default; opacity: 0.95; }
 
+/* student answer pad */
+.answer-pad { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+.answer-pad-btn { min-height: 96px; border: none; border-radius: 14px; color: #fff; cursor: pointer; display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 4px; padding: 10px; transition: opacity 0.15s; }
+.answer-pad-btn[disabled] { cursor: default; }
+.answer-pad-letter { font-size: 34px; font-weight: 800; line-height: 1; }
+.answer-pad-text { font-size: 13px; font-weight: 600; text-align: center; }
+/* Arduino block editor (type "blocks") */
+.blockly-host { height: 360px; border: 1px solid #e5e7eb; border-radius: 10px; overflow: hidden; }
+.sim-led { display: inline-block; width: 14px; height: 14px; border-radius: 50%; background: #ef4444; box-shadow: 0 0 6px #ef4444; }
+/* HTML/CSS exercise (type "web") */
+.web-exercise { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+.web-editor { height: 320px; overflow: auto; border: 1px solid #e5e7eb; border-radius: 10px; font-size: 13px; text-align: left; }
+.web-editor .cm-editor { height: 100%; }
+.web-preview { width: 100%; height: 320px; border: 1px solid #e5e7eb; border-radius: 10px; background: #fff; }
+
+/* host control panel */
+.host-actions { display: flex; gap: 8px; flex-wrap: wrap; }
+.host-actions .btn { flex: 1 1 auto; }
+
+/* presenter (projector) view */
+.presenter { min-height: 100vh; box-sizing: border-box; padding: 32px 48px; background: #0f172a; color: #f8fafc; font-family: Inter, system-ui, -apple-system, 'Segoe UI', Roboto, Arial; display: flex; flex-direction: column; gap: 28px; }
+.presenter-title { font-size: 32px; font-weight: 700; }
+.presenter-question { font-size: clamp(28px, 4vw, 56px); font-weight: 800; line-height: 1.2; }
+.presenter-choices { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+.presenter-choice { border-radius: 16px; padding: 20px 24px; font-size: clamp(20px, 2.4vw, 36px); font-weight: 700; color: #fff; display: flex; gap: 16px; align-items: center; }
+.presenter-timer { width: 130px; height: 130px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 56px; font-weight: 800; background: #4f46e5; }
+.presenter-chip { background: #1e293b; padding: 6px 12px; border-radius: 999px; font-size: 20px; }
+.presenter .card { color: #0f172a; font-size: 20px; }
+
+/* join QR shown full screen for projecting */
+.qr-overlay { position: fixed; inset: 0; z-index: 1000; background: rgba(15,23,42,0.92); display: flex; flex-direction: column; align-items: center; justify-content: center; cursor: zoom-out; }
+
+/* results table (finished screen) */
+.results-table { width: 100%; border-collapse: collapse; font-size: 13px; }
+.results-table th, .results-table td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+.results-table th { color: #6b7280; font-weight: 600; }
+
+/* rich question text (Markdown, code, math, images) */
+.rich-text p { margin: 0 0 6px; }
+.rich-text p:last-child { margin-bottom: 0; }
+.rich-text ul { margin: 4px 0 6px; padding-left: 20px; }
+.rich-img { max-width: 100%; max-height: 320px; border-radius: 8px; display: block; margin: 6px 0; }
+.inline-code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.9em; background: #f1f5f9; padding: 1px 5px; border-radius: 4px; }
+.code-block { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; font-weight: 400; line-height: 1.5; background: #0f172a; color: #e2e8f0; padding: 10px 12px; border-radius: 8px; overflow-x: auto; margin: 6px 0; text-align: left; }
+.code-block .tok-keyword { color: #c084fc; }
+.code-block .tok-typeName, .code-block .tok-className { color: #67e8f9; }
+.code-block .tok-string, .code-block .tok-string2 { color: #86efac; }
+.code-block .tok-number, .code-block .tok-bool, .code-block .tok-atom { color: #fdba74; }
+.code-block .tok-comment { color: #94a3b8; font-style: italic; }
+.code-block .tok-variableName.tok-definition, .code-block .tok-propertyName { color: #93c5fd; }
+.code-block .tok-meta, .code-block .tok-processingInstruction { color: #f9a8d4; }
+.code-block .tok-tagName { color: #f87171; }
+.code-block .tok-attributeName { color: #fcd34d; }
+
+/* accessibility: text only screen readers see, visible keyboard focus, no motion when the system asks for it */
+.sr-only { position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0; }
+.btn:focus-visible, .choice-btn:focus-visible, .answer-pad-btn:focus-visible, .input:focus-visible { outline: 3px solid #4f46e5; outline-offset: 2px; }
+@media (prefers-reduced-motion: reduce) {
+  *, *::before, *::after { animation-duration: 0.01ms !important; animation-iteration-count: 1 !important; transition: none !important; scroll-behavior: auto !important; }
+}
+
 /* footer */
 .footer { font-size:13px; color:#6b7280; margin-top: 18px; text-align: center; }
 
@@ -68,70 +168,103 @@ const responsiveStyles = `
   .input { width: 100%; padding: 12px; font-size: 15px; }
   .stats-row { flex-direction: column; gap: 8px; }
   .choice-grid { grid-template-columns: 1fr !important; }
+  .blockly-host { height: 300px; }
+  .web-exercise { grid-template-columns: 1fr; }
+  .web-editor, .web-preview { height: 240px; }
 }
 `;
 
 /* ---------- Helpers ---------- */
+// names students may not use; extend per deployment with VITE_BLOCKED_NAMES="kata1,kata2"
+const BLOCKED_NAMES = [...DEFAULT_BLOCKED_NAMES, ...String(import.meta.env.VITE_BLOCKED_NAMES || "").split(",").map((w) => w.trim()).filter(Boolean)];
 const genId = () => Math.random().toString(36).slice(2, 8).toUpperCase();
+const BANK_SOURCE = "__bank";
 const initials = (name = "") => (name || "").split(" ").map(s => s[0] || "").slice(0, 2).join("").toUpperCase();
 
-/* ---------- Firebase dynamic loader ---------- */
-function useFirebase() {
-  const dbRef = useRef(null);
-  const appRef = useRef(null);
+/* ---------- Transport: Firebase, or local tabs / classroom relay (src/lib/transport) ---------- */
+const TRANSPORT = transportOptions(window.location.search, import.meta.env);
+
+function useTransport() {
+  const txRef = useRef(null);
+  if (!txRef.current) txRef.current = createTransport(TRANSPORT, import.meta.env);
+  const uidRef = useRef(null);
   const readyRef = useRef(false);
+  const [user, setUser] = useState(null);
   const init = async () => {
-    if (readyRef.current) return { app: appRef.current, db: dbRef.current };
-    try {
-      const { initializeApp } = await import("firebase/app");
-      const { getDatabase } = await import("firebase/database");
-      const cfg = {
-        apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-        authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-        projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-        appId: import.meta.env.VITE_FIREBASE_APP_ID,
-        databaseURL: import.meta.env.VITE_FIREBASE_DATABASE_URL
-      };
-      const app = initializeApp(cfg);
-      const db = getDatabase(app);
-      appRef.current = app;
-      dbRef.current = db;
-      readyRef.current = true;
-      return { app, db };
-    } catch (e) {
-      console.warn("Firebase init failed", e);
-      return {};
-    }
+    if (readyRef.current) return true;
+    const tx = txRef.current;
+    if (!(await tx.connect())) return false;
+    tx.onUser((u) => {
+      uidRef.current = u ? u.uid : null;
+      setUser(u);
+    });
+    readyRef.current = true;
+    return true;
   };
-  return { init, appRef, dbRef };
+  return { init, tx: txRef.current, kind: TRANSPORT.kind, uidRef, user };
 }
 
 /* ---------- App Component (full) ---------- */
 export default function App() {
-  const fb = useFirebase();
+  const net = useTransport();
   const [inited, setInited] = useState(false);
+  const [netError, setNetError] = useState(false);
 
   // Room & user
-  const [roomId, setRoomId] = useState("");
+  // "presenter" = read-only classroom screen for the projector (/?view=presenter&room=ABC123)
+  const [view] = useState(() => viewFromSearch(window.location.search));
+  const presenting = view === "presenter";
+  const [roomId, setRoomId] = useState(() => (presenting ? roomFromSearch(window.location.search) : ""));
   const [roomData, setRoomData] = useState(null);
+  const [roomMissing, setRoomMissing] = useState(false);
   const [playerName, setPlayerName] = useState("");
-  const [joinCode, setJoinCode] = useState("");
+  // room from a shared join link (/?room=ABC123): skip straight to the name prompt
+  const [linkedRoom, setLinkedRoom] = useState(() => (presenting ? "" : roomFromSearch(window.location.search)));
+  const [joinCode, setJoinCode] = useState(linkedRoom);
   const [playerId, setPlayerId] = useState(null);
-  const [isHost, setIsHost] = useState(false);
+  // host controls follow room ownership, so they survive a reload
+  const teacher = net.user && net.user.isTeacher ? net.user : null;
+  const teacherUid = teacher ? teacher.uid : null;
+  // the presenter window never drives the room, even when opened from the owner's account
+  const isHost = !presenting && Boolean(roomData && roomData.meta && net.user && roomData.meta.hostUid === net.user.uid);
+  const [myRooms, setMyRooms] = useState({});
+
+  // Quiz library (quizzes/ collection) & editor
+  const [quizzes, setQuizzes] = useState({});
+  const [selectedQuizId, setSelectedQuizId] = useState("");
+  // selectedQuizId === BANK_SOURCE: the room draws random questions from every quiz (lib/questionBank)
+  const [bankCriteria, setBankCriteria] = useState({ tags: [], difficulty: "", count: DEFAULT_DRAW_COUNT });
+  const [editingQuiz, setEditingQuiz] = useState(null);
+  const [scoringId, setScoringId] = useState(DEFAULT_SCORING);
+  // new rooms: live (host drives) or homework with an optional open/close window (datetime-local strings)
+  const [roomMode, setRoomMode] = useState("live");
+  const [hwOpens, setHwOpens] = useState("");
+  const [hwCloses, setHwCloses] = useState("");
 
   // Answer & timer
   const [localAnswer, setLocalAnswer] = useState(null);
   const [timeLeft, setTimeLeft] = useState(0);
+  const [answerKey, setAnswerKey] = useState(null); // host only, for the final report and homework grading
+  const [grading, setGrading] = useState(false);
+  const [hwGrades, setHwGrades] = useState(null); // host only: hwGrades/{roomId} while the homework is still open
+  const [hwAnswers, setHwAnswers] = useState(undefined); // host only: hwAnswers/{roomId} (outside the room every student reads); undefined until loaded
+  const [gradesDue, setGradesDue] = useState(0); // bumped when the homework deadline passes
+  const webGradesRef = useRef({}); // homework web answers already rendered and checked, { pid: { index: grade } }
   const timerRef = useRef(null);
+  const advancedRef = useRef(null);
+  const resumedRef = useRef(false);
 
   // UI, background, audio
   const [dark, setDark] = useState(false);
+  const [reducedMotion, setReducedMotion] = useState(prefersReducedMotion);
+  // every string comes from lib/i18n; this state only re-renders the app after a switch
+  const [locale, setLocaleState] = useState(getLocale);
   const bgRef = useRef(null);
 
-  // audio refs
-  const lobbyAudioRef = useRef(null);
-  const questionBgmRef = useRef(null);
-  const audioAllowedRef = useRef(false);
+  // audio: settings live on this device, the music theme comes from the room
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings);
+  const audioRef = useRef(null);
+  if (audioRef.current === null) audioRef.current = createAudioManager(audioSettings);
 
   /* inject responsive CSS once */
   useEffect(() => {
@@ -141,106 +274,175 @@ export default function App() {
       s.innerHTML = responsiveStyles;
       document.head.appendChild(s);
     }
+    mountAnnouncer();
   }, []);
 
   useEffect(() => {
     (async () => {
-      await fb.init();
-      setInited(true);
+      if (await net.init()) setInited(true);
+      else setNetError(true);
     })();
   }, []);
 
+  // server clock (Firebase offset or the relay's clock); used for the shared question timer
+  const serverNow = () => net.tx.now();
+
   useEffect(() => {
     document.documentElement.classList.toggle("dark", dark);
   }, [dark]);
 
-  /* ---------- Room listener (if joined) ---------- */
+  /* ---------- Language: per device, and per teacher account (teachers/{uid}/locale) ---------- */
+  useEffect(() => onLocaleChange(setLocaleState), []);
+
   useEffect(() => {
-    if (!inited || !roomId) return;
-    let stop = false;
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  useEffect(() => {
+    if (!inited || !teacherUid) return;
     (async () => {
       try {
-        const { ref, onValue } = await import("firebase/database");
-        const rRef = ref(fb.dbRef.current, `rooms/${roomId}`);
-        onValue(rRef, (snap) => {
-          if (stop) return;
-          setRoomData(snap.exists() ? snap.val() : null);
-        });
+        const saved = await net.tx.get(`teachers/${teacherUid}/locale`);
+        if (saved) setLocale(saved);
       } catch (e) {
-        console.warn("room listener err", e);
+        console.warn("load locale err", e);
       }
     })();
+  }, [inited, teacherUid]);
+
+  const changeLocale = async (next) => {
+    setLocale(next);
+    if (!inited || !teacherUid) return;
+    try {
+      await net.tx.set(`teachers/${teacherUid}/locale`, next);
+    } catch (e) {
+      console.warn("save locale err", e);
+    }
+  };
+
+  /* ---------- Room listener (if joined) ---------- */
+  useEffect(() => {
+    if (!inited || !roomId) return;
+    const unsubscribe = net.tx.listen(`rooms/${roomId}`, (val) => {
+      // RTDB drops empty arrays (e.g. choices of numeric questions); restore the quiz shape
+      if (val && val.quiz) val.quiz = normalizeQuiz(val.quiz, val.quiz.id);
+      setRoomData(val);
+      setRoomMissing(!val);
+    });
     return () => {
-      stop = true;
+      unsubscribe();
+      setRoomMissing(false);
       clearInterval(timerRef.current);
       timerRef.current = null;
     };
   }, [inited, roomId]);
 
-  /* ---------- presence ---------- */
+  /* ---------- Quiz library listener (teachers only) ---------- */
+  useEffect(() => {
+    if (!inited || !teacher) {
+      setQuizzes({});
+      return;
+    }
+    // only this teacher's own quizzes: the rules refuse reading the whole library
+    return net.tx.listenWhere("quizzes", "ownerUid", teacherUid, (raw) => {
+      const list = {};
+      Object.entries(raw || {}).forEach(([id, q]) => { list[id] = normalizeQuiz(q, id); });
+      setQuizzes(list);
+    });
+  }, [inited, teacherUid]);
+
+  /* ---------- Rooms owned by the signed-in teacher (teachers/{uid}/rooms) ---------- */
+  useEffect(() => {
+    if (!inited || !teacher) {
+      setMyRooms({});
+      return;
+    }
+    return net.tx.listen(`teachers/${teacherUid}/rooms`, (val) => setMyRooms(val || {}));
+  }, [inited, teacherUid]);
+
+  /* ---------- presence: connected flag, cleared by the transport when we drop off ---------- */
   useEffect(() => {
     if (!inited || !roomId || !playerId) return;
+    return net.tx.presence(`rooms/${roomId}/players/${playerId}`);
+  }, [inited, roomId, playerId]);
+
+  /* ---------- Resume: go back to the saved room after a reload ---------- */
+  useEffect(() => {
+    if (!inited || !net.user || roomId || resumedRef.current) return;
+    resumedRef.current = true;
+    const saved = loadSession();
+    if (!saved) return;
     (async () => {
       try {
-        const { ref, set, onDisconnect } = await import("firebase/database");
-        const pRef = ref(fb.dbRef.current, `rooms/${roomId}/players/${playerId}/connected`);
-        await set(pRef, true);
-        onDisconnect(pRef).set(false);
+        const room = await net.tx.get(`rooms/${saved.roomId}`);
+        const uid = net.uidRef.current;
+        if (room && saved.role === "host" && room.meta && room.meta.hostUid === uid) {
+          setRoomId(saved.roomId);
+          return;
+        }
+        if (room && saved.role === "player" && saved.playerId === uid && room.players && room.players[uid]) {
+          setPlayerId(uid);
+          setPlayerName(room.players[uid].name || saved.name || "");
+          setRoomId(saved.roomId);
+          return;
+        }
+        // the room or our record is gone (or this is another account): prefill the join form
+        clearSession();
+        if (room && saved.role === "player") {
+          setJoinCode(saved.roomId);
+          setPlayerName(saved.name || "");
+        }
       } catch (e) {
-        console.warn("presence err", e);
+        console.warn("resume err", e);
       }
     })();
-  }, [inited, roomId, playerId]);
+  }, [inited, net.user]);
 
-  /* ---------- audio init & control ---------- */
+  /* ---------- audio ---------- */
+  // browsers block sound until the first gesture on the page
   useEffect(() => {
-    try {
-      lobbyAudioRef.current = new Audio("https://assets.mixkit.co/music/preview/mixkit-happy-ukulele-219.mp3");
-      lobbyAudioRef.current.loop = true;
-      lobbyAudioRef.current.volume = 0.28;
-      questionBgmRef.current = new Audio("https://assets.mixkit.co/music/preview/mixkit-electronic-ambient-1106.mp3");
-      questionBgmRef.current.loop = true;
-      questionBgmRef.current.volume = 0.12;
-    } catch (e) {
-      console.warn("audio init failed", e);
-    }
-
-    const resume = () => {
-      audioAllowedRef.current = true;
-      try { lobbyAudioRef.current && lobbyAudioRef.current.play().catch(()=>{}); } catch(e){}
-      try { questionBgmRef.current && questionBgmRef.current.play().catch(()=>{}); } catch(e){}
-      window.removeEventListener("pointerdown", resume);
-    };
-    window.addEventListener("pointerdown", resume, { once: true });
-
+    const unlock = () => audioRef.current.unlock();
+    window.addEventListener("pointerdown", unlock, { once: true });
+    window.addEventListener("keydown", unlock, { once: true });
     return () => {
-      try { lobbyAudioRef.current && lobbyAudioRef.current.pause(); } catch(e){}
-      try { questionBgmRef.current && questionBgmRef.current.pause(); } catch(e){}
-      window.removeEventListener("pointerdown", resume);
+      window.removeEventListener("pointerdown", unlock);
+      window.removeEventListener("keydown", unlock);
+      audioRef.current.stop();
     };
   }, []);
 
+  useEffect(() => { audioRef.current.setSettings(audioSettings); }, [audioSettings]);
+
+  const roomState = roomData && roomData.state;
+  const roomTheme = themeOf(roomData && roomData.meta);
   useEffect(() => {
-    const state = roomData && roomData.state;
-    if (!audioAllowedRef.current) return;
-    try {
-      if (state === "lobby") {
-        questionBgmRef.current && (questionBgmRef.current.pause(), questionBgmRef.current.currentTime = 0);
-        lobbyAudioRef.current && lobbyAudioRef.current.play().catch(()=>{});
-      } else if (state === "question") {
-        lobbyAudioRef.current && (lobbyAudioRef.current.pause(), lobbyAudioRef.current.currentTime = 0);
-        questionBgmRef.current && questionBgmRef.current.play().catch(()=>{});
-      } else {
-        lobbyAudioRef.current && (lobbyAudioRef.current.pause(), lobbyAudioRef.current.currentTime = 0);
-        questionBgmRef.current && (questionBgmRef.current.pause(), questionBgmRef.current.currentTime = 0);
-      }
-    } catch (e) { /* ignore */ }
-  }, [roomData && roomData.state]);
+    audioRef.current.setTheme(roomTheme);
+    audioRef.current.playMusic(musicFor(roomState), roomState === "paused");
+  }, [roomState, roomTheme]);
+
+  useEffect(() => {
+    if (shouldTick(roomState, timeLeft)) audioRef.current.play("tick");
+  }, [roomState, timeLeft]);
+
+  const finishedRef = useRef(null);
+  useEffect(() => {
+    if (roomState === "finished" && finishedRef.current && finishedRef.current !== "finished") audioRef.current.play("finish");
+    finishedRef.current = roomState;
+  }, [roomState]);
+
+  const changeAudioSettings = (next) => setAudioSettings(saveAudioSettings(next));
+
+  /* ---------- background parallax, off when the system asks for reduced motion ---------- */
+  useEffect(() => onReducedMotionChange(setReducedMotion), []);
 
-  /* ---------- background parallax ---------- */
   useEffect(() => {
     const el = bgRef.current;
     if (!el) return;
+    if (reducedMotion) {
+      el.style.backgroundPosition = "center";
+      el.style.transform = "scale(1)";
+      return;
+    }
     const onMove = (e) => {
       const x = (e.clientX / window.innerWidth) * 100;
       const y = (e.clientY / window.innerHeight) * 100;
@@ -249,146 +451,347 @@ export default function App() {
     };
     window.addEventListener("mousemove", onMove);
     return () => window.removeEventListener("mousemove", onMove);
-  }, []);
+  }, [reducedMotion]);
+
+  /* ---------- Teacher accounts (Firebase Auth email/password; local mode only keeps the email) ---------- */
+  const teacherSignIn = async (email, password, register) => {
+    if (!inited) throw new Error(t("app.notReady"));
+    await net.tx.signIn(email, password, register);
+  };
+
+  const teacherSignOut = async () => {
+    try {
+      if (roomId) await leaveRoom();
+      setEditingQuiz(null);
+      await net.tx.signOut();
+    } catch (e) {
+      console.error("signOut err", e);
+    }
+  };
+
+  /* ---------- Quiz library: save/delete ---------- */
+  const saveQuiz = async (draft) => {
+    if (!inited) return alert(t("app.notReady"));
+    if (!teacher) return alert(t("app.teacherOnly"));
+    const id = draft.id || genId();
+    try {
+      // each quiz belongs to the teacher who saved it; the rules only let its owner read or change it
+      await net.tx.set(`quizzes/${id}`, { ...draft, id, ownerUid: teacher.uid });
+      setSelectedQuizId(id);
+      setEditingQuiz(null);
+    } catch (e) {
+      console.error("saveQuiz err", e);
+      alert(t("app.saveQuizFailed"));
+    }
+  };
+
+  const deleteQuiz = async (id) => {
+    if (!inited || !id) return;
+    if (!window.confirm(t("app.confirmDeleteQuiz"))) return;
+    try {
+      await net.tx.remove(`quizzes/${id}`);
+      setSelectedQuizId("");
+    } catch (e) {
+      console.error("deleteQuiz err", e);
+    }
+  };
+
+  /* ---------- Quiz library: import/export ---------- */
+  const importQuizFile = async (file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { quiz, errors } = importQuiz(text, detectFormat(file.name, text));
+      const report = errors.map((e) => t("app.importLine", { line: e.line, message: e.message })).join("\n");
+      if (!quiz || !quiz.questions.length) return alert(`${t("app.importNothing")}\n${report}`);
+      if (errors.length) alert(`${t("app.importRejected", { count: errors.length })}\n${report}`);
+      setEditingQuiz({ ...quiz, title: quiz.title || file.name.replace(/\.[^.]+$/, "") });
+    } catch (e) {
+      console.error("importQuiz err", e);
+      alert(t("app.importFailed"));
+    }
+  };
+
+  const exportSelectedQuiz = (format) => {
+    const quiz = quizzes[selectedQuizId] || SAMPLE_QUIZ;
+    const { ext, mime } = FORMATS[format];
+    try {
+      downloadText(`${slugify(quiz.title)}.${ext}`, exportQuiz(quiz, format), mime);
+    } catch (e) {
+      alert(t("app.exportFailed", { error: e.message }));
+    }
+  };
 
   /* ---------- CRUD: create/join/leave/start/next ---------- */
   const createRoom = async () => {
-    if (!inited) return alert("Firebase belum siap");
-    const id = genId();
+    if (!inited) return alert(t("app.notReady"));
+    if (!teacher) return alert(t("app.teacherOnly"));
+    const quiz = selectedQuizId === BANK_SOURCE
+      ? drawQuiz(bankQuestions([SAMPLE_QUIZ, ...Object.values(quizzes)]), { ...bankCriteria, title: bankCriteria.tags.length ? t("bank.titleTags", { tags: bankCriteria.tags.join(", ") }) : t("bank.title") })
+      : quizzes[selectedQuizId] || SAMPLE_QUIZ;
+    if (!quiz.questions.length) return alert(t("bank.empty"));
+    const homework = roomMode === HOMEWORK_STATE;
+    const opensAt = parseLocalDateTime(hwOpens);
+    const closesAt = parseLocalDateTime(hwCloses);
+    if (homework && opensAt !== null && closesAt !== null && closesAt <= opensAt) return alert(t("app.deadlineOrder"));
     try {
-      const { ref, set } = await import("firebase/database");
-      const rRef = ref(fb.dbRef.current, `rooms/${id}`);
-      const initial = { meta: { title: SAMPLE_QUIZ.title }, quiz: SAMPLE_QUIZ, state: "lobby", currentIndex: 0, players: {}, answers: {} };
-      await set(rRef, initial);
+      // a few retries in the unlikely case the code is already taken
+      let id = newRoomCode();
+      for (let i = 0; i < 5 && (await net.tx.get(`rooms/${id}/meta`)); i++) id = newRoomCode();
+      const { room: initial, key } = newRoom({ quiz, hostUid: teacher.uid, scoring: SCORING_RULES[scoringId], seed: genId(), homework, opensAt, closesAt });
+      await net.tx.set(`rooms/${id}`, initial);
+      // kunci jawaban hanya bisa dibaca host (lihat database.rules.json)
+      await net.tx.set(`answerKeys/${id}`, key);
+      // index for "Room saya", so the owner can reopen the room after a reload
+      await net.tx.set(`teachers/${teacher.uid}/rooms/${id}`, { title: quiz.title, createdAt: net.tx.serverTimestamp(), ...(homework ? { mode: HOMEWORK_STATE } : {}) });
+      saveSession({ roomId: id, role: "host" });
       setRoomId(id);
-      setIsHost(true);
     } catch (e) {
       console.error("createRoom err", e);
     }
   };
 
+  // reopen one of the teacher's rooms; host controls come from meta.hostUid
+  const openRoom = (id) => {
+    setPlayerId(null);
+    setLocalAnswer(null);
+    saveSession({ roomId: id, role: "host" });
+    setRoomId(id);
+  };
+
+  const deleteRoom = async (id) => {
+    if (!inited || !teacher) return;
+    if (!window.confirm(t("app.confirmDeleteRoom", { room: id }))) return;
+    try {
+      // the answer key rule checks the room owner, so it goes first
+      await net.tx.remove(`answerKeys/${id}`);
+      await net.tx.remove(`hwGrades/${id}`);
+      await net.tx.remove(`hwAnswers/${id}`);
+      await net.tx.remove(`rooms/${id}`);
+      await net.tx.remove(`teachers/${teacher.uid}/rooms/${id}`);
+    } catch (e) {
+      console.error("deleteRoom err", e);
+      alert(t("app.deleteRoomFailed"));
+    }
+  };
+
   const joinRoom = async (code, name) => {
-    if (!inited) return alert("Firebase belum siap");
-    if (!code || !name) return alert("Masukkan kode room dan nama");
+    if (!inited) return alert(t("app.notReady"));
+    code = normalizeRoomCode(code);
+    name = String(name || "").trim().replace(/\s+/g, " ");
+    if (!code) return alert(t("app.enterCode"));
     try {
-      const { ref, set } = await import("firebase/database");
-      const pid = Math.random().toString(36).slice(2, 9);
-      const pRef = ref(fb.dbRef.current, `rooms/${code}/players/${pid}`);
-      await set(pRef, { name, score: 0, connected: true });
+      // the auth uid is the player id, so only this browser can write as this player
+      const pid = net.uidRef.current;
+      // classmates scanning the QR code at the same moment race for the seat count: takeSeat retries
+      const problem = await takeSeat(net.tx, code, pid, name, BLOCKED_NAMES);
+      if (problem) return alert(problem);
+      saveSession({ roomId: code, role: "player", playerId: pid, name });
       setPlayerId(pid);
       setPlayerName(name);
       setRoomId(code);
-      setIsHost(false);
       setJoinCode("");
     } catch (e) {
       console.error("joinRoom err", e);
-      alert("Gagal gabung - cek kode room");
+      alert(t("app.joinFailed"));
     }
   };
 
+  const clearLinkedRoom = () => {
+    setLinkedRoom("");
+    // keep ?net= / ?relay= so later links stay in the same network mode
+    const keep = transportSearch(window.location.search);
+    if (window.location.search) window.history.replaceState(null, "", `${window.location.pathname}${keep ? `?${keep}` : ""}`);
+  };
+
+  // the join link has done its job once we are in a room
+  useEffect(() => {
+    if (roomId && linkedRoom) clearLinkedRoom();
+  }, [roomId]);
+
+  const copyJoinLink = () => {
+    const url = joinUrl(roomId);
+    if (navigator.clipboard) navigator.clipboard.writeText(url).then(() => alert(t("app.linkCopied")), () => prompt(t("app.copyPrompt"), url));
+    else prompt(t("app.copyPrompt"), url);
+  };
+
   const leaveRoom = async () => {
     if (!inited || !roomId) return;
+    const leftRoom = roomId;
+    const leftPlayer = playerId;
+    const left = roomData;
+    // local state first, so our own removal is not mistaken for being removed by the host
+    clearSession();
+    setRoomId("");
+    setRoomData(null);
+    setPlayerId(null);
+    setLocalAnswer(null);
+    if (!leftPlayer) return;
     try {
-      const { ref, remove } = await import("firebase/database");
-      if (playerId) {
-        const pRef = ref(fb.dbRef.current, `rooms/${roomId}/players/${playerId}`);
-        await remove(pRef);
-      }
-      setRoomId("");
-      setRoomData(null);
-      setPlayerId(null);
-      setIsHost(false);
-      setLocalAnswer(null);
-    } catch (e) { console.error(e); }
+      await net.tx.update(`rooms/${leftRoom}`, leaveUpdates(left, leftPlayer));
+    } catch {
+      // someone else joined or left meanwhile: leave anyway, the host's next removal recounts the seats
+      try { await net.tx.remove(`rooms/${leftRoom}/players/${leftPlayer}`); } catch (e) { console.error(e); }
+    }
   };
 
-  const startQuiz = async () => {
-    if (!inited || !roomId) return;
+  /* ---------- Host: duplicate players ---------- */
+  const mergePlayers = async (fromPid, toPid) => {
+    if (!inited || !roomId || !isHost) return;
     try {
-      const { ref, update } = await import("firebase/database");
-      const rRef = ref(fb.dbRef.current, `rooms/${roomId}`);
-      await update(rRef, { state: "question", currentIndex: 0, answers: {} });
-    } catch (e) { console.error("startQuiz err", e); }
+      const room = await net.tx.get(`rooms/${roomId}`);
+      const updates = room ? mergePlayerUpdates(room, fromPid, toPid) : null;
+      if (updates) await net.tx.update(`rooms/${roomId}`, updates);
+    } catch (e) {
+      console.error("mergePlayers err", e);
+      alert(t("app.mergeFailed"));
+    }
   };
 
-  const nextQuestion = async () => {
-  if (!inited || !roomId || !roomData) return;
-  try {
-    // dynamic imports dari firebase database
-    const { ref, get, update } = await import("firebase/database");
-
-    // ambil jawaban terbaru langsung dari DB (snapshot, bukan dari local roomData)
-    const answersSnap = await get(ref(fb.dbRef.current, `rooms/${roomId}/answers`));
-    const answers = answersSnap && answersSnap.exists() ? answersSnap.val() : {};
-
-    // ambil players snapshot untuk membaca skor terbaru
-    const playersSnap = await get(ref(fb.dbRef.current, `rooms/${roomId}/players`));
-    const players = playersSnap && playersSnap.exists() ? playersSnap.val() : {};
-
-    const idx = roomData.currentIndex || 0;
-    const quiz = (roomData && roomData.quiz) || SAMPLE_QUIZ;
-    const q = quiz.questions[idx];
-    if (!q) {
-      console.warn("nextQuestion: pertanyaan tidak ditemukan untuk index", idx);
-      return;
+  const kickPlayer = async (pid) => {
+    if (!inited || !roomId || !isHost) return;
+    const p = (roomData.players || {})[pid];
+    if (!window.confirm(t("app.confirmKick", { name: p ? p.name : pid }))) return;
+    try {
+      const room = await net.tx.get(`rooms/${roomId}`);
+      await net.tx.update(`rooms/${roomId}`, kickPlayerUpdates(room, pid));
+    } catch (e) {
+      console.error("kickPlayer err", e);
     }
+  };
 
-    console.info("Scoring question", idx, "correct:", q.answer, "answers:", answers);
+  // accommodations: extra time on every question for one student, as a percentage of the question time
+  const setExtraTime = async (pid, pct) => {
+    if (!inited || !roomId || !isHost) return;
+    try {
+      await net.tx.set(`rooms/${roomId}/players/${pid}/extraTimePct`, pct || null);
+    } catch (e) {
+      console.error("setExtraTime err", e);
+    }
+  };
 
-    // prepare updates (batched)
-    const updates = {};
+  const updateRoomMeta = async (patch) => {
+    if (!inited || !roomId || !isHost) return;
+    try {
+      await net.tx.update(`rooms/${roomId}/meta`, patch);
+    } catch (e) {
+      console.error("updateRoomMeta err", e);
+    }
+  };
 
-    // iterate answers yang kita ambil dari DB dan award points
-    Object.entries(answers).forEach(([pid, rawChoice]) => {
-      // normalisasi tipe (string -> number)
-      const choice = typeof rawChoice === "number" ? rawChoice : Number(rawChoice);
-      if (Number.isNaN(choice)) {
-        console.warn("nextQuestion: invalid choice for", pid, rawChoice);
-        return;
-      }
+  /* ---------- Team mode ---------- */
+  const updateTeams = async (teams) => {
+    if (!inited || !roomId || !isHost) return;
+    try {
+      const fill = teams.enabled && teams.assign === "auto" ? fillTeamsUpdates(roomData.players, teamSettings({ teams }).count) : {};
+      await net.tx.update(`rooms/${roomId}`, { "meta/teams": teams, ...fill });
+    } catch (e) {
+      console.error("updateTeams err", e);
+    }
+  };
 
-      const correct = choice === q.answer;
-      if (correct) {
-        const currentScore = Number((players && players[pid] && players[pid].score) || 0);
-        const newScore = currentScore + 100; // award +100
-        updates[`players/${pid}/score`] = newScore;
-        console.log(`Award ${pid} +100 (${currentScore} -> ${newScore})`);
-      }
-    });
+  const shuffleTeams = async () => {
+    if (!inited || !roomId || !isHost) return;
+    try {
+      await net.tx.update(`rooms/${roomId}`, autoAssignUpdates(roomData.players, teamSettings(roomData.meta).count));
+    } catch (e) {
+      console.error("shuffleTeams err", e);
+    }
+  };
 
-    // advance index and clear answers
-    const nextIdx = idx + 1;
-    const newState = nextIdx >= quiz.questions.length ? "finished" : "question";
+  const pickTeam = async (team) => {
+    if (!inited || !roomId || !playerId) return;
+    try {
+      await net.tx.set(`rooms/${roomId}/players/${playerId}/team`, team);
+    } catch (e) {
+      console.error("pickTeam err", e);
+      alert(t("app.pickTeamFailed"));
+    }
+  };
 
-    updates["currentIndex"] = nextIdx;
-    updates["answers"] = {}; // reset answers for next question
-    updates["state"] = newState;
+  const removePlayer = async (pid) => {
+    if (!inited || !roomId || !isHost) return;
+    try {
+      const room = await net.tx.get(`rooms/${roomId}`);
+      await net.tx.update(`rooms/${roomId}`, removePlayerUpdates(room, pid));
+    } catch (e) {
+      console.error("removePlayer err", e);
+    }
+  };
 
-    // tulis update sekali (atomic-ish)
-    const rRef = ref(fb.dbRef.current, `rooms/${roomId}`);
-    await update(rRef, updates);
+  /* ---------- Host commands: applied to a fresh room snapshot and recorded in the session log ---------- */
+  const runHostCommand = async (command, build) => {
+    if (!inited || !roomId || !isHost) return null;
+    try {
+      const room = await net.tx.get(`rooms/${roomId}`);
+      if (!room) return null;
+      const updates = build(room, { now: serverNow(), timestamp: net.tx.serverTimestamp() });
+      if (!updates) return null;
+      updates[`log/${net.tx.pushKey(`rooms/${roomId}/log`)}`] = logEntry(command, room, net.tx.serverTimestamp());
+      await net.tx.update(`rooms/${roomId}`, updates);
+      if ("currentIndex" in updates) setLocalAnswer(null);
+      return updates;
+    } catch (e) {
+      console.error(`${command} err`, e);
+      return null;
+    }
+  };
 
-    // cleanup UI local state
-    setLocalAnswer(null);
+  // players who never got or picked a team are placed in the smallest one as the quiz starts
+  const startQuiz = () => runHostCommand("start", (room, clock) => {
+    const updates = startUpdates(room, clock);
+    const teams = teamSettings(room.meta);
+    return updates && teams.enabled ? { ...updates, ...fillTeamsUpdates(room.players, teams.count) } : updates;
+  });
+  const pauseQuestion = () => runHostCommand("pause", pauseUpdates);
+  const resumeQuestion = () => runHostCommand("resume", resumeUpdates);
+  const extendTime = () => runHostCommand("extend", (room) => extendUpdates(room));
+  const skipQuestion = () => runHostCommand("skip", skipUpdates);
+
+  const previousQuestion = () => {
+    if (!window.confirm(t("app.confirmBack"))) return;
+    return runHostCommand("back", backUpdates);
+  };
 
-    // jika selesai, (opsional) mainkan sound end
-    if (newState === "finished") {
-      try { 
-        const ch = new Audio("https://assets.mixkit.co/sfx/preview/mixkit-winning-sparkle-2016.mp3");
-        ch.volume = 0.6; ch.play().catch(()=>{});
-      } catch(e){}
+  // tutup soal: nilai jawaban lalu tampilkan hasil (state "reveal"); bisa juga dari state "paused"
+  const revealAnswer = async () => {
+    if (!inited || !roomId || !roomData || (roomData.state !== "question" && roomData.state !== "paused")) return;
+    try {
+      // ambil jawaban dan skor terbaru langsung dari DB (snapshot, bukan dari local roomData)
+      const room = {
+        ...roomData,
+        answers: (await net.tx.get(`rooms/${roomId}/answers`)) || {},
+        players: (await net.tx.get(`rooms/${roomId}/players`)) || {}
+      };
+      const idx = room.currentIndex || 0;
+      // kunci jawaban hanya ada di answerKeys/{roomId} (host-only)
+      const correctAnswer = await net.tx.get(`answerKeys/${roomId}/answers/${idx}`);
+      // web pages need a real DOM: render each submission in a hidden sandbox here, before scoring
+      const submissions = webSubmissions(room);
+      const webGrades = submissions ? await gradeHtmlResponses(submissions, (correctAnswer || {}).checks) : null;
+      const updates = revealUpdates(room, correctAnswer, webGrades);
+      if (!updates) return;
+      updates[`log/${net.tx.pushKey(`rooms/${roomId}/log`)}`] = logEntry("reveal", roomData, net.tx.serverTimestamp());
+      // tulis update sekali (atomic-ish)
+      await net.tx.update(`rooms/${roomId}`, updates);
+    } catch (err) {
+      console.error("revealAnswer error", err);
     }
-  } catch (err) {
-    console.error("nextQuestion error", err);
-  }
-};
+  };
+
+  // dari "reveal" lanjut ke soal berikutnya (atau selesai)
+  const nextQuestion = () => {
+    if (!inited || !roomId || !roomData) return;
+    if (roomData.state === "question" || roomData.state === "paused") return revealAnswer();
+    return runHostCommand("next", nextUpdates);
+  };
 
-  /* ---------- Timer: restart only when question state or index changes ---------- */
+  /* ---------- Timer: derived from the shared questionStartedAt timestamp, frozen while paused ---------- */
   useEffect(() => {
     if (!roomData) return;
     const state = roomData.state;
     const idx = roomData.currentIndex || 0;
-    if (state !== "question") {
+    if (state !== "question" && state !== "paused") {
       setTimeLeft(0);
       clearInterval(timerRef.current);
       return;
@@ -396,70 +799,189 @@ export default function App() {
     const quiz = roomData.quiz || SAMPLE_QUIZ;
     const q = quiz.questions[idx];
     if (!q) return;
-    setTimeLeft(q.time);
+    const startedAt = roomData.questionStartedAt;
+    // a student counts down their own extra time; host and projector wait for the longest one still answering
+    const me = playerId && roomData.players ? roomData.players[playerId] : null;
+    const extraMs = me ? extraTimeMs(me, q.time) : pendingExtraMs(roomData, q);
+    const tick = () => {
+      const left = roomTimeLeft(roomData, q, serverNow(), extraMs);
+      setTimeLeft(left);
+      if (left > 0 || typeof startedAt !== "number" || state !== "question") return;
+      clearInterval(timerRef.current);
+      // only the host advances, and only once per question (a replayed question gets a new start time)
+      const key = `${idx}:${startedAt}`;
+      if (isHost && advancedRef.current !== key) {
+        advancedRef.current = key;
+        revealAnswer();
+      }
+    };
     clearInterval(timerRef.current);
-    timerRef.current = setInterval(() => {
-      setTimeLeft((t) => {
-        if (t <= 1) {
-          clearInterval(timerRef.current);
-          if (isHost) nextQuestion();
-          return 0;
-        }
-        return t - 1;
-      });
-    }, 1000);
+    tick();
+    if (state === "question") timerRef.current = setInterval(tick, 250);
     return () => clearInterval(timerRef.current);
-  }, [roomData && roomData.state, roomData && roomData.currentIndex]);
+  }, [roomData && roomData.state, roomData && roomData.currentIndex, roomData && roomData.questionStartedAt, roomData && roomData.timeExtraMs, roomData && roomData.pausedAt, roomData && roomData.players, roomData && roomData.answers]);
 
   useEffect(() => {
     if (!roomData) return;
     setLocalAnswer(null);
   }, [roomData && roomData.currentIndex]);
 
-  /* ---------- submitAnswer: lock on first click, write to DB, play SFX ---------- */
-  const submitAnswer = async (choice) => {
-    if (localAnswer !== null) return; // locked
-    if (!inited || !roomId || !playerId) return alert("Silakan gabung room terlebih dahulu.");
-    setLocalAnswer(choice);
+  // after a reload the answer already sent for this question stays locked in
+  const storedAnswer = roomData && roomData.answers && playerId ? roomData.answers[playerId] : undefined;
+  const storedChoice = storedAnswer && typeof storedAnswer === "object" ? storedAnswer.choice : storedAnswer;
+  useEffect(() => {
+    if (storedChoice !== undefined && storedChoice !== null && localAnswer === null) setLocalAnswer(storedChoice);
+  }, [JSON.stringify(storedChoice)]);
 
-    // local correctness
-    const quiz = roomData?.quiz || SAMPLE_QUIZ;
-    const idx = roomData?.currentIndex || 0;
-    const correctIndex = quiz.questions[idx].answer;
+  // our player record disappeared: the host removed this duplicate
+  const removedFromRoom = Boolean(roomData && playerId && !(roomData.players && roomData.players[playerId]));
+  useEffect(() => {
+    if (!removedFromRoom) return;
+    clearSession();
+    setRoomId("");
+    setRoomData(null);
+    setPlayerId(null);
+    setLocalAnswer(null);
+    alert(t("app.removed"));
+  }, [removedFromRoom]);
 
-    // play SFX
-    try {
-      if (choice === correctIndex) {
-        const ch = new Audio("https://assets.mixkit.co/sfx/preview/mixkit-positive-notification-951.mp3");
-        ch.volume = 0.6; ch.play().catch(()=>{});
-      } else {
-        const ch = new Audio("https://assets.mixkit.co/sfx/preview/mixkit-player-losing-or-failing-2042.mp3");
-        ch.volume = 0.6; ch.play().catch(()=>{});
+  /* ---------- Final report: the host loads the answer key once the quiz is over (homework: right away, to grade) ---------- */
+  useEffect(() => {
+    setHwGrades(null);
+    if (!isHost || !roomId || !roomData || (roomData.state !== "finished" && !isHomework(roomData))) {
+      setAnswerKey(null);
+      return;
+    }
+    (async () => {
+      try {
+        setAnswerKey((await net.tx.get(`answerKeys/${roomId}`)) || { answers: [] });
+      } catch (e) {
+        console.error("load answerKey err", e);
       }
-    } catch (e) {}
+    })();
+  }, [isHost, roomId, roomData && roomData.state]);
+
+  /* ---------- Homework: the teacher's device grades answers as they come in ---------- */
+  const hwRoom = isHost && isHomework(roomData) ? roomId : null;
+  useEffect(() => {
+    if (!inited || !hwRoom) {
+      setHwAnswers(undefined);
+      return;
+    }
+    return net.tx.listen(`hwAnswers/${hwRoom}`, setHwAnswers);
+  }, [inited, hwRoom]);
+
+  useEffect(() => {
+    if (!isHost || !answerKey || !isHomework(roomData) || grading || hwAnswers === undefined) return;
+    (async () => {
+      setGrading(true);
+      try {
+        const cache = webGradesRef.current;
+        const pending = ungradedWebAnswers(roomData, hwAnswers, cache);
+        for (const { pid, index, html } of pending) {
+          const q = roomData.quiz.questions[index];
+          const checks = ((answerKey.answers || [])[index] || {}).checks;
+          cache[pid] = { ...cache[pid], [index]: q ? await gradeHtml(html, checks) : { passed: false, checks: [] } };
+        }
+        // grades stay in the host-only hwGrades/ while students can still answer (rooms/ is readable by everyone)
+        const updates = gradeHomeworkUpdates(roomData, hwAnswers, (await net.tx.get(`hwGrades/${roomId}`)) || {}, answerKey, getScoringRule(roomData.meta), cache);
+        if (Object.keys(updates).length) await net.tx.update(`hwGrades/${roomId}`, updates);
+        const grades = (await net.tx.get(`hwGrades/${roomId}`)) || {};
+        setHwGrades(grades);
+        const published = gradesPublic(roomData, serverNow()) ? publishGradesUpdates(roomData, grades) : {};
+        if (Object.keys(published).length) await net.tx.update(`rooms/${roomId}`, published);
+      } catch (e) {
+        console.error("grade homework err", e);
+      } finally {
+        setGrading(false);
+      }
+    })();
+  }, [isHost, answerKey, grading, gradesDue, hwAnswers, roomData && roomData.players, roomData && roomData.state]);
+
+  // grade (and publish) once more right after the deadline, even if nothing else changes in the room
+  const hwClosesAt = isHost && isHomework(roomData) ? roomData.meta.closesAt : null;
+  useEffect(() => {
+    if (typeof hwClosesAt !== "number") return;
+    const wait = hwClosesAt + ANSWER_GRACE_MS + 1000 - serverNow();
+    if (wait <= 0) return;
+    // setTimeout cannot wait longer than ~24 days; it then simply checks again
+    const timer = setTimeout(() => setGradesDue((n) => n + 1), Math.min(wait, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [hwClosesAt, gradesDue]);
+
+  const startHomework = async () => {
+    if (!inited || !roomId || !playerId) return;
+    try {
+      await net.tx.update(`rooms/${roomId}`, startHomeworkUpdates(playerId, net.tx.serverTimestamp()));
+    } catch (e) {
+      console.error("startHomework err", e);
+      alert(t("app.startHomeworkFailed"));
+    }
+  };
 
+  // answer (or time out on) question `index` and open the next one; resolves to false when the write failed
+  // `choice` is in the student's shuffled order; stored by original index like live answers
+  const advanceHomework = async (index, choice) => {
+    const updates = advanceUpdates(roomData, roomId, playerId, index, toOriginal(choice, choiceOrder(roomData, playerId, index)), net.tx.serverTimestamp());
+    if (!inited || !updates) return false;
     try {
-      const { ref, set } = await import("firebase/database");
-      const aRef = ref(fb.dbRef.current, `rooms/${roomId}/answers/${playerId}`);
-      await set(aRef, choice);
+      // the answer goes to hwAnswers/{roomId} in the same write as the progress
+      await net.tx.update("", updates);
+      return true;
+    } catch (e) {
+      console.error("advanceHomework err", e);
+      return false;
+    }
+  };
+
+  const closeHomework = () => {
+    if (!window.confirm(t("app.confirmCloseHomework"))) return;
+    return runHostCommand("close", closeHomeworkUpdates);
+  };
+
+  /* ---------- submitAnswer: lock on first click, write to DB ---------- */
+  // `shownChoice` is a position in the player's shuffled choices; answers/ and localAnswer hold the original index
+  const submitAnswer = async (shownChoice) => {
+    if (localAnswer !== null) return; // locked
+    if (!inited || !roomId || !playerId) return alert(t("app.joinFirst"));
+
+    // null while paused, after the question closed or past this player's deadline
+    const answer = roomData ? answerRecord(roomData, playerId, shownChoice, { now: serverNow(), timestamp: net.tx.serverTimestamp() }) : null;
+    if (!answer) return;
+    setLocalAnswer(answer.choice);
+
+    try {
+      await net.tx.set(`rooms/${roomId}/answers/${playerId}`, answer);
     } catch (e) {
       console.error("submitAnswer err", e);
     }
   };
 
+  /* ---------- Result SFX: correctness is only known once the host reveals ---------- */
+  const myResult = roomData && roomData.state === "reveal" && roomData.reveal && playerId
+    ? ((roomData.reveal.results || {})[playerId] || { correct: false })
+    : null;
+  useEffect(() => {
+    if (myResult) audioRef.current.play(myResult.correct ? "correct" : "wrong");
+  }, [myResult && myResult.correct, roomData && roomData.reveal && roomData.reveal.index]);
+
   /* ---------- UI components ---------- */
-  const Header = () => (
+  // a plain element rather than a component, so the volume menu stays open across re-renders
+  const header = (
     <div className="header-row">
       <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
         <img className="logo" src="/logo.jpg" alt="Logo" />
         <div>
           <div className="title">QuizLive</div>
-          <div className="subtitle">Kuis kelas secara real-time</div>
+          <div className="subtitle">{t("app.tagline")}</div>
         </div>
       </div>
       <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-        <button className="btn secondary" onClick={() => setDark(d => !d)} style={{ background: dark ? "#111827" : "transparent", color: dark ? "#fff" : "#111827" }}>{dark ? "Gelap" : "Terang"}</button>
-        <button className="btn secondary" onClick={() => { lobbyAudioRef.current && lobbyAudioRef.current.pause(); questionBgmRef.current && questionBgmRef.current.pause(); }}>Mute</button>
+        <select className="input" value={locale} onChange={(e) => changeLocale(e.target.value)} aria-label={t("app.language")} style={{ width: "auto", padding: 8 }}>
+          {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+        </select>
+        <button className="btn secondary" onClick={() => setDark(d => !d)} style={{ background: dark ? "#111827" : "transparent", color: dark ? "#fff" : "#111827" }}>{t(dark ? "app.dark" : "app.light")}</button>
+        <AudioControls settings={audioSettings} onChange={changeAudioSettings} />
       </div>
     </div>
   );
@@ -475,22 +997,47 @@ export default function App() {
     return (
       <div className="stats-row">
         <div style={{ minWidth: 120, textAlign: "center" }} className="card">
-          <div style={{ fontSize: 12, color: "#6b7280" }}>Peserta</div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t("app.stats.players")}</div>
           <div style={{ fontWeight: 700, fontSize: 20 }}>{numPlayers}</div>
         </div>
         <div style={{ minWidth: 120, textAlign: "center" }} className="card">
-          <div style={{ fontSize: 12, color: "#6b7280" }}>Soal</div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t("app.stats.questions")}</div>
           <div style={{ fontWeight: 700, fontSize: 20 }}>{numQ}</div>
         </div>
         <div style={{ minWidth: 120, textAlign: "center" }} className="card">
-          <div style={{ fontSize: 12, color: "#6b7280" }}>Rata-rata Skor</div>
-          <div style={{ fontWeight: 700, fontSize: 20 }}>{avg}</div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t("app.stats.average")}</div>
+          <div style={{ fontWeight: 700, fontSize: 20 }}>{formatNumber(avg)}</div>
         </div>
       </div>
     );
   };
 
-  const PlayerList = ({ players }) => (
+  const teams = teamSettings(roomData && roomData.meta);
+  const myTeam = roomData && playerId ? teamOf((roomData.players || {})[playerId], teams.count) : null;
+
+  // student lobby: own team, and the team buttons when students pick their own
+  const TeamPicker = ({ players, mine, onPick }) => (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 6 }}>
+        {mine !== null ? <>{t("app.yourTeam")} <span style={{ color: teamColor(mine) }}>{teamName(mine)}</span></> : t("app.pickTeam")}
+      </div>
+      {teams.assign === "choose" && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {Array.from({ length: teams.count }, (_, team) => {
+            const size = Object.values(players || {}).filter((p) => teamOf(p, teams.count) === team).length;
+            return (
+              <button key={team} className="btn" onClick={() => onPick(team)} aria-pressed={mine === team} style={{ background: teamColor(team), outline: mine === team ? "3px solid #111827" : "none" }}>
+                {teamName(team)} ({size})
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {teams.assign === "auto" && mine === null && <div style={{ fontSize: 13, color: "#6b7280" }}>{t("app.hostAssigns")}</div>}
+    </div>
+  );
+
+  const PlayerList = ({ players, onKick, onExtraTime }) => (
     <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
       {Object.entries(players || {}).map(([pid, p]) => (
         <div key={pid} style={{ display: "flex", justifyContent: "space-between", padding: 8, borderRadius: 8, background: "#fff" }}>
@@ -498,61 +1045,32 @@ export default function App() {
             <div style={{ width: 36, height: 36, borderRadius: 8, background: "#e0e7ff", display: "flex", alignItems: "center", justifyContent: "center", fontWeight: 700 }}>{initials(p.name)}</div>
             <div>
               <div style={{ fontWeight: 600 }}>{p.name}</div>
-              <div style={{ fontSize: 12, color: "#6b7280" }}>{p.connected ? "online" : "offline"}</div>
+              <div style={{ fontSize: 12, color: "#6b7280" }}>
+                {t(p.connected ? "common.online" : "common.offline")}
+                {teams.enabled && teamOf(p, teams.count) !== null && <span style={{ color: teamColor(p.team), fontWeight: 600 }}> · {teamName(p.team)}</span>}
+              </div>
             </div>
           </div>
-          <div style={{ fontWeight: 700 }}>{p.score || 0}</div>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <div style={{ fontWeight: 700 }}>{formatNumber(p.score)}</div>
+            {onExtraTime && <ExtraTimeSelect player={p} name={p.name} onChange={(pct) => onExtraTime(pid, pct)} />}
+            {onKick && <button className="btn secondary" onClick={() => onKick(pid)} title={t("host.kick")} style={{ padding: "4px 8px", color: "#dc2626" }}>✕</button>}
+          </div>
         </div>
       ))}
     </div>
   );
 
-  const QuestionCard = ({ q }) => {
-    const idx = roomData?.currentIndex || 0;
-    const correctIndex = roomData?.quiz?.questions?.[idx]?.answer;
-    const pct = q && q.time ? (timeLeft / q.time) * 100 : 0;
-    return (
-      <div className="card">
-        <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 12 }}>
-          <div style={{ fontSize: 16, fontWeight: 700 }}>{q.text}</div>
-          <div style={{ color: "#6b7280" }}>{timeLeft}s</div>
-        </div>
-
-        <div style={{ height: 10, background: "#f1f5f9", borderRadius: 10, overflow: "hidden", marginBottom: 12 }}>
-          <div style={{ height: "100%", width: `${pct}%`, background: "linear-gradient(90deg,#34d399,#fbbf24)" }} />
-        </div>
-
-        <div className="choice-grid" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
-          {q.choices.map((choiceText, i) => {
-            const selected = localAnswer === i;
-            const isCorrect = correctIndex === i;
-            let bg = "#fff";
-            if (localAnswer !== null) {
-              if (selected && isCorrect) bg = "#dcfce7"; // green
-              else if (selected && !isCorrect) bg = "#fee2e2"; // red
-              else if (isCorrect) bg = "#ecfdf5"; // reveal correct
-              else bg = "#fafafa";
-            } else {
-              bg = "#fff";
-            }
-            return (
-              <button
-                key={i}
-                onClick={() => submitAnswer(i)}
-                disabled={localAnswer !== null}
-                className="choice-btn"
-                style={{ background: bg }}
-              >
-                <div style={{ fontWeight: 600 }}>{String.fromCharCode(65 + i)}. {choiceText}</div>
-              </button>
-            );
-          })}
-        </div>
-      </div>
-    );
-  };
+  // the room as this device shows it: quiz text in the chosen language when the quiz has it
+  const shown = roomData && roomData.quiz ? { ...roomData, quiz: localizeQuiz(roomData.quiz, locale) } : roomData;
+  // and, for a player, the current question's choices in their own order
+  const myOrder = roomData && playerId ? choiceOrder(roomData, playerId, roomData.currentIndex || 0) : null;
 
   /* ---------- Layout ---------- */
+  if (presenting) {
+    return <PresenterView roomId={roomId} roomData={shown} timeLeft={timeLeft} joinLink={joinUrl(roomId)} />;
+  }
+
   const rootStyle = { minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center", padding: 28, background: dark ? "#0f172a" : "#f8fafc" };
   const containerStyle = { width: "100%", maxWidth: 1100, zIndex: 10 };
 
@@ -576,24 +1094,119 @@ export default function App() {
       />
 
       <div style={containerStyle} className="app-container">
-        <Header />
+        {header}
         <Stats players={roomData ? roomData.players : {}} />
 
+        {/* Quiz editor */}
+        {!roomId && editingQuiz && (
+          <QuizEditor quiz={editingQuiz === "new" ? null : editingQuiz} onSave={saveQuiz} onCancel={() => setEditingQuiz(null)} />
+        )}
+
+        {/* Join link: name prompt only */}
+        {!roomId && !editingQuiz && linkedRoom && (
+          <div className="card" style={{ maxWidth: 440, margin: "0 auto 16px" }}>
+            <div style={{ fontSize: 12, color: "#6b7280" }}>{t("app.joinRoom")}</div>
+            <div style={{ fontSize: 30, fontWeight: 800, fontFamily: "monospace", letterSpacing: 3, marginBottom: 12 }}>{linkedRoom}</div>
+            <form onSubmit={(e) => { e.preventDefault(); joinRoom(linkedRoom, playerName); }} style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+              <input className="input" autoFocus placeholder={t("app.yourName")} value={playerName} onChange={(e) => setPlayerName(e.target.value)} style={{ flex: 1 }} />
+              <button className="btn" type="submit" style={{ background: "#059669" }}>{t("app.join")}</button>
+            </form>
+            <button className="btn secondary" onClick={clearLinkedRoom} style={{ marginTop: 10 }}>{t("app.otherCode")}</button>
+          </div>
+        )}
+
         {/* Lobby / Join */}
-        {!roomId && (
+        {!roomId && !editingQuiz && !linkedRoom && (
           <div className="card" style={{ marginBottom: 16 }}>
-            <h2 style={{ fontSize: 22, fontWeight: 800, marginBottom: 6 }}>Buat atau gabung room live</h2>
-            <p style={{ color: "#6b7280", marginBottom: 12 }}>Buat room dan bagikan kodenya. Peserta dapat bergabung dari perangkat mereka.</p>
+            <h2 style={{ fontSize: 22, fontWeight: 800, marginBottom: 6 }}>{t("app.welcome")}</h2>
+            <p style={{ color: "#6b7280", marginBottom: 12 }}>{t("app.welcomeHelp")}</p>
 
-            <div style={{ display: "flex", gap: 10, marginBottom: 12, flexWrap: "wrap" }}>
-              <button className="btn" onClick={createRoom} style={{ background: "#4f46e5" }}>Buat Room</button>
-              <button className="btn secondary" onClick={() => { navigator.clipboard && navigator.clipboard.writeText(window.location.href); alert("Link aplikasi disalin"); }}>Bagikan Link Aplikasi</button>
+            <NetworkMode kind={net.kind} relay={TRANSPORT.relay} failed={netError} />
+
+            <div style={{ marginBottom: 12 }}>
+              <TeacherAuth user={net.user} local={net.kind !== "firebase"} onSignIn={teacherSignIn} onSignOut={teacherSignOut} />
             </div>
 
+            {teacher && (
+              <>
+                <div style={{ display: "flex", gap: 10, marginBottom: 12, flexWrap: "wrap", alignItems: "center" }}>
+                  <select className="input" value={selectedQuizId} onChange={(e) => setSelectedQuizId(e.target.value)} style={{ minWidth: 220 }}>
+                    <option value="">{localizeQuiz(SAMPLE_QUIZ, locale).title}</option>
+                    {Object.values(quizzes).map((q) => (
+                      <option key={q.id} value={q.id}>{q.title} ({t("common.questionCount", { count: q.questions.length })})</option>
+                    ))}
+                    <option value={BANK_SOURCE}>{t("bank.fromBank")}</option>
+                  </select>
+                  <select className="input" value={scoringId} onChange={(e) => setScoringId(e.target.value)} title={t("app.scoringRule")}>
+                    {Object.values(SCORING_RULES).map((r) => (
+                      <option key={r.id} value={r.id}>{t(`scoring.${r.id}`)}</option>
+                    ))}
+                  </select>
+                  <button className="btn secondary" onClick={() => setEditingQuiz("new")}>{t("editor.new")}</button>
+                  {quizzes[selectedQuizId] && <button className="btn secondary" onClick={() => setEditingQuiz(quizzes[selectedQuizId])}>{t("app.edit")}</button>}
+                  {quizzes[selectedQuizId] && <button className="btn secondary" onClick={() => deleteQuiz(selectedQuizId)} style={{ color: "#dc2626" }}>{t("common.remove")}</button>}
+                  <label className="btn secondary">
+                    {t("app.import")}
+                    <input type="file" accept=".json,.csv,.gift,.txt" onChange={(e) => { importQuizFile(e.target.files[0]); e.target.value = ""; }} style={{ display: "none" }} />
+                  </label>
+                  <select className="input" value="" onChange={(e) => e.target.value && exportSelectedQuiz(e.target.value)}>
+                    <option value="">{t("app.export")}</option>
+                    {Object.entries(FORMATS).map(([key, f]) => (
+                      <option key={key} value={key}>{f.label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {selectedQuizId === BANK_SOURCE && (
+                  <BankDraw questions={bankQuestions([SAMPLE_QUIZ, ...Object.values(quizzes)])} criteria={bankCriteria} onChange={setBankCriteria} />
+                )}
+
+                <div style={{ display: "flex", gap: 10, marginBottom: 12, flexWrap: "wrap", alignItems: "center" }}>
+                  <select className="input" value={roomMode} onChange={(e) => setRoomMode(e.target.value)} title={t("app.roomMode")}>
+                    <option value="live">{t("app.mode.live")}</option>
+                    <option value={HOMEWORK_STATE}>{t("app.mode.homework")}</option>
+                  </select>
+                  {roomMode === HOMEWORK_STATE && (
+                    <>
+                      <label style={{ fontSize: 13, color: "#6b7280" }}>
+                        {t("app.opens")}{" "}
+                        <input className="input" type="datetime-local" value={hwOpens} onChange={(e) => setHwOpens(e.target.value)} style={{ width: "auto" }} />
+                      </label>
+                      <label style={{ fontSize: 13, color: "#6b7280" }}>
+                        {t("app.closes")}{" "}
+                        <input className="input" type="datetime-local" value={hwCloses} onChange={(e) => setHwCloses(e.target.value)} style={{ width: "auto" }} />
+                      </label>
+                    </>
+                  )}
+                </div>
+
+                <div style={{ display: "flex", gap: 10, marginBottom: 12, flexWrap: "wrap" }}>
+                  <button className="btn" onClick={createRoom} style={{ background: "#4f46e5" }}>{t("app.createRoom")}</button>
+                  <button className="btn secondary" onClick={() => { navigator.clipboard && navigator.clipboard.writeText(window.location.href); alert(t("app.appLinkCopied")); }}>{t("app.shareApp")}</button>
+                </div>
+
+                {Object.keys(myRooms).length > 0 && (
+                  <div style={{ marginBottom: 12 }}>
+                    <div style={{ fontWeight: 600, marginBottom: 6 }}>{t("app.myRooms")}</div>
+                    {Object.entries(myRooms)
+                      .sort((a, b) => (b[1].createdAt || 0) - (a[1].createdAt || 0))
+                      .map(([id, r]) => (
+                        <div key={id} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6, flexWrap: "wrap" }}>
+                          <span style={{ fontFamily: "monospace", fontWeight: 700 }}>{id}</span>
+                          <span style={{ flex: 1, color: "#6b7280", fontSize: 14 }}>{r.title}{r.mode === HOMEWORK_STATE ? t("app.homeworkTag") : ""}</span>
+                          <button className="btn secondary" onClick={() => openRoom(id)}>{t("app.open")}</button>
+                          <button className="btn secondary" onClick={() => deleteRoom(id)} style={{ color: "#dc2626" }}>{t("common.remove")}</button>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </>
+            )}
+
             <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
-              <input className="input" placeholder="Nama Anda" value={playerName} onChange={(e) => setPlayerName(e.target.value)} />
-              <input className="input" placeholder="Kode Room" value={joinCode} onChange={(e) => setJoinCode(e.target.value.toUpperCase())} style={{ width: 160 }} />
-              <button className="btn" onClick={() => joinRoom(joinCode, playerName)} style={{ background: "#059669" }}>Gabung</button>
+              <input className="input" placeholder={t("app.yourName")} value={playerName} onChange={(e) => setPlayerName(e.target.value)} />
+              <input className="input" placeholder={t("app.roomCode")} value={joinCode} onChange={(e) => setJoinCode(normalizeRoomCode(e.target.value))} maxLength={6} style={{ width: 160, fontFamily: "monospace", letterSpacing: 2 }} />
+              <button className="btn" onClick={() => joinRoom(joinCode, playerName)} style={{ background: "#059669" }}>{t("app.join")}</button>
             </div>
           </div>
         )}
@@ -604,78 +1217,171 @@ export default function App() {
             <div>
               <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
                 <div>
-                  <div style={{ fontSize: 12, color: "#6b7280" }}>Ruangan</div>
+                  <div style={{ fontSize: 12, color: "#6b7280" }}>{t("app.room")}</div>
                   <div style={{ fontSize: 20, fontWeight: 800 }}>{roomId}</div>
                 </div>
-                <div style={{ display: "flex", gap: 8 }}>
-                  {isHost && <button className="btn" onClick={startQuiz} style={{ background: "#4f46e5" }}>Mulai</button>}
-                  {isHost && <button className="btn secondary" onClick={nextQuestion}>Selanjutnya</button>}
-                  <button className="btn secondary" onClick={leaveRoom}>Keluar</button>
-                </div>
+                <button className="btn secondary" onClick={leaveRoom} style={{ width: "auto" }}>{t("app.leave")}</button>
               </div>
 
+              {/* Homework: no live flow, the teacher watches progress and students work on their own */}
+              {isHomework(roomData) && isHost && (
+                <>
+                  <HomeworkDashboard roomData={roomData} grades={hwGrades} windowState={homeworkWindow(roomData, serverNow())} grading={grading} onClose={closeHomework} onExtraTime={setExtraTime} />
+                  {roomData.state === HOMEWORK_STATE && (
+                    <div className="card" style={{ marginBottom: 12 }}>
+                      <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap" }}>
+                        <RoomQr url={joinUrl(roomId)} />
+                        <div style={{ minWidth: 0, flex: 1 }}>
+                          <div style={{ fontSize: 13, color: "#6b7280" }}>{t("app.joinLink")}</div>
+                          <div style={{ fontWeight: 700, wordBreak: "break-all", marginBottom: 8 }}>{joinUrl(roomId)}</div>
+                          <button className="btn secondary" onClick={copyJoinLink}>{t("app.copyJoinLink")}</button>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+              {isHomework(roomData) && !isHost && roomData.state === HOMEWORK_STATE && (
+                <div style={{ marginBottom: 12 }}>
+                  <HomeworkPlayer room={shown} playerId={playerId} now={serverNow} onStart={startHomework} onAdvance={advanceHomework} />
+                </div>
+              )}
+
+              {isHost && !isHomework(roomData) && (
+                <HostControls
+                  roomData={shown}
+                  timeLeft={timeLeft}
+                  presenterLink={presenterUrl(roomId)}
+                  onStart={startQuiz}
+                  onNext={nextQuestion}
+                  onPause={pauseQuestion}
+                  onResume={resumeQuestion}
+                  onExtend={extendTime}
+                  onSkip={skipQuestion}
+                  onBack={previousQuestion}
+                  onToggleLock={() => updateRoomMeta({ locked: !(roomData.meta && roomData.meta.locked) })}
+                  onKick={kickPlayer}
+                  onExtraTime={setExtraTime}
+                />
+              )}
+
               {/* Lobby */}
               {roomData.state === "lobby" && (
                 <div className="card" style={{ marginBottom: 12 }}>
                   <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 12 }}>
                     <div>
-                      <h3 style={{ fontSize: 18, fontWeight: 700, margin: 0 }}>Menunggu di lobi</h3>
-                      <div style={{ color: "#6b7280" }}>Bagikan kode room kepada peserta</div>
+                      <h3 style={{ fontSize: 18, fontWeight: 700, margin: 0 }}>{t("app.lobby")}</h3>
+                      <div style={{ color: "#6b7280" }}>{t("app.lobbyHelp")}</div>
                     </div>
-                    <div style={{ fontFamily: "monospace", padding: "6px 10px", background: "#f3f4f6", borderRadius: 8 }}>{roomId}</div>
+                    <div style={{ fontFamily: "monospace", fontSize: 24, fontWeight: 800, letterSpacing: 3, padding: "6px 12px", background: "#f3f4f6", borderRadius: 8 }}>{roomId}</div>
                   </div>
-                  <PlayerList players={roomData.players} />
+                  {isHost && (
+                    <div style={{ display: "flex", gap: 16, alignItems: "center", flexWrap: "wrap", marginBottom: 12 }}>
+                      <RoomQr url={joinUrl(roomId)} />
+                      <div style={{ minWidth: 0, flex: 1 }}>
+                        <div style={{ fontSize: 13, color: "#6b7280" }}>{t("presenter.scan")}</div>
+                        <div style={{ fontWeight: 700, wordBreak: "break-all", marginBottom: 8 }}>{joinUrl(roomId)}</div>
+                        <button className="btn secondary" onClick={copyJoinLink}>{t("app.copyJoinLink")}</button>
+                      </div>
+                    </div>
+                  )}
+                  {isHost && (
+                    <RoomSettings
+                      meta={roomData.meta}
+                      playerCount={Object.keys(roomData.players || {}).length}
+                      onChange={updateRoomMeta}
+                      onTeamsChange={updateTeams}
+                      onShuffleTeams={shuffleTeams}
+                    />
+                  )}
+                  {!isHost && teams.enabled && <TeamPicker players={roomData.players} mine={myTeam} onPick={pickTeam} />}
+                  <PlayerList players={roomData.players} onKick={isHost ? kickPlayer : null} onExtraTime={isHost ? setExtraTime : null} />
                 </div>
               )}
 
-              {/* Question */}
-              {roomData.state === "question" && (
+              {/* Question: students get the answer pad, the host follows along in HostControls */}
+              {(roomData.state === "question" || roomData.state === "paused") && !isHost && (
                 <div style={{ marginBottom: 12 }}>
-                  <QuestionCard q={roomData.quiz.questions[roomData.currentIndex]} />
+                  <QuestionCard key={roomData.currentIndex} q={shuffleQuestion(shown.quiz.questions[roomData.currentIndex], myOrder)} label={t("common.questionOf", { n: roomData.currentIndex + 1, total: shown.quiz.questions.length })} timeLeft={timeLeft} paused={roomData.state === "paused"} localAnswer={toShown(localAnswer, myOrder)} onAnswer={submitAnswer} />
+                </div>
+              )}
+
+              {/* Reveal */}
+              {roomData.state === "reveal" && roomData.reveal && (
+                <div style={{ marginBottom: 12 }}>
+                  <RevealCard q={shown.quiz.questions[roomData.currentIndex]} reveal={roomData.reveal} players={roomData.players} playerId={playerId} order={myOrder} />
                 </div>
               )}
 
               {/* Finished */}
               {roomData.state === "finished" && (
                 <div className="card">
-                  <h3 style={{ fontSize: 18, fontWeight: 700 }}>Kuis Selesai</h3>
+                  <h3 style={{ fontSize: 18, fontWeight: 700 }}>{t("app.finished")}</h3>
                   <div style={{ marginTop: 8 }}>
                     <PlayerList players={roomData.players} />
                   </div>
+                  {isHost && (
+                    <ResultsPanel
+                      title={(roomData.meta && roomData.meta.title) || (roomData.quiz && roomData.quiz.title) || t("app.quiz")}
+                      quiz={roomData.quiz || SAMPLE_QUIZ}
+                      history={roomData.history}
+                      players={roomData.players}
+                      answerKey={answerKey}
+                      skipped={roomData.skipped}
+                      log={roomData.log}
+                    />
+                  )}
                 </div>
               )}
             </div>
 
             {/* Right column */}
             <div>
+              {isHost && <DuplicatePlayers players={roomData.players} onMerge={mergePlayers} onRemove={removePlayer} />}
+
+              {teams.enabled && (
+                <div className="card" style={{ marginBottom: 12 }}>
+                  <h4 style={{ marginTop: 0 }}>{t("app.teamScoreboard")}</h4>
+                  <TeamBoard players={roomData.players} meta={roomData.meta} />
+                </div>
+              )}
+
               <div className="card" style={{ marginBottom: 12 }}>
-                <h4 style={{ marginTop: 0 }}>Papan Skor</h4>
+                <h4 style={{ marginTop: 0 }}>{t("app.scoreboard")}</h4>
                 <ol style={{ paddingLeft: 16, margin: 0 }}>
                   {Object.entries(roomData.players || {}).sort((a, b) => (b[1].score || 0) - (a[1].score || 0)).map(([pid, p]) => (
                     <li key={pid} style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}>
                       <span>{p.name}</span>
-                      <strong>{p.score || 0}</strong>
+                      <strong>{formatNumber(p.score)}</strong>
                     </li>
                   ))}
                 </ol>
               </div>
 
-              <div className="card">
-                <h4 style={{ marginTop: 0 }}>Peserta</h4>
-                <div>
-                  <PlayerList players={roomData.players} />
+              {!isHost && (
+                <div className="card">
+                  <h4 style={{ marginTop: 0 }}>{t("app.stats.players")}</h4>
+                  <div>
+                    <PlayerList players={roomData.players} />
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
           </div>
         )}
 
         {/* Connecting */}
-        {roomId && !roomData && (
-          <div className="card" style={{ marginTop: 12 }}>Menghubungkan ke room... (Jika room belum ada, host harus membuatnya.)</div>
+        {roomId && !roomData && !roomMissing && (
+          <div className="card" style={{ marginTop: 12 }}>{t("app.connecting")}</div>
+        )}
+        {roomId && roomMissing && (
+          <div className="card" style={{ marginTop: 12, display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+            <span>{t("app.roomMissing", { room: roomId })}</span>
+            <button className="btn secondary" onClick={leaveRoom}>{t("app.back")}</button>
+          </div>
         )}
 
-        <div className="footer">© {new Date().getFullYear()} QuizLive — Dibuat untuk ruang kelas</div>
+        <div className="footer">© {new Date().getFullYear()} QuizLive — {t("app.footer")}</div>
       </div>
     </div>
   );
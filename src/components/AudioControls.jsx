@@ -0,0 +1,29 @@
+// src/components/AudioControls.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+
+const Slider = ({ label, value, disabled, onChange }) => (
+  <label style={{ display: "grid", gap: 4, fontSize: 13, color: "#374151" }}>
+    <span>{label}: {Math.round(value * 100)}%</span>
+    <input type="range" min={0} max={100} step={5} value={Math.round(value * 100)} disabled={disabled} onChange={(e) => onChange(Number(e.target.value) / 100)} />
+  </label>
+);
+
+/* ---------- Header: mute toggle and music / effect volume for this device ---------- */
+export default function AudioControls({ settings, onChange }) {
+  const set = (patch) => onChange({ ...settings, ...patch });
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center", position: "relative" }}>
+      <button className="btn secondary" onClick={() => set({ muted: !settings.muted })} aria-pressed={settings.muted}>
+        {t(settings.muted ? "audio.unmute" : "audio.mute")}
+      </button>
+      <details>
+        <summary className="btn secondary" style={{ listStyle: "none", cursor: "pointer" }} aria-label={t("audio.volume")}>{t("audio.volume")}</summary>
+        <div className="card" style={{ position: "absolute", right: 0, top: "calc(100% + 6px)", zIndex: 20, width: 220, display: "grid", gap: 10, padding: 12 }}>
+          <Slider label={t("audio.music")} value={settings.music} disabled={settings.muted} onChange={(music) => set({ music })} />
+          <Slider label={t("audio.sfx")} value={settings.sfx} disabled={settings.muted} onChange={(sfx) => set({ sfx })} />
+        </div>
+      </details>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+// src/components/BankDraw.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+import { DIFFICULTIES, bankTags, filterBank } from "../lib/questionBank";
+
+/* ---------- Host: which questions a room draws from the question bank ---------- */
+export default function BankDraw({ questions, criteria, onChange }) {
+  const tags = bankTags(questions);
+  const matching = filterBank(questions, criteria).length;
+  const set = (patch) => onChange({ ...criteria, ...patch });
+  const picked = (tag) => criteria.tags.some((x) => x.toLowerCase() === tag.toLowerCase());
+  const toggle = (tag) => set({ tags: picked(tag) ? criteria.tags.filter((x) => x.toLowerCase() !== tag.toLowerCase()) : [...criteria.tags, tag] });
+
+  return (
+    <div style={{ border: "1px solid #e5e7eb", borderRadius: 10, padding: 10, marginBottom: 12 }}>
+      <div style={{ fontSize: 13, color: "#6b7280", marginBottom: 6 }}>{t("bank.tagsHelp")}</div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 10 }}>
+        {!tags.length && <span style={{ fontSize: 13, color: "#6b7280" }}>{t("bank.noTags")}</span>}
+        {tags.map(({ tag, count }) => (
+          <button
+            key={tag}
+            className="btn secondary"
+            aria-pressed={picked(tag)}
+            onClick={() => toggle(tag)}
+            style={{ padding: "4px 10px", fontSize: 13, background: picked(tag) ? "#e0e7ff" : "transparent", borderColor: picked(tag) ? "#4f46e5" : "#e5e7eb" }}
+          >
+            {picked(tag) ? "✓ " : ""}{tag} ({count})
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 13, color: "#6b7280" }}>
+        <label>
+          {t("editor.difficulty")}{" "}
+          <select className="input" value={criteria.difficulty} onChange={(e) => set({ difficulty: e.target.value })} style={{ width: "auto", padding: 6 }}>
+            <option value="">{t("bank.anyDifficulty")}</option>
+            {DIFFICULTIES.map((d) => <option key={d} value={d}>{t(`bank.difficulty.${d}`)}</option>)}
+          </select>
+        </label>
+        <label>
+          {t("bank.count")}{" "}
+          <input className="input" type="number" min={1} value={criteria.count} onChange={(e) => set({ count: Math.max(1, Math.floor(Number(e.target.value) || 1)) })} style={{ width: 70, padding: 6 }} />
+        </label>
+        <span style={{ color: matching < criteria.count ? "#b45309" : "#6b7280" }}>{t("bank.matching", { count: matching })}</span>
+      </div>
+    </div>
+  );
+}
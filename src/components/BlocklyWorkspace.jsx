@@ -0,0 +1,116 @@
+// src/components/BlocklyWorkspace.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { STARTER_WORKSPACE, arduinoToolbox, defineArduinoBlocks, workspaceToProgram } from "../lib/arduinoBlocks";
+import { programToC, runProgram } from "../lib/arduinoSim";
+import { getLocale, t } from "../lib/i18n";
+import CodeBlock from "./CodeBlock";
+
+const EMPTY_PROGRAM = { setup: [], loop: [] };
+
+// pins the program reads / drives, for the try-it panel
+function usedPins(program) {
+  const reads = { analog: new Set(), digital: new Set() };
+  const outputs = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node.op === "analogRead") reads.analog.add(node.pin);
+    if (node.op === "digitalRead") reads.digital.add(node.pin);
+    if (node.op === "digitalWrite" || node.op === "analogWrite") outputs.add(node.pin);
+    Object.values(node).forEach(walk);
+  };
+  walk(program);
+  return { analog: [...reads.analog].sort(), digital: [...reads.digital].sort((a, b) => a - b), outputs: [...outputs].sort((a, b) => a - b) };
+}
+
+/* ---------- Student: build an Arduino sketch from blocks, try it on simulated sensors, submit ---------- */
+// Blockly is loaded on demand, like Firebase, so other question types do not pay for it
+export default function BlocklyWorkspace({ locked, submitted, onAnswer }) {
+  const hostRef = useRef(null);
+  const workspaceRef = useRef(null);
+  const [program, setProgram] = useState(EMPTY_PROGRAM);
+  const [loadError, setLoadError] = useState("");
+  const [inputs, setInputs] = useState({});
+
+  useEffect(() => {
+    let disposed = false;
+    (async () => {
+      try {
+        const Blockly = await import("blockly");
+        const { default: messages } = getLocale() === "en" ? await import("blockly/msg/en") : await import("blockly/msg/id");
+        if (disposed || !hostRef.current) return;
+        Blockly.setLocale(messages);
+        defineArduinoBlocks(Blockly);
+        const ws = Blockly.inject(hostRef.current, { toolbox: arduinoToolbox(), trashcan: true, zoom: { controls: true, startScale: 0.9 }, move: { scrollbars: true, wheel: true } });
+        Blockly.serialization.workspaces.load(STARTER_WORKSPACE, ws);
+        ws.addChangeListener((e) => { if (!e.isUiEvent) setProgram(workspaceToProgram(ws)); });
+        workspaceRef.current = ws;
+      } catch (e) {
+        console.error("blockly load err", e);
+        setLoadError(t("blocks.loadFailed"));
+      }
+    })();
+    return () => {
+      disposed = true;
+      if (workspaceRef.current) workspaceRef.current.dispose();
+      workspaceRef.current = null;
+    };
+  }, []);
+
+  const code = useMemo(() => programToC(program), [program]);
+  const pins = useMemo(() => usedPins(program), [program]);
+  const run = useMemo(() => runProgram(program, inputs), [program, inputs]);
+  const setInput = (pin, value) => setInputs((prev) => ({ ...prev, [pin]: value }));
+  const empty = !program.setup.length && !program.loop.length;
+
+  return (
+    <div>
+      <div style={{ position: "relative" }}>
+        <div ref={hostRef} className="blockly-host" />
+        {/* read-only once submitted or out of time */}
+        {locked && <div style={{ position: "absolute", inset: 0, background: "rgba(255,255,255,0.45)", borderRadius: 10 }} />}
+      </div>
+      {loadError && <div style={{ color: "#dc2626", marginTop: 6 }}>{loadError}</div>}
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", marginTop: 10 }}>
+        <div className="card" style={{ flex: "1 1 240px", padding: 10 }}>
+          <div style={{ fontWeight: 600, marginBottom: 6 }}>{t("blocks.trySensors")}</div>
+          {!pins.analog.length && !pins.digital.length && <div style={{ fontSize: 13, color: "#6b7280" }}>{t("blocks.noSensors")}</div>}
+          {pins.analog.map((pin) => (
+            <label key={pin} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+              <span style={{ width: 28, fontFamily: "monospace" }}>{pin}</span>
+              <input type="range" min={0} max={1023} value={inputs[pin] ?? 0} onChange={(e) => setInput(pin, Number(e.target.value))} style={{ flex: 1 }} />
+              <span style={{ width: 40, textAlign: "right" }}>{inputs[pin] ?? 0}</span>
+            </label>
+          ))}
+          {pins.digital.map((pin) => (
+            <label key={pin} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+              <input type="checkbox" checked={Boolean(inputs[pin])} onChange={(e) => setInput(pin, e.target.checked ? 1 : 0)} />
+              {t("blocks.pin", { pin })} {inputs[pin] ? "HIGH" : "LOW"}
+            </label>
+          ))}
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 8 }}>
+            {pins.outputs.map((pin) => {
+              const value = run.pins[pin] ?? 0;
+              return (
+                <span key={pin} style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13 }}>
+                  <span className="sim-led" style={{ opacity: value ? 0.35 + (Math.min(value, 255) / 255) * 0.65 : 0.15 }} />
+                  {t("blocks.pin", { pin })}{run.modes[pin] !== "OUTPUT" ? t("blocks.notOutputShort") : ""}
+                </span>
+              );
+            })}
+          </div>
+          {run.error && <div style={{ color: "#dc2626", fontSize: 13, marginTop: 6 }}>{run.error}</div>}
+        </div>
+        <details style={{ flex: "1 1 240px" }}>
+          <summary style={{ cursor: "pointer", fontWeight: 600 }}>{t("blocks.code")}</summary>
+          <CodeBlock code={code} lang="arduino" />
+        </details>
+      </div>
+
+      <button className="btn" onClick={() => onAnswer(workspaceRef.current ? workspaceToProgram(workspaceRef.current) : program)} disabled={locked || empty || loadError !== ""} style={{ marginTop: 10, background: "#4f46e5" }}>
+        {t(submitted ? "blocks.sent" : "blocks.send")}
+      </button>
+    </div>
+  );
+}
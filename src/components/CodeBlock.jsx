@@ -0,0 +1,43 @@
+// src/components/CodeBlock.jsx
+import React, { useMemo } from "react";
+import { classHighlighter, highlightCode } from "@lezer/highlight";
+import { cppLanguage } from "@codemirror/lang-cpp";
+import { htmlLanguage } from "@codemirror/lang-html";
+import { cssLanguage } from "@codemirror/lang-css";
+import { javascriptLanguage } from "@codemirror/lang-javascript";
+
+// ```arduino is the common case in our quizzes; Arduino sketches are C++
+const LANGUAGES = {
+  arduino: cppLanguage, ino: cppLanguage, c: cppLanguage, cpp: cppLanguage, "c++": cppLanguage,
+  html: htmlLanguage, css: cssLanguage, js: javascriptLanguage, javascript: javascriptLanguage
+};
+
+/* ---------- Read-only, syntax highlighted code (CodeMirror parsers, no editor) ---------- */
+export default function CodeBlock({ code, lang }) {
+  const lines = useMemo(() => {
+    const language = LANGUAGES[lang];
+    if (!language) return code.split("\n").map((line) => [{ text: line, cls: "" }]);
+    const out = [[]];
+    highlightCode(
+      code,
+      language.parser.parse(code),
+      classHighlighter,
+      (text, cls) => out[out.length - 1].push({ text, cls }),
+      () => out.push([])
+    );
+    return out;
+  }, [code, lang]);
+
+  return (
+    <pre className="code-block" data-lang={lang || undefined}>
+      <code>
+        {lines.map((segments, i) => (
+          <React.Fragment key={i}>
+            {segments.map((s, j) => (s.cls ? <span key={j} className={s.cls}>{s.text}</span> : s.text))}
+            {i < lines.length - 1 && "\n"}
+          </React.Fragment>
+        ))}
+      </code>
+    </pre>
+  );
+}
@@ -0,0 +1,34 @@
+// src/components/DuplicatePlayers.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+import { findDuplicates } from "../lib/players";
+
+/* ---------- Host: players that joined twice under the same name ---------- */
+export default function DuplicatePlayers({ players, onMerge, onRemove }) {
+  const groups = findDuplicates(players);
+  if (!groups.length) return null;
+
+  return (
+    <div className="card" style={{ marginBottom: 12, border: "1px solid #fde68a" }}>
+      <h4 style={{ marginTop: 0, marginBottom: 4 }}>{t("duplicates.title")}</h4>
+      <div style={{ fontSize: 13, color: "#6b7280", marginBottom: 8 }}>{t("duplicates.help")}</div>
+      {groups.map((group) => {
+        const [keepPid] = group[0];
+        return (
+          <div key={keepPid} style={{ borderTop: "1px solid #f1f5f9", paddingTop: 8, marginTop: 8 }}>
+            {group.map(([pid, p], i) => (
+              <div key={pid} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6, flexWrap: "wrap" }}>
+                <span style={{ flex: 1 }}>
+                  <strong>{p.name}</strong>{" "}
+                  <span style={{ fontSize: 12, color: "#6b7280" }}>{t(p.connected ? "common.online" : "common.offline")} · {t("duplicates.points", { count: p.score || 0 })}</span>
+                </span>
+                {i > 0 && <button className="btn secondary" onClick={() => onMerge(pid, keepPid)}>{t("duplicates.merge")}</button>}
+                <button className="btn secondary" onClick={() => onRemove(pid)} style={{ color: "#dc2626" }}>{t("common.remove")}</button>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
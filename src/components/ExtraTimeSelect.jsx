@@ -0,0 +1,23 @@
+// src/components/ExtraTimeSelect.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+import { EXTRA_TIME_OPTIONS, extraTimePct } from "../lib/timing";
+
+/* ---------- Host: extra time on every question for one student (accommodations) ---------- */
+export default function ExtraTimeSelect({ player, name, onChange }) {
+  const value = extraTimePct(player);
+  // a value set elsewhere (older room, rules maximum) still shows up as an option
+  const options = EXTRA_TIME_OPTIONS.includes(value) ? EXTRA_TIME_OPTIONS : [...EXTRA_TIME_OPTIONS, value].sort((a, b) => a - b);
+  return (
+    <select
+      className="input"
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      aria-label={t("a11y.extraTimeFor", { name })}
+      title={t("a11y.extraTimeHint")}
+      style={{ width: "auto", padding: "2px 4px", fontSize: 12 }}
+    >
+      {options.map((pct) => <option key={pct} value={pct}>{pct ? t("a11y.extraTime", { pct }) : t("a11y.noExtraTime")}</option>)}
+    </select>
+  );
+}
@@ -0,0 +1,47 @@
+// src/components/HomeworkDashboard.jsx
+import React from "react";
+import { homeworkProgress } from "../lib/homework";
+import { formatDateTime, formatNumber, t } from "../lib/i18n";
+import ExtraTimeSelect from "./ExtraTimeSelect";
+
+const STATUS_COLORS = { notStarted: "#9ca3af", working: "#f59e0b", done: "#059669" };
+
+/* ---------- Host: live progress of a homework room ---------- */
+export default function HomeworkDashboard({ roomData, grades, windowState, grading, onClose, onExtraTime }) {
+  const meta = roomData.meta || {};
+  const rows = homeworkProgress(roomData, grades);
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  const open = roomData.state === "homework";
+
+  return (
+    <div className="card" style={{ marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t("homework.title")}</div>
+          <div style={{ fontWeight: 700 }}>{t(open ? `homework.window.${windowState}` : "homework.closed")}</div>
+          <div style={{ fontSize: 13, color: "#6b7280" }}>{t("homework.schedule", { opens: formatDateTime(meta.opensAt), closes: formatDateTime(meta.closesAt) })}</div>
+        </div>
+        {open && <button className="btn secondary" onClick={onClose} title={t("homework.closeHint")}>{t("homework.close")}</button>}
+      </div>
+
+      <div style={{ display: "flex", gap: 14, fontSize: 14, marginBottom: 10, flexWrap: "wrap" }}>
+        {Object.keys(STATUS_COLORS).map((s) => <span key={s} style={{ color: STATUS_COLORS[s] }}>{t(`homework.status.${s}`)}: <strong>{count(s)}</strong></span>)}
+        {grading && <span style={{ color: "#6b7280" }}>{t("homework.grading")}</span>}
+      </div>
+
+      {!rows.length && <div style={{ color: "#6b7280", fontSize: 14 }}>{t("homework.noPlayers")}</div>}
+      {rows.map((r) => (
+        <div key={r.pid} style={{ display: "flex", alignItems: "center", gap: 10, padding: "6px 0", borderTop: "1px solid #f1f5f9" }}>
+          <span style={{ width: 8, height: 8, borderRadius: 8, background: r.connected ? "#10b981" : "#cbd5e1" }} title={t(r.connected ? "common.online" : "common.offline")} />
+          <span style={{ flex: "1 1 120px", minWidth: 0 }}>{r.name}</span>
+          <div style={{ flex: "2 1 120px", height: 8, background: "#f1f5f9", borderRadius: 8, overflow: "hidden" }} title={t("homework.doneOf", { done: r.done, total: r.total })}>
+            <div style={{ height: "100%", width: `${r.total ? (r.done / r.total) * 100 : 0}%`, background: STATUS_COLORS[r.status] }} />
+          </div>
+          <span style={{ width: 56, fontSize: 13, color: STATUS_COLORS[r.status] }}>{r.done}/{r.total}</span>
+          <ExtraTimeSelect player={roomData.players[r.pid]} name={r.name} onChange={(pct) => onExtraTime(r.pid, pct)} />
+          <strong style={{ width: 56, textAlign: "right" }}>{formatNumber(r.score)}</strong>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// src/components/HomeworkPlayer.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { gradesPublic, homeworkTimeLeft, homeworkWindow, progressOf } from "../lib/homework";
+import { formatDateTime, formatNumber, t } from "../lib/i18n";
+import { choiceOrder, shuffleQuestion } from "../lib/shuffle";
+import QuestionCard from "./QuestionCard";
+
+/* ---------- Student: homework at their own pace, one timed question after another ---------- */
+export default function HomeworkPlayer({ room, playerId, now, onStart, onAdvance }) {
+  const player = (room.players || {})[playerId];
+  const hw = progressOf(player);
+  const questions = room.quiz.questions;
+  const total = questions.length;
+  const index = hw ? hw.index : -1;
+  const [clock, setClock] = useState(now());
+  const movedRef = useRef(-1);
+
+  useEffect(() => {
+    const timer = setInterval(() => setClock(now()), 250);
+    return () => clearInterval(timer);
+  }, [now]);
+
+  const windowState = homeworkWindow(room, clock);
+  const working = hw && index < total && windowState === "open";
+  const timeLeft = working ? homeworkTimeLeft(room, player, clock) : 0;
+
+  // one move per question; a failed write lets the student try again
+  const advance = useCallback((choice) => {
+    if (movedRef.current === index) return;
+    movedRef.current = index;
+    Promise.resolve(onAdvance(index, choice)).then((ok) => { if (!ok) movedRef.current = -1; });
+  }, [index, onAdvance]);
+
+  // out of time (also after a reload much later): move on without an answer
+  const startedAt = hw ? hw.startedAt : null;
+  useEffect(() => {
+    if (working && timeLeft === 0 && typeof startedAt === "number") advance(null);
+  }, [working, timeLeft, startedAt, advance]);
+
+  const meta = room.meta || {};
+  return (
+    <div className="card">
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 8, flexWrap: "wrap", fontSize: 13, color: "#6b7280", marginBottom: 10 }}>
+        <span>{t("homework.header", { count: total })}</span>
+        <span>{t("homework.deadline", { at: formatDateTime(meta.closesAt) })}</span>
+      </div>
+
+      {hw && index >= total ? (
+        <div>
+          <h3 style={{ margin: "0 0 6px" }}>{t("homework.done")}</h3>
+          {/* scores stay with the teacher until nobody can answer any more */}
+          {gradesPublic(room, clock)
+            ? <div>{t("common.score")}: <strong>{formatNumber(player.score)}</strong></div>
+            : <div style={{ fontSize: 13, color: "#6b7280" }}>{t("homework.scoreNote")}</div>}
+        </div>
+      ) : windowState === "upcoming" ? (
+        <div>{t("homework.opensAt", { at: formatDateTime(meta.opensAt) })}</div>
+      ) : windowState === "closed" ? (
+        <div>{hw ? t("homework.closedWithProgress", { done: index, total }) : t("homework.closedForYou")}</div>
+      ) : !hw ? (
+        <div>
+          <p style={{ marginTop: 0 }}>{t("homework.intro")}</p>
+          <button className="btn" onClick={onStart} style={{ background: "#4f46e5" }}>{t("homework.start")}</button>
+        </div>
+      ) : (
+        <>
+          <div style={{ fontWeight: 600, marginBottom: 8 }}>{t("common.questionOf", { n: index + 1, total })}</div>
+          <QuestionCard key={index} q={shuffleQuestion(questions[index], choiceOrder(room, playerId, index))} label={t("common.questionOf", { n: index + 1, total })} timeLeft={timeLeft} localAnswer={null} onAnswer={advance} />
+        </>
+      )}
+    </div>
+  );
+}
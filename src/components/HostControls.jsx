@@ -0,0 +1,70 @@
+// src/components/HostControls.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+import ExtraTimeSelect from "./ExtraTimeSelect";
+import RichText from "./RichText";
+
+/* ---------- Compact host control panel (phone-friendly); the class watches the presenter view ---------- */
+export default function HostControls({ roomData, timeLeft, presenterLink, onStart, onNext, onPause, onResume, onExtend, onSkip, onBack, onToggleLock, onKick, onExtraTime }) {
+  const quiz = roomData.quiz || { questions: [] };
+  const total = quiz.questions.length;
+  const idx = roomData.currentIndex || 0;
+  const q = quiz.questions[idx];
+  const players = roomData.players || {};
+  const answers = roomData.answers || {};
+  const playerCount = Object.keys(players).length;
+  const answeredCount = Object.keys(answers).length;
+  const locked = !!(roomData.meta && roomData.meta.locked);
+  const state = roomData.state;
+  const open = state === "question" || state === "paused";
+
+  return (
+    <div className="card host-controls" style={{ marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div>
+          <div style={{ fontSize: 12, color: "#6b7280" }}>{t(`host.state.${state}`)}</div>
+          <div style={{ fontWeight: 700 }}>{state === "lobby" || state === "finished" ? t("common.questionCount", { count: total }) : t("common.questionOf", { n: idx + 1, total })}</div>
+        </div>
+        {open && <div style={{ fontSize: 28, fontWeight: 800, color: state === "paused" ? "#6b7280" : timeLeft <= 5 ? "#dc2626" : "#111827" }}>{state === "paused" ? "⏸ " : ""}{timeLeft}s</div>}
+      </div>
+
+      {open && q && (
+        <>
+          <div style={{ fontSize: 14, color: "#374151", maxHeight: 72, overflow: "hidden", marginBottom: 8 }}><RichText text={q.text} /></div>
+          <div style={{ height: 8, background: "#f1f5f9", borderRadius: 8, overflow: "hidden" }}>
+            <div style={{ height: "100%", width: `${playerCount ? (answeredCount / playerCount) * 100 : 0}%`, background: "#10b981" }} />
+          </div>
+          <div style={{ fontSize: 13, color: "#6b7280", margin: "4px 0 8px" }}>{t("host.answered", { count: answeredCount, total: playerCount })}</div>
+        </>
+      )}
+
+      <div className="host-actions">
+        {state === "lobby" && <button className="btn" onClick={onStart} style={{ background: "#4f46e5" }}>{t("host.start")}</button>}
+        {open && <button className="btn" onClick={onNext} style={{ background: "#4f46e5" }}>{t("host.reveal")}</button>}
+        {state === "question" && <button className="btn secondary" onClick={onPause}>{t("host.pause")}</button>}
+        {state === "paused" && <button className="btn" onClick={onResume} style={{ background: "#059669" }}>{t("host.resume")}</button>}
+        {open && <button className="btn secondary" onClick={onExtend}>{t("host.extend")}</button>}
+        {open && <button className="btn secondary" onClick={onSkip} title={t("host.skipHint")}>{t("host.skip")}</button>}
+        {state === "reveal" && <button className="btn" onClick={onNext} style={{ background: "#4f46e5" }}>{t(idx + 1 >= total ? "host.finish" : "host.next")}</button>}
+        <button className="btn secondary" onClick={onToggleLock} title={t("host.lockHint")}>{t(locked ? "host.locked" : "host.unlocked")}</button>
+        {(open || state === "reveal") && idx > 0 && <button className="btn secondary" onClick={onBack}>{t("host.back")}</button>}
+        <a className="btn secondary" href={presenterLink} target="_blank" rel="noopener noreferrer" style={{ textDecoration: "none", textAlign: "center" }}>{t("host.presenter")}</a>
+      </div>
+
+      <details style={{ marginTop: 10 }}>
+        <summary style={{ cursor: "pointer", fontWeight: 600 }}>{t("host.players", { count: playerCount })}</summary>
+        <div style={{ marginTop: 6 }}>
+          {Object.entries(players).map(([pid, p]) => (
+            <div key={pid} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 0" }}>
+              <span style={{ width: 8, height: 8, borderRadius: 8, background: p.connected ? "#10b981" : "#cbd5e1" }} title={t(p.connected ? "common.online" : "common.offline")} />
+              <span style={{ flex: 1 }}>{p.name}</span>
+              {open && answers[pid] && <span style={{ color: "#059669" }} title={t("host.hasAnswered")}><span aria-hidden="true">✓</span><span className="sr-only">{t("host.hasAnswered")}</span></span>}
+              <ExtraTimeSelect player={p} name={p.name} onChange={(pct) => onExtraTime(pid, pct)} />
+              <button className="btn secondary" onClick={() => onKick(pid)} title={t("host.kick")} style={{ padding: "2px 8px", color: "#dc2626" }}>✕</button>
+            </div>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+}
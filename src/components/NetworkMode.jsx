@@ -0,0 +1,31 @@
+// src/components/NetworkMode.jsx
+import React, { useState } from "react";
+import { t } from "../lib/i18n";
+
+const MODE_KEYS = { firebase: "network.firebase", local: "network.local", relay: "network.relayMode" };
+
+// reload in another mode; the choice lives in the URL so join links carry it along
+const switchTo = (params) => {
+  window.location.href = `${window.location.pathname}?${new URLSearchParams(params).toString()}`;
+};
+
+/* ---------- Where room data goes: Firebase, this device's tabs, or a classroom relay ---------- */
+export default function NetworkMode({ kind, relay = "", failed = false }) {
+  const [address, setAddress] = useState(relay || `ws://${window.location.hostname || "localhost"}:8787`);
+  const [helpBefore, helpAfter] = t("network.relayHelp").split("{command}");
+
+  return (
+    <details open={failed} style={{ fontSize: 14, marginBottom: 12 }}>
+      <summary style={{ cursor: "pointer", color: failed ? "#dc2626" : "#6b7280" }}>
+        {t("network.label", { mode: t(MODE_KEYS[kind]) })}{failed ? t("network.offline") : ""}
+      </summary>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+        {kind !== "firebase" && <button className="btn secondary" onClick={() => switchTo({ net: "firebase" })}>{t("network.useFirebase")}</button>}
+        {kind !== "local" && <button className="btn secondary" onClick={() => switchTo({ net: "local" })} title={t("network.localHint")}>{t("network.localOnly")}</button>}
+        <input className="input" value={address} onChange={(e) => setAddress(e.target.value)} placeholder="ws://192.168.1.10:8787" style={{ width: 220, padding: 6 }} />
+        <button className="btn secondary" onClick={() => switchTo({ relay: address.trim() })} disabled={!address.trim()}>{t("network.relay")}</button>
+      </div>
+      <div style={{ fontSize: 12, color: "#6b7280", marginTop: 6 }}>{helpBefore}<code>npm run relay</code>{helpAfter}</div>
+    </details>
+  );
+}
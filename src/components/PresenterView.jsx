@@ -0,0 +1,141 @@
+// src/components/PresenterView.jsx
+import React from "react";
+import { formatNumber, t } from "../lib/i18n";
+import { QUESTION_TYPES, questionType } from "../lib/questionTypes";
+import { rankPlayers } from "../lib/reveal";
+import { teamColor, teamOf, teamSettings } from "../lib/teams";
+import { choiceColor } from "../lib/theme";
+import RevealCard from "./RevealCard";
+import RichText from "./RichText";
+import RoomQr from "./RoomQr";
+import TeamBoard from "./TeamBoard";
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+/* ---------- Classroom screen (/?view=presenter&room=ABC123): read-only, no controls ---------- */
+export default function PresenterView({ roomId, roomData, timeLeft, joinLink }) {
+  if (!roomData) {
+    return <div className="presenter"><div className="presenter-title">{t("presenter.connecting", { room: roomId })}</div></div>;
+  }
+  const quiz = roomData.quiz || { questions: [] };
+  const idx = roomData.currentIndex || 0;
+  const q = quiz.questions[idx];
+  const players = roomData.players || {};
+  const title = quiz.title || (roomData.meta && roomData.meta.title);
+
+  return (
+    <div className="presenter">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 16 }}>
+        <div style={{ fontSize: 20, opacity: 0.8 }}>{title}</div>
+        <div style={{ fontSize: 20, opacity: 0.8 }}>
+          {t("presenter.code")} <strong style={{ fontFamily: "monospace", letterSpacing: 3 }}>{roomId}</strong>
+          {roomData.state !== "lobby" && roomData.state !== "finished" && t("presenter.progress", { n: idx + 1, total: quiz.questions.length })}
+        </div>
+      </div>
+
+      {roomData.state === "lobby" && <Lobby roomId={roomId} players={players} joinLink={joinLink} teams={teamSettings(roomData.meta)} />}
+      {(roomData.state === "question" || roomData.state === "paused") && q && (
+        <Question q={q} timeLeft={timeLeft} paused={roomData.state === "paused"} answered={Object.keys(roomData.answers || {}).length} total={Object.keys(players).length} />
+      )}
+      {roomData.state === "reveal" && q && roomData.reveal && <RevealCard q={q} reveal={roomData.reveal} players={players} />}
+      {roomData.state === "finished" && (teamSettings(roomData.meta).enabled ? <TeamPodium players={players} meta={roomData.meta} /> : <Podium players={players} />)}
+    </div>
+  );
+}
+
+function Lobby({ roomId, players, joinLink, teams }) {
+  const names = Object.values(players).map((p) => p.name);
+  // team mode: chips take their team's colour
+  const chipColor = (p) => (teams.enabled && teamOf(p, teams.count) !== null ? teamColor(p.team) : undefined);
+  return (
+    <div style={{ display: "flex", gap: 48, alignItems: "center", flexWrap: "wrap", justifyContent: "center", flex: 1 }}>
+      <RoomQr url={joinLink} size={340} />
+      <div style={{ minWidth: 0 }}>
+        <div style={{ fontSize: 24, opacity: 0.8 }}>{t("presenter.scan")}</div>
+        <div style={{ fontSize: 28, fontWeight: 700, wordBreak: "break-all" }}>{joinLink}</div>
+        <div style={{ fontSize: 24, opacity: 0.8, marginTop: 16 }}>{t("presenter.roomCode")}</div>
+        <div style={{ fontSize: 96, fontWeight: 800, fontFamily: "monospace", letterSpacing: 8, lineHeight: 1 }}>{roomId}</div>
+        <div style={{ fontSize: 24, marginTop: 24 }}>{t("presenter.joined", { count: names.length })}</div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, marginTop: 8, maxWidth: 640 }}>
+          {Object.values(players).map((p, i) => <span key={i} className="presenter-chip" style={{ background: chipColor(p) }}>{p.name}</span>)}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Question({ q, timeLeft, paused, answered, total }) {
+  const type = questionType(q);
+  const showChoices = QUESTION_TYPES[type].hasChoices;
+  return (
+    <>
+      <div style={{ display: "flex", gap: 32, alignItems: "center" }}>
+        <div className="presenter-question" style={{ flex: 1, minWidth: 0 }}><RichText text={q.text} /></div>
+        <div style={{ textAlign: "center" }}>
+          <div className="presenter-timer" style={paused ? { opacity: 0.5 } : undefined}>{timeLeft}</div>
+          {paused && <div style={{ fontSize: 28, fontWeight: 800, marginTop: 10 }}>{t("presenter.paused")}</div>}
+          <div style={{ fontSize: 22, marginTop: 10 }}>{t("presenter.answered", { count: answered, total })}</div>
+        </div>
+      </div>
+      {showChoices ? (
+        <div className="presenter-choices">
+          {q.choices.map((c, i) => (
+            <div key={i} className="presenter-choice" style={{ background: type === "order" ? "#334155" : choiceColor(i) }}>
+              <span style={{ fontSize: "1.4em" }}>{type === "order" ? "•" : letter(i)}</span>
+              <RichText text={c} inline />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div style={{ fontSize: 32, opacity: 0.8, textAlign: "center" }}>{t("presenter.answerOnDevice")}</div>
+      )}
+    </>
+  );
+}
+
+function TeamPodium({ players, meta }) {
+  return (
+    <div style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 24 }}>
+      <div className="presenter-question">{t("presenter.teamWinners")}</div>
+      <div style={{ minWidth: 420 }}>
+        <TeamBoard players={players} meta={meta} large />
+      </div>
+    </div>
+  );
+}
+
+const PODIUM = [
+  { place: 2, height: 180, color: "#94a3b8" },
+  { place: 1, height: 250, color: "#f59e0b" },
+  { place: 3, height: 130, color: "#b45309" }
+];
+
+function Podium({ players }) {
+  const ranks = rankPlayers(players);
+  const sorted = Object.entries(players).sort((a, b) => (ranks[a[0]] || 0) - (ranks[b[0]] || 0));
+  const top = sorted.slice(0, 3);
+  return (
+    <div style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 24 }}>
+      <div className="presenter-question">{t("presenter.winners")}</div>
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 16 }}>
+        {PODIUM.map(({ place, height, color }) => {
+          const entry = top[place - 1];
+          if (!entry) return <div key={place} style={{ width: 200 }} />;
+          const [pid, p] = entry;
+          return (
+            <div key={pid} style={{ width: 200, textAlign: "center" }}>
+              <div style={{ fontSize: 28, fontWeight: 800, marginBottom: 8, wordBreak: "break-word" }}>{p.name}</div>
+              <div style={{ fontSize: 22, marginBottom: 8 }}>{formatNumber(p.score)}</div>
+              <div style={{ height, background: color, borderRadius: "12px 12px 0 0", display: "flex", alignItems: "flex-start", justifyContent: "center", paddingTop: 12, fontSize: 56, fontWeight: 800 }}>{ranks[pid]}</div>
+            </div>
+          );
+        })}
+      </div>
+      {sorted.length > 3 && (
+        <ol start={4} style={{ fontSize: 22, margin: 0, columns: 2, columnGap: 48 }}>
+          {sorted.slice(3, 13).map(([pid, p]) => <li key={pid}>{p.name} — {formatNumber(p.score)}</li>)}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+// src/components/QuestionCard.jsx
+import React, { useEffect, useState } from "react";
+import { announce, choiceFromKey, isTypingTarget, keyHint, timeWarning } from "../lib/a11y";
+import { t } from "../lib/i18n";
+import { plainText } from "../lib/markdown";
+import { formatResponse, questionType } from "../lib/questionTypes";
+import { choiceColor } from "../lib/theme";
+import BlocklyWorkspace from "./BlocklyWorkspace";
+import RichText from "./RichText";
+import WebExercise from "./WebExercise";
+
+const letter = (i) => String.fromCharCode(65 + i);
+
+/* ---------- Question + type-specific answer input ---------- */
+// lives outside App so the draft (multi/order/text) survives the timer re-renders;
+// render with key={currentIndex} to reset it per question; `label` ("Soal 2 dari 10") is read out with the question
+export default function QuestionCard({ q, label = "", timeLeft, paused = false, localAnswer, onAnswer }) {
+  const type = questionType(q);
+  const locked = localAnswer !== null || timeLeft === 0 || paused;
+  // extra time can run past the question's own time; the bar then starts full
+  const pct = q && q.time ? Math.min(100, (timeLeft / q.time) * 100) : 0;
+  const low = timeLeft <= 5 && !paused;
+
+  // screen readers: the new question once, then the time warnings
+  const [intro] = useState(() => [label, plainText(q.text), t("a11y.timeLimit", { count: timeLeft })].filter(Boolean).join(". "));
+  useEffect(() => announce(intro), [intro]);
+  const warning = paused || localAnswer !== null ? null : timeWarning(timeLeft, q.time);
+  useEffect(() => {
+    if (warning !== null) announce(t("a11y.secondsLeft", { count: warning }), "assertive");
+  }, [warning]);
+
+  return (
+    <div className="card">
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 12, marginBottom: 12 }}>
+        <div style={{ fontSize: 16, fontWeight: 700, minWidth: 0, flex: 1 }}><RichText text={q.text} /></div>
+        <div role="timer" aria-label={t("a11y.secondsLeft", { count: timeLeft })} style={{ color: low ? "#dc2626" : "#6b7280", fontWeight: low ? 700 : 400, whiteSpace: "nowrap" }}>
+          <span aria-hidden="true">⏱ </span>{timeLeft}s
+        </div>
+      </div>
+
+      {paused && <div role="status" style={{ background: "#fef3c7", color: "#92400e", borderRadius: 8, padding: "6px 10px", marginBottom: 10, fontWeight: 600 }}>{t("question.pausedByHost")}</div>}
+
+      <div aria-hidden="true" style={{ height: 10, background: "#f1f5f9", borderRadius: 10, overflow: "hidden", marginBottom: 12 }}>
+        <div style={{ height: "100%", width: `${pct}%`, background: low ? "#ef4444" : "linear-gradient(90deg,#34d399,#fbbf24)" }} />
+      </div>
+
+      {(type === "single" || type === "truefalse") && <ChoiceGrid q={q} localAnswer={localAnswer} locked={locked} onAnswer={onAnswer} />}
+      {type === "multi" && <MultiInput q={q} locked={locked} localAnswer={localAnswer} onAnswer={onAnswer} />}
+      {(type === "numeric" || type === "text") && <FreeInput numeric={type === "numeric"} locked={locked} onAnswer={onAnswer} />}
+      {type === "order" && <OrderInput q={q} locked={locked} onAnswer={onAnswer} />}
+      {type === "blocks" && <BlocklyWorkspace locked={locked} submitted={localAnswer !== null} onAnswer={onAnswer} />}
+      {type === "web" && <WebExercise q={q} locked={locked} submitted={localAnswer !== null} onAnswer={onAnswer} />}
+
+      {localAnswer !== null && !["single", "truefalse", "blocks", "web"].includes(type) && (
+        <div style={{ marginTop: 10, color: "#6b7280", fontSize: 14 }}>{t("question.locked", { answer: formatResponse(q, localAnswer) })}</div>
+      )}
+    </div>
+  );
+}
+
+// A–D / 1–4 pick choice i while the question is open, unless the student is typing somewhere
+function useChoiceKeys(count, locked, onKey) {
+  useEffect(() => {
+    if (locked) return;
+    const onKeyDown = (e) => {
+      if (isTypingTarget(e.target)) return;
+      const i = choiceFromKey(e, count);
+      if (i === null) return;
+      e.preventDefault();
+      onKey(i);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [count, locked, onKey]);
+}
+
+const KeyHint = ({ count }) => <div style={{ fontSize: 12, color: "#6b7280", marginTop: 8 }}>{t("a11y.keyHint", { keys: keyHint(count) })}</div>;
+
+// answer pad: one big coloured button per choice, same colours as the projector
+function ChoiceGrid({ q, localAnswer, locked, onAnswer }) {
+  useChoiceKeys(q.choices.length, locked, onAnswer);
+  return (
+    <div>
+      <div className="answer-pad">
+        {q.choices.map((choiceText, i) => {
+          // benar/salah baru terlihat di fase reveal
+          const mine = localAnswer === i;
+          const faded = localAnswer !== null && !mine;
+          return (
+            <button
+              key={i}
+              onClick={() => onAnswer(i)}
+              disabled={locked}
+              className="answer-pad-btn"
+              aria-pressed={mine}
+              aria-keyshortcuts={`${letter(i)} ${i + 1}`}
+              style={{ background: choiceColor(i), opacity: faded ? 0.35 : 1, outline: mine ? "4px solid #111827" : "none" }}
+            >
+              <span className="answer-pad-letter">{letter(i)}</span>
+              <span className="answer-pad-text"><RichText text={choiceText} inline /></span>
+              {mine && <span className="answer-pad-text">✔ {t("a11y.yourAnswer")}</span>}
+            </button>
+          );
+        })}
+      </div>
+      {!locked && <KeyHint count={q.choices.length} />}
+    </div>
+  );
+}
+
+function MultiInput({ q, locked, localAnswer, onAnswer }) {
+  const [picked, setPicked] = useState([]);
+  const shown = localAnswer || picked;
+  const toggle = (i) => setPicked((p) => (p.includes(i) ? p.filter((x) => x !== i) : [...p, i]));
+  useChoiceKeys(q.choices.length, locked, toggle);
+  return (
+    <div>
+      <div style={{ fontSize: 13, color: "#6b7280", marginBottom: 8 }}>{t("question.pickAll")}</div>
+      <div className="choice-grid" style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+        {q.choices.map((choiceText, i) => (
+          <button key={i} onClick={() => toggle(i)} disabled={locked} className="choice-btn" aria-pressed={shown.includes(i)} aria-keyshortcuts={`${letter(i)} ${i + 1}`} style={{ background: shown.includes(i) ? "#e0e7ff" : "#fff" }}>
+            <div style={{ fontWeight: 600 }}>{shown.includes(i) ? "☑" : "☐"} {letter(i)}. <RichText text={choiceText} inline /></div>
+          </button>
+        ))}
+      </div>
+      {!locked && <KeyHint count={q.choices.length} />}
+      <button className="btn" onClick={() => onAnswer(picked.slice().sort((a, b) => a - b))} disabled={locked || !picked.length} style={{ marginTop: 10, background: "#4f46e5" }}>{t("question.submit")}</button>
+    </div>
+  );
+}
+
+function FreeInput({ numeric, locked, onAnswer }) {
+  const [value, setValue] = useState("");
+  const submit = () => {
+    if (!value.trim()) return;
+    onAnswer(numeric ? Number(value.replace(",", ".")) : value.trim());
+  };
+  return (
+    <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+      <input
+        className="input"
+        type={numeric ? "number" : "text"}
+        inputMode={numeric ? "decimal" : undefined}
+        placeholder={t(numeric ? "question.numberPlaceholder" : "question.textPlaceholder")}
+        value={value}
+        disabled={locked}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && submit()}
+        style={{ flex: 1 }}
+      />
+      <button className="btn" onClick={submit} disabled={locked || !value.trim()} style={{ background: "#4f46e5" }}>{t("question.submit")}</button>
+    </div>
+  );
+}
+
+function OrderInput({ q, locked, onAnswer }) {
+  const [order, setOrder] = useState(() => q.choices.map((_, i) => i));
+  const move = (pos, dir) => setOrder((o) => {
+    const to = pos + dir;
+    if (to < 0 || to >= o.length) return o;
+    const next = o.slice();
+    [next[pos], next[to]] = [next[to], next[pos]];
+    return next;
+  });
+  return (
+    <div>
+      <div style={{ fontSize: 13, color: "#6b7280", marginBottom: 8 }}>{t("question.orderHint")}</div>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        {order.map((i, pos) => (
+          <div key={i} className="choice-btn" style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <strong style={{ width: 20 }}>{pos + 1}.</strong>
+            <span style={{ flex: 1 }}><RichText text={q.choices[i]} inline /></span>
+            <button className="btn secondary" onClick={() => move(pos, -1)} disabled={locked || pos === 0}>↑</button>
+            <button className="btn secondary" onClick={() => move(pos, 1)} disabled={locked || pos === order.length - 1}>↓</button>
+          </div>
+        ))}
+      </div>
+      <button className="btn" onClick={() => onAnswer(order)} disabled={locked} style={{ marginTop: 10, background: "#4f46e5" }}>{t("question.submit")}</button>
+    </div>
+  );
+}
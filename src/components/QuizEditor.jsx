@@ -0,0 +1,359 @@
+// src/components/QuizEditor.jsx
+import React, { useState } from "react";
+import { cloneQuiz, duplicateQuestion, moveItem, newQuestion, newQuiz, validateQuiz } from "../lib/quiz";
+import { formatTest, parseTest } from "../lib/arduinoSim";
+import { DEFAULT_LOCALE, LOCALES, getLocale, t } from "../lib/i18n";
+import { QUESTION_TYPES, defaultsForType, questionType, typeLabel } from "../lib/questionTypes";
+import { DIFFICULTIES, normalizeTags } from "../lib/questionBank";
+import { formatCheck, parseCheck } from "../lib/webChecks";
+import RichText from "./RichText";
+
+// snippets for the formatting toolbar (Markdown, see lib/markdown.js)
+const SNIPPETS = [
+  { id: "image", text: "![diagram](https://)" },
+  { id: "code", text: "\n```arduino\nvoid setup() {\n  pinMode(13, OUTPUT);\n}\n```\n" },
+  { id: "formula", text: "$V = I \\times R$" },
+  { id: "bold", text: "**teks**" }
+];
+
+// the languages a quiz written in `lang` can be translated into
+const otherLocales = (lang) => Object.keys(LOCALES).filter((l) => l !== lang);
+
+/* ---------- Quiz authoring editor ---------- */
+export default function QuizEditor({ quiz, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => (quiz ? { ...cloneQuiz(quiz), lang: quiz.lang || DEFAULT_LOCALE } : newQuiz(getLocale())));
+  const [problems, setProblems] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const setQuestions = (fn) => setDraft((d) => ({ ...d, questions: fn(d.questions) }));
+  const patchQuestion = (i, patch) => setQuestions((qs) => qs.map((q, j) => (j === i ? { ...q, ...patch } : q)));
+  const patchTranslation = (i, locale, patch) => {
+    const translations = draft.questions[i].translations || {};
+    patchQuestion(i, { translations: { ...translations, [locale]: { ...translations[locale], ...patch } } });
+  };
+  const setTitleTranslation = (locale, title) => setDraft((d) => ({ ...d, translations: { ...d.translations, [locale]: { ...(d.translations || {})[locale], title } } }));
+
+  const setChoice = (i, ci, value) => {
+    const q = draft.questions[i];
+    patchQuestion(i, { choices: q.choices.map((c, j) => (j === ci ? value : c)) });
+  };
+  const addChoice = (i) => patchQuestion(i, { choices: [...draft.questions[i].choices, ""] });
+  const removeChoice = (i, ci) => {
+    const q = draft.questions[i];
+    // keep the correct answer pointing at the same choice after removal
+    const shift = (a) => (a > ci ? a - 1 : a);
+    let answer = q.answer;
+    if (questionType(q) === "multi") answer = q.answer.filter((a) => a !== ci).map(shift);
+    else if (questionType(q) === "single") answer = ci === q.answer ? 0 : shift(q.answer);
+    // translated choices follow the original list
+    const translations = Object.fromEntries(Object.entries(q.translations || {}).map(([locale, tr]) => [locale, { ...tr, choices: (tr.choices || []).filter((_, j) => j !== ci) }]));
+    patchQuestion(i, { choices: q.choices.filter((_, j) => j !== ci), answer, translations });
+  };
+  const toggleMulti = (i, ci) => {
+    const list = draft.questions[i].answer || [];
+    patchQuestion(i, { answer: list.includes(ci) ? list.filter((a) => a !== ci) : [...list, ci].sort((a, b) => a - b) });
+  };
+
+  const save = async () => {
+    // blank lines in the accepted-answers box are not answers
+    const cleaned = {
+      ...draft,
+      questions: draft.questions.map((q) => (questionType(q) === "text" ? { ...q, answer: q.answer.map((a) => a.trim()).filter(Boolean) } : q))
+    };
+    const found = validateQuiz(cleaned);
+    setProblems(found);
+    if (found.length) return;
+    setSaving(true);
+    try {
+      await onSave(cleaned);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const errorsFor = (i) => (problems.find((p) => p.index === i) || {}).errors || [];
+  const quizErrors = errorsFor(-1);
+
+  return (
+    <div className="card" style={{ marginBottom: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10, marginBottom: 12, flexWrap: "wrap" }}>
+        <h2 style={{ fontSize: 20, fontWeight: 800, margin: 0 }}>{t(draft.id ? "editor.edit" : "editor.new")}</h2>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button className="btn secondary" onClick={onCancel}>{t("common.cancel")}</button>
+          <button className="btn" onClick={save} disabled={saving} style={{ background: "#4f46e5" }}>{t(saving ? "editor.saving" : "editor.save")}</button>
+        </div>
+      </div>
+
+      <input
+        className="input"
+        placeholder={t("editor.title")}
+        value={draft.title}
+        onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))}
+        style={{ width: "100%", marginBottom: 8 }}
+      />
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", marginBottom: 8, fontSize: 13, color: "#6b7280" }}>
+        <label>
+          {t("editor.lang")}{" "}
+          <select className="input" value={draft.lang} onChange={(e) => setDraft((d) => ({ ...d, lang: e.target.value }))} style={{ width: "auto", padding: 6 }}>
+            {Object.entries(LOCALES).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+          </select>
+        </label>
+        {otherLocales(draft.lang).map((locale) => (
+          <input
+            key={locale}
+            className="input"
+            placeholder={t("editor.titleIn", { lang: LOCALES[locale].label })}
+            value={((draft.translations || {})[locale] || {}).title || ""}
+            onChange={(e) => setTitleTranslation(locale, e.target.value)}
+            style={{ flex: 1, minWidth: 200 }}
+          />
+        ))}
+      </div>
+      {quizErrors.map((msg) => (
+        <div key={msg} style={{ color: "#dc2626", fontSize: 13 }}>{msg}</div>
+      ))}
+
+      {draft.questions.map((q, i) => {
+        const errors = errorsFor(i);
+        return (
+          <div key={q.id} style={{ border: `1px solid ${errors.length ? "#fca5a5" : "#e5e7eb"}`, borderRadius: 10, padding: 12, marginTop: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8, flexWrap: "wrap" }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <strong>{t("editor.question", { n: i + 1 })}</strong>
+                <select className="input" value={questionType(q)} onChange={(e) => patchQuestion(i, defaultsForType(e.target.value, q))}>
+                  {Object.keys(QUESTION_TYPES).map((type) => (
+                    <option key={type} value={type}>{typeLabel(type)}</option>
+                  ))}
+                </select>
+              </div>
+              <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+                <button className="btn secondary" onClick={() => setQuestions((qs) => moveItem(qs, i, i - 1))} disabled={i === 0}>↑</button>
+                <button className="btn secondary" onClick={() => setQuestions((qs) => moveItem(qs, i, i + 1))} disabled={i === draft.questions.length - 1}>↓</button>
+                <button className="btn secondary" onClick={() => setQuestions((qs) => [...qs.slice(0, i + 1), duplicateQuestion(q), ...qs.slice(i + 1)])}>{t("editor.duplicate")}</button>
+                <button className="btn secondary" onClick={() => setQuestions((qs) => qs.filter((_, j) => j !== i))} style={{ color: "#dc2626" }}>{t("common.remove")}</button>
+              </div>
+            </div>
+
+            <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 6 }}>
+              {SNIPPETS.map((sn) => (
+                <button key={sn.id} className="btn secondary" onClick={() => patchQuestion(i, { text: `${q.text}${sn.text}` })} style={{ padding: "4px 10px", fontSize: 13 }}>{t(`editor.snippets.${sn.id}`)}</button>
+              ))}
+            </div>
+            <textarea
+              className="input"
+              placeholder={t("editor.text")}
+              value={q.text}
+              onChange={(e) => patchQuestion(i, { text: e.target.value })}
+              rows={3}
+              style={{ width: "100%", marginBottom: 8, resize: "vertical", fontFamily: "monospace" }}
+            />
+
+            <AnswerFields
+              q={q}
+              onPatch={(patch) => patchQuestion(i, patch)}
+              onChoice={(ci, value) => setChoice(i, ci, value)}
+              onRemoveChoice={(ci) => removeChoice(i, ci)}
+              onToggleMulti={(ci) => toggleMulti(i, ci)}
+            />
+
+            <div style={{ display: "flex", gap: 10, alignItems: "center", marginTop: 8, flexWrap: "wrap" }}>
+              {QUESTION_TYPES[questionType(q)].hasChoices && questionType(q) !== "truefalse" && <button className="btn secondary" onClick={() => addChoice(i)}>{t("editor.addChoice")}</button>}
+              <label style={{ fontSize: 13, color: "#6b7280" }}>
+                {t("editor.time")}{" "}
+                <input className="input" type="number" min={1} value={q.time} onChange={(e) => patchQuestion(i, { time: Number(e.target.value) })} style={{ width: 90 }} />
+              </label>
+              <label style={{ fontSize: 13, color: "#6b7280" }}>
+                {t("editor.difficulty")}{" "}
+                <select className="input" value={q.difficulty || ""} onChange={(e) => patchQuestion(i, { difficulty: e.target.value || null })} style={{ width: "auto" }}>
+                  <option value="">-</option>
+                  {DIFFICULTIES.map((d) => <option key={d} value={d}>{t(`bank.difficulty.${d}`)}</option>)}
+                </select>
+              </label>
+              {/* committed on blur so a half-typed "sensor, " is not tidied away under the cursor */}
+              <label style={{ fontSize: 13, color: "#6b7280", flex: "1 1 200px" }}>
+                {t("editor.tags")}{" "}
+                <input
+                  key={q.id}
+                  className="input"
+                  defaultValue={normalizeTags(q.tags).join(", ")}
+                  onBlur={(e) => patchQuestion(i, { tags: normalizeTags(e.target.value) })}
+                  placeholder={t("editor.tagsPlaceholder")}
+                  style={{ width: "100%" }}
+                />
+              </label>
+            </div>
+
+            {otherLocales(draft.lang).map((locale) => (
+              <TranslationFields key={locale} q={q} locale={locale} onPatch={(patch) => patchTranslation(i, locale, patch)} />
+            ))}
+
+            {errors.map((msg) => (
+              <div key={msg} style={{ color: "#dc2626", fontSize: 13, marginTop: 4 }}>{msg}</div>
+            ))}
+
+            {/* live preview, as students will see it */}
+            {String(q.text || "").trim() && (
+              <div style={{ marginTop: 10, padding: 10, borderRadius: 8, background: "#f8fafc", border: "1px dashed #e5e7eb" }}>
+                <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 4 }}>{t("web.preview")}</div>
+                <div style={{ fontWeight: 700 }}><RichText text={q.text} /></div>
+                {q.choices.filter((c) => String(c).trim()).length > 0 && (
+                  <ol type={questionType(q) === "order" ? "1" : "A"} style={{ margin: "6px 0 0", paddingLeft: 22 }}>
+                    {q.choices.map((c, ci) => <li key={ci}><RichText text={c} inline /></li>)}
+                  </ol>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      <button className="btn secondary" onClick={() => setQuestions((qs) => [...qs, newQuestion()])} style={{ marginTop: 12 }}>{t("editor.addQuestion")}</button>
+    </div>
+  );
+}
+
+/* ---------- Per-type answer fields ---------- */
+function AnswerFields({ q, onPatch, onChoice, onRemoveChoice, onToggleMulti }) {
+  const type = questionType(q);
+
+  if (type === "numeric") {
+    const a = q.answer || {};
+    return (
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <label style={{ fontSize: 13, color: "#6b7280" }}>
+          {t("editor.answer")}{" "}
+          <input className="input" type="number" step="any" value={a.value} onChange={(e) => onPatch({ answer: { ...a, value: e.target.value === "" ? "" : Number(e.target.value) } })} style={{ width: 140 }} />
+        </label>
+        <label style={{ fontSize: 13, color: "#6b7280" }}>
+          {t("editor.tolerance")}{" "}
+          <input className="input" type="number" step="any" min={0} value={a.tolerance} onChange={(e) => onPatch({ answer: { ...a, tolerance: Number(e.target.value) } })} style={{ width: 110 }} />
+        </label>
+      </div>
+    );
+  }
+
+  if (type === "text") {
+    return (
+      <label style={{ fontSize: 13, color: "#6b7280", display: "block" }}>
+        {t("editor.accepted")}
+        <textarea
+          className="input"
+          rows={3}
+          value={(q.answer || []).join("\n")}
+          onChange={(e) => onPatch({ answer: e.target.value.split("\n") })}
+          style={{ width: "100%", resize: "vertical" }}
+        />
+      </label>
+    );
+  }
+
+  if (type === "blocks") return <BlockTestsField q={q} onPatch={onPatch} />;
+  if (type === "web") return <WebFields q={q} onPatch={onPatch} />;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      {type === "order" && <div style={{ fontSize: 13, color: "#6b7280" }}>{t("editor.orderHint")}</div>}
+      {q.choices.map((c, ci) => (
+        <div key={ci} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+          {(type === "single" || type === "truefalse") && (
+            <input type="radio" name={`answer-${q.id}`} checked={q.answer === ci} onChange={() => onPatch({ answer: ci })} title={t("editor.markCorrect")} />
+          )}
+          {type === "multi" && (
+            <input type="checkbox" checked={(q.answer || []).includes(ci)} onChange={() => onToggleMulti(ci)} title={t("editor.markCorrect")} />
+          )}
+          <span style={{ fontWeight: 600, width: 18 }}>{type === "order" ? `${ci + 1}.` : `${String.fromCharCode(65 + ci)}.`}</span>
+          <input className="input" value={c} readOnly={type === "truefalse"} onChange={(e) => onChoice(ci, e.target.value)} placeholder={t("editor.choice", { letter: String.fromCharCode(65 + ci) })} style={{ flex: 1 }} />
+          {type !== "truefalse" && <button className="btn secondary" onClick={() => onRemoveChoice(ci)} disabled={q.choices.length <= 2}>✕</button>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// the question in another language; blank fields fall back to the original when shown
+function TranslationFields({ q, locale, onPatch }) {
+  const tr = (q.translations || {})[locale] || {};
+  const choices = tr.choices || [];
+  // benar/salah is translated by the app itself
+  const translatable = QUESTION_TYPES[questionType(q)].hasChoices && questionType(q) !== "truefalse";
+  return (
+    <details style={{ marginTop: 8, fontSize: 13 }}>
+      <summary style={{ cursor: "pointer", color: "#6b7280" }}>{t("editor.translation", { lang: LOCALES[locale].label })}</summary>
+      <textarea
+        className="input"
+        placeholder={q.text}
+        value={tr.text || ""}
+        onChange={(e) => onPatch({ text: e.target.value })}
+        rows={2}
+        style={{ width: "100%", marginTop: 6, resize: "vertical", fontFamily: "monospace" }}
+      />
+      {translatable && q.choices.map((c, ci) => (
+        <input
+          key={ci}
+          className="input"
+          placeholder={c}
+          value={choices[ci] || ""}
+          onChange={(e) => onPatch({ choices: q.choices.map((_, j) => (j === ci ? e.target.value : choices[j] || "")) })}
+          style={{ width: "100%", marginTop: 4 }}
+        />
+      ))}
+    </details>
+  );
+}
+
+// test lines are kept as typed while editing; half-written lines still parse to something validateTests can flag
+function BlockTestsField({ q, onPatch }) {
+  const [draft, setDraft] = useState(() => ((q.answer || {}).tests || []).map(formatTest).join("\n"));
+  const change = (text) => {
+    setDraft(text);
+    onPatch({ answer: { tests: text.split("\n").filter((l) => l.trim()).map(parseTest) } });
+  };
+  return (
+    <label style={{ fontSize: 13, color: "#6b7280", display: "block" }}>
+      {t("editor.blockTests")}
+      <textarea
+        className="input"
+        rows={3}
+        value={draft}
+        onChange={(e) => change(e.target.value)}
+        placeholder={"A0=250 -> 13=HIGH\nA0=700 -> 13=LOW"}
+        style={{ width: "100%", resize: "vertical", fontFamily: "monospace" }}
+      />
+      <span>{t("editor.blockTestsHelp")}</span>
+    </label>
+  );
+}
+
+function WebFields({ q, onPatch }) {
+  const [draft, setDraft] = useState(() => ((q.answer || {}).checks || []).map(formatCheck).join("\n"));
+  const change = (text) => {
+    setDraft(text);
+    onPatch({ answer: { checks: text.split("\n").filter((l) => l.trim()).map(parseCheck) } });
+  };
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      <label style={{ fontSize: 13, color: "#6b7280", display: "block" }}>
+        {t("editor.starter")}
+        <textarea
+          className="input"
+          rows={6}
+          value={q.starter || ""}
+          onChange={(e) => onPatch({ starter: e.target.value })}
+          style={{ width: "100%", resize: "vertical", fontFamily: "monospace" }}
+        />
+      </label>
+      <label style={{ fontSize: 13, color: "#6b7280", display: "block" }}>
+        {t("editor.checks")}
+        <textarea
+          className="input"
+          rows={3}
+          value={draft}
+          onChange={(e) => change(e.target.value)}
+          placeholder={t("editor.checksPlaceholder")}
+          style={{ width: "100%", resize: "vertical", fontFamily: "monospace" }}
+        />
+        <span>{t("editor.checksHelp")}</span>
+      </label>
+    </div>
+  );
+}
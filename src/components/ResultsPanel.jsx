@@ -0,0 +1,77 @@
+// src/components/ResultsPanel.jsx
+import React from "react";
+import { questionStats, reportHtml, resultsCsv } from "../lib/results";
+import { downloadText, slugify } from "../lib/download";
+import { formatNumber, formatTime, t } from "../lib/i18n";
+import { sessionLog } from "../lib/roomCommands";
+
+/* ---------- Host view after the quiz: difficulty table + exports ---------- */
+export default function ResultsPanel({ title, quiz, history, players = {}, answerKey, skipped, log }) {
+  const stats = questionStats(quiz, history, skipped);
+  const entries = sessionLog(log);
+  const base = slugify(title);
+
+  const downloadCsv = () => downloadText(`${base}-${t("results.file.csv")}.csv`, resultsCsv(quiz, history, players, answerKey), "text/csv");
+
+  const printReport = () => {
+    const html = reportHtml({ title, quiz, history, players, key: answerKey, skipped });
+    const w = window.open("", "_blank");
+    // popup blocked: hand over the file instead
+    if (!w) return downloadText(`${base}-${t("results.file.report")}.html`, html, "text/html");
+    w.document.write(html);
+    w.document.close();
+    w.focus();
+    w.print();
+  };
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+        <button className="btn" onClick={downloadCsv} style={{ background: "#4f46e5" }}>{t("results.downloadCsv")}</button>
+        <button className="btn secondary" onClick={printReport}>{t("results.printReport")}</button>
+      </div>
+      {!answerKey && <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 8 }}>{t("results.loadingKey")}</div>}
+
+      <div style={{ fontWeight: 600, marginBottom: 6 }}>{t("results.difficulty")}</div>
+      <div style={{ overflowX: "auto" }}>
+        <table className="results-table">
+          <thead>
+            <tr><th>#</th><th>{t("results.table.question")}</th><th>{t("results.table.correct")}</th><th>{t("results.table.answered")}</th><th>{t("results.table.avgTime")}</th><th>{t("results.table.level")}</th></tr>
+          </thead>
+          <tbody>
+            {stats.map((s) => (
+              <tr key={s.index}>
+                <td>{s.index + 1}</td>
+                <td>{s.text}</td>
+                <td>
+                  {s.rate === null ? "-" : `${Math.round(s.rate * 100)}%`}
+                  {s.rate !== null && (
+                    <div style={{ height: 6, background: "#f1f5f9", borderRadius: 6, marginTop: 2 }}>
+                      <div style={{ height: "100%", width: `${s.rate * 100}%`, borderRadius: 6, background: s.level.color }} />
+                    </div>
+                  )}
+                </td>
+                <td>{s.answered}/{s.players}</td>
+                <td>{s.avgMs === null ? "-" : t("results.seconds", { seconds: formatNumber(s.avgMs / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) })}</td>
+                <td style={{ color: s.level ? s.level.color : "#6b7280", fontWeight: 600 }}>{s.skipped ? t("results.skipped") : s.level ? t(`results.levels.${s.level.id}`) : "-"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {entries.length > 0 && (
+        <details style={{ marginTop: 12 }}>
+          <summary style={{ cursor: "pointer", fontWeight: 600 }}>{t("results.log", { count: entries.length })}</summary>
+          <ol style={{ fontSize: 13, color: "#374151", paddingLeft: 20, margin: "6px 0 0" }}>
+            {entries.map((e) => (
+              <li key={e.id}>
+                <span style={{ color: "#6b7280" }}>{formatTime(e.at)}</span> {t("results.logEntry", { label: e.label, n: e.index + 1 })}
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+// src/components/RevealCard.jsx
+import React, { useEffect } from "react";
+import { announce } from "../lib/a11y";
+import { formatNumber, t } from "../lib/i18n";
+import { formatAnswer, formatResponse } from "../lib/questionTypes";
+import { teamName } from "../lib/teams";
+import { choiceColor } from "../lib/theme";
+import RichText from "./RichText";
+
+/* ---------- Per-question results shown between questions ---------- */
+// `order` (lib/shuffle) lays the bars out in the player's own choice order, letters and colours included
+export default function RevealCard({ q, reveal, players = {}, playerId, order = null }) {
+  const results = reveal.results || {};
+  const total = Object.keys(results).length;
+  // non-choice questions (angka, isian, urutan) are charted as benar vs salah
+  const correctCount = reveal.correctCount || 0;
+  const keyChoices = [].concat(reveal.answer).map(Number);
+  const bars = reveal.counts
+    ? (order || q.choices.map((_, i) => i)).map((i, pos) => {
+      const ok = keyChoices.includes(i);
+      return { label: `${String.fromCharCode(65 + pos)}${ok ? " ✓" : ""}`, value: reveal.counts[i] || 0, color: choiceColor(pos), highlight: ok };
+    })
+    : [
+      { label: t("reveal.correct"), value: correctCount, color: "#10b981", highlight: true },
+      { label: t("reveal.wrong"), value: total - correctCount, color: "#ef4444", highlight: true }
+    ];
+  const max = Math.max(1, ...bars.map((b) => b.value));
+  const mine = playerId ? results[playerId] : null;
+  // the student's own result: icon and words as well as colour, and read out once
+  const verdict = !playerId ? null : !mine ? { icon: "–", color: "#6b7280", bg: "#f3f4f6", text: t("reveal.noAnswer") } : mine.correct
+    ? { icon: "✔", color: "#047857", bg: "#dcfce7", text: t("reveal.youCorrect", { points: mine.points }) }
+    : { icon: "✘", color: "#b91c1c", bg: "#fee2e2", text: t(mine.points ? "reveal.youWrongPoints" : "reveal.youWrong", { points: mine.points, answer: formatResponse(q, mine.choice) }) };
+  const verdictText = verdict && verdict.text;
+  useEffect(() => {
+    if (verdictText) announce(verdictText);
+  }, [verdictText]);
+
+  const correctNames = Object.entries(results)
+    .filter(([, r]) => r.correct)
+    .map(([pid]) => (players[pid] && players[pid].name) || pid);
+
+  const board = Object.entries(players)
+    .map(([pid, p]) => {
+      const before = (reveal.rankBefore || {})[pid];
+      const after = (reveal.rankAfter || {})[pid];
+      return { pid, name: p.name, score: p.score || 0, rank: after, moved: before && after ? before - after : 0, points: (results[pid] || {}).points || 0 };
+    })
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity));
+
+  return (
+    <div className="card">
+      <div style={{ fontSize: 12, color: "#6b7280" }}>{t("reveal.correctAnswer")}</div>
+      <div style={{ fontSize: 16, fontWeight: 700, marginBottom: 4 }}><RichText text={q.text} /></div>
+      <div style={{ padding: 10, borderRadius: 10, background: "#dcfce7", fontWeight: 700, marginBottom: 12 }}>
+        <span aria-hidden="true">✔ </span><RichText text={formatAnswer(q, reveal.answer)} inline />
+      </div>
+
+      {verdict && (
+        <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 12, padding: "8px 10px", borderRadius: 10, fontWeight: 600, color: verdict.color, background: verdict.bg }}>
+          <span aria-hidden="true" style={{ fontSize: 20, lineHeight: 1 }}>{verdict.icon}</span>
+          <span>{verdict.text}</span>
+        </div>
+      )}
+
+      {mine && mine.team !== undefined && <div style={{ marginTop: -8, marginBottom: 12, fontSize: 13, color: "#6b7280" }}>{t("reveal.teamVote", { team: teamName(mine.team) })}</div>}
+
+      {/* soal web: which DOM checks the submitted page passed */}
+      {mine && mine.checks && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "0 0 12px", fontSize: 14 }}>
+          {Object.values(mine.checks).map((c, i) => (
+            <li key={i} style={{ color: c.passed ? "#059669" : "#dc2626" }}><span aria-hidden="true">{c.passed ? "✓" : "✗"}</span> <span className="sr-only">{t(c.passed ? "reveal.correct" : "reveal.wrong")}:</span> <code>{c.label}</code></li>
+          ))}
+        </ul>
+      )}
+
+      {/* bar chart jumlah pemilih per opsi */}
+      <div style={{ display: "flex", alignItems: "flex-end", gap: 10, height: 140, marginBottom: 12 }}>
+        {bars.map((b) => (
+          <div key={b.label} style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "flex-end", height: "100%" }}>
+            <div style={{ fontWeight: 700 }}>{b.value}</div>
+            <div
+              style={{
+                width: "100%",
+                height: `${(b.value / max) * 100}%`,
+                minHeight: 4,
+                borderRadius: 6,
+                background: b.color,
+                opacity: b.highlight ? 1 : 0.45
+              }}
+            />
+            <div style={{ fontSize: 12, marginTop: 4 }}>{b.label}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 12 }}>{t("reveal.received", { count: total })}</div>
+
+      <div style={{ marginBottom: 12 }}>
+        <div style={{ fontWeight: 600, marginBottom: 4 }}>{t("reveal.correctPlayers", { count: correctNames.length })}</div>
+        <div style={{ color: "#374151", fontSize: 14 }}>{correctNames.length ? correctNames.join(", ") : t("reveal.noneCorrect")}</div>
+      </div>
+
+      <div style={{ fontWeight: 600, marginBottom: 4 }}>{t("reveal.rankChanges")}</div>
+      <ol style={{ paddingLeft: 16, margin: 0 }}>
+        {board.map((row) => (
+          <li key={row.pid} style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
+            <span>
+              {row.name}{" "}
+              {row.moved > 0 && <span style={{ color: "#059669" }}>▲{row.moved}</span>}
+              {row.moved < 0 && <span style={{ color: "#dc2626" }}>▼{-row.moved}</span>}
+            </span>
+            <span>
+              {row.points !== 0 && <span style={{ color: row.points > 0 ? "#059669" : "#dc2626", marginRight: 8 }}>{row.points > 0 ? "+" : ""}{row.points}</span>}
+              <strong>{formatNumber(row.score)}</strong>
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// src/components/RichText.jsx
+import React, { useMemo } from "react";
+import katex from "katex";
+import "katex/dist/katex.min.css";
+import CodeBlock from "./CodeBlock";
+import { parseBlocks, parseInline } from "../lib/markdown";
+
+/* ---------- Markdown for question text and choices ---------- */
+// `inline` renders a single line (choices, answers) without paragraph/list/code blocks
+export default function RichText({ text, inline = false }) {
+  const blocks = useMemo(() => (inline ? null : parseBlocks(text)), [text, inline]);
+  if (inline) return <Inline tokens={parseInline(text)} />;
+
+  return (
+    <div className="rich-text">
+      {blocks.map((b, i) => {
+        if (b.type === "code") return <CodeBlock key={i} code={b.code} lang={b.lang} />;
+        if (b.type === "list") {
+          return (
+            <ul key={i}>
+              {b.items.map((item, j) => <li key={j}><Inline tokens={parseInline(item)} /></li>)}
+            </ul>
+          );
+        }
+        return (
+          <p key={i}>
+            {b.lines.map((line, j) => (
+              <React.Fragment key={j}>
+                {j > 0 && <br />}
+                <Inline tokens={parseInline(line)} />
+              </React.Fragment>
+            ))}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
+
+function Inline({ tokens }) {
+  return tokens.map((t, i) => {
+    switch (t.type) {
+      case "code": return <code key={i} className="inline-code">{t.value}</code>;
+      case "math": return <MathFormula key={i} tex={t.value} />;
+      case "image": return <img key={i} className="rich-img" src={t.src} alt={t.alt} loading="lazy" />;
+      case "link": return <a key={i} href={t.href} target="_blank" rel="noopener noreferrer"><Inline tokens={t.children} /></a>;
+      case "strong": return <strong key={i}><Inline tokens={t.children} /></strong>;
+      case "em": return <em key={i}><Inline tokens={t.children} /></em>;
+      default: return <React.Fragment key={i}>{t.value}</React.Fragment>;
+    }
+  });
+}
+
+function MathFormula({ tex }) {
+  // KaTeX escapes its input and trust:false blocks \href & co, so the markup is safe to inject
+  const html = useMemo(() => katex.renderToString(tex, { throwOnError: false, trust: false }), [tex]);
+  return <span className="math" dangerouslySetInnerHTML={{ __html: html }} />;
+}
@@ -0,0 +1,33 @@
+// src/components/RoomQr.jsx
+import React, { useEffect, useState } from "react";
+import QRCode from "qrcode";
+import { t } from "../lib/i18n";
+
+/* ---------- QR code of the join link, generated in the browser ---------- */
+export default function RoomQr({ url, size = 240 }) {
+  const [src, setSrc] = useState("");
+  const [zoomed, setZoomed] = useState(false);
+
+  useEffect(() => {
+    let stop = false;
+    QRCode.toString(url, { type: "svg", margin: 1, errorCorrectionLevel: "M" })
+      .then((svg) => { if (!stop) setSrc(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`); })
+      .catch((e) => console.warn("qr err", e));
+    return () => { stop = true; };
+  }, [url]);
+
+  if (!src) return null;
+  return (
+    <>
+      <button onClick={() => setZoomed(true)} title={t("qr.zoom")} style={{ padding: 0, border: "none", background: "none", cursor: "zoom-in" }}>
+        <img src={src} alt={t("qr.alt", { url })} width={size} height={size} style={{ display: "block", background: "#fff", borderRadius: 8 }} />
+      </button>
+      {zoomed && (
+        <div className="qr-overlay" onClick={() => setZoomed(false)} role="dialog" aria-label={t("qr.dialog")}>
+          <img src={src} alt={t("qr.alt", { url })} style={{ width: "min(80vh, 90vw)", height: "min(80vh, 90vw)", background: "#fff", borderRadius: 12 }} />
+          <div style={{ marginTop: 12, fontSize: 22, fontWeight: 700, color: "#fff" }}>{url}</div>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+// src/components/RoomSettings.jsx
+import React from "react";
+import { t } from "../lib/i18n";
+import { SOUND_THEMES, themeOf } from "../lib/audio";
+import { MAX_TEAMS, MIN_TEAMS, TEAM_ASSIGN, TEAM_SCORES, teamSettings } from "../lib/teams";
+
+/* ---------- Host: who may still join the room, team mode and the music theme ---------- */
+export default function RoomSettings({ meta = {}, playerCount = 0, onChange, onTeamsChange, onShuffleTeams }) {
+  const teams = teamSettings(meta);
+  const setTeams = (patch) => onTeamsChange({ ...teams, ...patch });
+  return (
+    <>
+      <div style={{ display: "flex", gap: 14, alignItems: "center", flexWrap: "wrap", fontSize: 14, marginBottom: 12 }}>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={!!meta.locked} onChange={(e) => onChange({ locked: e.target.checked })} />
+          {t("settings.lock")}
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={!!meta.allowLateJoin} onChange={(e) => onChange({ allowLateJoin: e.target.checked })} />
+          {t("settings.lateJoin")}
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }} title={t("settings.shuffleChoicesHint")}>
+          <input type="checkbox" checked={!!meta.shuffleChoices} onChange={(e) => onChange({ shuffleChoices: e.target.checked })} />
+          {t("settings.shuffleChoices")}
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#6b7280" }}>
+          {t("settings.maxPlayers")}
+          <input
+            className="input"
+            type="number"
+            min={0}
+            value={meta.maxPlayers || 0}
+            onChange={(e) => onChange({ maxPlayers: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+            title={t("settings.noLimit")}
+            style={{ width: 80, padding: 6 }}
+          />
+          <span>{t("settings.joined", { count: playerCount })}</span>
+        </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#6b7280" }}>
+          {t("settings.theme")}
+          <select className="input" value={themeOf(meta)} onChange={(e) => onChange({ theme: e.target.value })} style={{ width: "auto", padding: 6 }}>
+            {SOUND_THEMES.map((id) => <option key={id} value={id}>{t(`audio.theme.${id}`)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: 14, alignItems: "center", flexWrap: "wrap", fontSize: 14, marginBottom: 12 }}>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="checkbox" checked={teams.enabled} onChange={(e) => setTeams({ enabled: e.target.checked })} />
+          {t("settings.teamMode")}
+        </label>
+        {teams.enabled && (
+          <>
+            <label style={{ display: "flex", gap: 6, alignItems: "center", color: "#6b7280" }}>
+              {t("settings.teamCount")}
+              <input
+                className="input"
+                type="number"
+                min={MIN_TEAMS}
+                max={MAX_TEAMS}
+                value={teams.count}
+                onChange={(e) => setTeams({ count: Number(e.target.value) })}
+                style={{ width: 64, padding: 6 }}
+              />
+            </label>
+            <select className="input" value={teams.assign} onChange={(e) => setTeams({ assign: e.target.value })} style={{ width: "auto", padding: 6 }}>
+              {TEAM_ASSIGN.map((id) => <option key={id} value={id}>{t(`teams.assign.${id}`)}</option>)}
+            </select>
+            <select className="input" value={teams.score} onChange={(e) => setTeams({ score: e.target.value })} style={{ width: "auto", padding: 6 }}>
+              {TEAM_SCORES.map((id) => <option key={id} value={id}>{t(`teams.score.${id}`)}</option>)}
+            </select>
+            <label style={{ display: "flex", gap: 6, alignItems: "center" }} title={t("settings.consensusHint")}>
+              <input type="checkbox" checked={teams.consensus} onChange={(e) => setTeams({ consensus: e.target.checked })} />
+              {t("settings.consensus")}
+            </label>
+            <button className="btn secondary" onClick={onShuffleTeams}>{t("settings.shuffleTeams")}</button>
+          </>
+        )}
+      </div>
+    </>
+  );
+}
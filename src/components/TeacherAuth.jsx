@@ -0,0 +1,91 @@
+// src/components/TeacherAuth.jsx
+import React, { useState } from "react";
+import { t } from "../lib/i18n";
+
+// Firebase Auth error codes worth explaining; anything else shows the raw message
+const AUTH_ERRORS = {
+  "auth/invalid-email": "invalidEmail",
+  "auth/invalid-credential": "wrongCredentials",
+  "auth/wrong-password": "wrongCredentials",
+  "auth/user-not-found": "wrongCredentials",
+  "auth/email-already-in-use": "emailInUse",
+  "auth/weak-password": "weakPassword",
+  "auth/too-many-requests": "tooManyRequests",
+  "auth/operation-not-allowed": "notEnabled"
+};
+
+/* ---------- Teacher sign-in / registration ---------- */
+// `local`: offline mode has no accounts, the email only labels the teacher on this network
+export default function TeacherAuth({ user, local = false, onSignIn, onSignOut }) {
+  const [open, setOpen] = useState(false);
+  const [register, setRegister] = useState(false);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  if (user && user.isTeacher) {
+    return (
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span style={{ color: "#6b7280" }}>{t("auth.signedInAs")} <strong style={{ color: "#111827" }}>{user.email}</strong></span>
+        <button className="btn secondary" onClick={onSignOut}>{t("auth.signOut")}</button>
+      </div>
+    );
+  }
+
+  // a registered account stays a student until an admin approves it (teachers/{uid}/approved)
+  if (user && user.pending) {
+    return (
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span style={{ color: "#6b7280" }}>{t("auth.pending", { email: user.email, uid: user.uid })}</span>
+        <button className="btn secondary" onClick={onSignOut}>{t("auth.signOut")}</button>
+      </div>
+    );
+  }
+
+  if (!open) {
+    return (
+      <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap", fontSize: 14 }}>
+        <span style={{ color: "#6b7280" }}>{t("auth.prompt")}</span>
+        <button className="btn secondary" onClick={() => setOpen(true)}>{t("auth.open")}</button>
+      </div>
+    );
+  }
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      await onSignIn(email.trim(), password, register);
+      setPassword("");
+      setOpen(false);
+    } catch (err) {
+      console.warn("teacher auth err", err);
+      setError(AUTH_ERRORS[err.code] ? t(`auth.errors.${AUTH_ERRORS[err.code]}`) : err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "center" }}>
+      <input className="input" type="email" autoComplete="email" placeholder={t("auth.email")} value={email} onChange={(e) => setEmail(e.target.value)} required />
+      {!local && <input
+        className="input"
+        type="password"
+        autoComplete={register ? "new-password" : "current-password"}
+        placeholder={t("auth.password")}
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        minLength={6}
+        required
+      />}
+      <button className="btn" type="submit" disabled={busy} style={{ background: "#4f46e5" }}>{t(register ? "auth.register" : "auth.signIn")}</button>
+      {!local && <button className="btn secondary" type="button" onClick={() => setRegister((r) => !r)}>{t(register ? "auth.haveAccount" : "auth.createAccount")}</button>}
+      <button className="btn secondary" type="button" onClick={() => { setOpen(false); setError(""); }}>{t("common.cancel")}</button>
+      {local && <div style={{ color: "#6b7280", fontSize: 13, width: "100%" }}>{t("auth.localNote")}</div>}
+      {error && <div style={{ color: "#dc2626", fontSize: 13, width: "100%" }}>{error}</div>}
+    </form>
+  );
+}
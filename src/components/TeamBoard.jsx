@@ -0,0 +1,27 @@
+// src/components/TeamBoard.jsx
+import React from "react";
+import { formatNumber, t } from "../lib/i18n";
+import { teamSettings, teamStandings } from "../lib/teams";
+
+/* ---------- Team leaderboard (team mode), used in the room sidebar and on the presenter screen ---------- */
+export default function TeamBoard({ players = {}, meta, large = false }) {
+  const rows = teamStandings(players, meta);
+  const { score } = teamSettings(meta);
+  return (
+    <div>
+      <div style={{ fontSize: large ? 20 : 12, opacity: 0.7, marginBottom: 6 }}>{t(`teams.score.${score}`)}</div>
+      <ol style={{ paddingLeft: 0, margin: 0, listStyle: "none" }}>
+        {rows.map((row) => (
+          <li key={row.team} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: large ? 12 : 8, fontSize: large ? 28 : undefined }}>
+            <span style={{ width: large ? 40 : 20, fontWeight: 700 }}>{row.rank}.</span>
+            <span style={{ width: large ? 20 : 12, height: large ? 20 : 12, borderRadius: 4, background: row.color, flexShrink: 0 }} />
+            <span style={{ flex: 1 }}>
+              {row.name} <span style={{ fontSize: large ? 18 : 12, opacity: 0.7 }}>({row.members.length})</span>
+            </span>
+            <strong>{formatNumber(row.score)}</strong>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
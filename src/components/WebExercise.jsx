@@ -0,0 +1,69 @@
+// src/components/WebExercise.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Compartment, EditorState } from "@codemirror/state";
+import { EditorView, drawSelection, highlightActiveLine, lineNumbers } from "@codemirror/view";
+import { bracketMatching, defaultHighlightStyle, indentOnInput, syntaxHighlighting } from "@codemirror/language";
+import { html } from "@codemirror/lang-html";
+import { t } from "../lib/i18n";
+import { STARTER_HTML } from "../lib/webChecks";
+
+// preview refresh delay while typing
+const PREVIEW_DELAY_MS = 400;
+
+/* ---------- Student: edit HTML/CSS with a live preview, submit the page ---------- */
+// only the v6 CodeMirror packages (view/state/language/lang-html); @codemirror/basic-setup still pulls 0.20 modules
+export default function WebExercise({ q, locked, submitted, onAnswer }) {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const editable = useRef(new Compartment());
+  const [code, setCode] = useState(() => q.starter || STARTER_HTML);
+  const [preview, setPreview] = useState(code);
+
+  useEffect(() => {
+    const view = new EditorView({
+      parent: hostRef.current,
+      state: EditorState.create({
+        doc: q.starter || STARTER_HTML,
+        extensions: [
+          lineNumbers(),
+          drawSelection(),
+          highlightActiveLine(),
+          indentOnInput(),
+          bracketMatching(),
+          syntaxHighlighting(defaultHighlightStyle),
+          html(),
+          EditorView.lineWrapping,
+          editable.current.of(EditorView.editable.of(true)),
+          EditorView.updateListener.of((u) => { if (u.docChanged) setCode(u.state.doc.toString()); })
+        ]
+      })
+    });
+    viewRef.current = view;
+    return () => {
+      view.destroy();
+      viewRef.current = null;
+    };
+  }, [q.starter]);
+
+  useEffect(() => {
+    if (viewRef.current) viewRef.current.dispatch({ effects: editable.current.reconfigure(EditorView.editable.of(!locked)) });
+  }, [locked]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setPreview(code), PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [code]);
+
+  return (
+    <div>
+      <div className="web-exercise">
+        <div ref={hostRef} className="web-editor" />
+        {/* empty sandbox: no scripts, no access to the quiz page */}
+        <iframe title={t("web.preview")} className="web-preview" sandbox="" srcDoc={preview} />
+      </div>
+      <button className="btn" onClick={() => onAnswer(code)} disabled={locked || !code.trim()} style={{ marginTop: 10, background: "#4f46e5" }}>
+        {t(submitted ? "web.sent" : "web.send")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// src/lib/a11y.js
+// Aksesibilitas: menjawab dengan keyboard (A–D atau 1–4), pengumuman untuk pembaca layar lewat
+// region aria-live (soal baru, sisa waktu), dan menghormati prefers-reduced-motion.
+// Region aria-live dibuat sekali di <body> dan tidak pernah di-unmount, karena pembaca layar
+// hanya membacakan perubahan isi region yang sudah ada sebelumnya.
+
+/* ---------- Keyboard answering ---------- */
+// index of the choice a key picks: "a"/"A" or "1" → 0, "b" or "2" → 1, ...; null for other keys
+export function choiceFromKey(e, count) {
+  if (!e || e.ctrlKey || e.metaKey || e.altKey) return null;
+  const key = String(e.key || "").toLowerCase();
+  if (key.length !== 1) return null;
+  const letter = key.charCodeAt(0) - 97;
+  const digit = key.charCodeAt(0) - 49;
+  const i = letter >= 0 && letter < 26 ? letter : digit >= 0 && digit < 9 ? digit : -1;
+  return i >= 0 && i < count ? i : null;
+}
+
+// keys typed into a field or code editor are not answers
+export const isTypingTarget = (el) => Boolean(el && (
+  /^(input|textarea|select)$/i.test(el.tagName || "") ||
+  el.isContentEditable ||
+  (el.closest && el.closest(".cm-editor, .blockly-host, .blocklyWidgetDiv"))
+));
+
+// "A–D / 1–4" for four choices
+export const keyHint = (count) => (count > 1 ? `A–${String.fromCharCode(64 + count)} / 1–${count}` : "A / 1");
+
+/* ---------- Time warnings ---------- */
+export const TIME_WARNINGS = [10, 5];
+
+// the warning due at `timeLeft`, or null; questions shorter than a warning skip it
+export const timeWarning = (timeLeft, time) => (TIME_WARNINGS.includes(timeLeft) && Number(time) > timeLeft ? timeLeft : null);
+
+/* ---------- Live regions ---------- */
+const HIDDEN = "position:absolute;width:1px;height:1px;margin:-1px;padding:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;";
+const regions = {};
+
+function region(politeness) {
+  const doc = globalThis.document;
+  if (!doc || !doc.body) return null;
+  if (!regions[politeness] || !regions[politeness].isConnected) {
+    const el = doc.createElement("div");
+    el.setAttribute("aria-live", politeness);
+    el.setAttribute("aria-atomic", "true");
+    el.setAttribute("role", politeness === "assertive" ? "alert" : "status");
+    el.style.cssText = HIDDEN;
+    doc.body.appendChild(el);
+    regions[politeness] = el;
+  }
+  return regions[politeness];
+}
+
+// create both regions up front so the first announcement is not lost
+export const mountAnnouncer = () => { region("polite"); region("assertive"); };
+
+/**
+ * Read `message` to screen reader users. "polite" waits for the reader to finish,
+ * "assertive" interrupts (time running out).
+ */
+export function announce(message, politeness = "polite") {
+  const el = region(politeness === "assertive" ? "assertive" : "polite");
+  if (!el || !message) return;
+  // cleared first so the same text ("5 detik lagi" on the next question) is read again
+  el.textContent = "";
+  setTimeout(() => { el.textContent = message; }, 60);
+}
+
+/* ---------- Reduced motion ---------- */
+const REDUCED_MOTION = "(prefers-reduced-motion: reduce)";
+
+export const prefersReducedMotion = () => Boolean(globalThis.matchMedia && globalThis.matchMedia(REDUCED_MOTION).matches);
+
+// cb(reduced) whenever the system setting changes
+export function onReducedMotionChange(cb) {
+  if (!globalThis.matchMedia) return () => {};
+  const query = globalThis.matchMedia(REDUCED_MOTION);
+  const handler = (e) => cb(e.matches);
+  query.addEventListener("change", handler);
+  return () => query.removeEventListener("change", handler);
+}
@@ -0,0 +1,188 @@
+// src/lib/arduinoBlocks.js
+// Blok Arduino untuk Blockly dan konversi workspace → program (format di arduinoSim.js).
+// Blockly sendiri dimuat dinamis oleh komponen; modul ini hanya menerima objeknya.
+// Teks blok mengikuti bahasa yang aktif saat blok didefinisikan.
+import { getLocale, t } from "./i18n";
+
+const ARDUINO_COLOUR = 180;
+const IO_COLOUR = 200;
+const ANALOG_PIN_OPTIONS = ["A0", "A1", "A2", "A3", "A4", "A5"].map((p) => [p, p]);
+const PWM_PIN_OPTIONS = [3, 5, 6, 9, 10, 11].map((p) => [String(p), String(p)]);
+const digitalPinField = { type: "field_number", name: "PIN", value: 13, min: 0, max: 13, precision: 1 };
+
+const blockDefinitions = () => [
+  { type: "arduino_setup", message0: "setup() %1", args0: [{ type: "input_statement", name: "DO" }], colour: ARDUINO_COLOUR, tooltip: t("blocks.setupTip") },
+  { type: "arduino_loop", message0: "loop() %1", args0: [{ type: "input_statement", name: "DO" }], colour: ARDUINO_COLOUR, tooltip: t("blocks.loopTip") },
+  {
+    type: "arduino_pin_mode",
+    message0: "pinMode pin %1 %2",
+    args0: [digitalPinField, { type: "field_dropdown", name: "MODE", options: [["OUTPUT", "OUTPUT"], ["INPUT", "INPUT"]] }],
+    previousStatement: null,
+    nextStatement: null,
+    colour: IO_COLOUR
+  },
+  {
+    type: "arduino_digital_write",
+    message0: t("blocks.digitalWrite"),
+    args0: [digitalPinField, { type: "input_value", name: "VALUE" }],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: IO_COLOUR
+  },
+  {
+    type: "arduino_analog_write",
+    message0: t("blocks.analogWrite"),
+    args0: [{ type: "field_dropdown", name: "PIN", options: PWM_PIN_OPTIONS }, { type: "input_value", name: "VALUE", check: "Number" }],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: IO_COLOUR,
+    tooltip: t("blocks.analogWriteTip")
+  },
+  {
+    type: "arduino_delay",
+    message0: "delay %1 ms",
+    args0: [{ type: "input_value", name: "MS", check: "Number" }],
+    inputsInline: true,
+    previousStatement: null,
+    nextStatement: null,
+    colour: ARDUINO_COLOUR
+  },
+  { type: "arduino_digital_read", message0: "digitalRead pin %1", args0: [digitalPinField], output: "Number", colour: IO_COLOUR },
+  {
+    type: "arduino_analog_read",
+    message0: "analogRead %1",
+    args0: [{ type: "field_dropdown", name: "PIN", options: ANALOG_PIN_OPTIONS }],
+    output: "Number",
+    colour: IO_COLOUR,
+    tooltip: t("blocks.analogReadTip")
+  },
+  { type: "arduino_level", message0: "%1", args0: [{ type: "field_dropdown", name: "LEVEL", options: [["HIGH", "HIGH"], ["LOW", "LOW"]] }], output: "Number", colour: IO_COLOUR }
+];
+
+const number = (n) => ({ shadow: { type: "math_number", fields: { NUM: n } } });
+
+export const arduinoToolbox = () => ({
+  kind: "categoryToolbox",
+  contents: [
+    {
+      kind: "category",
+      name: "Arduino",
+      colour: String(IO_COLOUR),
+      contents: [
+        { kind: "block", type: "arduino_pin_mode" },
+        { kind: "block", type: "arduino_digital_write", inputs: { VALUE: { shadow: { type: "arduino_level" } } } },
+        { kind: "block", type: "arduino_digital_read" },
+        { kind: "block", type: "arduino_analog_read" },
+        { kind: "block", type: "arduino_analog_write", inputs: { VALUE: number(128) } },
+        { kind: "block", type: "arduino_level" },
+        { kind: "block", type: "arduino_delay", inputs: { MS: number(100) } }
+      ]
+    },
+    {
+      kind: "category",
+      name: t("blocks.logic"),
+      colour: "210",
+      contents: [
+        { kind: "block", type: "controls_if" },
+        { kind: "block", type: "logic_compare" },
+        { kind: "block", type: "logic_operation" },
+        { kind: "block", type: "logic_negate" },
+        { kind: "block", type: "logic_boolean" }
+      ]
+    },
+    {
+      kind: "category",
+      name: t("blocks.numbers"),
+      colour: "230",
+      contents: [
+        { kind: "block", type: "math_number" },
+        { kind: "block", type: "math_arithmetic" },
+        { kind: "block", type: "controls_repeat_ext", inputs: { TIMES: number(3) } }
+      ]
+    }
+  ]
+});
+
+// fresh workspace: the two sketch functions, which students cannot delete
+export const STARTER_WORKSPACE = {
+  blocks: {
+    languageVersion: 0,
+    blocks: [
+      { type: "arduino_setup", x: 20, y: 20, deletable: false },
+      { type: "arduino_loop", x: 20, y: 140, deletable: false }
+    ]
+  }
+};
+
+// defined once per language; switching languages redefines them with the new texts
+let definedLocale = null;
+export function defineArduinoBlocks(Blockly) {
+  if (definedLocale === getLocale()) return;
+  Blockly.common.defineBlocksWithJsonArray(blockDefinitions());
+  definedLocale = getLocale();
+}
+
+/* ---------- Workspace → program ---------- */
+const COMPARE_OPS = ["EQ", "NEQ", "LT", "LTE", "GT", "GTE"];
+const MATH_OPS = ["ADD", "MINUS", "MULTIPLY", "DIVIDE"];
+
+function toExpr(block) {
+  if (!block) return null;
+  const sub = (name) => toExpr(block.getInputTargetBlock(name));
+  switch (block.type) {
+    case "math_number": return { op: "num", value: Number(block.getFieldValue("NUM")) || 0 };
+    case "arduino_level": return { op: "level", value: block.getFieldValue("LEVEL") };
+    case "logic_boolean": return { op: "bool", value: block.getFieldValue("BOOL") === "TRUE" };
+    case "arduino_digital_read": return { op: "digitalRead", pin: Number(block.getFieldValue("PIN")) };
+    case "arduino_analog_read": return { op: "analogRead", pin: block.getFieldValue("PIN") };
+    case "logic_negate": return { op: "not", a: sub("BOOL") };
+    case "logic_operation": return { op: "logic", logic: block.getFieldValue("OP"), a: sub("A"), b: sub("B") };
+    case "logic_compare": {
+      const cmp = block.getFieldValue("OP");
+      return COMPARE_OPS.includes(cmp) ? { op: "compare", cmp, a: sub("A"), b: sub("B") } : null;
+    }
+    case "math_arithmetic": {
+      const fn = block.getFieldValue("OP");
+      return MATH_OPS.includes(fn) ? { op: "math", fn, a: sub("A"), b: sub("B") } : null;
+    }
+    default: return null;
+  }
+}
+
+function toStatement(block) {
+  const sub = (name) => toExpr(block.getInputTargetBlock(name));
+  switch (block.type) {
+    case "arduino_pin_mode": return { op: "pinMode", pin: Number(block.getFieldValue("PIN")), mode: block.getFieldValue("MODE") };
+    case "arduino_digital_write": return { op: "digitalWrite", pin: Number(block.getFieldValue("PIN")), value: sub("VALUE") };
+    case "arduino_analog_write": return { op: "analogWrite", pin: Number(block.getFieldValue("PIN")), value: sub("VALUE") };
+    case "arduino_delay": return { op: "delay", ms: sub("MS") };
+    case "controls_repeat_ext": return { op: "repeat", times: sub("TIMES"), body: toStatements(block.getInputTargetBlock("DO")) };
+    case "controls_if": {
+      const branches = [];
+      for (let i = 0; block.getInput(`IF${i}`); i++) {
+        branches.push({ cond: sub(`IF${i}`), body: toStatements(block.getInputTargetBlock(`DO${i}`)) });
+      }
+      return { op: "if", branches, else: block.getInput("ELSE") ? toStatements(block.getInputTargetBlock("ELSE")) : [] };
+    }
+    default: return null;
+  }
+}
+
+function toStatements(first) {
+  const out = [];
+  for (let b = first; b; b = b.getNextBlock()) {
+    if (!b.isEnabled()) continue;
+    const s = toStatement(b);
+    if (s) out.push(s);
+  }
+  return out;
+}
+
+// blocks left floating outside setup()/loop() do not run, just like on the board
+export function workspaceToProgram(workspace) {
+  const top = (type) => workspace.getTopBlocks(true).find((b) => b.type === type);
+  const body = (type) => (top(type) ? toStatements(top(type).getInputTargetBlock("DO")) : []);
+  return { setup: body("arduino_setup"), loop: body("arduino_loop") };
+}
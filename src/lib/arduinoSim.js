@@ -0,0 +1,264 @@
+// src/lib/arduinoSim.js
+// Program Arduino dari blok (soal tipe "blocks"), dalam bentuk data sederhana sehingga bisa
+// dinilai otomatis di perangkat host tanpa Blockly:
+//
+//   program   { setup: [stmt], loop: [stmt] }
+//   stmt      pinMode { pin, mode } · digitalWrite { pin, value } · analogWrite { pin, value }
+//             delay { ms } · if { branches: [{ cond, body }], else } · repeat { times, body }
+//   expr      num { value } · level { value: "HIGH"|"LOW" } · bool { value } · digitalRead { pin }
+//             analogRead { pin: "A0" } · compare { cmp, a, b } · logic { logic, a, b } · not { a }
+//             math { fn, a, b }           (slot kosong = null, dibaca sebagai 0)
+//
+// Penilaian: setiap test mengisi nilai sensor (`inputs`), menjalankan setup() sekali dan loop()
+// beberapa kali, lalu membandingkan keadaan pin keluaran dengan `expect`.
+//   test      { inputs: { A0: 250, 2: 1 }, expect: { 13: 1 } }     (HIGH = 1, LOW = 0)
+import { t } from "./i18n";
+
+export const HIGH = 1;
+export const LOW = 0;
+export const ANALOG_PINS = ["A0", "A1", "A2", "A3", "A4", "A5"];
+export const DIGITAL_PINS = Array.from({ length: 14 }, (_, i) => i);
+
+// loop() runs a few times so programs that need a pass to settle (or toggle) are judged fairly
+export const LOOP_RUNS = 3;
+// guards against runaway repeat blocks
+export const STEP_LIMIT = 10000;
+
+const toList = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+const isAnalogPin = (pin) => ANALOG_PINS.includes(String(pin).toUpperCase());
+// "A0" stays a name, "13" becomes 13
+export const pinKey = (pin) => (isAnalogPin(pin) ? String(pin).toUpperCase() : Number(pin));
+
+/* ---------- Shape ---------- */
+// the Realtime Database drops empty arrays and null slots, and may return lists as objects
+const EXPR_FIELDS = ["a", "b", "cond", "value", "ms", "times"];
+function normalizeNode(node) {
+  if (!node || typeof node !== "object") return node ?? null;
+  const out = { ...node };
+  EXPR_FIELDS.forEach((k) => { if (k in node) out[k] = normalizeNode(node[k]); });
+  if (node.op === "if") {
+    out.branches = toList(node.branches).map((b) => ({ cond: normalizeNode(b.cond), body: toList(b.body).map(normalizeNode) }));
+    out.else = toList(node.else).map(normalizeNode);
+  }
+  if (node.op === "repeat") out.body = toList(node.body).map(normalizeNode);
+  return out;
+}
+
+export function normalizeProgram(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  return { setup: toList(raw.setup).map(normalizeNode), loop: toList(raw.loop).map(normalizeNode) };
+}
+
+export function normalizeTests(raw) {
+  return toList(raw).map((test) => ({ inputs: { ...((test && test.inputs) || {}) }, expect: { ...((test && test.expect) || {}) } }));
+}
+
+/* ---------- Simulation ---------- */
+class StepLimit extends Error {}
+
+/**
+ * Run setup() once and loop() `loops` times with the sensor values in `inputs`.
+ * Returns { pins, modes, timeMs, error }: pins holds what the board drives (outputs only).
+ */
+export function runProgram(program, inputs = {}, { loops = LOOP_RUNS } = {}) {
+  const state = { pins: {}, modes: {}, timeMs: 0, steps: 0 };
+  const read = (pin) => {
+    const key = pinKey(pin);
+    if (state.modes[key] === "OUTPUT") return state.pins[key] ?? LOW;
+    const v = inputs[key];
+    return v === undefined ? LOW : Number(v);
+  };
+
+  const evaluate = (e) => {
+    if (!e) return 0;
+    switch (e.op) {
+      case "num": return Number(e.value) || 0;
+      case "level": return e.value === "HIGH" ? HIGH : LOW;
+      case "bool": return e.value ? 1 : 0;
+      case "digitalRead": return read(e.pin) ? HIGH : LOW;
+      case "analogRead": return Math.max(0, Math.min(1023, Math.round(read(e.pin))));
+      case "not": return evaluate(e.a) ? 0 : 1;
+      case "logic": return e.logic === "OR" ? (evaluate(e.a) || evaluate(e.b) ? 1 : 0) : (evaluate(e.a) && evaluate(e.b) ? 1 : 0);
+      case "compare": {
+        const a = evaluate(e.a);
+        const b = evaluate(e.b);
+        const r = { EQ: a === b, NEQ: a !== b, LT: a < b, LTE: a <= b, GT: a > b, GTE: a >= b }[e.cmp];
+        return r ? 1 : 0;
+      }
+      case "math": {
+        const a = evaluate(e.a);
+        const b = evaluate(e.b);
+        // int arithmetic, like on the board
+        if (e.fn === "DIVIDE") return b === 0 ? 0 : Math.trunc(a / b);
+        return { ADD: a + b, MINUS: a - b, MULTIPLY: a * b }[e.fn] ?? 0;
+      }
+      default: return 0;
+    }
+  };
+
+  // every statement and every loop iteration counts, so an empty repeat of 1e9 stops too
+  const step = () => { if (++state.steps > STEP_LIMIT) throw new StepLimit(); };
+
+  const exec = (stmts) => {
+    for (const s of stmts || []) {
+      if (!s) continue;
+      step();
+      switch (s.op) {
+        case "pinMode":
+          state.modes[pinKey(s.pin)] = s.mode === "OUTPUT" ? "OUTPUT" : "INPUT";
+          break;
+        case "digitalWrite": {
+          const key = pinKey(s.pin);
+          // without pinMode(pin, OUTPUT) the pin only toggles its pull-up: nothing is driven
+          if (state.modes[key] === "OUTPUT") state.pins[key] = evaluate(s.value) ? HIGH : LOW;
+          break;
+        }
+        case "analogWrite": {
+          const key = pinKey(s.pin);
+          // analogWrite sets the pin to output by itself; 0 and 255 behave like LOW and HIGH
+          state.modes[key] = "OUTPUT";
+          state.pins[key] = Math.max(0, Math.min(255, Math.round(evaluate(s.value))));
+          break;
+        }
+        case "delay":
+          state.timeMs += Math.max(0, evaluate(s.ms));
+          break;
+        case "if": {
+          const hit = toList(s.branches).find((b) => evaluate(b.cond));
+          exec(hit ? hit.body : s.else);
+          break;
+        }
+        case "repeat": {
+          const n = Math.max(0, Math.floor(evaluate(s.times)));
+          for (let i = 0; i < n; i++) {
+            step();
+            exec(s.body);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  };
+
+  try {
+    exec(program && program.setup);
+    for (let i = 0; i < loops; i++) exec(program && program.loop);
+  } catch (e) {
+    if (!(e instanceof StepLimit)) throw e;
+    return { pins: state.pins, modes: state.modes, timeMs: state.timeMs, error: t("blocks.tooLong") };
+  }
+  return { pins: state.pins, modes: state.modes, timeMs: state.timeMs, error: null };
+}
+
+// expected value 1 means "on": HIGH, or any PWM value above 0
+const matches = (actual, expected) => (Number(expected) === HIGH ? (actual ?? LOW) > 0 : (actual ?? LOW) === Number(expected));
+
+/**
+ * Grade a program against every test. `results[i].problems` explains failures in the current locale.
+ */
+export function checkProgram(program, tests) {
+  const results = normalizeTests(tests).map((test) => {
+    const run = runProgram(program, test.inputs);
+    const problems = [];
+    if (run.error) problems.push(run.error);
+    Object.entries(test.expect).forEach(([pin, want]) => {
+      const key = pinKey(pin);
+      if (run.modes[key] !== "OUTPUT" && Number(want) === HIGH) problems.push(t("blocks.notOutput", { pin: key }));
+      else if (!matches(run.pins[key], want)) problems.push(t("blocks.shouldBe", { pin: key, level: Number(want) === HIGH ? "HIGH" : "LOW" }));
+    });
+    return { test, pins: run.pins, passed: problems.length === 0, problems };
+  });
+  return { passed: results.length > 0 && results.every((r) => r.passed), results };
+}
+
+/* ---------- Arduino C ---------- */
+const CMP = { EQ: "==", NEQ: "!=", LT: "<", LTE: "<=", GT: ">", GTE: ">=" };
+const MATH = { ADD: "+", MINUS: "-", MULTIPLY: "*", DIVIDE: "/" };
+
+function exprToC(e) {
+  if (!e) return "0";
+  switch (e.op) {
+    case "num": return String(Number(e.value) || 0);
+    case "level": return e.value === "HIGH" ? "HIGH" : "LOW";
+    case "bool": return e.value ? "true" : "false";
+    case "digitalRead": return `digitalRead(${pinKey(e.pin)})`;
+    case "analogRead": return `analogRead(${pinKey(e.pin)})`;
+    case "not": return `!(${exprToC(e.a)})`;
+    case "logic": return `(${exprToC(e.a)} ${e.logic === "OR" ? "||" : "&&"} ${exprToC(e.b)})`;
+    case "compare": return `(${exprToC(e.a)} ${CMP[e.cmp] || "=="} ${exprToC(e.b)})`;
+    case "math": return `(${exprToC(e.a)} ${MATH[e.fn] || "+"} ${exprToC(e.b)})`;
+    default: return "0";
+  }
+}
+
+// `if ((x))` reads badly; an expression starting with "(" is always one group from exprToC
+const bare = (c) => (c.startsWith("(") ? c.slice(1, -1) : c);
+
+function stmtsToC(stmts, indent) {
+  const pad = "  ".repeat(indent);
+  return (stmts || []).filter(Boolean).map((s) => {
+    switch (s.op) {
+      case "pinMode": return `${pad}pinMode(${pinKey(s.pin)}, ${s.mode === "OUTPUT" ? "OUTPUT" : "INPUT"});`;
+      case "digitalWrite": return `${pad}digitalWrite(${pinKey(s.pin)}, ${exprToC(s.value)});`;
+      case "analogWrite": return `${pad}analogWrite(${pinKey(s.pin)}, ${bare(exprToC(s.value))});`;
+      case "delay": return `${pad}delay(${bare(exprToC(s.ms))});`;
+      case "repeat": return `${pad}for (int i = 0; i < ${bare(exprToC(s.times))}; i++) {\n${stmtsToC(s.body, indent + 1)}\n${pad}}`;
+      case "if": {
+        const parts = toList(s.branches).map((b, i) => `${i ? " else if" : `${pad}if`} (${bare(exprToC(b.cond))}) {\n${stmtsToC(b.body, indent + 1)}\n${pad}}`);
+        if (toList(s.else).length) parts.push(` else {\n${stmtsToC(s.else, indent + 1)}\n${pad}}`);
+        return parts.join("");
+      }
+      default: return `${pad}// ${s.op}`;
+    }
+  }).join("\n");
+}
+
+export function programToC(program) {
+  const p = normalizeProgram(program) || { setup: [], loop: [] };
+  return `void setup() {\n${stmtsToC(p.setup, 1)}\n}\n\nvoid loop() {\n${stmtsToC(p.loop, 1)}\n}\n`.replace(/\{\n\n\}/g, "{\n}");
+}
+
+// one line, for CSV cells and the reveal card
+export const programSummary = (program) => programToC(program).replace(/\s*\n\s*/g, " ").trim();
+
+/* ---------- Tests as text (editor, CSV) ---------- */
+// "A0=250 -> 13=HIGH", several values separated by commas
+const levelOrNumber = (v) => {
+  const s = String(v).trim().toUpperCase();
+  if (s === "HIGH") return HIGH;
+  if (s === "LOW") return LOW;
+  return Number(s);
+};
+const assignments = (text) => {
+  const out = {};
+  String(text || "").split(",").map((p) => p.trim()).filter(Boolean).forEach((p) => {
+    const [pin, value] = p.split("=");
+    out[pinKey(pin.trim())] = levelOrNumber(value ?? "");
+  });
+  return out;
+};
+
+export function parseTest(line) {
+  const [inputs, expect] = String(line).split("->");
+  return { inputs: assignments(inputs), expect: assignments(expect) };
+}
+
+export function formatTest(test) {
+  const side = (obj, levels) => Object.entries(obj || {}).map(([pin, v]) => `${pin}=${levels ? (Number(v) === HIGH ? "HIGH" : "LOW") : v}`).join(", ");
+  return `${side(test.inputs)} -> ${side(test.expect, true)}`;
+}
+
+// problems with the authored tests, for questionTypes.validateAnswer
+export function validateTests(tests) {
+  const list = normalizeTests(tests);
+  const errors = [];
+  if (!list.length) errors.push(t("validation.tests.none"));
+  list.forEach((test, i) => {
+    const values = [...Object.entries(test.inputs), ...Object.entries(test.expect)];
+    if (!Object.keys(test.expect).length) errors.push(t("validation.tests.noPins", { n: i + 1 }));
+    else if (values.some(([pin, v]) => !Number.isFinite(Number(v)) || (!isAnalogPin(pin) && !DIGITAL_PINS.includes(Number(pin))))) errors.push(t("validation.tests.invalid", { n: i + 1 }));
+  });
+  return errors;
+}
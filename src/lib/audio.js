@@ -0,0 +1,157 @@
+// src/lib/audio.js
+// Semua suara QuizLive: file lokal di public/sounds (dibuat oleh scripts/generate-sounds.js), jadi tetap
+// berbunyi di jaringan kelas tanpa internet. Host memilih tema musik per room (meta.theme); efek suara
+// (benar, salah, detik terakhir, selesai) sama untuk semua tema. Mute dan volume musik/efek disimpan
+// per perangkat di localStorage, sehingga tidak hilang saat state room berganti atau halaman dimuat ulang.
+
+export const SOUND_THEMES = ["ceria", "tenang", "arcade", "hening"];
+export const DEFAULT_THEME = "ceria";
+export const SFX = ["correct", "wrong", "tick", "finish"];
+export const COUNTDOWN_SECONDS = 5;
+
+const SOUND_DIR = "/sounds/";
+const STORAGE_KEY = "quizlive.audio";
+export const DEFAULT_AUDIO_SETTINGS = { muted: false, music: 0.3, sfx: 0.7 };
+
+/* ---------- Pure helpers ---------- */
+export const themeOf = (meta) => (meta && SOUND_THEMES.includes(meta.theme) ? meta.theme : DEFAULT_THEME);
+
+// "lobby" | "question" | null — the loop that belongs to a room state; a paused question keeps its loop
+export function musicFor(state) {
+  if (state === "lobby") return "lobby";
+  if (state === "question" || state === "paused") return "question";
+  return null;
+}
+
+export const musicUrl = (theme, track) => (theme === "hening" || !track ? null : `${SOUND_DIR}${theme}-${track}.wav`);
+export const sfxUrl = (name) => `${SOUND_DIR}${name}.wav`;
+
+// one tick per second over the last COUNTDOWN_SECONDS of a running question
+export const shouldTick = (state, timeLeft) => state === "question" && timeLeft > 0 && timeLeft <= COUNTDOWN_SECONDS;
+
+const volume = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : fallback);
+
+export function normalizeAudioSettings(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  return {
+    muted: Boolean(s.muted),
+    music: volume(s.music, DEFAULT_AUDIO_SETTINGS.music),
+    sfx: volume(s.sfx, DEFAULT_AUDIO_SETTINGS.sfx)
+  };
+}
+
+/* ---------- Settings on this device ---------- */
+export function loadAudioSettings() {
+  try {
+    const saved = globalThis.localStorage && globalThis.localStorage.getItem(STORAGE_KEY);
+    return normalizeAudioSettings(saved ? JSON.parse(saved) : null);
+  } catch (e) {
+    console.warn("read audio settings failed", e);
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+export function saveAudioSettings(settings) {
+  const s = normalizeAudioSettings(settings);
+  try {
+    globalThis.localStorage && globalThis.localStorage.setItem(STORAGE_KEY, JSON.stringify(s));
+  } catch (e) {
+    console.warn("save audio settings failed", e);
+  }
+  return s;
+}
+
+/* ---------- Player ---------- */
+/**
+ * Plays the room's music loop and one-shot effects with the given settings.
+ * Browsers only allow sound after a user gesture, so nothing is heard until unlock() (the app
+ * calls it on the first pointer/key press); the current loop starts right then.
+ * Without an Audio element (tests, SSR) every method is a no-op.
+ */
+export function createAudioManager(settings = DEFAULT_AUDIO_SETTINGS) {
+  const hasAudio = typeof globalThis.Audio === "function";
+  const cache = new Map();
+  let current = normalizeAudioSettings(settings);
+  let theme = DEFAULT_THEME;
+  let track = null;
+  let held = false;
+  let unlocked = false;
+  let playing = null; // the element of the loop now playing
+
+  const element = (url, loop) => {
+    if (!hasAudio || !url) return null;
+    if (!cache.has(url)) {
+      const el = new globalThis.Audio(url);
+      el.preload = "auto";
+      el.loop = loop;
+      cache.set(url, el);
+    }
+    return cache.get(url);
+  };
+
+  const preload = () => {
+    element(musicUrl(theme, "lobby"), true);
+    element(musicUrl(theme, "question"), true);
+    SFX.forEach((name) => element(sfxUrl(name), false));
+  };
+
+  const start = (el) => {
+    const p = el.play();
+    if (p && p.catch) p.catch(() => {});
+  };
+
+  // bring the loop in line with theme/track/hold/mute
+  const sync = () => {
+    const el = element(musicUrl(theme, track), true);
+    if (playing && playing !== el) {
+      playing.pause();
+      playing.currentTime = 0;
+    }
+    playing = el;
+    if (!el) return;
+    el.volume = current.muted ? 0 : current.music;
+    if (!unlocked || held || current.muted || current.music === 0) el.pause();
+    else if (el.paused) start(el);
+  };
+
+  preload();
+
+  return {
+    setSettings(next) {
+      current = normalizeAudioSettings(next);
+      sync();
+    },
+    // takes effect with the next playMusic()
+    setTheme(next) {
+      const id = SOUND_THEMES.includes(next) ? next : DEFAULT_THEME;
+      if (id === theme) return;
+      theme = id;
+      preload();
+    },
+    // track from musicFor(); `hold` pauses without rewinding (a paused question)
+    playMusic(next, hold = false) {
+      track = next || null;
+      held = Boolean(hold);
+      sync();
+    },
+    play(name) {
+      if (!unlocked || current.muted || current.sfx === 0 || !SFX.includes(name)) return;
+      const base = element(sfxUrl(name), false);
+      if (!base) return;
+      // a fresh copy so quick repeats (ticks) overlap instead of cutting each other off
+      const el = base.cloneNode();
+      el.volume = current.sfx;
+      start(el);
+    },
+    unlock() {
+      if (unlocked) return;
+      unlocked = true;
+      sync();
+    },
+    stop() {
+      if (playing) playing.pause();
+      playing = null;
+      track = null;
+    }
+  };
+}
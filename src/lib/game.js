@@ -0,0 +1,155 @@
+// src/lib/game.js
+// Alur room live tanpa React dan tanpa database: membuat room, bergabung, menjawab dan menilai satu soal.
+// Setiap fungsi menerima snapshot room dan mengembalikan data atau objek update untuk rooms/{id},
+// sama seperti roomCommands.js; App.jsx (dan test) yang menulisnya lewat transport.
+//
+//   rooms/{id}/answers/{pid} = { choice, at }   choice = index asli (lihat shuffle.js), at = serverTimestamp
+//   rooms/{id}/history/{index}/{pid}            hasil per soal untuk laporan akhir dan "kembali"
+import { splitQuiz } from "./quiz";
+import { isCorrectResponse, normalizeResponse, questionType } from "./questionTypes";
+import { extraTimeMs, isLate, questionDeadline } from "./timing";
+import { applyPoints, getScoringRule, scoreAnswer } from "./scoring";
+import { buildReveal } from "./reveal";
+import { smallestTeam, teamConsensus, teamOf, teamSettings } from "./teams";
+import { DEFAULT_MAX_PLAYERS, storedPlayerCount } from "./players";
+import { HOMEWORK_STATE } from "./homework";
+import { choiceOrder, toOriginal } from "./shuffle";
+
+export const currentQuestion = (room) => {
+  const questions = room && room.quiz && room.quiz.questions;
+  return questions ? questions[(room && room.currentIndex) || 0] || null : null;
+};
+
+/* ---------- Create ---------- */
+/**
+ * The initial rooms/{id} record and the host-only answer key (answerKeys/{id}) for `quiz`.
+ * `scoring` is the rule object copied into meta; homework rooms take `opensAt`/`closesAt` (ms or null).
+ */
+export function newRoom({ quiz, hostUid, scoring, seed, homework = false, opensAt = null, closesAt = null }) {
+  const split = splitQuiz(quiz);
+  const meta = { title: quiz.title, scoring, hostUid, locked: false, allowLateJoin: false, maxPlayers: DEFAULT_MAX_PLAYERS, shuffleChoices: true, seed };
+  const room = { meta, quiz: split.quiz, state: "lobby", currentIndex: 0, timeExtraMs: 0, players: {}, playerCount: 0, answers: {} };
+  if (homework) {
+    room.state = HOMEWORK_STATE;
+    room.meta = { ...meta, mode: HOMEWORK_STATE, opensAt, closesAt, maxPlayers: 0 };
+  }
+  return { room, key: split.key };
+}
+
+/* ---------- Join ---------- */
+// update for rooms/{id}; run checkJoin (players.js) first.
+// Joining again from the same browser keeps the existing score; a new player takes a seat in
+// playerCount in the same write, and in team mode with automatic teams fills up the smallest team.
+export function joinUpdates(room, pid, name) {
+  if (room.players && room.players[pid]) return { [`players/${pid}/name`]: name, [`players/${pid}/connected`]: true };
+  const teams = teamSettings(room.meta);
+  const team = teams.enabled && teams.assign === "auto" ? { team: smallestTeam(room.players, teams.count) } : {};
+  return { [`players/${pid}`]: { name, score: 0, connected: true, ...team }, playerCount: storedPlayerCount(room) + 1 };
+}
+
+/* ---------- Answer ---------- */
+// answers are stored as { choice, at }; a bare value is still accepted
+export const answerChoice = (raw) => (raw && typeof raw === "object" && !Array.isArray(raw) ? raw.choice : raw);
+
+/**
+ * The record player `pid` writes to answers/{pid}, or null when the question is paused,
+ * closed or past the player's deadline. `shownChoice` is a position in the player's shuffled
+ * choices and is stored by original index. `clock` = { now, timestamp } as in roomCommands.js.
+ */
+export function answerRecord(room, pid, shownChoice, clock) {
+  const q = currentQuestion(room);
+  if (!q || room.state !== "question") return null;
+  const extraMs = Number(room.timeExtraMs || 0) + extraTimeMs((room.players || {})[pid], q.time);
+  const deadline = questionDeadline(room.questionStartedAt, q.time, extraMs);
+  if (deadline !== null && clock.now > deadline) return null;
+  return { choice: toOriginal(shownChoice, choiceOrder(room, pid, room.currentIndex || 0)), at: clock.timestamp };
+}
+
+/* ---------- Reveal ---------- */
+// { pid: html } for a web question, to be graded in a sandbox (webChecks.js) before revealUpdates; null otherwise
+export function webSubmissions(room) {
+  const q = currentQuestion(room);
+  if (!q || questionType(q) !== "web") return null;
+  return Object.fromEntries(
+    Object.entries(room.answers || {})
+      .map(([pid, raw]) => [pid, normalizeResponse("web", answerChoice(raw))])
+      .filter(([, html]) => html !== null)
+  );
+}
+
+// every player's own answer: invalid and late answers count as not answered
+function ownAnswers(room, q, answer, webGrades) {
+  const type = questionType(q);
+  const players = room.players || {};
+  const answers = room.answers || {};
+  const own = {};
+  Object.keys(players).forEach((pid) => {
+    const raw = answers[pid];
+    const choice = normalizeResponse(type, answerChoice(raw));
+    const at = raw && typeof raw.at === "number" ? raw.at : undefined;
+    const answered = raw !== undefined && raw !== null && choice !== null &&
+      !isLate(at, room.questionStartedAt, q.time, Number(room.timeExtraMs || 0) + extraTimeMs(players[pid], q.time));
+    const grade = webGrades && webGrades[pid];
+    const correct = answered && (webGrades ? Boolean(grade && grade.passed) : isCorrectResponse(type, answer, choice));
+    own[pid] = { answered, choice, correct, at, grade };
+  });
+  return own;
+}
+
+/**
+ * Close the current question: score every player (so those who did not answer lose their
+ * streak too), record history/{index} and publish the reveal snapshot. `room` must carry fresh
+ * answers and players; `answer` is answerKeys/{id}/answers/{index}; `webGrades` = { pid: { passed, checks } }
+ * for web questions. Returns null when the room is not in an open question.
+ */
+export function revealUpdates(room, answer, webGrades = null) {
+  const q = currentQuestion(room);
+  if (!q || (room.state !== "question" && room.state !== "paused")) return null;
+  const idx = room.currentIndex || 0;
+  const players = room.players || {};
+  const startedAt = room.questionStartedAt;
+  const rule = getScoringRule(room.meta);
+  const own = ownAnswers(room, q, answer, webGrades);
+
+  // team consensus: the majority answer of a team counts for all of its members
+  const teams = teamSettings(room.meta);
+  const consensus = teams.enabled && teams.consensus
+    ? teamConsensus(Object.fromEntries(Object.entries(own).filter(([, o]) => o.answered)), players, teams.count)
+    : {};
+
+  const updates = {};
+  const results = {};
+  const history = {};
+  const playersAfter = {};
+  Object.keys(players).forEach((pid) => {
+    const player = players[pid] || {};
+    const team = teamOf(player, teams.count);
+    const vote = team !== null ? consensus[team] : undefined;
+    const mine = own[pid];
+    const { answered, choice, correct, at, grade } = vote ? { answered: true, choice: vote.choice, correct: vote.correct, grade: vote.grade, at: mine.answered ? mine.at : vote.at } : mine;
+    const elapsedMs = typeof at === "number" && typeof startedAt === "number" ? at - startedAt : undefined;
+    const streakBefore = Number(player.streak || 0);
+    const { points, streak } = scoreAnswer(rule, { answered, correct, elapsedMs, timeLimit: q.time, streak: streakBefore });
+    const currentScore = Number(player.score || 0);
+    const newScore = applyPoints(currentScore, points);
+    updates[`players/${pid}/score`] = newScore;
+    updates[`players/${pid}/streak`] = streak;
+    playersAfter[pid] = { ...player, score: newScore };
+    if (answered) results[pid] = { choice, correct, points: newScore - currentScore };
+    if (answered && grade) results[pid].checks = grade.checks;
+    if (vote) results[pid].team = team;
+    // kept for the end-of-session report (answers/ is cleared on every question)
+    // streakBefore lets the host step back to this question later
+    history[pid] = { name: player.name || pid, answered, correct, points: newScore - currentScore, streakBefore };
+    if (answered) history[pid].choice = choice;
+    if (answered && grade) history[pid].checks = grade.checks;
+    if (vote) history[pid].team = team;
+    if (answered && elapsedMs >= 0) history[pid].ms = elapsedMs;
+  });
+
+  updates[`history/${idx}`] = history;
+  updates.state = "reveal";
+  updates.pausedAt = null;
+  updates.reveal = buildReveal({ index: idx, q, answer, results, playersBefore: players, playersAfter });
+  return updates;
+}
@@ -0,0 +1,186 @@
+// src/lib/homework.js
+// Mode PR (tugas mandiri): tidak ada host yang memajukan soal. Room berada di state "homework"
+// selama jendela meta.opensAt..meta.closesAt (ms, boleh kosong) dan setiap peserta mengerjakan
+// soal dengan kecepatannya sendiri:
+//   players/{pid}/hw = { index, startedAt }   soal yang sedang dikerjakan dan kapan soal itu dibuka;
+//                                             index === jumlah soal berarti selesai
+//   hwAnswers/{roomId}/{pid}/{index} = { choice, at, start }
+// Jawaban ada di luar rooms/{id} karena room bisa dibaca semua peserta: selama PR terbuka murid yang
+// terlambat bisa menyalin jawaban teman. hwAnswers/{roomId} hanya bisa dibaca host, dan {pid} oleh murid itu.
+// Kunci jawaban tetap hanya milik host, jadi perangkat guru yang menilai setiap kali dasbor terbuka.
+// Selama PR masih bisa dikerjakan, nilai disimpan di node khusus host (seperti answerKeys):
+//   hwGrades/{roomId} = { scores: { pid: score }, history: { index: { pid: entry } } }
+// karena rooms/{id} bisa dibaca semua peserta dan history berisi jawaban yang benar. Setelah PR ditutup
+// (oleh guru atau lewat tenggat) nilai disalin ke players/{pid}/score dan history/, format sama dengan mode live.
+import { isCorrectResponse, normalizeResponse, questionType } from "./questionTypes";
+import { ANSWER_GRACE_MS, extraTimeMs, isLate } from "./timing";
+import { applyPoints, scoreAnswer } from "./scoring";
+
+export const HOMEWORK_STATE = "homework";
+
+export const isHomework = (room) => Boolean(room && room.meta && room.meta.mode === HOMEWORK_STATE);
+
+const questionCount = (room) => (room && room.quiz && room.quiz.questions ? room.quiz.questions.length : 0);
+const toList = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+const asNumber = (v) => (typeof v === "number" ? v : null);
+
+/* ---------- Deadline window ---------- */
+// "upcoming" before it opens, "open" while open, "closed" after the deadline or once the teacher closed it
+export function homeworkWindow(room, now) {
+  if (!room || room.state !== HOMEWORK_STATE) return "closed";
+  const meta = room.meta || {};
+  if (asNumber(meta.opensAt) !== null && now < meta.opensAt) return "upcoming";
+  if (asNumber(meta.closesAt) !== null && now > meta.closesAt) return "closed";
+  return "open";
+}
+
+// "2025-03-01T08:00" from <input type="datetime-local"> → ms, or null when empty
+export function parseLocalDateTime(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/* ---------- Student progress ---------- */
+export const progressOf = (player) => (player && player.hw && typeof player.hw.index === "number" ? player.hw : null);
+export const isDone = (room, player) => {
+  const hw = progressOf(player);
+  return Boolean(hw && hw.index >= questionCount(room));
+};
+
+export const startHomeworkUpdates = (pid, timestamp) => ({ [`players/${pid}/hw`]: { index: 0, startedAt: timestamp } });
+
+/**
+ * Updates for a student moving past question `index`: with an answer when `choice` is given,
+ * without one when the question timed out. Returns null when `index` is not the current question.
+ * The answer lives outside the room, so these updates are relative to the database root.
+ */
+export function advanceUpdates(room, roomId, pid, index, choice, timestamp) {
+  const hw = progressOf(room && room.players && room.players[pid]);
+  if (!hw || hw.index !== index || index >= questionCount(room)) return null;
+  const updates = { [`rooms/${roomId}/players/${pid}/hw`]: { index: index + 1, startedAt: timestamp } };
+  if (choice !== undefined && choice !== null) updates[`hwAnswers/${roomId}/${pid}/${index}`] = { choice, at: timestamp, start: hw.startedAt };
+  return updates;
+}
+
+// seconds left on the student's current question, extra time included; the room deadline cuts it short
+export function homeworkTimeLeft(room, player, now) {
+  const hw = progressOf(player);
+  const q = hw && room.quiz.questions[hw.index];
+  if (!q) return 0;
+  const closesAt = asNumber(room.meta && room.meta.closesAt);
+  const limitMs = Number(q.time || 0) * 1000 + extraTimeMs(player, q.time);
+  const end = Math.min(typeof hw.startedAt === "number" ? hw.startedAt + limitMs : Infinity, closesAt ?? Infinity);
+  if (end === Infinity) return Math.ceil(limitMs / 1000);
+  return Math.max(0, Math.ceil((end - now) / 1000));
+}
+
+/* ---------- Grading (teacher's device) ---------- */
+/**
+ * Score one student's homework from scratch, question by question so streaks work as in live mode.
+ * `hwAnswers` is hwAnswers/{roomId}; `webGrades` is { index: { passed, checks } } for web questions,
+ * graded beforehand in the browser.
+ * Returns { score, history: { index: entry } } for every question the student has moved past.
+ */
+export function gradeStudent(room, hwAnswers, key, rule, pid, webGrades = {}) {
+  const player = (room.players || {})[pid] || {};
+  const hw = progressOf(player);
+  const answers = ((hwAnswers || {})[pid]) || {};
+  const keys = toList(key && key.answers);
+  const history = {};
+  let score = 0;
+  let streak = 0;
+  const passed = hw ? Math.min(hw.index, questionCount(room)) : 0;
+  for (let index = 0; index < passed; index++) {
+    const q = room.quiz.questions[index];
+    const type = questionType(q);
+    const raw = answers[index];
+    const choice = raw ? normalizeResponse(type, raw.choice) : null;
+    const answered = choice !== null && !isLate(raw.at, raw.start, q.time, extraTimeMs(player, q.time));
+    const grade = webGrades[index];
+    const correct = answered && (type === "web" ? Boolean(grade && grade.passed) : isCorrectResponse(type, keys[index] ?? null, choice));
+    const elapsedMs = answered && typeof raw.at === "number" && typeof raw.start === "number" ? raw.at - raw.start : undefined;
+    const result = scoreAnswer(rule, { answered, correct, elapsedMs, timeLimit: q.time, streak });
+    const before = score;
+    score = applyPoints(score, result.points);
+    streak = result.streak;
+    const entry = { name: player.name || pid, answered, correct, points: score - before };
+    if (answered) entry.choice = choice;
+    if (answered && grade) entry.checks = grade.checks;
+    if (elapsedMs >= 0) entry.ms = elapsedMs;
+    history[index] = entry;
+  }
+  return { score, history };
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Updates for hwGrades/{roomId} that bring every student's score and history up to date.
+ * Only paths whose value changed are included, so up-to-date grades yield {}.
+ */
+export function gradeHomeworkUpdates(room, hwAnswers, grades, key, rule, webGrades = {}) {
+  const updates = {};
+  const scores = (grades && grades.scores) || {};
+  const stored = (grades && grades.history) || {};
+  Object.keys(room.players || {}).forEach((pid) => {
+    const { score, history } = gradeStudent(room, hwAnswers, key, rule, pid, webGrades[pid]);
+    if (!same(scores[pid], score)) updates[`scores/${pid}`] = score;
+    Object.entries(history).forEach(([index, entry]) => {
+      if (!same((stored[index] || {})[pid], entry)) updates[`history/${index}/${pid}`] = entry;
+    });
+  });
+  return updates;
+}
+
+// no answer can arrive any more: the teacher closed the room, or the deadline (and its grace period) passed
+export function gradesPublic(room, now) {
+  if (!room || room.state === "finished") return true;
+  const closesAt = asNumber(room.meta && room.meta.closesAt);
+  return closesAt !== null && now > closesAt + ANSWER_GRACE_MS;
+}
+
+// room updates copying the host-only grades to players/{pid}/score and history/ once they may be seen
+export function publishGradesUpdates(room, grades) {
+  const updates = {};
+  Object.entries((grades && grades.scores) || {}).forEach(([pid, score]) => {
+    if ((room.players || {})[pid] && !same(room.players[pid].score, score)) updates[`players/${pid}/score`] = score;
+  });
+  Object.entries((grades && grades.history) || {}).forEach(([index, entries]) => {
+    Object.entries(entries || {}).forEach(([pid, entry]) => {
+      if (!same(((room.history || {})[index] || {})[pid], entry)) updates[`history/${index}/${pid}`] = entry;
+    });
+  });
+  return updates;
+}
+
+// web answers that still need a rendered-page grade: [{ pid, index, html }]
+export function ungradedWebAnswers(room, hwAnswers, graded = {}) {
+  const out = [];
+  Object.entries(hwAnswers || {}).forEach(([pid, answers]) => {
+    Object.entries(answers || {}).forEach(([index, raw]) => {
+      const q = room.quiz.questions[index];
+      if (!q || questionType(q) !== "web" || (graded[pid] && graded[pid][index])) return;
+      out.push({ pid, index: Number(index), html: String(raw.choice ?? "") });
+    });
+  });
+  return out;
+}
+
+/* ---------- Teacher dashboard ---------- */
+// one row per student: { pid, name, connected, status: "notStarted" | "working" | "done", done, total, score }
+// `grades` (hwGrades/{roomId}) has the scores while they are still hidden from the room
+export function homeworkProgress(room, grades = null) {
+  const scores = (grades && grades.scores) || {};
+  const total = questionCount(room);
+  return Object.entries(room.players || {})
+    .map(([pid, p]) => {
+      const hw = progressOf(p);
+      const done = hw ? Math.min(hw.index, total) : 0;
+      const status = !hw ? "notStarted" : done >= total ? "done" : "working";
+      return { pid, name: p.name, connected: !!p.connected, status, done, total, score: Number(scores[pid] ?? p.score ?? 0), lastAt: hw ? hw.startedAt : null };
+    })
+    .sort((a, b) => b.done - a.done || b.score - a.score || String(a.name).localeCompare(String(b.name)));
+}
+
+export const closeHomeworkUpdates = (room) => (room && room.state === HOMEWORK_STATE ? { state: "finished" } : null);
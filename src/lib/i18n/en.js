@@ -0,0 +1,503 @@
+// src/lib/i18n/en.js
+// English. Plural messages use { one, other }; missing keys fall back to id.js.
+export default {
+  common: {
+    online: "online",
+    offline: "offline",
+    score: "Score",
+    questionOf: "Question {n} of {total}",
+    remove: "Remove",
+    questionCount: { one: "{count} question", other: "{count} questions" },
+    cancel: "Cancel"
+  },
+  homework: {
+    title: "Homework",
+    window: {
+      upcoming: "Not open yet",
+      open: "Open",
+      closed: "Past the deadline"
+    },
+    closed: "Closed",
+    schedule: "Opens {opens} · due {closes}",
+    closeHint: "Students can no longer work on it and the final summary is shown",
+    close: "Close homework",
+    status: {
+      notStarted: "Not started",
+      working: "Working",
+      done: "Done"
+    },
+    grading: "Grading answers…",
+    noPlayers: "No students yet. Share the room code or join link.",
+    doneOf: "{done} of {total} questions",
+    header: { one: "Homework · {count} question", other: "Homework · {count} questions" },
+    deadline: "Due: {at}",
+    done: "Finished!",
+    scoreNote: "Your score is shown once the homework closes.",
+    opensAt: "The homework opens on {at}.",
+    closedWithProgress: "The homework is closed — you answered {done} of {total} questions.",
+    closedForYou: "The homework is closed.",
+    intro: "Each question has its own time limit and cannot be revisited once you move on.",
+    start: "Start"
+  },
+  network: {
+    label: "Network: {mode}",
+    offline: " — not connected",
+    useFirebase: "Use Firebase",
+    localHint: "All tabs on this device, no internet needed",
+    localOnly: "This device only",
+    relay: "Classroom server",
+    relayHelp: "Classroom server: run {command} on the teacher's computer, then share the join link as usual.",
+    firebase: "Firebase (internet)",
+    local: "This device (no internet)",
+    relayMode: "Classroom server (local network)",
+    relayUnreachable: "Cannot reach the classroom server at {url}",
+    relayDisconnected: "Lost the connection to the classroom server",
+    relayForbidden: "Not allowed",
+    relayFailed: "The classroom server refused the request"
+  },
+  duplicates: {
+    title: "Duplicate players",
+    help: "Merge old entries into the one that is online, or remove them.",
+    points: { one: "{count} point", other: "{count} points" },
+    merge: "Merge"
+  },
+  qr: {
+    zoom: "Enlarge for the projector",
+    alt: "QR code: {url}",
+    dialog: "Room join QR code"
+  },
+  a11y: {
+    timeLimit: { one: "{count} second", other: "{count} seconds" },
+    secondsLeft: { one: "{count} second left", other: "{count} seconds left" },
+    keyHint: "Press {keys} to answer",
+    yourAnswer: "Your answer",
+    extraTime: "+{pct}% time",
+    noExtraTime: "Normal time",
+    extraTimeFor: "Extra time for {name}",
+    extraTimeHint: "Extra time on every question for students who need accommodations"
+  },
+  audio: {
+    mute: "Mute",
+    unmute: "Unmute",
+    volume: "Volume",
+    music: "Music",
+    sfx: "Sound effects",
+    theme: {
+      ceria: "Cheerful",
+      tenang: "Calm",
+      arcade: "Arcade",
+      hening: "No music"
+    }
+  },
+  settings: {
+    lock: "Lock room",
+    lateJoin: "Allow joining after the quiz starts",
+    shuffleChoices: "Shuffle choices per player",
+    shuffleChoicesHint: "Every player sees the choices in a different order, so answer letters cannot be copied. The projector keeps the original order.",
+    maxPlayers: "Max players",
+    noLimit: "0 = no limit",
+    joined: "({count} joined)",
+    teamMode: "Team mode",
+    teamCount: "Number of teams",
+    consensusHint: "The team's most common answer is scored for every member",
+    consensus: "Team answer (majority vote)",
+    shuffleTeams: "Shuffle Teams",
+    theme: "Music theme"
+  },
+  host: {
+    state: {
+      lobby: "Lobby",
+      question: "Question running",
+      paused: "Paused",
+      reveal: "Question results",
+      finished: "Finished",
+      homework: "Homework"
+    },
+    answered: "{count} of {total} players answered",
+    start: "Start Quiz",
+    reveal: "Show Answer",
+    pause: "⏸ Pause",
+    resume: "▶ Resume",
+    extend: "+10 s",
+    skipHint: "Close this question without scoring",
+    skip: "Skip",
+    finish: "Finish",
+    next: "Next Question",
+    lockHint: "New players cannot join while the room is locked",
+    locked: "🔒 Locked",
+    unlocked: "🔓 Open",
+    back: "◀ Previous Question",
+    presenter: "Presenter Screen",
+    players: "Players ({count})",
+    hasAnswered: "Answered",
+    kick: "Remove player"
+  },
+  presenter: {
+    connecting: "Connecting to room {room}...",
+    code: "Code",
+    progress: " · Question {n}/{total}",
+    scan: "Scan the QR code or open",
+    roomCode: "Room code",
+    joined: { one: "{count} player joined", other: "{count} players joined" },
+    paused: "⏸ Paused",
+    answered: "{count}/{total} answered",
+    answerOnDevice: "Answer on your device",
+    teamWinners: "Winning Teams",
+    winners: "Winners"
+  },
+  question: {
+    pausedByHost: "⏸ Paused by the host",
+    locked: "Answer locked: {answer}",
+    pickAll: "Select every correct answer",
+    submit: "Submit",
+    numberPlaceholder: "Answer (number)",
+    textPlaceholder: "Answer",
+    orderHint: "Arrange from top to bottom"
+  },
+  reveal: {
+    correctAnswer: "Correct answer",
+    correct: "Correct",
+    wrong: "Wrong",
+    noAnswer: "You did not answer",
+    youCorrect: "Correct! +{points}",
+    youWrong: "Wrong — your answer: {answer}",
+    youWrongPoints: "Wrong ({points}) — your answer: {answer}",
+    teamVote: "Scored from the majority answer of {team}",
+    received: { one: "{count} answer received", other: "{count} answers received" },
+    correctPlayers: "Answered correctly ({count})",
+    noneCorrect: "Nobody got it right yet",
+    rankChanges: "Rank changes"
+  },
+  blocks: {
+    loadFailed: "The block editor failed to load",
+    trySensors: "Try with sensors",
+    noSensors: "The program does not read any sensor yet.",
+    pin: "pin {pin}",
+    notOutputShort: " (not OUTPUT)",
+    code: "Arduino code",
+    sent: "Program submitted",
+    send: "Submit Program",
+    setupTip: "Runs once when the board powers up",
+    loopTip: "Repeats forever",
+    digitalWrite: "digitalWrite pin %1 to %2",
+    analogWrite: "analogWrite pin %1 value %2",
+    analogWriteTip: "0 to 255 (PWM)",
+    analogReadTip: "0 to 1023",
+    logic: "Logic",
+    numbers: "Numbers",
+    tooLong: "program runs too long (endless loop?)",
+    notOutput: "pin {pin} is not set to OUTPUT",
+    shouldBe: "pin {pin} should be {level}"
+  },
+  web: {
+    preview: "Preview",
+    sent: "Page submitted",
+    send: "Submit Page"
+  },
+  auth: {
+    errors: {
+      invalidEmail: "Invalid email address",
+      wrongCredentials: "Wrong email or password",
+      emailInUse: "This email is already registered, please sign in",
+      weakPassword: "The password needs at least 6 characters",
+      tooManyRequests: "Too many attempts, try again later",
+      notEnabled: "Email/password sign-in is not enabled in Firebase"
+    },
+    signedInAs: "Signed in as teacher:",
+    signOut: "Sign Out",
+    prompt: "Teacher? Sign in to create rooms and manage quizzes.",
+    open: "Teacher Sign In",
+    email: "Teacher email",
+    password: "Password",
+    register: "Register",
+    signIn: "Sign In",
+    haveAccount: "I already have an account",
+    createAccount: "Create a teacher account",
+    localNote: "Local mode: no password, anyone on this network can be the teacher.",
+    pending: "{email} is waiting for approval: ask the school's Firebase admin to set teachers/{uid}/approved to true, then sign in again."
+  },
+  results: {
+    file: {
+      csv: "results",
+      report: "report"
+    },
+    downloadCsv: "Download CSV",
+    printReport: "Print Student Reports",
+    loadingKey: "Loading the answer key...",
+    difficulty: "Difficulty per question",
+    table: {
+      question: "Question",
+      correct: "Correct",
+      answered: "Answered",
+      avgTime: "Average time",
+      level: "Level"
+    },
+    seconds: "{seconds} s",
+    skipped: "Skipped",
+    log: "Session log ({count})",
+    logEntry: "{label} · question {n}",
+    levels: {
+      easy: "Easy",
+      medium: "Medium",
+      hard: "Hard"
+    },
+    csv: {
+      number: "no",
+      question: "question",
+      player: "player",
+      answer: "answer",
+      key: "key",
+      correct: "correct",
+      seconds: "seconds",
+      points: "points",
+      yes: "yes",
+      no: "no",
+      unanswered: "unanswered"
+    },
+    report: {
+      key: "key: {answer}",
+      checks: "checks: {checks}",
+      answer: "answer: {answer}",
+      score: "Score",
+      rank: "Rank {rank}",
+      correctOf: "{correct} of {total} correct",
+      correct: "Correct",
+      wrong: "Wrong",
+      unanswered: "Not answered",
+      title: "Report — {title}"
+    }
+  },
+  bank: {
+    fromBank: "Random from question bank…",
+    title: "Question bank",
+    titleTags: "Question bank: {tags}",
+    tagsHelp: "Draw random questions from every quiz. Pick tags (none = all tags):",
+    noTags: "No tagged questions yet. Add tags in the quiz editor.",
+    anyDifficulty: "Any difficulty",
+    count: "Questions",
+    matching: { one: "{count} matching question", other: "{count} matching questions" },
+    empty: "No questions match the chosen tags and difficulty.",
+    difficulty: {
+      easy: "Easy",
+      medium: "Medium",
+      hard: "Hard"
+    }
+  },
+  editor: {
+    snippets: {
+      image: "Image",
+      code: "Code",
+      formula: "Formula",
+      bold: "Bold"
+    },
+    edit: "Edit Quiz",
+    new: "New Quiz",
+    saving: "Saving...",
+    save: "Save Quiz",
+    title: "Quiz title",
+    lang: "Quiz language",
+    titleIn: "Title ({lang})",
+    question: "Question {n}",
+    duplicate: "Duplicate",
+    text: "Question text (supports Markdown, ```code```, $formulas$ and ![image](url))",
+    addChoice: "+ Choice",
+    time: "Time (seconds)",
+    difficulty: "Difficulty",
+    tags: "Tags",
+    tagsPlaceholder: "e.g. sensor, I2C, PWM",
+    addQuestion: "+ Add Question",
+    answer: "Answer",
+    tolerance: "Tolerance ±",
+    accepted: "Accepted answers (one per line, case-insensitive)",
+    orderHint: "Write the items in the correct order; players see them shuffled.",
+    markCorrect: "Mark as the correct answer",
+    choice: "Choice {letter}",
+    translation: "{lang} translation",
+    blockTests: "Program tests (one per line: sensor values -> expected pins after loop() runs)",
+    blockTestsHelp: "Analog sensors A0–A5 take 0–1023, digital pins 0–13 are HIGH or LOW.",
+    starter: "Starter code for players",
+    checks: "DOM checks (one per line, all must pass)",
+    checksHelp: "Kinds: exists (or ada), text (teks: contains the text, case-insensitive), count (jumlah: exact count), style (gaya: computed CSS value). Selectors are plain CSS.",
+    checksPlaceholder: "exists h1\ntext h1 = Hello\ncount li = 3\nstyle h1 color = red"
+  },
+  app: {
+    notReady: "Not connected yet",
+    saveQuizFailed: "Could not save the quiz",
+    confirmDeleteQuiz: "Delete this quiz?",
+    importLine: "Line {line}: {message}",
+    importNothing: "There are no questions to import.",
+    importRejected: { one: "{count} question rejected:", other: "{count} questions rejected:" },
+    importFailed: "Could not read the quiz file",
+    exportFailed: "Export failed: {error}",
+    teacherOnly: "Sign in as a teacher to create a room",
+    deadlineOrder: "The deadline must be after the opening time",
+    confirmDeleteRoom: "Delete room {room} and its results?",
+    deleteRoomFailed: "Could not delete the room",
+    enterCode: "Enter a room code",
+    joinFailed: "Could not join - check the room code",
+    linkCopied: "Join link copied",
+    copyPrompt: "Copy this link:",
+    mergeFailed: "Could not merge the players",
+    confirmKick: "Remove {name} from the room? They will not be able to join again.",
+    pickTeamFailed: "Could not pick the team",
+    confirmBack: "Go back to the previous question? Its points (and this question's, if already scored) are cancelled and the question is asked again.",
+    removed: "The host removed you from the room.",
+    startHomeworkFailed: "Could not start the homework",
+    confirmCloseHomework: "Close the homework now? Students will no longer be able to work on it.",
+    joinFirst: "Please join a room first.",
+    tagline: "Real-time classroom quizzes",
+    language: "Language",
+    dark: "Dark",
+    light: "Light",
+    stats: {
+      players: "Players",
+      questions: "Questions",
+      average: "Average Score"
+    },
+    yourTeam: "You are in",
+    pickTeam: "Pick your team",
+    hostAssigns: "The host will assign teams.",
+    joinRoom: "Join room",
+    yourName: "Your name",
+    join: "Join",
+    otherCode: "Enter another code",
+    welcome: "Create or join a live room",
+    welcomeHelp: "Create a room and share its code. Players join from their own devices.",
+    scoringRule: "Scoring rule",
+    edit: "Edit",
+    import: "Import",
+    export: "Export...",
+    roomMode: "Room type",
+    mode: {
+      live: "Live (teacher-paced)",
+      homework: "Homework (self-paced, with a deadline)"
+    },
+    opens: "Opens",
+    closes: "Due",
+    createRoom: "Create Room",
+    appLinkCopied: "App link copied",
+    shareApp: "Share App Link",
+    myRooms: "My rooms",
+    homeworkTag: " · Homework",
+    open: "Open",
+    roomCode: "Room Code",
+    room: "Room",
+    leave: "Leave",
+    joinLink: "Join link",
+    copyJoinLink: "Copy Join Link",
+    lobby: "Waiting in the lobby",
+    lobbyHelp: "Share the room code with your players",
+    finished: "Quiz Finished",
+    quiz: "Quiz",
+    teamScoreboard: "Team Scoreboard",
+    scoreboard: "Scoreboard",
+    connecting: "Connecting to the room...",
+    roomMissing: "Room {room} was not found or has been deleted.",
+    back: "Back",
+    footer: "Made for the classroom"
+  },
+  formats: {
+    badJson: "Invalid JSON: {error}",
+    notObject: "a question must be an object",
+    csvHeader: "the header row must have the columns text, answer and choice_1, choice_2, ...",
+    unknownType: "unknown question type: {type}",
+    giftNumeric: "unsupported GIFT numeric answer (use {#value:tolerance})",
+    giftAnswer: "unrecognised GIFT answer block",
+    giftSingle: "a multiple-choice question needs exactly one correct answer (=)",
+    giftName: "the GIFT question name (::name::) is not closed",
+    giftBlock: "answer block { ... } not found",
+    giftUnsupported: "{type} questions cannot be exported to GIFT",
+    aikenOrder: "choice {letter} is out of order",
+    aikenLine: "unrecognised line: \"{line}\"",
+    aikenAnswer: "ANSWER: line not found",
+    aikenSingle: "Aiken only supports multiple choice (question {n} is {type})",
+    unknownFormat: "unknown format: {format}",
+    badTranslations: "the translations line is not valid JSON"
+  },
+  join: {
+    nameEmpty: "The name cannot be empty",
+    nameLong: "The name can be at most {max} characters",
+    nameBlocked: "That name is not allowed, please use another one",
+    notFound: "Room not found. Check the code again.",
+    kicked: "You have been removed from this room.",
+    nameTaken: "That name is already taken",
+    locked: "The host has locked the room.",
+    started: "The quiz has started and this room does not accept late players.",
+    full: "The room is full (at most {max} players)."
+  },
+  questionTypes: {
+    single: "Multiple choice",
+    truefalse: "True / False",
+    multi: "Several correct answers",
+    numeric: "Number (tolerance)",
+    text: "Short answer",
+    order: "Ordering",
+    blocks: "Arduino program (blocks)",
+    web: "HTML/CSS (live)",
+    true: "True",
+    false: "False"
+  },
+  validation: {
+    invalidQuestion: "invalid question data",
+    emptyText: "the question text is empty",
+    time: "the time must be more than 0 seconds",
+    emptyTitle: "the quiz title is empty",
+    noQuestions: "the quiz has no questions yet",
+    minChoices: "at least two answer choices",
+    emptyChoice: "an answer choice is empty",
+    trueFalse: "pick true or false as the answer",
+    markOne: "mark at least one correct answer",
+    answerRange: "the correct answer index is out of range",
+    numericValue: "the numeric answer is not a valid number",
+    tolerance: "the tolerance must be 0 or more",
+    acceptedAnswer: "enter at least one accepted answer",
+    checks: {
+      none: "add at least one check",
+      kind: "check {n}: the kind must be exists, text, count or style",
+      selector: "check {n}: the selector is empty",
+      count: "check {n}: the count must be a whole number",
+      style: "check {n}: write the property and its value, e.g. \"style h1 color = red\"",
+      text: "check {n}: the text to look for is empty"
+    },
+    tests: {
+      none: "add at least one test",
+      noPins: "test {n}: no pins are checked yet",
+      invalid: "test {n}: invalid pin or value"
+    }
+  },
+  commands: {
+    start: "Start quiz",
+    pause: "Pause",
+    resume: "Resume",
+    extend: "Add time",
+    skip: "Skip question",
+    back: "Back to the previous question",
+    reveal: "Show answer",
+    next: "Next question",
+    close: "Close homework"
+  },
+  scoring: {
+    classic: "Classic (+100 per correct answer)",
+    speed: "Speed + streak + penalty",
+    "no-penalty": "Speed + streak, no penalty"
+  },
+  teams: {
+    name: "Team {name}",
+    colours: {
+      red: "Red",
+      blue: "Blue",
+      yellow: "Yellow",
+      green: "Green",
+      purple: "Purple",
+      pink: "Pink"
+    },
+    assign: {
+      auto: "Assigned automatically",
+      choose: "Players pick their own"
+    },
+    score: {
+      sum: "Sum of member scores",
+      average: "Average member score"
+    }
+  }
+};
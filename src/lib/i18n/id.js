@@ -0,0 +1,503 @@
+// src/lib/i18n/id.js
+// Bahasa Indonesia: bahasa asli aplikasi dan cadangan untuk kunci yang belum diterjemahkan.
+export default {
+  common: {
+    online: "online",
+    offline: "offline",
+    score: "Skor",
+    questionOf: "Soal {n} dari {total}",
+    remove: "Hapus",
+    questionCount: "{count} soal",
+    cancel: "Batal"
+  },
+  homework: {
+    title: "Tugas mandiri (PR)",
+    window: {
+      upcoming: "Belum dibuka",
+      open: "Sedang dibuka",
+      closed: "Batas waktu lewat"
+    },
+    closed: "Ditutup",
+    schedule: "Dibuka {opens} · batas {closes}",
+    closeHint: "Peserta tidak bisa mengerjakan lagi dan rekap akhir ditampilkan",
+    close: "Tutup PR",
+    status: {
+      notStarted: "Belum mulai",
+      working: "Mengerjakan",
+      done: "Selesai"
+    },
+    grading: "Menilai jawaban…",
+    noPlayers: "Belum ada peserta. Bagikan kode room atau link gabung.",
+    doneOf: "{done} dari {total} soal",
+    header: "Tugas mandiri · {count} soal",
+    deadline: "Batas: {at}",
+    done: "Selesai!",
+    scoreNote: "Skor ditampilkan setelah PR ditutup.",
+    opensAt: "Tugas dibuka pada {at}.",
+    closedWithProgress: "Tugas sudah ditutup — kamu mengerjakan {done} dari {total} soal.",
+    closedForYou: "Tugas sudah ditutup.",
+    intro: "Setiap soal punya batas waktu sendiri dan tidak bisa diulang setelah dilewati.",
+    start: "Mulai Mengerjakan"
+  },
+  network: {
+    label: "Jaringan: {mode}",
+    offline: " — tidak terhubung",
+    useFirebase: "Pakai Firebase",
+    localHint: "Semua tab di perangkat ini, tanpa internet",
+    localOnly: "Hanya perangkat ini",
+    relay: "Server kelas",
+    relayHelp: "Server kelas: jalankan {command} di komputer guru, lalu bagikan link gabung seperti biasa.",
+    firebase: "Firebase (internet)",
+    local: "Perangkat ini (tanpa internet)",
+    relayMode: "Server kelas (jaringan lokal)",
+    relayUnreachable: "Server kelas di {url} tidak bisa dihubungi",
+    relayDisconnected: "Koneksi ke server kelas terputus",
+    relayForbidden: "Tidak diizinkan",
+    relayFailed: "Server kelas menolak permintaan"
+  },
+  duplicates: {
+    title: "Peserta ganda",
+    help: "Gabungkan entri lama ke entri yang sedang online, atau hapus.",
+    points: "{count} poin",
+    merge: "Gabungkan"
+  },
+  qr: {
+    zoom: "Perbesar untuk proyektor",
+    alt: "QR code: {url}",
+    dialog: "QR code gabung room"
+  },
+  a11y: {
+    timeLimit: "Waktu {count} detik",
+    secondsLeft: "Sisa {count} detik",
+    keyHint: "Tekan {keys} untuk menjawab",
+    yourAnswer: "Jawabanmu",
+    extraTime: "+{pct}% waktu",
+    noExtraTime: "Waktu normal",
+    extraTimeFor: "Tambahan waktu untuk {name}",
+    extraTimeHint: "Tambahan waktu di setiap soal untuk peserta yang membutuhkan akomodasi"
+  },
+  audio: {
+    mute: "Matikan suara",
+    unmute: "Nyalakan suara",
+    volume: "Volume",
+    music: "Musik",
+    sfx: "Efek suara",
+    theme: {
+      ceria: "Ceria",
+      tenang: "Tenang",
+      arcade: "Arcade",
+      hening: "Tanpa musik"
+    }
+  },
+  settings: {
+    lock: "Kunci room",
+    lateJoin: "Boleh gabung setelah kuis dimulai",
+    shuffleChoices: "Acak urutan pilihan per peserta",
+    shuffleChoicesHint: "Setiap peserta melihat pilihan dalam urutan berbeda, jadi huruf jawaban tidak bisa disalin. Proyektor tetap memakai urutan asli.",
+    maxPlayers: "Maks peserta",
+    noLimit: "0 = tanpa batas",
+    joined: "({count} bergabung)",
+    teamMode: "Mode tim",
+    teamCount: "Jumlah tim",
+    consensusHint: "Jawaban terbanyak dalam tim dinilai untuk semua anggotanya",
+    consensus: "Jawaban tim (suara terbanyak)",
+    shuffleTeams: "Acak Tim",
+    theme: "Tema musik"
+  },
+  host: {
+    state: {
+      lobby: "Lobi",
+      question: "Soal berjalan",
+      paused: "Dijeda",
+      reveal: "Hasil soal",
+      finished: "Selesai",
+      homework: "Tugas mandiri"
+    },
+    answered: "{count} dari {total} peserta menjawab",
+    start: "Mulai Kuis",
+    reveal: "Tampilkan Jawaban",
+    pause: "⏸ Jeda",
+    resume: "▶ Lanjutkan",
+    extend: "+10 dtk",
+    skipHint: "Tutup soal ini tanpa penilaian",
+    skip: "Lewati",
+    finish: "Selesai",
+    next: "Soal Berikutnya",
+    lockHint: "Peserta baru tidak bisa bergabung saat room dikunci",
+    locked: "🔒 Terkunci",
+    unlocked: "🔓 Terbuka",
+    back: "◀ Soal Sebelumnya",
+    presenter: "Layar Presentasi",
+    players: "Peserta ({count})",
+    hasAnswered: "Sudah menjawab",
+    kick: "Keluarkan peserta"
+  },
+  presenter: {
+    connecting: "Menghubungkan ke room {room}...",
+    code: "Kode",
+    progress: " · Soal {n}/{total}",
+    scan: "Pindai QR atau buka",
+    roomCode: "Kode room",
+    joined: "{count} peserta bergabung",
+    paused: "⏸ Dijeda",
+    answered: "{count}/{total} menjawab",
+    answerOnDevice: "Jawab di perangkatmu",
+    teamWinners: "Juara Tim",
+    winners: "Juara"
+  },
+  question: {
+    pausedByHost: "⏸ Dijeda oleh host",
+    locked: "Jawaban terkunci: {answer}",
+    pickAll: "Pilih semua jawaban yang benar",
+    submit: "Kirim",
+    numberPlaceholder: "Jawaban (angka)",
+    textPlaceholder: "Jawaban",
+    orderHint: "Susun dari atas ke bawah"
+  },
+  reveal: {
+    correctAnswer: "Jawaban benar",
+    correct: "Benar",
+    wrong: "Salah",
+    noAnswer: "Kamu tidak menjawab",
+    youCorrect: "Benar! +{points}",
+    youWrong: "Salah — jawabanmu: {answer}",
+    youWrongPoints: "Salah ({points}) — jawabanmu: {answer}",
+    teamVote: "Dinilai dari jawaban terbanyak {team}",
+    received: "{count} jawaban masuk",
+    correctPlayers: "Menjawab benar ({count})",
+    noneCorrect: "Belum ada yang benar",
+    rankChanges: "Perubahan peringkat"
+  },
+  blocks: {
+    loadFailed: "Editor blok gagal dimuat",
+    trySensors: "Coba dengan sensor",
+    noSensors: "Program belum membaca sensor.",
+    pin: "pin {pin}",
+    notOutputShort: " (bukan OUTPUT)",
+    code: "Kode Arduino",
+    sent: "Program terkirim",
+    send: "Kirim Program",
+    setupTip: "Dijalankan sekali saat papan menyala",
+    loopTip: "Diulang terus-menerus",
+    digitalWrite: "digitalWrite pin %1 ke %2",
+    analogWrite: "analogWrite pin %1 nilai %2",
+    analogWriteTip: "0 sampai 255 (PWM)",
+    analogReadTip: "0 sampai 1023",
+    logic: "Logika",
+    numbers: "Angka",
+    tooLong: "program terlalu panjang (perulangan tak berujung?)",
+    notOutput: "pin {pin} belum diatur OUTPUT",
+    shouldBe: "pin {pin} seharusnya {level}"
+  },
+  web: {
+    preview: "Pratinjau",
+    sent: "Halaman terkirim",
+    send: "Kirim Halaman"
+  },
+  auth: {
+    errors: {
+      invalidEmail: "Format email tidak valid",
+      wrongCredentials: "Email atau kata sandi salah",
+      emailInUse: "Email sudah terdaftar, silakan masuk",
+      weakPassword: "Kata sandi minimal 6 karakter",
+      tooManyRequests: "Terlalu banyak percobaan, coba lagi nanti",
+      notEnabled: "Login email/kata sandi belum diaktifkan di Firebase"
+    },
+    signedInAs: "Masuk sebagai guru:",
+    signOut: "Keluar Akun",
+    prompt: "Guru? Masuk untuk membuat room dan mengelola kuis.",
+    open: "Masuk Guru",
+    email: "Email guru",
+    password: "Kata sandi",
+    register: "Daftar",
+    signIn: "Masuk",
+    haveAccount: "Sudah punya akun",
+    createAccount: "Daftar akun guru",
+    localNote: "Mode lokal: tanpa kata sandi, siapa pun di jaringan ini bisa menjadi guru.",
+    pending: "{email} menunggu persetujuan: minta admin Firebase sekolah mengisi teachers/{uid}/approved = true, lalu masuk lagi."
+  },
+  results: {
+    file: {
+      csv: "hasil",
+      report: "laporan"
+    },
+    downloadCsv: "Unduh CSV",
+    printReport: "Cetak Laporan Siswa",
+    loadingKey: "Memuat kunci jawaban...",
+    difficulty: "Tingkat kesulitan per soal",
+    table: {
+      question: "Soal",
+      correct: "Benar",
+      answered: "Menjawab",
+      avgTime: "Rata-rata waktu",
+      level: "Tingkat"
+    },
+    seconds: "{seconds} dtk",
+    skipped: "Dilewati",
+    log: "Log sesi ({count})",
+    logEntry: "{label} · soal {n}",
+    levels: {
+      easy: "Mudah",
+      medium: "Sedang",
+      hard: "Sulit"
+    },
+    csv: {
+      number: "no",
+      question: "soal",
+      player: "pemain",
+      answer: "jawaban",
+      key: "kunci",
+      correct: "benar",
+      seconds: "waktu_detik",
+      points: "poin",
+      yes: "ya",
+      no: "tidak",
+      unanswered: "tidak menjawab"
+    },
+    report: {
+      key: "kunci: {answer}",
+      checks: "pemeriksaan: {checks}",
+      answer: "jawaban: {answer}",
+      score: "Skor",
+      rank: "Peringkat {rank}",
+      correctOf: "Benar {correct} dari {total}",
+      correct: "Benar",
+      wrong: "Salah",
+      unanswered: "Tidak menjawab",
+      title: "Laporan — {title}"
+    }
+  },
+  bank: {
+    fromBank: "Acak dari bank soal…",
+    title: "Bank soal",
+    titleTags: "Bank soal: {tags}",
+    tagsHelp: "Ambil soal acak dari semua kuis. Pilih tag (kosong = semua tag):",
+    noTags: "Belum ada soal bertag. Tambahkan tag di editor kuis.",
+    anyDifficulty: "Semua tingkat",
+    count: "Jumlah soal",
+    matching: "{count} soal cocok",
+    empty: "Tidak ada soal yang cocok dengan tag dan tingkat yang dipilih.",
+    difficulty: {
+      easy: "Mudah",
+      medium: "Sedang",
+      hard: "Sulit"
+    }
+  },
+  editor: {
+    snippets: {
+      image: "Gambar",
+      code: "Kode",
+      formula: "Rumus",
+      bold: "Tebal"
+    },
+    edit: "Edit Kuis",
+    new: "Kuis Baru",
+    saving: "Menyimpan...",
+    save: "Simpan Kuis",
+    title: "Judul kuis",
+    lang: "Bahasa soal",
+    titleIn: "Judul ({lang})",
+    question: "Soal {n}",
+    duplicate: "Duplikat",
+    text: "Teks soal (mendukung Markdown, ```kode```, $rumus$ dan ![gambar](url))",
+    addChoice: "+ Pilihan",
+    time: "Waktu (detik)",
+    difficulty: "Tingkat",
+    tags: "Tag",
+    tagsPlaceholder: "mis. sensor, I2C, PWM",
+    addQuestion: "+ Tambah Soal",
+    answer: "Jawaban",
+    tolerance: "Toleransi ±",
+    accepted: "Jawaban yang diterima (satu per baris, tidak peka huruf besar/kecil)",
+    orderHint: "Tulis item dalam urutan yang benar; urutan diacak untuk peserta.",
+    markCorrect: "Tandai sebagai jawaban benar",
+    choice: "Pilihan {letter}",
+    translation: "Terjemahan {lang}",
+    blockTests: "Test program (satu per baris: nilai sensor -> pin yang diharapkan setelah loop() berjalan)",
+    blockTestsHelp: "Sensor analog A0–A5 bernilai 0–1023, pin digital 0–13 bernilai HIGH atau LOW.",
+    starter: "Kode awal untuk peserta",
+    checks: "Pemeriksaan DOM (satu per baris, semuanya harus lolos)",
+    checksHelp: "Jenis: ada, teks (memuat, tidak peka huruf besar/kecil), jumlah (tepat), gaya (nilai CSS terhitung); kata bahasa Inggris exists, text, count dan style juga bisa. Selector memakai CSS biasa.",
+    checksPlaceholder: "ada h1\nteks h1 = Halo\njumlah li = 3\ngaya h1 color = red"
+  },
+  app: {
+    notReady: "Koneksi belum siap",
+    saveQuizFailed: "Gagal menyimpan kuis",
+    confirmDeleteQuiz: "Hapus kuis ini?",
+    importLine: "Baris {line}: {message}",
+    importNothing: "Tidak ada soal yang bisa diimpor.",
+    importRejected: "{count} soal ditolak:",
+    importFailed: "Gagal membaca file kuis",
+    exportFailed: "Gagal ekspor: {error}",
+    teacherOnly: "Masuk sebagai guru untuk membuat room",
+    deadlineOrder: "Batas waktu harus setelah waktu dibuka",
+    confirmDeleteRoom: "Hapus room {room} beserta hasilnya?",
+    deleteRoomFailed: "Gagal menghapus room",
+    enterCode: "Masukkan kode room",
+    joinFailed: "Gagal gabung - cek kode room",
+    linkCopied: "Link gabung disalin",
+    copyPrompt: "Salin link ini:",
+    mergeFailed: "Gagal menggabungkan peserta",
+    confirmKick: "Keluarkan {name} dari room? Peserta ini tidak bisa bergabung lagi.",
+    pickTeamFailed: "Gagal memilih tim",
+    confirmBack: "Kembali ke soal sebelumnya? Poin soal itu (dan soal ini bila sudah dinilai) dibatalkan lalu soal diulang.",
+    removed: "Kamu dikeluarkan dari room oleh host.",
+    startHomeworkFailed: "Gagal memulai tugas",
+    confirmCloseHomework: "Tutup PR sekarang? Peserta tidak bisa mengerjakan lagi.",
+    joinFirst: "Silakan gabung room terlebih dahulu.",
+    tagline: "Kuis kelas secara real-time",
+    language: "Bahasa",
+    dark: "Gelap",
+    light: "Terang",
+    stats: {
+      players: "Peserta",
+      questions: "Soal",
+      average: "Rata-rata Skor"
+    },
+    yourTeam: "Kamu di",
+    pickTeam: "Pilih timmu",
+    hostAssigns: "Host akan membagi tim.",
+    joinRoom: "Gabung room",
+    yourName: "Nama Anda",
+    join: "Gabung",
+    otherCode: "Masukkan kode lain",
+    welcome: "Buat atau gabung room live",
+    welcomeHelp: "Buat room dan bagikan kodenya. Peserta dapat bergabung dari perangkat mereka.",
+    scoringRule: "Aturan skor",
+    edit: "Edit",
+    import: "Impor",
+    export: "Ekspor...",
+    roomMode: "Jenis room",
+    mode: {
+      live: "Live (dipandu guru)",
+      homework: "PR (mandiri, dengan batas waktu)"
+    },
+    opens: "Dibuka",
+    closes: "Batas",
+    createRoom: "Buat Room",
+    appLinkCopied: "Link aplikasi disalin",
+    shareApp: "Bagikan Link Aplikasi",
+    myRooms: "Room saya",
+    homeworkTag: " · PR",
+    open: "Buka",
+    roomCode: "Kode Room",
+    room: "Ruangan",
+    leave: "Keluar",
+    joinLink: "Link gabung",
+    copyJoinLink: "Salin Link Gabung",
+    lobby: "Menunggu di lobi",
+    lobbyHelp: "Bagikan kode room kepada peserta",
+    finished: "Kuis Selesai",
+    quiz: "Kuis",
+    teamScoreboard: "Papan Skor Tim",
+    scoreboard: "Papan Skor",
+    connecting: "Menghubungkan ke room...",
+    roomMissing: "Room {room} tidak ditemukan atau sudah dihapus.",
+    back: "Kembali",
+    footer: "Dibuat untuk ruang kelas"
+  },
+  formats: {
+    badJson: "JSON tidak valid: {error}",
+    notObject: "soal harus berupa objek",
+    csvHeader: "baris header harus memuat kolom text, answer dan choice_1, choice_2, ...",
+    unknownType: "tipe soal tidak dikenal: {type}",
+    giftNumeric: "format jawaban angka GIFT tidak didukung (gunakan {#nilai:toleransi})",
+    giftAnswer: "blok jawaban GIFT tidak dikenali",
+    giftSingle: "soal pilihan ganda harus memiliki tepat satu jawaban benar (=)",
+    giftName: "nama soal GIFT (::nama::) tidak ditutup",
+    giftBlock: "blok jawaban { ... } tidak ditemukan",
+    giftUnsupported: "soal {type} tidak bisa diekspor ke GIFT",
+    aikenOrder: "pilihan {letter} tidak berurutan",
+    aikenLine: "baris tidak dikenali: \"{line}\"",
+    aikenAnswer: "baris ANSWER: tidak ditemukan",
+    aikenSingle: "Aiken hanya mendukung pilihan ganda (soal {n} bertipe {type})",
+    unknownFormat: "format tidak dikenal: {format}",
+    badTranslations: "baris terjemahan bukan JSON yang valid"
+  },
+  join: {
+    nameEmpty: "Nama tidak boleh kosong",
+    nameLong: "Nama maksimal {max} karakter",
+    nameBlocked: "Nama tidak pantas, gunakan nama lain",
+    notFound: "Room tidak ditemukan. Periksa kembali kodenya.",
+    kicked: "Kamu sudah dikeluarkan dari room ini.",
+    nameTaken: "Nama sudah dipakai peserta lain",
+    locked: "Room sedang dikunci oleh host.",
+    started: "Kuis sudah dimulai dan room ini tidak menerima peserta terlambat.",
+    full: "Room penuh (maksimal {max} peserta)."
+  },
+  questionTypes: {
+    single: "Pilihan ganda",
+    truefalse: "Benar / Salah",
+    multi: "Banyak jawaban benar",
+    numeric: "Angka (toleransi)",
+    text: "Isian singkat",
+    order: "Urutkan",
+    blocks: "Program Arduino (blok)",
+    web: "HTML/CSS (live)",
+    true: "Benar",
+    false: "Salah"
+  },
+  validation: {
+    invalidQuestion: "data soal tidak valid",
+    emptyText: "teks soal kosong",
+    time: "waktu harus lebih dari 0 detik",
+    emptyTitle: "judul kuis kosong",
+    noQuestions: "kuis belum memiliki soal",
+    minChoices: "minimal dua pilihan jawaban",
+    emptyChoice: "ada pilihan jawaban yang kosong",
+    trueFalse: "jawaban benar/salah harus dipilih",
+    markOne: "tandai minimal satu jawaban benar",
+    answerRange: "indeks jawaban benar di luar jangkauan",
+    numericValue: "nilai jawaban angka tidak valid",
+    tolerance: "toleransi harus 0 atau lebih",
+    acceptedAnswer: "isi minimal satu jawaban yang diterima",
+    checks: {
+      none: "tambahkan minimal satu pemeriksaan",
+      kind: "pemeriksaan {n}: jenis harus ada, teks, jumlah atau gaya",
+      selector: "pemeriksaan {n}: selector kosong",
+      count: "pemeriksaan {n}: jumlah harus bilangan bulat",
+      style: "pemeriksaan {n}: tulis properti dan nilainya, mis. \"gaya h1 color = red\"",
+      text: "pemeriksaan {n}: teks yang dicari kosong"
+    },
+    tests: {
+      none: "tambahkan minimal satu test",
+      noPins: "test {n}: belum ada pin yang diperiksa",
+      invalid: "test {n}: pin atau nilai tidak valid"
+    }
+  },
+  commands: {
+    start: "Mulai kuis",
+    pause: "Jeda",
+    resume: "Lanjutkan",
+    extend: "Tambah waktu",
+    skip: "Lewati soal",
+    back: "Kembali ke soal sebelumnya",
+    reveal: "Tampilkan jawaban",
+    next: "Soal berikutnya",
+    close: "Tutup PR"
+  },
+  scoring: {
+    classic: "Klasik (+100 per benar)",
+    speed: "Kecepatan + streak + penalti",
+    "no-penalty": "Kecepatan + streak, tanpa penalti"
+  },
+  teams: {
+    name: "Tim {name}",
+    colours: {
+      red: "Merah",
+      blue: "Biru",
+      yellow: "Kuning",
+      green: "Hijau",
+      purple: "Ungu",
+      pink: "Merah Muda"
+    },
+    assign: {
+      auto: "Dibagi otomatis",
+      choose: "Peserta memilih sendiri"
+    },
+    score: {
+      sum: "Jumlah skor anggota",
+      average: "Rata-rata skor anggota"
+    }
+  }
+};
@@ -0,0 +1,97 @@
+// src/lib/i18n/index.js
+// Teks antarmuka dalam beberapa bahasa. Setiap bundel (id.js, en.js) berisi pesan bersarang
+// yang dipanggil lewat kunci bertitik: t("app.join"), t("host.answered", { count, total }).
+//   "{nama}" diganti parameter; objek { one, other } dipilih lewat params.count (Intl.PluralRules).
+// Bahasa pilihan disimpan per perangkat (localStorage) dan, untuk guru, di teachers/{uid}/locale.
+// Kunci yang belum diterjemahkan jatuh ke bahasa Indonesia, lalu ke kunci itu sendiri.
+import id from "./id";
+import en from "./en";
+
+export const LOCALES = {
+  id: { label: "Bahasa Indonesia", tag: "id-ID", messages: id },
+  en: { label: "English", tag: "en-US", messages: en }
+};
+
+export const DEFAULT_LOCALE = "id";
+const STORAGE_KEY = "quizlive.locale";
+
+export const isLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+/* ---------- Current locale ---------- */
+function storedLocale() {
+  try {
+    const saved = globalThis.localStorage && globalThis.localStorage.getItem(STORAGE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch (e) {
+    console.warn("read locale failed", e);
+  }
+  const browser = String((globalThis.navigator && globalThis.navigator.language) || "").slice(0, 2).toLowerCase();
+  return isLocale(browser) ? browser : DEFAULT_LOCALE;
+}
+
+let current = null;
+const listeners = new Set();
+
+export function getLocale() {
+  if (current === null) current = storedLocale();
+  return current;
+}
+
+// switch the whole app; unknown locales are ignored
+export function setLocale(locale) {
+  if (!isLocale(locale) || locale === getLocale()) return;
+  current = locale;
+  try {
+    globalThis.localStorage && globalThis.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (e) {
+    console.warn("save locale failed", e);
+  }
+  if (globalThis.document) globalThis.document.documentElement.lang = locale;
+  listeners.forEach((cb) => cb(locale));
+}
+
+// cb(locale) after every switch, including one made in another tab of this browser
+export function onLocaleChange(cb) {
+  listeners.add(cb);
+  const fromOtherTab = (e) => {
+    if (e.key !== STORAGE_KEY || !isLocale(e.newValue) || e.newValue === current) return;
+    current = e.newValue;
+    listeners.forEach((fn) => fn(current));
+  };
+  if (globalThis.addEventListener) globalThis.addEventListener("storage", fromOtherTab);
+  return () => {
+    listeners.delete(cb);
+    if (globalThis.removeEventListener) globalThis.removeEventListener("storage", fromOtherTab);
+  };
+}
+
+/* ---------- Messages ---------- */
+const lookup = (messages, key) => key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), messages);
+
+const fill = (text, params) => text.replace(/\{(\w+)\}/g, (whole, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : whole));
+
+/**
+ * Message `key` in `locale`, with `{name}` placeholders filled from `params`.
+ * Plural messages ({ one, other, ... }) pick their form from `params.count`.
+ */
+export function translate(locale, key, params = {}) {
+  const lang = isLocale(locale) ? locale : DEFAULT_LOCALE;
+  let message = lookup(LOCALES[lang].messages, key);
+  if (message === undefined) message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (message && typeof message === "object") {
+    const form = new Intl.PluralRules(LOCALES[lang].tag).select(Number(params.count) || 0);
+    message = message[form] ?? message.other;
+  }
+  return typeof message === "string" ? fill(message, params) : key;
+}
+
+export const t = (key, params) => translate(getLocale(), key, params);
+
+/* ---------- Numbers and dates ---------- */
+const tag = () => LOCALES[getLocale()].tag;
+
+export const formatNumber = (n, options) => new Intl.NumberFormat(tag(), options).format(Number(n) || 0);
+
+export const formatDateTime = (ms) => (typeof ms === "number" ? new Date(ms).toLocaleString(tag(), { dateStyle: "medium", timeStyle: "short" }) : "-");
+
+export const formatTime = (ms) => (typeof ms === "number" ? new Date(ms).toLocaleTimeString(tag()) : "");
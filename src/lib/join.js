@@ -0,0 +1,33 @@
+// src/lib/join.js
+// Bergabung ke room lewat transport. Peserta baru menaikkan rooms/{id}/playerCount tepat satu dalam
+// update yang sama (lihat players.js); aturan database dan relay menolak update yang dihitung dari
+// snapshot lama. Saat banyak murid memindai QR bersamaan, yang kalah cukup membaca ulang lalu mencoba lagi.
+import { joinUpdates } from "./game";
+import { checkJoin } from "./players";
+
+export const JOIN_ATTEMPTS = 8;
+const RETRY_MS = 60;
+
+// a write the rules (Firebase PERMISSION_DENIED) or the relay ("forbidden") refused, not a network failure
+export const isDenied = (e) => Boolean(e) && (e.code === "forbidden" || /permission.denied/i.test(`${e.code || ""} ${e.message || ""}`));
+
+/**
+ * Joins player `pid` to room `code` through transport `tx`, counting the seat again from a fresh
+ * snapshot while another join wins the race. Resolves to null once seated or to the checkJoin
+ * message (room full, name taken, ...); other errors and the last refusal are thrown.
+ */
+export async function takeSeat(tx, code, pid, name, blocked, attempts = JOIN_ATTEMPTS) {
+  for (let attempt = 1; ; attempt++) {
+    const room = await tx.get(`rooms/${code}`);
+    const problem = checkJoin(room, pid, name, blocked);
+    if (problem) return problem;
+    try {
+      await tx.update(`rooms/${code}`, joinUpdates(room, pid, name));
+      return null;
+    } catch (e) {
+      if (!isDenied(e) || attempt >= attempts) throw e;
+      // spread the retries so the same students do not collide again
+      await new Promise((resolve) => setTimeout(resolve, Math.random() * RETRY_MS * attempt));
+    }
+  }
+}
@@ -0,0 +1,94 @@
+// src/lib/markdown.js
+// Markdown sederhana untuk teks soal dan pilihan: paragraf, daftar "- ", blok kode ```lang,
+// **tebal**, *miring*, `kode`, $rumus$, [tautan](url) dan ![gambar](url).
+// Hasilnya berupa token (bukan HTML) sehingga RichText tidak pernah menyisipkan HTML mentah.
+
+// only these URL schemes are rendered; everything else stays plain text
+const SAFE_URL = /^(https?:\/\/|\/|data:image\/(png|jpe?g|gif|webp|svg\+xml);base64,)/i;
+export const isSafeUrl = (url) => SAFE_URL.test(String(url || "").trim());
+
+const INLINE = new RegExp([
+  /\\([\\`*_$[\]!])/.source, // 1: escaped character
+  /`([^`]+)`/.source, // 2: code
+  /\$([^$\s](?:[^$]*[^$\s])?)\$/.source, // 3: math
+  /!\[([^\]]*)\]\(([^)\s]+)\)/.source, // 4,5: image
+  /\[([^\]]+)\]\(([^)\s]+)\)/.source, // 6,7: link
+  /\*\*([^*]+)\*\*/.source, // 8: strong
+  /\*([^*\s](?:[^*]*[^*\s])?)\*/.source, // 9: em
+  /\b_([^_\s](?:[^_]*[^_\s])?)_\b/.source // 10: em
+].join("|"));
+
+export function parseInline(text) {
+  const tokens = [];
+  const src = String(text ?? "");
+  const pushText = (value) => {
+    if (!value) return;
+    const last = tokens[tokens.length - 1];
+    if (last && last.type === "text") last.value += value;
+    else tokens.push({ type: "text", value });
+  };
+  // own regex instance: nested tokens recurse and would clobber a shared lastIndex
+  const re = new RegExp(INLINE.source, "g");
+  let pos = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    pushText(src.slice(pos, m.index));
+    pos = re.lastIndex;
+    if (m[1] !== undefined) pushText(m[1]);
+    else if (m[2] !== undefined) tokens.push({ type: "code", value: m[2] });
+    else if (m[3] !== undefined) tokens.push({ type: "math", value: m[3] });
+    else if (m[5] !== undefined) {
+      if (isSafeUrl(m[5])) tokens.push({ type: "image", alt: m[4], src: m[5] });
+      else pushText(m[0]);
+    } else if (m[7] !== undefined) {
+      if (isSafeUrl(m[7])) tokens.push({ type: "link", href: m[7], children: parseInline(m[6]) });
+      else pushText(m[0]);
+    } else if (m[8] !== undefined) tokens.push({ type: "strong", children: parseInline(m[8]) });
+    else tokens.push({ type: "em", children: parseInline(m[9] ?? m[10]) });
+  }
+  pushText(src.slice(pos));
+  return tokens;
+}
+
+export function parseBlocks(text) {
+  const blocks = [];
+  const lines = String(text ?? "").replace(/\r\n?/g, "\n").split("\n");
+  let para = null;
+  let list = null;
+  const close = () => { para = null; list = null; };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = /^\s*```\s*([\w+#-]*)\s*$/.exec(line);
+    if (fence) {
+      close();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+      blocks.push({ type: "code", lang: fence[1].toLowerCase(), code: code.join("\n") });
+      continue;
+    }
+    const item = /^\s*[-*]\s+(.*)$/.exec(line);
+    if (item) {
+      para = null;
+      if (!list) { list = { type: "list", items: [] }; blocks.push(list); }
+      list.items.push(item[1]);
+      continue;
+    }
+    if (!line.trim()) { close(); continue; }
+    list = null;
+    if (!para) { para = { type: "paragraph", lines: [] }; blocks.push(para); }
+    para.lines.push(line);
+  }
+  return blocks;
+}
+
+// the words of `text` without markup, e.g. for screen reader announcements
+const inlineText = (tokens) => tokens.map((tok) => (tok.children ? inlineText(tok.children) : tok.type === "image" ? tok.alt : tok.value)).join("");
+
+export function plainText(text) {
+  return parseBlocks(text)
+    .map((b) => (b.type === "code" ? b.code : b.type === "list" ? b.items.map((item) => inlineText(parseInline(item))).join("; ") : inlineText(parseInline(b.lines.join(" ")))))
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
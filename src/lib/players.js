@@ -0,0 +1,127 @@
+// src/lib/players.js
+// Peserta room: aturan bergabung (nama, kunci room, peserta terlambat, kapasitas) dan
+// pemain ganda. Peserta yang bergabung lagi dari perangkat/browser lain mendapat uid baru,
+// jadi namanya muncul dua kali; host bisa menggabungkan atau menghapus entri lama.
+// rooms/{id}/playerCount menghitung kursi yang terpakai agar database.rules.json bisa menegakkan
+// meta.maxPlayers: peserta baru menaikkannya dalam update yang sama, host menghitung ulang saat menghapus.
+import { t } from "./i18n";
+
+const nameKey = (name) => String(name ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// groups of [pid, player] sharing a name; online entries first, then by score
+export function findDuplicates(players = {}) {
+  const groups = {};
+  Object.entries(players).forEach(([pid, p]) => {
+    const key = nameKey(p.name);
+    if (!key) return;
+    (groups[key] = groups[key] || []).push([pid, p]);
+  });
+  return Object.values(groups)
+    .filter((g) => g.length > 1)
+    .map((g) => g.sort((a, b) => Number(!!b[1].connected) - Number(!!a[1].connected) || (b[1].score || 0) - (a[1].score || 0)));
+}
+
+/**
+ * Room updates that fold player `fromPid` into `toPid`: scores add up (every question was
+ * scored for both records), answers in the history the kept record missed are carried over
+ * and `fromPid` goes.
+ * Returns null when either player is missing.
+ */
+export function mergePlayerUpdates(room, fromPid, toPid) {
+  const players = (room && room.players) || {};
+  const from = players[fromPid];
+  const to = players[toPid];
+  if (!from || !to || fromPid === toPid) return null;
+
+  const updates = {
+    [`players/${toPid}/score`]: Number(from.score || 0) + Number(to.score || 0),
+    [`players/${fromPid}`]: null,
+    playerCount: Object.keys(players).length - 1
+  };
+  // history is keyed by question index and may come back from the database as an array
+  Object.entries(room.history || {}).forEach(([idx, entries]) => {
+    const old = entries && entries[fromPid];
+    if (!old) return;
+    if (old.answered && !(entries[toPid] && entries[toPid].answered)) updates[`history/${idx}/${toPid}`] = { ...old, name: to.name || old.name };
+    updates[`history/${idx}/${fromPid}`] = null;
+  });
+  // an open answer is not moved: the rules only accept answers stamped by the player's own write
+  updates[`answers/${fromPid}`] = null;
+  return updates;
+}
+
+/* ---------- Seats ---------- */
+// the stored seat count, which the rules compare against; rooms from before it count as empty
+export const storedPlayerCount = (room) => Number((room && room.playerCount) || 0);
+
+// host only: recounts the seats, which also repairs a count left behind by a failed leave
+export const removePlayerUpdates = (room, pid) => ({
+  [`players/${pid}`]: null,
+  [`answers/${pid}`]: null,
+  playerCount: Object.keys((room && room.players) || {}).filter((other) => other !== pid).length
+});
+
+// a player leaving on their own gives their seat back; the rules accept exactly one less
+export const leaveUpdates = (room, pid) => ({
+  [`players/${pid}`]: null,
+  ...(storedPlayerCount(room) > 0 ? { playerCount: storedPlayerCount(room) - 1 } : {})
+});
+
+/* ---------- Joining ---------- */
+export const MAX_NAME_LENGTH = 24;
+export const DEFAULT_MAX_PLAYERS = 60;
+
+// extend with VITE_BLOCKED_NAMES (comma separated), see App.jsx
+export const DEFAULT_BLOCKED_NAMES = [
+  "anjing", "anjir", "bangsat", "babi", "bajingan", "brengsek", "goblok", "tolol", "bego", "idiot",
+  "kontol", "memek", "ngentot", "jancok", "jancuk", "asu", "tai", "fuck", "shit", "bitch"
+];
+
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+// catches spacing and leetspeak ("b4 ngsat"); short words only match as a whole word
+function containsBlocked(name, blocked) {
+  const folded = nameKey(name).replace(/[0-9@$]/g, (c) => LEET[c] || c);
+  const words = folded.split(/[^a-z]+/).filter(Boolean);
+  const compact = words.join("");
+  return blocked.some((w) => {
+    const word = nameKey(w);
+    if (!word) return false;
+    return word.length >= 4 ? compact.includes(word) : words.includes(word);
+  });
+}
+
+export function validatePlayerName(name, blocked = DEFAULT_BLOCKED_NAMES) {
+  const clean = String(name ?? "").trim().replace(/\s+/g, " ");
+  if (!clean) return t("join.nameEmpty");
+  if (clean.length > MAX_NAME_LENGTH) return t("join.nameLong", { max: MAX_NAME_LENGTH });
+  if (containsBlocked(clean, blocked)) return t("join.nameBlocked");
+  return null;
+}
+
+/**
+ * Why `pid` may not join `room` as `name`, or null when it may. Players rejoining their own
+ * record skip the lock, late-join and capacity checks. A name held by an offline record is let
+ * through, so a student on a new device gets in and the host can merge the two (findDuplicates).
+ */
+export function checkJoin(room, pid, name, blocked = DEFAULT_BLOCKED_NAMES) {
+  if (!room || !room.meta) return t("join.notFound");
+  const meta = room.meta;
+  const players = room.players || {};
+  if (room.kicked && room.kicked[pid]) return t("join.kicked");
+
+  const nameProblem = validatePlayerName(name, blocked);
+  if (nameProblem) return nameProblem;
+  const taken = Object.entries(players).some(([other, p]) => other !== pid && p.connected && nameKey(p.name) === nameKey(name));
+  if (taken) return t("join.nameTaken");
+
+  if (players[pid]) return null;
+  if (meta.locked) return t("join.locked");
+  // homework rooms are joined whenever the student gets to it
+  if (room.state !== "lobby" && room.state !== "homework" && !meta.allowLateJoin) return t("join.started");
+  const max = Number(meta.maxPlayers || 0);
+  if (max && Math.max(storedPlayerCount(room), Object.keys(players).length) >= max) return t("join.full", { max });
+  return null;
+}
+
+export const kickPlayerUpdates = (room, pid) => ({ ...removePlayerUpdates(room, pid), [`kicked/${pid}`]: true });
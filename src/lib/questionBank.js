@@ -0,0 +1,96 @@
+// src/lib/questionBank.js
+// Bank soal: semua soal di pustaka kuis (quizzes/) dan kuis contoh, masing-masing boleh punya
+// tags (mis. "sensor", "I2C", "PWM") dan difficulty ("easy" | "medium" | "hard"; label: bank.difficulty.*).
+// Room bisa dibuat dari N soal acak yang cocok dengan tag dan tingkat kesulitan yang dipilih;
+// hasilnya kuis biasa, jadi kunci jawaban, terjemahan dan penilaian tidak berubah.
+import { newId } from "./quiz";
+import { shuffledOrder } from "./shuffle";
+import { DEFAULT_LOCALE } from "./i18n";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+// quizzes saved while the ids were still Indonesian
+const LEGACY_DIFFICULTIES = { mudah: "easy", sedang: "medium", sulit: "hard" };
+export const DEFAULT_DRAW_COUNT = 10;
+
+const toList = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+const tagKey = (tag) => String(tag ?? "").trim().toLowerCase();
+
+/* ---------- Tags ---------- */
+// "sensor, I2C ,i2c" or ["sensor", "I2C"] → ["sensor", "I2C"]: trimmed, first spelling wins
+export function normalizeTags(raw) {
+  const list = typeof raw === "string" ? raw.split(",") : toList(raw);
+  const seen = new Set();
+  return list
+    .map((tag) => String(tag ?? "").trim().replace(/\s+/g, " "))
+    .filter((tag) => {
+      const key = tagKey(tag);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// "Easy" or "mudah" → "easy"; null for anything that is not a difficulty
+export function normalizeDifficulty(value) {
+  const key = String(value ?? "").trim().toLowerCase();
+  return DIFFICULTIES.includes(key) ? key : LEGACY_DIFFICULTIES[key] || null;
+}
+
+export const difficultyOf = (q) => (q ? normalizeDifficulty(q.difficulty) : null);
+
+/* ---------- Bank ---------- */
+// every question of every quiz, remembering the language it was written in
+export function bankQuestions(quizzes) {
+  return toList(quizzes).flatMap((quiz) =>
+    toList(quiz && quiz.questions).map((q) => ({ ...q, tags: normalizeTags(q.tags), lang: q.lang || quiz.lang || DEFAULT_LOCALE }))
+  );
+}
+
+// [{ tag, count }] by how often the tag is used, then alphabetically
+export function bankTags(questions) {
+  const counts = new Map();
+  questions.forEach((q) => q.tags.forEach((tag) => {
+    const key = tagKey(tag);
+    const entry = counts.get(key) || { tag, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }));
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Questions matching `tags` (any of them; none picked = all) and `difficulty` ("" = any).
+ */
+export function filterBank(questions, { tags = [], difficulty = "" } = {}) {
+  const wanted = tags.map(tagKey);
+  return questions.filter((q) =>
+    (!wanted.length || q.tags.some((tag) => wanted.includes(tagKey(tag)))) &&
+    (!difficulty || difficultyOf(q) === difficulty)
+  );
+}
+
+// the value seen most often; a tie goes to the one seen first
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+  let best = null;
+  counts.forEach((n, v) => { if (best === null || n > counts.get(best)) best = v; });
+  return best;
+}
+
+/**
+ * A room quiz of up to `count` random matching questions, each with a fresh id.
+ * `random` is injectable for tests.
+ */
+export function drawQuiz(questions, { tags = [], difficulty = "", count = DEFAULT_DRAW_COUNT, title = "" } = {}, random = Math.random) {
+  const pool = filterBank(questions, { tags, difficulty });
+  const picked = shuffledOrder(pool.length, random).slice(0, Math.max(0, Math.floor(Number(count) || 0))).map((i) => pool[i]);
+  const lang = mostCommon(picked.map((q) => q.lang)) || DEFAULT_LOCALE;
+  return {
+    id: "",
+    title,
+    lang,
+    // the quiz language covers most questions; the rest keep their own for translations
+    questions: picked.map(({ lang: qLang, ...q }) => ({ ...JSON.parse(JSON.stringify(q)), id: newId(), ...(qLang !== lang ? { lang: qLang } : {}) }))
+  };
+}
@@ -0,0 +1,215 @@
+// src/lib/questionTypes.js
+// Tipe soal: bentuk `answer` (kunci), bentuk jawaban peserta (`choice` di answers/{pid})
+// dan cara menilainya. Soal tanpa `type` dianggap pilihan ganda ("single").
+//
+//   single     answer: index               jawaban: index
+//   truefalse  answer: 0 (Benar) / 1      jawaban: index
+//   multi      answer: [index, ...]        jawaban: [index, ...]
+//   numeric    answer: { value, tolerance } jawaban: number
+//   text       answer: ["diterima", ...]   jawaban: string
+//   order      choices ditulis urut benar; di room diacak dan kuncinya [index tampil, ...]
+//   blocks     answer: { tests: [...] }    jawaban: program dari blok (lihat arduinoSim.js)
+//   web        answer: { checks: [...] }   jawaban: string HTML; starter: kode awal (lihat webChecks.js)
+
+import { checkProgram, formatTest, normalizeProgram, normalizeTests, parseTest, programSummary, validateTests } from "./arduinoSim";
+import { STARTER_HTML, formatCheck, normalizeChecks, parseCheck, validateChecks } from "./webChecks";
+import { getLocale, t, translate } from "./i18n";
+import { shuffledOrder } from "./shuffle";
+
+export const QUESTION_TYPES = {
+  single: { hasChoices: true },
+  truefalse: { hasChoices: true },
+  multi: { hasChoices: true },
+  numeric: { hasChoices: false },
+  text: { hasChoices: false },
+  order: { hasChoices: true },
+  blocks: { hasChoices: false },
+  web: { hasChoices: false }
+};
+
+export const typeLabel = (type) => t(`questionTypes.${type}`);
+
+// starting point for a new block question: LED on pin 13 follows an LDR on A0
+export const DEFAULT_BLOCK_TESTS = ["A0=250 -> 13=HIGH", "A0=700 -> 13=LOW"].map(parseTest);
+
+export const DEFAULT_WEB_CHECKS = ["teks h1 = Halo"].map(parseCheck);
+
+// stored in the author's language; players always see them in their own (quiz.localizeQuestion)
+export const trueFalseChoices = (locale = getLocale()) => [translate(locale, "questionTypes.true"), translate(locale, "questionTypes.false")];
+
+export const questionType = (q) => (q && QUESTION_TYPES[q.type] ? q.type : "single");
+
+const toList = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+const normText = (s) => String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+const sameList = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+const sortedNums = (v) => toList(v).map(Number).sort((a, b) => a - b);
+
+/* ---------- Authoring ---------- */
+// fields to merge into a question when the author switches it to `type`
+export function defaultsForType(type, q = {}) {
+  const choices = toList(q.choices).length >= 2 ? toList(q.choices) : ["", "", "", ""];
+  switch (type) {
+    case "truefalse": return { type, choices: trueFalseChoices(), answer: 0 };
+    case "multi": return { type, choices, answer: [] };
+    case "numeric": return { type, choices: [], answer: { value: 0, tolerance: 0 } };
+    case "text": return { type, choices: [], answer: [""] };
+    case "order": return { type, choices, answer: null };
+    case "blocks": return { type, choices: [], answer: { tests: DEFAULT_BLOCK_TESTS.map((test) => ({ ...test })) } };
+    case "web": return { type, choices: [], answer: { checks: DEFAULT_WEB_CHECKS.map((c) => ({ ...c })) }, starter: q.starter || STARTER_HTML };
+    default: return { type: "single", choices, answer: 0 };
+  }
+}
+
+// answer-specific checks; quiz.validateQuestion handles text and time
+export function validateAnswer(q) {
+  const type = questionType(q);
+  const choices = toList(q.choices);
+  const errors = [];
+  const inRange = (i) => Number.isInteger(i) && i >= 0 && i < choices.length;
+  if (QUESTION_TYPES[type].hasChoices) {
+    if (choices.length < 2) errors.push(t("validation.minChoices"));
+    if (choices.some((c) => !String(c ?? "").trim())) errors.push(t("validation.emptyChoice"));
+  }
+  switch (type) {
+    case "truefalse":
+      if (q.answer !== 0 && q.answer !== 1) errors.push(t("validation.trueFalse"));
+      break;
+    case "multi": {
+      const list = toList(q.answer);
+      if (!list.length) errors.push(t("validation.markOne"));
+      else if (!list.every(inRange) || new Set(list).size !== list.length) errors.push(t("validation.answerRange"));
+      break;
+    }
+    case "numeric": {
+      const a = q.answer || {};
+      if (a.value === "" || a.value === null || !Number.isFinite(Number(a.value))) errors.push(t("validation.numericValue"));
+      if (!(Number(a.tolerance) >= 0)) errors.push(t("validation.tolerance"));
+      break;
+    }
+    case "text":
+      if (!toList(q.answer).some((s) => String(s ?? "").trim())) errors.push(t("validation.acceptedAnswer"));
+      break;
+    case "order":
+      break;
+    case "blocks":
+      errors.push(...validateTests((q.answer || {}).tests));
+      break;
+    case "web":
+      errors.push(...validateChecks((q.answer || {}).checks));
+      break;
+    default:
+      if (!inRange(q.answer)) errors.push(t("validation.answerRange"));
+  }
+  return errors;
+}
+
+// bring an answer read back from the Realtime Database into its typed shape
+export function normalizeAnswer(type, answer) {
+  switch (type) {
+    case "multi": return sortedNums(answer);
+    case "numeric": return { value: Number((answer || {}).value), tolerance: Number((answer || {}).tolerance || 0) };
+    case "text": return toList(answer).map(String);
+    case "order": return answer === undefined ? null : answer;
+    case "blocks": return { tests: normalizeTests((answer || {}).tests) };
+    case "web": return { checks: normalizeChecks((answer || {}).checks) };
+    default: return Number(answer);
+  }
+}
+
+/* ---------- Room: answer key split ---------- */
+/**
+ * Split one authored question into what players may see and the host-only key.
+ * Order questions are authored in the correct order, so their items get shuffled here
+ * (translated items too, so every language shows the same order).
+ */
+export function splitQuestion(q) {
+  const { answer, ...shown } = q;
+  if (questionType(q) !== "order") return { shown, key: answer };
+  const perm = shuffledOrder(q.choices.length);
+  const translations = {};
+  Object.entries(q.translations || {}).forEach(([locale, tr]) => {
+    const choices = toList(tr && tr.choices);
+    translations[locale] = { ...tr, choices: perm.map((i) => choices[i] ?? "") };
+  });
+  return {
+    shown: { ...shown, choices: perm.map((i) => q.choices[i]), ...(q.translations ? { translations } : {}) },
+    key: q.choices.map((_, i) => perm.indexOf(i))
+  };
+}
+
+/* ---------- Scoring ---------- */
+// response as stored by the player, or null when it cannot be read for this type
+export function normalizeResponse(type, raw) {
+  if (raw === undefined || raw === null) return null;
+  switch (type) {
+    case "multi":
+    case "order": {
+      const list = toList(raw).map(Number);
+      if (list.some(Number.isNaN)) return null;
+      return type === "multi" ? list.sort((a, b) => a - b) : list;
+    }
+    case "numeric": {
+      const n = Number(String(raw).replace(",", "."));
+      return raw === "" || Number.isNaN(n) ? null : n;
+    }
+    case "text": return String(raw);
+    case "blocks": return normalizeProgram(raw);
+    case "web": return String(raw);
+    default: {
+      const n = typeof raw === "number" ? raw : Number(raw);
+      return Number.isNaN(n) ? null : n;
+    }
+  }
+}
+
+export function isCorrectResponse(type, key, response) {
+  if (response === null || key === null || key === undefined) return false;
+  switch (type) {
+    case "multi": return sameList(sortedNums(key), response);
+    case "order": return sameList(toList(key).map(Number), response);
+    case "numeric": return Math.abs(response - Number(key.value)) <= Number(key.tolerance || 0);
+    case "text": return toList(key).some((a) => normText(a) === normText(response));
+    case "blocks": return checkProgram(response, key.tests).passed;
+    // needs a rendered page: the host grades these with webChecks.gradeHtml before scoring
+    case "web": return false;
+    default: return response === Number(key);
+  }
+}
+
+// choices a response counts towards in the reveal bar chart
+export function countedChoices(type, response) {
+  if (response === null) return [];
+  if (type === "single" || type === "truefalse") return [response];
+  if (type === "multi") return response;
+  return [];
+}
+
+/* ---------- Display ---------- */
+const letter = (i) => String.fromCharCode(65 + i);
+
+export function formatAnswer(q, key) {
+  const type = questionType(q);
+  const choice = (i) => `${letter(i)}. ${q.choices[i]}`;
+  switch (type) {
+    case "multi": return sortedNums(key).map(choice).join(", ");
+    case "numeric": return `${key.value}${Number(key.tolerance) ? ` (±${key.tolerance})` : ""}`;
+    case "text": return toList(key).join(" / ");
+    case "order": return toList(key).map((i, pos) => `${pos + 1}. ${q.choices[i]}`).join(" → ");
+    case "blocks": return normalizeTests(key.tests).map(formatTest).join("; ");
+    case "web": return normalizeChecks(key.checks).map(formatCheck).join("; ");
+    default: return choice(Number(key));
+  }
+}
+
+export function formatResponse(q, response) {
+  if (response === null || response === undefined) return "-";
+  const type = questionType(q);
+  if (type === "numeric" || type === "text") return String(response);
+  if (type === "order") return toList(response).map((i) => q.choices[i]).join(" → ");
+  if (type === "blocks") return programSummary(response);
+  if (type === "web") {
+    const flat = String(response).replace(/\s+/g, " ").trim();
+    return flat.length > 80 ? `${flat.slice(0, 79)}…` : flat;
+  }
+  return toList(type === "multi" ? response : [response]).map(letter).join(", ");
+}
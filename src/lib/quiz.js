@@ -0,0 +1,120 @@
+// src/lib/quiz.js
+// Helpers untuk membentuk, mengubah dan memvalidasi objek kuis
+// ({ id, title, lang, translations?, questions: [{ id, type, text, choices, answer, time, translations? }] }).
+// `lang` adalah bahasa tulisan kuis; terjemahan ke bahasa lain ada di
+// quiz.translations[locale] = { title } dan question.translations[locale] = { text, choices }.
+// Soal boleh punya tags dan difficulty untuk bank soal (lihat questionBank.js); soal yang diambil
+// dari kuis berbahasa lain membawa `lang` sendiri.
+import { normalizeAnswer, questionType, splitQuestion, trueFalseChoices, validateAnswer } from "./questionTypes";
+import { DEFAULT_LOCALE, t } from "./i18n";
+import { normalizeDifficulty } from "./questionBank";
+
+export const DEFAULT_TIME = 20;
+
+export const newId = () => Math.random().toString(36).slice(2, 9);
+
+const toList = (v) => (Array.isArray(v) ? v : Object.values(v || {}));
+
+/* ---------- Builders ---------- */
+export function newQuestion() {
+  return { id: newId(), text: "", choices: ["", "", "", ""], answer: 0, time: DEFAULT_TIME };
+}
+
+export function newQuiz(lang = DEFAULT_LOCALE) {
+  return { id: "", title: "", lang, questions: [newQuestion()] };
+}
+
+// deep copy so the editor never mutates the quiz it was handed
+export function cloneQuiz(quiz) {
+  return JSON.parse(JSON.stringify(quiz));
+}
+
+export function duplicateQuestion(q) {
+  return { ...JSON.parse(JSON.stringify(q)), id: newId() };
+}
+
+export function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/* ---------- Validation ---------- */
+// returns a list of messages; empty list means the question is valid
+export function validateQuestion(q) {
+  const errors = [];
+  if (!q || typeof q !== "object") return [t("validation.invalidQuestion")];
+  if (!String(q.text || "").trim()) errors.push(t("validation.emptyText"));
+  errors.push(...validateAnswer(q));
+  if (!(Number(q.time) > 0)) errors.push(t("validation.time"));
+  return errors;
+}
+
+// returns [{ index, errors }] for every invalid question, plus index -1 for quiz-level problems
+export function validateQuiz(quiz) {
+  const problems = [];
+  if (!quiz || !String(quiz.title || "").trim()) problems.push({ index: -1, errors: [t("validation.emptyTitle")] });
+  const questions = (quiz && quiz.questions) || [];
+  if (!questions.length) problems.push({ index: -1, errors: [t("validation.noQuestions")] });
+  questions.forEach((q, index) => {
+    const errors = validateQuestion(q);
+    if (errors.length) problems.push({ index, errors });
+  });
+  return problems;
+}
+
+// Realtime Database drops empty arrays and may hand back sparse objects; bring them back to the editor shape
+export function normalizeQuiz(raw, id) {
+  return {
+    id: id || (raw && raw.id) || "",
+    title: (raw && raw.title) || "",
+    lang: (raw && raw.lang) || DEFAULT_LOCALE,
+    ...(raw && raw.translations ? { translations: raw.translations } : {}),
+    questions: toList(raw && raw.questions).map((q) => ({
+      ...q,
+      choices: toList(q.choices),
+      ...(q.tags !== undefined ? { tags: toList(q.tags) } : {}),
+      ...(q.difficulty ? { difficulty: normalizeDifficulty(q.difficulty) } : {}),
+      // room quizzes (splitQuiz) carry no answer at all
+      ...(q.answer !== undefined ? { answer: normalizeAnswer(questionType(q), q.answer) } : {}),
+      time: Number(q.time)
+    }))
+  };
+}
+
+/* ---------- Answer key split ---------- */
+// rooms/{id}/quiz is readable by every player, so it must never carry `answer`;
+// the key goes to the host-only answerKeys/{roomId}, indexed like quiz.questions
+export function splitQuiz(quiz) {
+  const parts = quiz.questions.map(splitQuestion);
+  return {
+    quiz: { ...quiz, questions: parts.map((p) => p.shown) },
+    key: { answers: parts.map((p) => (p.key === undefined ? null : p.key)) }
+  };
+}
+
+/* ---------- Translations ---------- */
+const filled = (s) => typeof s === "string" && s.trim() !== "";
+
+// the question as a player using `locale` sees it; blank translations fall back to the original, choice by choice
+export function localizeQuestion(q, locale, lang = DEFAULT_LOCALE) {
+  if (!q) return q;
+  if (questionType(q) === "truefalse") return { ...q, choices: trueFalseChoices(locale) };
+  const tr = locale !== lang && q.translations ? q.translations[locale] : null;
+  if (!tr) return q;
+  const choices = toList(tr.choices);
+  return { ...q, text: filled(tr.text) ? tr.text : q.text, choices: q.choices.map((c, i) => (filled(choices[i]) ? choices[i] : c)) };
+}
+
+export function localizeQuiz(quiz, locale) {
+  if (!quiz) return quiz;
+  const lang = quiz.lang || DEFAULT_LOCALE;
+  const tr = locale !== lang && quiz.translations ? quiz.translations[locale] : null;
+  return {
+    ...quiz,
+    title: tr && filled(tr.title) ? tr.title : quiz.title,
+    questions: (quiz.questions || []).map((q) => localizeQuestion(q, locale, q.lang || lang))
+  };
+}
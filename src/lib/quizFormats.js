@@ -0,0 +1,534 @@
+// src/lib/quizFormats.js
+// Impor/ekspor kuis sebagai JSON, CSV, Moodle GIFT dan Aiken.
+// Setiap importer mengembalikan { quiz, errors } — soal yang ditolak dibuang dan
+// dilaporkan sebagai { line, message } sehingga soal lain tetap bisa dipakai.
+import { DEFAULT_TIME, newId, validateQuestion } from "./quiz";
+import { formatTest, parseTest } from "./arduinoSim";
+import { formatCheck, parseCheck } from "./webChecks";
+import { QUESTION_TYPES, normalizeAnswer, questionType, trueFalseChoices, typeLabel } from "./questionTypes";
+import { normalizeDifficulty, normalizeTags } from "./questionBank";
+import { t } from "./i18n";
+
+export const FORMATS = {
+  json: { label: "JSON", ext: "json", mime: "application/json" },
+  csv: { label: "CSV", ext: "csv", mime: "text/csv" },
+  gift: { label: "Moodle GIFT", ext: "gift", mime: "text/plain" },
+  aiken: { label: "Aiken", ext: "txt", mime: "text/plain" }
+};
+
+const letter = (i) => String.fromCharCode(65 + i);
+const letterIndex = (s) => String(s || "").trim().toUpperCase().charCodeAt(0) - 65;
+// numeric ids (like the ones in SAMPLE_QUIZ) come back from text formats as strings; only a plain
+// number turns back into one, so "007" stays "007"
+const parseId = (v) => {
+  if (typeof v === "number") return v;
+  const s = String(v ?? "");
+  if (!s.trim()) return newId();
+  return /^(0|[1-9]\d*)$/.test(s) ? Number(s) : s;
+};
+const lineOf = (text, offset) => text.slice(0, offset).split("\n").length;
+
+// run the shared question checks and turn failures into a single line error
+function accept(q, line, questions, errors) {
+  const problems = validateQuestion(q);
+  if (problems.length) errors.push({ line, message: problems.join(", ") });
+  else questions.push(q);
+}
+
+// GIFT and Aiken trim their lines, so whitespace at either end of a value is written as an escape
+// (\s, \t, \u{a0}) and read back as it was
+const EDGE_ESCAPES = { " ": "\\s", "\t": "\\t" };
+const UNESCAPES = { n: "\n", s: " ", t: "\t" };
+const escapeEdges = (s) => s.replace(/^\s+|\s+$/g, (ws) => [...ws].map((c) => EDGE_ESCAPES[c] || `\\u{${c.codePointAt(0).toString(16)}}`).join(""));
+const unescapeText = (s) => s.replace(/\\(u\{[0-9a-fA-F]+\}|.)/g, (_, c) => (c.length > 1 ? String.fromCodePoint(parseInt(c.slice(2, -1), 16)) : UNESCAPES[c] ?? c));
+
+// lang, tags, difficulty and translations as [name, value] pairs, for the GIFT comments and Aiken lines
+function extraFields(q) {
+  const out = [];
+  const tags = normalizeTags(q.tags);
+  if (q.lang) out.push(["lang", q.lang]);
+  if (tags.length) out.push(["tags", tags.join("; ")]);
+  if (q.difficulty) out.push(["difficulty", q.difficulty]);
+  if (q.translations) out.push(["translations", JSON.stringify(q.translations)]);
+  return out;
+}
+
+// read one of those pairs back into `target` (a question, or the quiz for lang/translations); returns an error or null
+function readExtraField(target, name, value) {
+  const v = value.trim();
+  if (name === "lang" && v) target.lang = v;
+  if (name === "tags" && normalizeTags(v.split(";")).length) target.tags = normalizeTags(v.split(";"));
+  if (name === "difficulty" && normalizeDifficulty(v)) target.difficulty = normalizeDifficulty(v);
+  if (name === "translations" && v) {
+    try {
+      target.translations = JSON.parse(v);
+    } catch {
+      return t("formats.badTranslations");
+    }
+  }
+  return null;
+}
+
+/* ---------- JSON ---------- */
+// start offsets of each element of the top-level "questions" array (or of a bare array)
+function questionOffsets(text) {
+  const offsets = [];
+  let depth = 0, inString = false, arrayDepth = -1, lastKey = "", keyStart = -1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === "\"") { inString = false; lastKey = text.slice(keyStart + 1, i); }
+      continue;
+    }
+    if (ch === "\"") { inString = true; keyStart = i; continue; }
+    if (ch === "{" || ch === "[") {
+      if (depth === arrayDepth) offsets.push(i);
+      if (ch === "[" && arrayDepth < 0 && (depth === 0 || (depth === 1 && lastKey === "questions"))) arrayDepth = depth + 1;
+      depth++;
+    } else if (ch === "}" || ch === "]") {
+      depth--;
+      if (depth < arrayDepth - 1) arrayDepth = -2;
+    }
+  }
+  return offsets;
+}
+
+function importJson(text) {
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    const m = /position (\d+)/.exec(e.message);
+    return { quiz: null, errors: [{ line: m ? lineOf(text, Number(m[1])) : 1, message: t("formats.badJson", { error: e.message }) }] };
+  }
+  const raw = Array.isArray(data) ? { questions: data } : data || {};
+  const offsets = questionOffsets(text);
+  const questions = [];
+  (Array.isArray(raw.questions) ? raw.questions : []).forEach((q, i) => {
+    const line = offsets[i] !== undefined ? lineOf(text, offsets[i]) : 1;
+    if (!q || typeof q !== "object") return errors.push({ line, message: t("formats.notObject") });
+    const typed = { ...q, id: parseId(q.id), choices: Array.isArray(q.choices) ? q.choices : [], time: q.time === undefined ? DEFAULT_TIME : Number(q.time) };
+    if (q.answer !== undefined) typed.answer = normalizeAnswer(questionType(q), q.answer);
+    accept(typed, line, questions, errors);
+  });
+  const languages = { ...(raw.lang ? { lang: raw.lang } : {}), ...(raw.translations ? { translations: raw.translations } : {}) };
+  return { quiz: { id: raw.id || "", title: raw.title || "", ...languages, questions }, errors };
+}
+
+const exportJson = (quiz) => JSON.stringify(quiz, null, 2) + "\n";
+
+/* ---------- CSV ---------- */
+// RFC 4180 records, each tagged with the line it starts on (quoted fields may span lines)
+function parseCsv(text) {
+  const records = [];
+  let row = [], field = "", quoted = false, line = 1, start = 1;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === "\"" && text[i + 1] === "\"") { field += "\""; i++; }
+      else if (ch === "\"") quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === "\"") quoted = true;
+    else if (ch === ",") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      records.push({ line: start, cells: row });
+      row = []; field = ""; line++; start = line;
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); records.push({ line: start, cells: row }); }
+  return records.filter((r) => r.cells.some((c) => c.trim()));
+}
+
+export const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, "\"\"")}"` : s;
+};
+
+// "|" inside one of the "|"-joined values is written as "\\|" and a backslash as "\\\\"; any other backslash is read as typed
+const joinPipes = (items) => items.map((s) => String(s).replace(/[\\|]/g, "\\$&")).join("|");
+function splitPipes(cell) {
+  const parts = [""];
+  for (let i = 0; i < cell.length; i++) {
+    if (cell[i] === "\\" && (cell[i + 1] === "|" || cell[i + 1] === "\\")) parts[parts.length - 1] += cell[++i];
+    else if (cell[i] === "|") parts.push("");
+    else parts[parts.length - 1] += cell[i];
+  }
+  return parts;
+}
+
+// answer cell: letter (single/truefalse), "A;C" (multi), "value:tolerance" (numeric),
+// "jawaban1|jawaban2" (text), "A0=250 -> 13=HIGH|A0=700 -> 13=LOW" (blocks tests),
+// "ada h1|teks h1 = Halo" (web checks; starter code goes in the optional starter column);
+// empty for order, whose choices are already in the right order.
+// Translations get their own columns (text_en, choice_1_en, ...) and the title's a "#title,en,..." row.
+function parseCsvAnswer(type, cell) {
+  const s = cell.trim();
+  const letterOrNaN = (x) => (/^[A-Za-z]$/.test(x.trim()) ? letterIndex(x) : NaN);
+  switch (type) {
+    case "multi": return s ? s.split(";").map(letterOrNaN) : [];
+    case "numeric": {
+      const [value, tolerance = "0"] = s.split(":");
+      return { value: value.trim() === "" ? "" : Number(value), tolerance: Number(tolerance) };
+    }
+    case "text": return splitPipes(cell);
+    case "blocks": return { tests: s ? splitPipes(s).map(parseTest) : [] };
+    case "web": return { checks: s ? splitPipes(s).map(parseCheck) : [] };
+    default: return letterOrNaN(s);
+  }
+}
+
+function csvAnswer(q) {
+  switch (questionType(q)) {
+    case "multi": return q.answer.map(letter).join(";");
+    case "numeric": return `${q.answer.value}:${q.answer.tolerance || 0}`;
+    case "text": return joinPipes(q.answer);
+    case "order": return "";
+    case "blocks": return joinPipes(q.answer.tests.map(formatTest));
+    case "web": return joinPipes(q.answer.checks.map(formatCheck));
+    default: return letter(q.answer);
+  }
+}
+
+function importCsv(text) {
+  const errors = [];
+  const records = parseCsv(text);
+  const quiz = { id: "", title: "", questions: [] };
+  if (records[0] && records[0].cells[0] === "#quiz") {
+    const meta = records.shift();
+    quiz.id = meta.cells[1] || "";
+    quiz.title = meta.cells[2] || "";
+    if ((meta.cells[3] || "").trim()) quiz.lang = meta.cells[3].trim();
+  }
+  while (records[0] && records[0].cells[0] === "#title") {
+    const [, locale = "", title = ""] = records.shift().cells;
+    quiz.translations = { ...quiz.translations, [locale.trim()]: { title } };
+  }
+  const header = records.shift();
+  const cols = header ? header.cells.map((c) => c.trim().toLowerCase()) : [];
+  // { locale: { text: column, choices: [column, ...] } }, the locale spelled as in the header
+  const localeCols = {};
+  const localeCol = (locale) => (localeCols[locale] = localeCols[locale] || { text: -1, choices: [] });
+  (header ? header.cells : []).forEach((c, i) => {
+    const text = /^text_(.+)$/i.exec(c.trim());
+    const choice = /^choice_(\d+)_(.+)$/i.exec(c.trim());
+    if (text) localeCol(text[1]).text = i;
+    if (choice) localeCol(choice[2]).choices[Number(choice[1]) - 1] = i;
+  });
+  if (!cols.includes("text") || !cols.includes("answer")) {
+    return { quiz, errors: [{ line: header ? header.line : 1, message: t("formats.csvHeader") }] };
+  }
+  const choiceCols = cols.map((c, i) => (/^choice_\d+$/.test(c) ? i : -1)).filter((i) => i >= 0);
+  const get = (cells, name) => (cols.indexOf(name) >= 0 ? cells[cols.indexOf(name)] ?? "" : "");
+
+  records.forEach(({ line, cells }) => {
+    const choices = choiceCols.map((i) => cells[i] ?? "");
+    while (choices.length && choices[choices.length - 1] === "") choices.pop();
+    const timeCell = get(cells, "time").trim();
+    const type = get(cells, "type").trim() || "single";
+    if (!QUESTION_TYPES[type]) return errors.push({ line, message: t("formats.unknownType", { type }) });
+    const q = {
+      id: parseId(get(cells, "id")),
+      text: get(cells, "text"),
+      choices,
+      time: timeCell ? Number(timeCell) : DEFAULT_TIME
+    };
+    if (type !== "single") q.type = type;
+    if (type !== "order") q.answer = parseCsvAnswer(type, get(cells, "answer"));
+    if (type === "web") q.starter = get(cells, "starter");
+    const tags = normalizeTags(get(cells, "tags").split(";"));
+    if (tags.length) q.tags = tags;
+    const difficulty = normalizeDifficulty(get(cells, "difficulty"));
+    if (difficulty) q.difficulty = difficulty;
+    const lang = get(cells, "lang").trim();
+    if (lang) q.lang = lang;
+    const translations = {};
+    Object.entries(localeCols).forEach(([locale, col]) => {
+      const text = col.text >= 0 ? cells[col.text] ?? "" : "";
+      const trChoices = choices.map((_, i) => (col.choices[i] !== undefined ? cells[col.choices[i]] ?? "" : ""));
+      if (text || trChoices.some(Boolean)) translations[locale] = { text, choices: trChoices };
+    });
+    if (Object.keys(translations).length) q.translations = translations;
+    accept(q, line, quiz.questions, errors);
+  });
+  return { quiz, errors };
+}
+
+function exportCsv(quiz) {
+  const width = Math.max(2, ...quiz.questions.map((q) => q.choices.length));
+  // only quizzes with web questions, bank tags or other languages get the extra columns, so older sheets stay unchanged
+  const starter = quiz.questions.some((q) => questionType(q) === "web");
+  const bank = quiz.questions.some((q) => normalizeTags(q.tags).length || q.difficulty);
+  const lang = quiz.questions.some((q) => q.lang);
+  const locales = [...new Set(quiz.questions.flatMap((q) => Object.keys(q.translations || {})))];
+  const padded = starter || bank || lang || locales.length > 0;
+  const choiceCells = (choices = []) => Array.from({ length: width }, (_, i) => choices[i] ?? "");
+  const translationCells = (q) => locales.flatMap((locale) => {
+    const tr = (q.translations || {})[locale] || {};
+    return [tr.text || "", ...choiceCells(tr.choices)];
+  });
+  const rows = [
+    ["#quiz", quiz.id || "", quiz.title || "", ...(quiz.lang ? [quiz.lang] : [])],
+    ...Object.entries(quiz.translations || {}).map(([locale, tr]) => ["#title", locale, (tr && tr.title) || ""]),
+    [
+      "id", "type", "text", "time", "answer", ...Array.from({ length: width }, (_, i) => `choice_${i + 1}`),
+      ...(starter ? ["starter"] : []), ...(bank ? ["tags", "difficulty"] : []), ...(lang ? ["lang"] : []),
+      ...locales.flatMap((locale) => [`text_${locale}`, ...Array.from({ length: width }, (_, i) => `choice_${i + 1}_${locale}`)])
+    ],
+    ...quiz.questions.map((q) => [
+      q.id, questionType(q), q.text, q.time, csvAnswer(q),
+      ...(padded ? choiceCells(q.choices) : q.choices),
+      ...(starter ? [q.starter || ""] : []),
+      ...(bank ? [normalizeTags(q.tags).join(";"), q.difficulty || ""] : []),
+      ...(lang ? [q.lang || ""] : []),
+      ...translationCells(q)
+    ])
+  ];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/* ---------- Moodle GIFT ---------- */
+// Didukung: pilihan ganda, benar/salah {T}, banyak jawaban {~%50%..}, angka {#nilai:toleransi}
+// dan isian {=a =b}. Judul/ID/bahasa kuis serta waktu, bahasa, tag, tingkat kesulitan dan terjemahan
+// per soal disimpan dalam komentar (// quiz-id:, // quiz-title:, // quiz-lang:, // quiz-translations:,
+// // time:, // lang:, // tags:, // difficulty:, // translations:) yang diabaikan Moodle.
+// a leading "%" is escaped too, or "%50% sure" would read back as a weight and "sure"
+const giftEscape = (s) => escapeEdges(String(s).replace(/[\\~=#{}:]/g, (c) => `\\${c}`).replace(/\n/g, "\\n").replace(/^%/, "\\%"));
+const GIFT_COMMENT = /^\s*\/\/\s*(quiz-id|quiz-title|quiz-lang|quiz-translations|time|lang|tags|difficulty|translations)\s*:\s*(.*)$/;
+
+// split on a character that is not preceded by a backslash
+function splitUnescaped(s, chars) {
+  const parts = [];
+  let cur = "";
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "\\") { cur += s[i] + (s[i + 1] ?? ""); i++; continue; }
+    if (chars.includes(s[i])) { parts.push(cur); cur = s[i]; continue; }
+    cur += s[i];
+  }
+  parts.push(cur);
+  return parts;
+}
+
+const indexUnescaped = (s, ch, from = 0) => {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === "\\") i++;
+    else if (s[i] === ch) return i;
+  }
+  return -1;
+};
+
+// blank-line separated blocks, each tagged with its first line number
+function blocks(text) {
+  const out = [];
+  let cur = null;
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) { cur = null; return; }
+    if (!cur) { cur = { line: i + 1, lines: [] }; out.push(cur); }
+    cur.lines.push(raw);
+  });
+  return out;
+}
+
+// drop feedback (#...) and unescape one GIFT answer
+const giftAnswerText = (s) => {
+  const hash = indexUnescaped(s, "#");
+  return unescapeText((hash >= 0 ? s.slice(0, hash) : s).trim());
+};
+
+// { type?, choices, answer } or { error } for the part between { and }
+function parseGiftAnswers(body) {
+  if (/^(T|TRUE)$/i.test(body)) return { type: "truefalse", choices: trueFalseChoices(), answer: 0 };
+  if (/^(F|FALSE)$/i.test(body)) return { type: "truefalse", choices: trueFalseChoices(), answer: 1 };
+  if (body.startsWith("#")) {
+    const m = /^#\s*=?\s*(-?[\d.]+)\s*(?::\s*([\d.]+)|\.\.\s*(-?[\d.]+))?\s*$/.exec(body);
+    if (!m) return { error: t("formats.giftNumeric") };
+    if (m[3] !== undefined) {
+      const lo = Number(m[1]), hi = Number(m[3]);
+      return { type: "numeric", choices: [], answer: { value: (lo + hi) / 2, tolerance: (hi - lo) / 2 } };
+    }
+    return { type: "numeric", choices: [], answer: { value: Number(m[1]), tolerance: Number(m[2] || 0) } };
+  }
+
+  const tokens = splitUnescaped(body, "=~").map((a) => a.trim()).filter(Boolean);
+  if (!tokens.length || tokens.some((a) => a[0] !== "=" && a[0] !== "~")) {
+    return { error: t("formats.giftAnswer") };
+  }
+  const weight = (a) => {
+    const m = /^[=~]%(-?\d+(?:\.\d+)?)%/.exec(a);
+    return m ? Number(m[1]) : null;
+  };
+  const choices = tokens.map((a) => giftAnswerText(a.slice(1).replace(/^%-?\d+(\.\d+)?%/, "")));
+
+  // {=a =b}: short answer with several accepted answers
+  if (tokens.every((a) => a[0] === "=")) {
+    return { type: "text", choices: [], answer: choices };
+  }
+  // {~%50%a ~%50%b ~%-100%c}: several correct answers
+  if (tokens.every((a) => a[0] === "~") && tokens.some((a) => weight(a) > 0)) {
+    return { type: "multi", choices, answer: tokens.map((a, i) => (weight(a) > 0 ? i : -1)).filter((i) => i >= 0) };
+  }
+  const correct = tokens.map((a, i) => (a[0] === "=" ? i : -1)).filter((i) => i >= 0);
+  if (correct.length !== 1) return { error: t("formats.giftSingle") };
+  return { choices, answer: correct[0] };
+}
+
+function importGift(text) {
+  const errors = [];
+  const quiz = { id: "", title: "", questions: [] };
+  blocks(text).forEach(({ line, lines }) => {
+    let time = DEFAULT_TIME;
+    const extra = {};
+    const body = [];
+    let bad = null;
+    lines.forEach((l) => {
+      const m = GIFT_COMMENT.exec(l);
+      if (m && m[1] === "quiz-id") quiz.id = m[2].trim();
+      else if (m && m[1] === "quiz-title") quiz.title = m[2].trim();
+      else if (m && m[1] === "time") time = Number(m[2]);
+      else if (m) bad = bad || readExtraField(m[1].startsWith("quiz-") ? quiz : extra, m[1].replace(/^quiz-/, ""), m[2]);
+      else if (!/^\s*\/\//.test(l) && !/^\s*\$CATEGORY:/.test(l)) body.push(l);
+    });
+    if (bad) return errors.push({ line, message: bad });
+    const src = body.join("\n").trim();
+    if (!src) return;
+
+    let rest = src, id = "";
+    if (rest.startsWith("::")) {
+      let end = indexUnescaped(rest, ":", 2);
+      while (end >= 0 && rest[end + 1] !== ":") end = indexUnescaped(rest, ":", end + 1);
+      if (end < 0) return errors.push({ line, message: t("formats.giftName") });
+      id = rest.slice(2, end);
+      rest = rest.slice(end + 2);
+    }
+    const open = indexUnescaped(rest, "{");
+    const close = open >= 0 ? indexUnescaped(rest, "}", open) : -1;
+    if (open < 0 || close < 0) return errors.push({ line, message: t("formats.giftBlock") });
+
+    const qText = (rest.slice(0, open) + rest.slice(close + 1)).trim().replace(/^\[(html|markdown|plain|moodle)\]/, "");
+    const base = { id: parseId(unescapeText(id)), text: unescapeText(qText), time };
+    const parsed = parseGiftAnswers(rest.slice(open + 1, close).trim());
+    if (parsed.error) return errors.push({ line, message: parsed.error });
+    accept({ ...base, ...parsed, ...extra }, line, quiz.questions, errors);
+  });
+  return { quiz, errors };
+}
+
+function giftAnswerLines(q) {
+  const type = questionType(q);
+  switch (type) {
+    case "truefalse": return [q.answer === 0 ? "T" : "F"];
+    case "numeric": return [`#${q.answer.value}:${q.answer.tolerance || 0}`];
+    case "text": return q.answer.map((a) => `=${giftEscape(a)}`);
+    case "multi": {
+      const w = Math.round((100 / q.answer.length) * 100000) / 100000;
+      return q.choices.map((c, i) => `~%${q.answer.includes(i) ? w : -100}%${giftEscape(c)}`);
+    }
+    case "order":
+    case "blocks":
+    case "web": throw new Error(t("formats.giftUnsupported", { type: typeLabel(type) }));
+    default: return q.choices.map((c, i) => `${i === q.answer ? "=" : "~"}${giftEscape(c)}`);
+  }
+}
+
+function exportGift(quiz) {
+  const head = [
+    `// quiz-id: ${quiz.id || ""}`,
+    `// quiz-title: ${quiz.title || ""}`,
+    ...(quiz.lang ? [`// quiz-lang: ${quiz.lang}`] : []),
+    ...(quiz.translations ? [`// quiz-translations: ${JSON.stringify(quiz.translations)}`] : [])
+  ].join("\n");
+  const body = quiz.questions.map((q) => [
+    `// time: ${q.time}`,
+    ...extraFields(q).map(([name, value]) => `// ${name}: ${value}`),
+    `::${giftEscape(q.id)}::${giftEscape(q.text)}{`,
+    ...giftAnswerLines(q),
+    "}"
+  ].join("\n"));
+  return [head, ...body].join("\n\n") + "\n";
+}
+
+/* ---------- Aiken ---------- */
+// Aiken murni tidak punya metadata; baris tambahan QUIZ-ID:, QUIZ-TITLE:, QUIZ-LANG:, QUIZ-TRANSLATIONS:,
+// ID:, TIME:, LANG:, TAGS:, DIFFICULTY: dan TRANSLATIONS: dipakai agar ekspor bisa diimpor ulang tanpa perubahan.
+const aikenEscape = (s) => escapeEdges(String(s).replace(/\\/g, "\\\\").replace(/\n/g, "\\n"));
+const AIKEN_EXTRA = /^(QUIZ-LANG|QUIZ-TRANSLATIONS|LANG|TAGS|DIFFICULTY|TRANSLATIONS):\s*(.*)$/;
+
+function importAiken(text) {
+  const errors = [];
+  const quiz = { id: "", title: "", questions: [] };
+  blocks(text).forEach(({ line, lines }) => {
+    let qText = null, answer = null, time = DEFAULT_TIME, id = "";
+    const choices = [];
+    const extra = {};
+    for (const l of lines.map((x) => x.trim())) {
+      let m;
+      if ((m = /^QUIZ-ID:\s*(.*)$/.exec(l))) quiz.id = m[1];
+      else if ((m = /^QUIZ-TITLE:\s*(.*)$/.exec(l))) quiz.title = unescapeText(m[1]);
+      else if ((m = AIKEN_EXTRA.exec(l))) {
+        const bad = readExtraField(m[1].startsWith("QUIZ-") ? quiz : extra, m[1].replace(/^QUIZ-/, "").toLowerCase(), m[2]);
+        if (bad) return errors.push({ line, message: bad });
+      }
+      else if ((m = /^ANSWER:\s*([A-Za-z])\s*$/.exec(l))) answer = letterIndex(m[1]);
+      else if ((m = /^TIME:\s*(.*)$/.exec(l))) time = Number(m[1]);
+      else if ((m = /^ID:\s*(.*)$/.exec(l))) id = unescapeText(m[1]);
+      else if (qText !== null && (m = /^([A-Z])[.)]\s?(.*)$/.exec(l))) {
+        if (letterIndex(m[1]) !== choices.length) return errors.push({ line, message: t("formats.aikenOrder", { letter: m[1] }) });
+        choices.push(unescapeText(m[2]));
+      } else if (qText === null) qText = unescapeText(l);
+      else return errors.push({ line, message: t("formats.aikenLine", { line: l }) });
+    }
+    if (qText === null) return; // header-only block
+    if (answer === null) return errors.push({ line, message: t("formats.aikenAnswer") });
+    accept({ id: parseId(id), text: qText, choices, answer, time, ...extra }, line, quiz.questions, errors);
+  });
+  return { quiz, errors };
+}
+
+function exportAiken(quiz) {
+  const other = quiz.questions.findIndex((q) => questionType(q) !== "single");
+  if (other >= 0) throw new Error(t("formats.aikenSingle", { n: other + 1, type: typeLabel(questionType(quiz.questions[other])) }));
+  const head = [
+    `QUIZ-ID: ${quiz.id || ""}`,
+    `QUIZ-TITLE: ${aikenEscape(quiz.title || "")}`,
+    ...(quiz.lang ? [`QUIZ-LANG: ${quiz.lang}`] : []),
+    ...(quiz.translations ? [`QUIZ-TRANSLATIONS: ${JSON.stringify(quiz.translations)}`] : [])
+  ].join("\n");
+  const body = quiz.questions.map((q) => [
+    aikenEscape(q.text),
+    ...q.choices.map((c, i) => `${letter(i)}. ${aikenEscape(c)}`),
+    `ANSWER: ${letter(q.answer)}`,
+    `ID: ${aikenEscape(q.id)}`,
+    `TIME: ${q.time}`,
+    ...extraFields(q).map(([name, value]) => `${name.toUpperCase()}: ${value}`)
+  ].join("\n"));
+  return [head, ...body].join("\n\n") + "\n";
+}
+
+/* ---------- Public API ---------- */
+const importers = { json: importJson, csv: importCsv, gift: importGift, aiken: importAiken };
+const exporters = { json: exportJson, csv: exportCsv, gift: exportGift, aiken: exportAiken };
+
+export function detectFormat(filename = "", text = "") {
+  const ext = filename.split(".").pop().toLowerCase();
+  if (ext === "json" || ext === "csv" || ext === "gift") return ext;
+  const start = text.trimStart();
+  if (start.startsWith("{") || start.startsWith("[")) return "json";
+  if (/^ANSWER:/m.test(text)) return "aiken";
+  if (/\{[\s\S]*[=~][\s\S]*\}/.test(text)) return "gift";
+  return "csv";
+}
+
+export function importQuiz(text, format) {
+  const run = importers[format];
+  if (!run) return { quiz: null, errors: [{ line: 1, message: t("formats.unknownFormat", { format }) }] };
+  return run(String(text).replace(/^\uFEFF/, ""));
+}
+
+export function exportQuiz(quiz, format) {
+  const run = exporters[format];
+  if (!run) throw new Error(t("formats.unknownFormat", { format }));
+  return run(quiz);
+}
@@ -0,0 +1,148 @@
+// src/lib/results.js
+// Rekap sesi setelah kuis selesai. Host menyimpan hasil tiap soal di
+// rooms/{id}/history/{index}/{pid} = { name, answered, choice?, checks?, correct, ms?, points, streakBefore },
+// (checks: hasil pemeriksaan DOM soal web, [{ label, passed }]),
+// lalu dari situ dibuat ekspor CSV, laporan per siswa dan tabel tingkat kesulitan.
+// Soal yang dilewati host (rooms/{id}/skipped/{index}) tidak dihitung.
+import { formatAnswer, formatResponse } from "./questionTypes";
+import { csvCell } from "./quizFormats";
+import { rankPlayers } from "./reveal";
+import { formatNumber, getLocale, t } from "./i18n";
+
+// share of correct answers at or above which a question counts as easy / medium (labels: results.levels.*)
+export const DIFFICULTY_LEVELS = [
+  { id: "easy", min: 0.7, color: "#059669" },
+  { id: "medium", min: 0.4, color: "#d97706" },
+  { id: "hard", min: 0, color: "#dc2626" }
+];
+
+const seconds = (ms) => (typeof ms === "number" ? Math.round(ms / 100) / 10 : null);
+// Markdown source flattened to one line, for tables and CSV
+const plain = (text, max = 0) => {
+  const s = String(text ?? "").replace(/\s+/g, " ").trim();
+  return max && s.length > max ? `${s.slice(0, max - 1)}…` : s;
+};
+
+// history is keyed by question index; the Realtime Database may hand it back as an array
+const entriesFor = (history, index) => ((history || {})[index]) || {};
+const isSkipped = (skipped, index) => Boolean((skipped || {})[index]);
+
+/* ---------- Per-question difficulty ---------- */
+export function questionStats(quiz, history, skipped) {
+  return (quiz.questions || []).map((q, index) => {
+    const entries = Object.values(entriesFor(history, index));
+    const answered = entries.filter((e) => e.answered);
+    const correct = entries.filter((e) => e.correct).length;
+    const times = answered.map((e) => e.ms).filter((ms) => typeof ms === "number");
+    const rate = entries.length ? correct / entries.length : null;
+    return {
+      index,
+      text: plain(q.text, 80),
+      skipped: isSkipped(skipped, index),
+      players: entries.length,
+      answered: answered.length,
+      correct,
+      rate,
+      avgMs: times.length ? times.reduce((a, b) => a + b, 0) / times.length : null,
+      level: rate === null ? null : DIFFICULTY_LEVELS.find((l) => rate >= l.min)
+    };
+  });
+}
+
+/* ---------- Per-student summary ---------- */
+// everyone who played, including players who left the room after answering
+export function studentReports(quiz, history, players = {}, skipped) {
+  const people = {};
+  Object.entries(players).forEach(([pid, p]) => { people[pid] = { name: p.name || pid, score: Number(p.score || 0) }; });
+  const ranks = rankPlayers(people);
+  // players who left keep the points they earned, but no rank
+  (quiz.questions || []).forEach((_, index) => {
+    Object.entries(entriesFor(history, index)).forEach(([pid, e]) => {
+      if (!people[pid]) people[pid] = { name: e.name || pid, score: 0, left: true };
+      if (people[pid].left) people[pid].score = Math.max(0, people[pid].score + Number(e.points || 0));
+    });
+  });
+
+  return Object.entries(people)
+    .map(([pid, p]) => {
+      const report = { pid, name: p.name, score: p.score, rank: p.left ? null : ranks[pid], correct: [], wrong: [], unanswered: [] };
+      (quiz.questions || []).forEach((_, index) => {
+        if (isSkipped(skipped, index)) return;
+        const e = entriesFor(history, index)[pid];
+        if (!e || !e.answered) report.unanswered.push(index);
+        else (e.correct ? report.correct : report.wrong).push(index);
+      });
+      return report;
+    })
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity) || a.name.localeCompare(b.name));
+}
+
+/* ---------- CSV: one row per player per question ---------- */
+/**
+ * `key` is the host-only answer key ({ answers: [...] }); without it the answer key column stays empty.
+ * Headers and yes/no cells follow the current locale.
+ */
+export function resultsCsv(quiz, history, players = {}, key = null) {
+  const keys = (key && key.answers) || [];
+  const rows = [["number", "question", "player", "answer", "key", "correct", "seconds", "points"].map((c) => t(`results.csv.${c}`))];
+  (quiz.questions || []).forEach((q, index) => {
+    Object.entries(entriesFor(history, index)).forEach(([pid, e]) => {
+      const name = (players[pid] && players[pid].name) || e.name || pid;
+      rows.push([
+        index + 1,
+        plain(q.text),
+        name,
+        e.answered ? formatResponse(q, e.choice) : "",
+        keys[index] !== undefined && keys[index] !== null ? formatAnswer(q, keys[index]) : "",
+        e.answered ? t(e.correct ? "results.csv.yes" : "results.csv.no") : t("results.csv.unanswered"),
+        e.answered ? seconds(e.ms) ?? "" : "",
+        Number(e.points || 0)
+      ]);
+    });
+  });
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/* ---------- Printable report (HTML) ---------- */
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+
+// standalone page, one student per printed page
+export function reportHtml({ title, quiz, history, players, key, skipped }) {
+  const keys = (key && key.answers) || [];
+  const questions = quiz.questions || [];
+  const played = questions.filter((_, index) => !isSkipped(skipped, index)).length;
+  const line = (index, pid) => {
+    const q = questions[index];
+    const e = entriesFor(history, index)[pid];
+    const mine = e && e.answered ? formatResponse(q, e.choice) : "-";
+    const right = keys[index] !== undefined && keys[index] !== null ? ` · ${t("results.report.key", { answer: formatAnswer(q, keys[index]) })}` : "";
+    const checks = e && e.checks ? `<br><small>${esc(t("results.report.checks", { checks: Object.values(e.checks).map((c) => `${c.passed ? "✓" : "✗"} ${c.label}`).join(", ") }))}</small>` : "";
+    return `<li>${index + 1}. ${esc(plain(q.text, 120))}<br><small>${esc(t("results.report.answer", { answer: mine }))}${esc(right)}</small>${checks}</li>`;
+  };
+  const section = (label, list, pid) => (list.length ? `<h3>${label} (${list.length})</h3><ul>${list.map((i) => line(i, pid)).join("")}</ul>` : "");
+
+  const pages = studentReports(quiz, history, players, skipped).map((s) => `
+<section>
+  <h1>${esc(title)}</h1>
+  <h2>${esc(s.name)}</h2>
+  <p>${t("results.report.score")}: <strong>${formatNumber(s.score)}</strong>${s.rank ? ` · ${t("results.report.rank", { rank: s.rank })}` : ""} · ${t("results.report.correctOf", { correct: s.correct.length, total: played })}</p>
+  ${section(t("results.report.correct"), s.correct, s.pid)}
+  ${section(t("results.report.wrong"), s.wrong, s.pid)}
+  ${section(t("results.report.unanswered"), s.unanswered, s.pid)}
+</section>`).join("");
+
+  return `<!doctype html>
+<html lang="${getLocale()}"><head><meta charset="utf-8"><title>${esc(t("results.report.title", { title }))}</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #0f172a; margin: 24px; }
+section { page-break-after: always; }
+section:last-child { page-break-after: auto; }
+h1 { font-size: 14px; color: #6b7280; margin: 0; }
+h2 { margin: 4px 0; }
+h3 { font-size: 15px; margin: 14px 0 4px; }
+ul { padding-left: 18px; margin: 0; }
+li { margin-bottom: 6px; }
+small { color: #475569; }
+</style></head><body>${pages}</body></html>
+`;
+}
@@ -0,0 +1,40 @@
+// src/lib/reveal.js
+// Data fase "reveal": hasil satu soal yang ditampilkan setelah soal ditutup.
+import { QUESTION_TYPES, countedChoices, questionType } from "./questionTypes";
+
+// { pid: rank } with 1 = highest score; equal scores share a rank
+export function rankPlayers(players = {}) {
+  const sorted = Object.entries(players).sort((a, b) => (b[1].score || 0) - (a[1].score || 0));
+  const ranks = {};
+  sorted.forEach(([pid, p], i) => {
+    const prev = sorted[i - 1];
+    ranks[pid] = prev && (prev[1].score || 0) === (p.score || 0) ? ranks[prev[0]] : i + 1;
+  });
+  return ranks;
+}
+
+/**
+ * Build the reveal snapshot written to rooms/{id}/reveal.
+ * `results` is { pid: { choice, correct, points } } for players that answered in time;
+ * `answer` is the host-only key for this question, published now that it is closed.
+ */
+export function buildReveal({ index, q, answer, results, playersBefore, playersAfter }) {
+  const type = questionType(q);
+  // bar chart per option only makes sense for choice questions (not for order)
+  const counts = QUESTION_TYPES[type].hasChoices && type !== "order" ? q.choices.map(() => 0) : null;
+  Object.values(results).forEach((r) => {
+    if (!counts) return;
+    countedChoices(type, r.choice).forEach((c) => {
+      if (c >= 0 && c < counts.length) counts[c]++;
+    });
+  });
+  return {
+    index,
+    answer,
+    counts,
+    correctCount: Object.values(results).filter((r) => r.correct).length,
+    results,
+    rankBefore: rankPlayers(playersBefore),
+    rankAfter: rankPlayers(playersAfter)
+  };
+}
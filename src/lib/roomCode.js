@@ -0,0 +1,39 @@
+// src/lib/roomCode.js
+// Kode room, link gabung (/?room=ABC123) dan layar presentasi (/?view=presenter&room=ABC123).
+// Link membawa mode jaringan halaman ini (?net=local / ?relay=...) supaya perangkat lain ikut.
+// Kode tidak memakai karakter yang mudah tertukar saat dibaca dari proyektor: O/0 dan I/1 (juga L).
+import { transportSearch } from "./transport";
+
+export const ROOM_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const ROOM_CODE_LENGTH = 6;
+
+export function newRoomCode(length = ROOM_CODE_LENGTH) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  // 256 % 31 leaves a tiny bias, irrelevant for room codes
+  return Array.from(bytes, (b) => ROOM_CODE_ALPHABET[b % ROOM_CODE_ALPHABET.length]).join("");
+}
+
+// what the student typed or scanned, without spaces, dashes or lower case
+export const normalizeRoomCode = (input) => String(input ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const carried = (location) => {
+  const extra = transportSearch(location.search);
+  return extra ? `&${extra}` : "";
+};
+
+export function joinUrl(code, location = window.location) {
+  return `${location.origin}${location.pathname}?room=${encodeURIComponent(code)}${carried(location)}`;
+}
+
+export function roomFromSearch(search = "") {
+  return normalizeRoomCode(new URLSearchParams(search).get("room"));
+}
+
+/* ---------- Views ---------- */
+// read-only classroom screen for the projector
+export function presenterUrl(code, location = window.location) {
+  return `${location.origin}${location.pathname}?view=presenter&room=${encodeURIComponent(code)}${carried(location)}`;
+}
+
+export const viewFromSearch = (search = "") => (new URLSearchParams(search).get("view") === "presenter" ? "presenter" : "");
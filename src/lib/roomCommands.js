@@ -0,0 +1,117 @@
+// src/lib/roomCommands.js
+// Perintah host sebagai perubahan state room. Setiap fungsi menerima snapshot room terbaru dan
+// mengembalikan objek update untuk rooms/{id} (atau null bila perintah tidak berlaku di state ini).
+// Semua klien hanya membaca state, jadi jeda/lanjut/tambah waktu langsung berlaku di semua perangkat.
+//
+//   lobby → question ⇄ paused → reveal → question ... → finished
+//   homework → finished   (mode PR, lihat homework.js)
+//
+// `clock` = { now, timestamp }: perkiraan waktu server (ms) dan sentinel serverTimestamp() untuk ditulis.
+import { t } from "./i18n";
+
+export const EXTEND_MS = 10000;
+
+// commands written to the session log; their labels are commands.* in the bundles
+export const COMMANDS = ["start", "pause", "resume", "extend", "skip", "back", "reveal", "next", "close"];
+
+export const commandLabel = (command) => (COMMANDS.includes(command) ? t(`commands.${command}`) : command);
+
+const isOpen = (room) => room && (room.state === "question" || room.state === "paused");
+const questionCount = (room) => (room && room.quiz && room.quiz.questions ? room.quiz.questions.length : 0);
+
+// fresh question (or the end of the quiz) at `index`
+export function goToQuestionUpdates(room, index, clock) {
+  const finished = index >= questionCount(room);
+  return {
+    currentIndex: finished ? questionCount(room) : index,
+    state: finished ? "finished" : "question",
+    answers: {},
+    reveal: null,
+    pausedAt: null,
+    timeExtraMs: 0,
+    questionStartedAt: finished ? null : clock.timestamp
+  };
+}
+
+export function startUpdates(room, clock) {
+  if (!room || room.state !== "lobby") return null;
+  return { ...goToQuestionUpdates(room, 0, clock), history: null, skipped: null };
+}
+
+export function nextUpdates(room, clock) {
+  if (!room || room.state !== "reveal") return null;
+  return goToQuestionUpdates(room, (room.currentIndex || 0) + 1, clock);
+}
+
+export function pauseUpdates(room, clock) {
+  if (!room || room.state !== "question") return null;
+  return { state: "paused", pausedAt: clock.timestamp };
+}
+
+// the pause does not eat into the question time: it is added to timeExtraMs
+export function resumeUpdates(room, clock) {
+  if (!room || room.state !== "paused") return null;
+  const pausedFor = typeof room.pausedAt === "number" ? Math.max(0, clock.now - room.pausedAt) : 0;
+  return { state: "question", pausedAt: null, timeExtraMs: Number(room.timeExtraMs || 0) + pausedFor };
+}
+
+export function extendUpdates(room, ms = EXTEND_MS) {
+  if (!isOpen(room)) return null;
+  return { timeExtraMs: Number(room.timeExtraMs || 0) + ms };
+}
+
+// close the question without scoring it; reports leave skipped questions out
+export function skipUpdates(room, clock) {
+  if (!isOpen(room)) return null;
+  const idx = room.currentIndex || 0;
+  return { ...goToQuestionUpdates(room, idx + 1, clock), [`skipped/${idx}`]: true };
+}
+
+/**
+ * Undo the scoring of every question from `fromIndex` on, using the points and previous
+ * streaks recorded in history/{index}/{pid}.
+ */
+export function revertScoringUpdates(room, fromIndex) {
+  const updates = {};
+  const players = room.players || {};
+  const scores = {};
+  const streaks = {};
+  Object.entries(room.history || {})
+    .filter(([idx, entries]) => Number(idx) >= fromIndex && entries)
+    .sort((a, b) => Number(a[0]) - Number(b[0]))
+    .forEach(([idx, entries]) => {
+      Object.entries(entries).forEach(([pid, e]) => {
+        if (!players[pid]) return;
+        scores[pid] = (scores[pid] ?? Number(players[pid].score || 0)) - Number(e.points || 0);
+        // the earliest reverted question holds the streak from before it
+        if (!(pid in streaks) && e.streakBefore !== undefined) streaks[pid] = Number(e.streakBefore);
+      });
+      updates[`history/${idx}`] = null;
+    });
+  Object.entries(scores).forEach(([pid, score]) => { updates[`players/${pid}/score`] = Math.max(0, score); });
+  Object.entries(streaks).forEach(([pid, streak]) => { updates[`players/${pid}/streak`] = streak; });
+  Object.keys(room.skipped || {}).forEach((idx) => {
+    if (Number(idx) >= fromIndex) updates[`skipped/${idx}`] = null;
+  });
+  return updates;
+}
+
+// replay the previous question: its points (and those of the current one, if revealed) are taken back
+export function backUpdates(room, clock) {
+  if (!room || !(isOpen(room) || room.state === "reveal")) return null;
+  const target = (room.currentIndex || 0) - 1;
+  if (target < 0) return null;
+  return { ...revertScoringUpdates(room, target), ...goToQuestionUpdates(room, target, clock) };
+}
+
+/* ---------- Session log: rooms/{id}/log/{pushId} = { command, index, from, at } ---------- */
+export function logEntry(command, room, timestamp) {
+  return { command, index: (room && room.currentIndex) || 0, from: (room && room.state) || null, at: timestamp };
+}
+
+// oldest first; push ids already sort by time, `at` settles entries written in the same batch
+export function sessionLog(log) {
+  return Object.entries(log || {})
+    .map(([id, e]) => ({ id, ...e, label: commandLabel(e.command) }))
+    .sort((a, b) => (Number(a.at) || 0) - (Number(b.at) || 0) || a.id.localeCompare(b.id));
+}
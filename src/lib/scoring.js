@@ -0,0 +1,48 @@
+// src/lib/scoring.js
+// Aturan skor per room. Aturan yang dipilih host disalin ke rooms/{id}/meta/scoring
+// agar penilaian tetap sama walaupun preset di kode berubah. Nama preset ada di bundel bahasa (scoring.*).
+
+export const SCORING_RULES = {
+  classic: { id: "classic", base: 100, speed: false, streak: false, penalty: 0 },
+  speed: { id: "speed", base: 1000, speed: true, streak: true, penalty: 250 },
+  "no-penalty": { id: "no-penalty", base: 1000, speed: true, streak: true, penalty: 0 }
+};
+
+export const DEFAULT_SCORING = "classic";
+
+// streak bonus: +10% per consecutive correct answer after the first, capped at +50%
+const STREAK_STEP = 0.1;
+const STREAK_MAX_BONUS = 0.5;
+
+export function getScoringRule(meta) {
+  const saved = meta && meta.scoring;
+  if (saved && typeof saved === "object") return { ...SCORING_RULES[DEFAULT_SCORING], ...saved };
+  return SCORING_RULES[saved] || SCORING_RULES[DEFAULT_SCORING];
+}
+
+export function streakMultiplier(streak) {
+  return 1 + Math.min(Math.max(streak - 1, 0) * STREAK_STEP, STREAK_MAX_BONUS);
+}
+
+/**
+ * Score one player's answer for one question.
+ * `answered` false means the player did not answer in time (no points, streak reset, no penalty).
+ * Returns { points, streak } where points may be negative when a penalty applies.
+ */
+export function scoreAnswer(rule, { answered, correct, elapsedMs, timeLimit, streak = 0 }) {
+  if (!answered) return { points: 0, streak: 0 };
+  if (!correct) return { points: -(rule.penalty || 0), streak: 0 };
+
+  const nextStreak = streak + 1;
+  let points = rule.base;
+  if (rule.speed && timeLimit > 0 && typeof elapsedMs === "number") {
+    // Kahoot style: full points for an instant answer, half at the buzzer
+    const ratio = Math.min(Math.max(elapsedMs / (timeLimit * 1000), 0), 1);
+    points = rule.base * (1 - ratio / 2);
+  }
+  if (rule.streak) points *= streakMultiplier(nextStreak);
+  return { points: Math.round(points), streak: nextStreak };
+}
+
+// scores never drop below zero, even with penalties
+export const applyPoints = (score, points) => Math.max(0, Number(score || 0) + points);
@@ -0,0 +1,30 @@
+// src/lib/session.js
+// Room terakhir disimpan di localStorage supaya peserta dan host kembali ke room yang sama
+// setelah reload atau koneksi putus. Bentuknya { roomId, role: "player" | "host", playerId?, name? }.
+const KEY = "quizlive.session";
+
+export function saveSession(session) {
+  try {
+    localStorage.setItem(KEY, JSON.stringify(session));
+  } catch (e) {
+    console.warn("saveSession failed", e);
+  }
+}
+
+export function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(KEY) || "null");
+    return session && session.roomId ? session : null;
+  } catch (e) {
+    console.warn("loadSession failed", e);
+    return null;
+  }
+}
+
+export function clearSession() {
+  try {
+    localStorage.removeItem(KEY);
+  } catch (e) {
+    console.warn("clearSession failed", e);
+  }
+}
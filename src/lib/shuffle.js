@@ -0,0 +1,80 @@
+// src/lib/shuffle.js
+// Urutan pilihan diacak per peserta supaya murid yang duduk bersebelahan tidak bisa menyalin huruf
+// jawaban. Urutannya deterministik dari meta.seed room, uid peserta dan nomor soal, jadi sama setelah
+// reload dan tidak perlu disimpan. Perangkat peserta menerjemahkan posisi tampil ke index asli sebelum
+// menulis answers/{pid}, sehingga penilaian, reveal dan laporan tetap memakai index kunci jawaban.
+import { questionType } from "./questionTypes";
+
+// only these types have a per-player order; Benar/Salah and urutan keep theirs
+const SHUFFLED_TYPES = ["single", "multi"];
+
+/* ---------- Seeded random ---------- */
+// FNV-1a, so every device turns the same seed text into the same number
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (const ch of String(text)) {
+    h ^= ch.codePointAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// mulberry32: a small PRNG returning numbers in [0, 1) like Math.random
+export function seededRandom(seed) {
+  let a = typeof seed === "number" ? seed >>> 0 : hashString(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let x = a;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher–Yates over 0..n-1
+export function shuffledOrder(n, random = Math.random) {
+  const order = Array.from({ length: n }, (_, i) => i);
+  for (let i = n - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/* ---------- Per-player choice order ---------- */
+export const shufflesChoices = (meta) => Boolean(meta && meta.shuffleChoices);
+
+/**
+ * order[position] = original choice index for player `pid` on question `index`,
+ * or null when the room does not shuffle or the question keeps its order.
+ */
+export function choiceOrder(room, pid, index) {
+  const q = room && room.quiz && room.quiz.questions ? room.quiz.questions[index] : null;
+  if (!q || !pid || !shufflesChoices(room.meta) || !SHUFFLED_TYPES.includes(questionType(q))) return null;
+  const n = (q.choices || []).length;
+  return n > 1 ? shuffledOrder(n, seededRandom(`${room.meta.seed || ""}:${pid}:${index}`)) : null;
+}
+
+// the question with its choices (and translated choices) in the player's order
+export function shuffleQuestion(q, order) {
+  if (!q || !order) return q;
+  const pick = (list) => order.map((i) => (list || [])[i] ?? "");
+  const translations = q.translations
+    ? Object.fromEntries(Object.entries(q.translations).map(([locale, tr]) => [locale, tr && tr.choices ? { ...tr, choices: pick(tr.choices) } : tr]))
+    : undefined;
+  return { ...q, choices: pick(q.choices), ...(translations ? { translations } : {}) };
+}
+
+// shown position(s) → original index(es), what answers/{pid} stores
+export function toOriginal(response, order) {
+  if (!order || response === null || response === undefined) return response;
+  if (Array.isArray(response)) return response.map((p) => order[p]).sort((a, b) => a - b);
+  return typeof response === "number" ? order[response] : response;
+}
+
+// original index(es) → the position(s) the player sees them at
+export function toShown(response, order) {
+  if (!order || response === null || response === undefined) return response;
+  if (Array.isArray(response)) return response.map((i) => order.indexOf(i)).sort((a, b) => a - b);
+  return typeof response === "number" ? order.indexOf(response) : response;
+}
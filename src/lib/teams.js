@@ -0,0 +1,121 @@
+// src/lib/teams.js
+// Mode tim. Pengaturan ada di rooms/{id}/meta/teams = { enabled, count, assign, score, consensus }
+// dan tim tiap peserta di rooms/{id}/players/{pid}/team (indeks 0..count-1).
+// Skor tetap disimpan per peserta; skor tim dihitung dari anggotanya (jumlah atau rata-rata).
+import { CHOICE_COLORS } from "./theme";
+import { t } from "./i18n";
+
+// named after the answer colours, so "Tim Merah" really is red everywhere (teams.colours.* in the bundles)
+export const TEAM_NAMES = ["red", "blue", "yellow", "green", "purple", "pink"];
+export const MIN_TEAMS = 2;
+export const MAX_TEAMS = TEAM_NAMES.length;
+
+// labels: teams.assign.* and teams.score.*
+export const TEAM_ASSIGN = ["auto", "choose"];
+export const TEAM_SCORES = ["sum", "average"];
+
+export const DEFAULT_TEAMS = { enabled: false, count: 2, assign: "auto", score: "sum", consensus: false };
+
+export const teamName = (i) => t("teams.name", { name: TEAM_NAMES[i] ? t(`teams.colours.${TEAM_NAMES[i]}`) : i + 1 });
+export const teamColor = (i) => CHOICE_COLORS[i % CHOICE_COLORS.length];
+
+// room meta → complete team settings
+export function teamSettings(meta) {
+  const saved = { ...DEFAULT_TEAMS, ...((meta && meta.teams) || {}) };
+  const count = Math.min(MAX_TEAMS, Math.max(MIN_TEAMS, Math.floor(Number(saved.count) || MIN_TEAMS)));
+  return {
+    enabled: !!saved.enabled,
+    count,
+    assign: TEAM_ASSIGN.includes(saved.assign) ? saved.assign : "auto",
+    score: TEAM_SCORES.includes(saved.score) ? saved.score : "sum",
+    consensus: !!saved.consensus
+  };
+}
+
+// a player's team, or null when unassigned or outside the current team count
+export function teamOf(player, count) {
+  const team = player ? Number(player.team) : NaN;
+  return Number.isInteger(team) && team >= 0 && team < count ? team : null;
+}
+
+/* ---------- Assignment ---------- */
+// team with the fewest members (lowest index on ties), for late joiners in auto mode
+export function smallestTeam(players = {}, count) {
+  const sizes = Array.from({ length: count }, () => 0);
+  Object.values(players).forEach((p) => {
+    const team = teamOf(p, count);
+    if (team !== null) sizes[team]++;
+  });
+  return sizes.indexOf(Math.min(...sizes));
+}
+
+// shuffle everyone into `count` teams whose sizes differ by at most one
+export function autoAssignUpdates(players = {}, count, random = Math.random) {
+  const pids = Object.keys(players);
+  for (let i = pids.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [pids[i], pids[j]] = [pids[j], pids[i]];
+  }
+  const updates = {};
+  pids.forEach((pid, i) => { updates[`players/${pid}/team`] = i % count; });
+  return updates;
+}
+
+// players left without a valid team (joined before team mode was on, or the count shrank)
+export function fillTeamsUpdates(players = {}, count) {
+  const updates = {};
+  const placed = { ...players };
+  Object.entries(players).forEach(([pid, p]) => {
+    if (teamOf(p, count) !== null) return;
+    const team = smallestTeam(placed, count);
+    placed[pid] = { ...p, team };
+    updates[`players/${pid}/team`] = team;
+  });
+  return updates;
+}
+
+/* ---------- Leaderboard ---------- */
+/**
+ * Teams ranked by score: [{ team, name, color, members: [pid], score, rank }].
+ * Average scores are rounded; empty teams score 0 and are still listed.
+ */
+export function teamStandings(players = {}, meta) {
+  const { count, score } = teamSettings(meta);
+  const teams = Array.from({ length: count }, (_, team) => ({ team, name: teamName(team), color: teamColor(team), members: [], total: 0 }));
+  Object.entries(players).forEach(([pid, p]) => {
+    const team = teamOf(p, count);
+    if (team === null) return;
+    teams[team].members.push(pid);
+    teams[team].total += Number(p.score || 0);
+  });
+  const rows = teams
+    .map(({ total, ...row }) => ({ ...row, score: score === "average" ? (row.members.length ? Math.round(total / row.members.length) : 0) : total }))
+    .sort((a, b) => b.score - a.score || a.team - b.team);
+  rows.forEach((row, i) => { row.rank = i && rows[i - 1].score === row.score ? rows[i - 1].rank : i + 1; });
+  return rows;
+}
+
+/* ---------- Team consensus ---------- */
+/**
+ * The answer each team gives when its members vote: the response most members picked.
+ * `responses` is { pid: { choice, correct, at } } for players whose answer counts.
+ * Ties go to the response that was sent first. Returns { team: { ...response, votes } } where `at`
+ * is the earliest time that response was sent.
+ */
+export function teamConsensus(responses, players = {}, count) {
+  const groups = {};
+  Object.entries(responses).forEach(([pid, r]) => {
+    const team = teamOf(players[pid], count);
+    if (team === null) return;
+    const key = JSON.stringify(r.choice);
+    const options = (groups[team] = groups[team] || {});
+    const g = (options[key] = options[key] || { ...r, votes: 0 });
+    g.votes++;
+    if (typeof r.at === "number" && !(g.at <= r.at)) g.at = r.at;
+  });
+  const out = {};
+  Object.entries(groups).forEach(([team, options]) => {
+    out[team] = Object.values(options).sort((a, b) => b.votes - a.votes || (a.at ?? Infinity) - (b.at ?? Infinity))[0];
+  });
+  return out;
+}
@@ -0,0 +1,6 @@
+// src/lib/theme.js
+// Warna pilihan A, B, C, D, ... dipakai bersama oleh tombol jawaban peserta,
+// layar presentasi dan grafik hasil supaya warna yang sama selalu berarti pilihan yang sama.
+export const CHOICE_COLORS = ["#ef4444", "#3b82f6", "#f59e0b", "#10b981", "#8b5cf6", "#ec4899"];
+
+export const choiceColor = (i) => CHOICE_COLORS[i % CHOICE_COLORS.length];
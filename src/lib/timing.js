@@ -0,0 +1,51 @@
+// src/lib/timing.js
+// Waktu soal dihitung dari questionStartedAt (timestamp server) sehingga semua
+// perangkat sepakat kapan sebuah soal ditutup, termasuk yang baru reload.
+// timeExtraMs menampung tambahan waktu dari host (+10 detik) dan lamanya soal dijeda.
+// players/{pid}/extraTimePct adalah tambahan waktu per soal untuk peserta dengan akomodasi
+// (persen dari waktu soal), diatur host dan ikut diperiksa oleh rules.
+
+// answers reaching the server this long after the deadline still count (network latency)
+export const ANSWER_GRACE_MS = 500;
+
+export function questionDeadline(startedAt, time, extraMs = 0) {
+  if (typeof startedAt !== "number") return null;
+  return startedAt + Number(time || 0) * 1000 + Number(extraMs || 0);
+}
+
+// whole seconds left, never negative; full time while the start timestamp is still unknown
+export function computeTimeLeft(startedAt, time, now, extraMs = 0) {
+  const deadline = questionDeadline(startedAt, time, extraMs);
+  if (deadline === null) return Number(time || 0);
+  return Math.max(0, Math.ceil((deadline - now) / 1000));
+}
+
+export function isLate(answeredAt, startedAt, time, extraMs = 0) {
+  const deadline = questionDeadline(startedAt, time, extraMs);
+  if (deadline === null || typeof answeredAt !== "number") return false;
+  return answeredAt > deadline + ANSWER_GRACE_MS;
+}
+
+/* ---------- Per-student extra time ---------- */
+export const EXTRA_TIME_OPTIONS = [0, 25, 50, 100];
+export const MAX_EXTRA_TIME_PCT = 200;
+
+export const extraTimePct = (player) => {
+  const pct = Number(player && player.extraTimePct);
+  return Number.isFinite(pct) ? Math.min(MAX_EXTRA_TIME_PCT, Math.max(0, pct)) : 0;
+};
+
+// ms a player gets on top of a question of `time` seconds
+export const extraTimeMs = (player, time) => Math.round(Number(time || 0) * 10 * extraTimePct(player));
+
+// the longest extra time among players who have not answered yet: the room stays open for them
+export function pendingExtraMs(room, q) {
+  const answers = room.answers || {};
+  return Object.entries(room.players || {}).reduce((max, [pid, p]) => (answers[pid] ? max : Math.max(max, extraTimeMs(p, q.time))), 0);
+}
+
+// seconds left in the room's current question (plus `extraMs` for one student); the clock stands still while paused
+export function roomTimeLeft(room, q, now, extraMs = 0) {
+  const at = room.state === "paused" && typeof room.pausedAt === "number" ? room.pausedAt : now;
+  return computeTimeLeft(room.questionStartedAt, q.time, at, Number(room.timeExtraMs || 0) + extraMs);
+}
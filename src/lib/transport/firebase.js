@@ -0,0 +1,122 @@
+// src/lib/transport/firebase.js
+// Transport di atas Firebase Realtime Database + Auth. Guru masuk dengan email/kata sandi,
+// peserta mendapat akun anonim; aturan keamanan ada di database.rules.json.
+// Modul firebase baru dimuat saat connect() sehingga mode lokal tidak mengunduhnya.
+
+// teachers sign in with email/password; everyone else (students) gets an anonymous account.
+// Anyone can register, so an email account only counts as a teacher once an admin has set
+// teachers/{uid}/approved (database.rules.json checks the same flag); until then it is `pending`.
+const describeUser = (u, approved) => (u ? { uid: u.uid, email: u.email || "", isTeacher: !u.isAnonymous && approved, pending: !u.isAnonymous && !approved } : null);
+
+/**
+ * `config` is the Firebase web config; `emulatorHost` points at `firebase emulators:start`
+ * (database 9000, auth 9099) for local development.
+ */
+export function createFirebaseTransport(config, { emulatorHost } = {}) {
+  let fdb = null;
+  let fauth = null;
+  let db = null;
+  let auth = null;
+  let offset = 0;
+  let user = null;
+  const userListeners = new Set();
+  const setUser = (u, approved = false) => {
+    user = describeUser(u, approved);
+    userListeners.forEach((cb) => cb(user));
+  };
+
+  return {
+    kind: "firebase",
+
+    async connect() {
+      if (db) return true;
+      try {
+        const { initializeApp } = await import("firebase/app");
+        fdb = await import("firebase/database");
+        fauth = await import("firebase/auth");
+        const app = initializeApp(config);
+        const database = fdb.getDatabase(app);
+        // database rules use the uid to tell the room owner apart from players
+        auth = fauth.getAuth(app);
+        if (emulatorHost) {
+          fdb.connectDatabaseEmulator(database, emulatorHost, 9000);
+          fauth.connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+        }
+        const approved = async (u) => {
+          if (!u || u.isAnonymous) return false;
+          try {
+            return (await fdb.get(fdb.ref(database, `teachers/${u.uid}/approved`))).val() === true;
+          } catch (e) {
+            console.warn("teacher approval check failed", e);
+            return false;
+          }
+        };
+        await auth.authStateReady();
+        const current = auth.currentUser || (await fauth.signInAnonymously(auth)).user;
+        setUser(current, await approved(current));
+        fauth.onAuthStateChanged(auth, async (u) => {
+          setUser(u, await approved(u));
+          // a teacher who signs out falls back to an anonymous (student) account
+          if (!u) fauth.signInAnonymously(auth).catch((e) => console.warn("anonymous sign-in failed", e));
+        });
+        // server clock = local clock + offset; used for the shared question timer
+        fdb.onValue(fdb.ref(database, ".info/serverTimeOffset"), (snap) => { offset = snap.val() || 0; });
+        db = database;
+        return true;
+      } catch (e) {
+        console.warn("Firebase init failed", e);
+        return false;
+      }
+    },
+
+    onUser(cb) {
+      userListeners.add(cb);
+      if (user) cb(user);
+      return () => userListeners.delete(cb);
+    },
+    async signIn(email, password, register) {
+      const fn = register ? fauth.createUserWithEmailAndPassword : fauth.signInWithEmailAndPassword;
+      await fn(auth, email, password);
+    },
+    async signOut() {
+      await fauth.signOut(auth);
+    },
+
+    async get(path) {
+      const snap = await fdb.get(fdb.ref(db, path));
+      return snap.exists() ? snap.val() : null;
+    },
+    set: (path, value) => fdb.set(fdb.ref(db, path), value),
+    update: (path, updates) => fdb.update(fdb.ref(db, path), updates),
+    remove: (path) => fdb.remove(fdb.ref(db, path)),
+    listen: (path, cb) => fdb.onValue(fdb.ref(db, path), (snap) => cb(snap.exists() ? snap.val() : null)),
+    // the rules only allow reading quizzes/ through this query on ownerUid
+    listenWhere: (path, child, value, cb) => fdb.onValue(fdb.query(fdb.ref(db, path), fdb.orderByChild(child), fdb.equalTo(value)), (snap) => cb(snap.exists() ? snap.val() : null)),
+    pushKey: (path) => fdb.push(fdb.ref(db, path)).key,
+    serverTimestamp: () => fdb.serverTimestamp(),
+    now: () => Date.now() + offset,
+
+    // presence is re-armed on every reconnect (.info/connected)
+    presence(recordPath) {
+      const recordRef = fdb.ref(db, recordPath);
+      const flagRef = fdb.ref(db, `${recordPath}/connected`);
+      const unsubscribe = fdb.onValue(fdb.ref(db, ".info/connected"), async (snap) => {
+        if (snap.val() !== true) return;
+        try {
+          // do not recreate a record the host removed while we were offline
+          if (!(await fdb.get(recordRef)).exists()) return;
+          await fdb.onDisconnect(flagRef).set(false);
+          await fdb.set(flagRef, true);
+        } catch (e) {
+          console.warn("presence err", e);
+        }
+      });
+      return () => {
+        unsubscribe();
+        fdb.onDisconnect(flagRef).cancel().catch(() => {});
+      };
+    },
+
+    close() {}
+  };
+}
@@ -0,0 +1,46 @@
+// src/lib/transport/index.js
+// Semua baca/tulis/dengar data room lewat satu antarmuka transport:
+//   connect() → boolean, onUser(cb), signIn(email, password, register), signOut(),
+//   get(path), set(path, value), update(path, updates), remove(path), listen(path, cb) → unsubscribe,
+//   listenWhere(path, child, value, cb) → unsubscribe (only the children whose `child` equals `value`),
+//   pushKey(path), serverTimestamp(), now(), presence(recordPath) → cancel, close()
+// Pilihan transport: ?net=local (tab di perangkat ini), ?relay=ws://ip:8787 (relay kelas),
+// atau VITE_TRANSPORT / VITE_RELAY_URL; tanpa konfigurasi Firebase otomatis lokal.
+import { createFirebaseTransport } from "./firebase";
+import { broadcastLink, createLocalTransport, websocketLink } from "./local";
+
+// URL params win over env, so one build can run in any mode
+export function transportOptions(search = "", env = {}) {
+  const params = new URLSearchParams(search);
+  const relay = params.get("relay") || (params.get("net") ? "" : env.VITE_RELAY_URL || "");
+  const net = params.get("net") || env.VITE_TRANSPORT || (env.VITE_FIREBASE_DATABASE_URL ? "firebase" : "local");
+  if (relay) return { kind: "relay", relay };
+  return { kind: net === "firebase" ? "firebase" : "local" };
+}
+
+// query params that put another device in the same mode (carried by join and presenter links)
+export function transportSearch(search = "") {
+  const params = new URLSearchParams(search);
+  const carried = new URLSearchParams();
+  ["net", "relay"].forEach((k) => { if (params.get(k)) carried.set(k, params.get(k)); });
+  return carried.toString();
+}
+
+export function createTransport(options, env = {}) {
+  if (options.kind === "relay") {
+    return createLocalTransport({ link: websocketLink(options.relay), identity: globalThis.sessionStorage });
+  }
+  if (options.kind === "local") {
+    return createLocalTransport({ link: broadcastLink(), storage: globalThis.localStorage, identity: globalThis.sessionStorage });
+  }
+  return createFirebaseTransport(
+    {
+      apiKey: env.VITE_FIREBASE_API_KEY,
+      authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+      projectId: env.VITE_FIREBASE_PROJECT_ID,
+      appId: env.VITE_FIREBASE_APP_ID,
+      databaseURL: env.VITE_FIREBASE_DATABASE_URL
+    },
+    { emulatorHost: env.VITE_FIREBASE_EMULATOR_HOST }
+  );
+}
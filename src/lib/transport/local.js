@@ -0,0 +1,256 @@
+// src/lib/transport/local.js
+// Transport tanpa Firebase. Dua cara sinkron:
+//  - peer: tab-tab di perangkat yang sama (BroadcastChannel). Setiap tab menyimpan salinan data,
+//    menerapkan tulisannya sendiri lalu meneruskannya ke tab lain; data disimpan di localStorage.
+//  - relay: server/relay.js di jaringan kelas menyimpan data dan waktu server; klien mengirim
+//    tulisan ke relay dan menerapkannya setelah relay menyiarkannya kembali.
+// Tidak ada akun: guru cukup mengisi email (tanpa kata sandi). Tanpa relay uid dibuat dan disimpan
+// per tab; dengan relay uid diberikan oleh relay, dan tab hanya menyimpan token untuk mendapatkannya lagi.
+import { SERVER_TIMESTAMP, createMemoryStore, resolveOp } from "./memoryStore";
+import { t } from "../i18n";
+
+const STORE_KEY = "quizlive.localdb";
+const UID_KEY = "quizlive.localUid";
+const TEACHER_KEY = "quizlive.localTeacher";
+const TOKEN_KEY = "quizlive.relayToken";
+const RECONNECT_MS = 2000;
+
+// the relay answers with a code; the text comes from the catalogue in the client's language
+function relayError(code) {
+  const error = new Error(t(code === "forbidden" ? "network.relayForbidden" : "network.relayFailed"));
+  error.code = code;
+  return error;
+}
+
+/* ---------- Links: how messages reach the other clients ---------- */
+// tabs on this device
+export function broadcastLink(name = "quizlive") {
+  const channel = new BroadcastChannel(name);
+  return {
+    relay: false,
+    send: (msg) => channel.postMessage(msg),
+    onMessage: (cb) => { channel.onmessage = (e) => cb(e.data); },
+    close: () => channel.close()
+  };
+}
+
+// in-process hub with the same behaviour, for tests
+export function memoryHub() {
+  const peers = new Set();
+  return {
+    link() {
+      const peer = { cb: () => {} };
+      peers.add(peer);
+      return {
+        relay: false,
+        // async like BroadcastChannel, and never back to the sender
+        send: (msg) => peers.forEach((p) => { if (p !== peer) queueMicrotask(() => p.cb(JSON.parse(JSON.stringify(msg)))); }),
+        onMessage: (cb) => { peer.cb = cb; },
+        close: () => peers.delete(peer)
+      };
+    }
+  };
+}
+
+// classroom relay (ws://192.168.1.10:8787); Node tests pass the `ws` package as WebSocketImpl
+export function websocketLink(url, WebSocketImpl = globalThis.WebSocket) {
+  let socket = null;
+  let handler = () => {};
+  return {
+    relay: true,
+    open: () => new Promise((resolve, reject) => {
+      socket = new WebSocketImpl(url);
+      socket.onopen = () => resolve();
+      socket.onerror = () => reject(new Error(t("network.relayUnreachable", { url })));
+      socket.onmessage = (e) => handler(JSON.parse(typeof e.data === "string" ? e.data : String(e.data)));
+      socket.onclose = () => handler({ type: "closed" });
+    }),
+    send: (msg) => { if (socket && socket.readyState === 1) socket.send(JSON.stringify(msg)); },
+    onMessage: (cb) => { handler = cb; },
+    close: () => socket && socket.close()
+  };
+}
+
+// push-id style keys: time ordered, then random
+const pushKey = () => Date.now().toString(36).padStart(9, "0") + Math.random().toString(36).slice(2, 10);
+const newUid = () => `local-${Math.random().toString(36).slice(2, 12)}`;
+
+// the children of `children` whose `child` field equals `value`; null when none, like a database query
+function childrenWhere(children, child, value) {
+  const matching = Object.entries(children || {}).filter(([, v]) => v && v[child] === value);
+  return matching.length ? Object.fromEntries(matching) : null;
+}
+
+function readStorage(storage, key) {
+  try { return storage ? storage.getItem(key) : null; } catch { return null; }
+}
+function writeStorage(storage, key, value) {
+  try {
+    if (!storage) return;
+    if (value === null) storage.removeItem(key);
+    else storage.setItem(key, value);
+  } catch { /* private mode or full: keep working in memory */ }
+}
+
+/**
+ * `storage` keeps the peer data across reloads (localStorage), `identity` keeps this tab's uid
+ * (or relay token) and teacher email (sessionStorage, so a host tab and a student tab on one laptop differ).
+ */
+export function createLocalTransport({ link, storage = null, identity = null } = {}) {
+  const saved = !link.relay && readStorage(storage, STORE_KEY);
+  const store = createMemoryStore(saved ? JSON.parse(saved) : null);
+  const pending = new Map();
+  const userListeners = new Set();
+  const presencePaths = new Set();
+  let seq = 0;
+  let offset = 0;
+  let welcome = null;
+  let closing = false;
+
+  let uid = link.relay ? null : readStorage(identity, UID_KEY);
+  if (!uid && !link.relay) {
+    uid = newUid();
+    writeStorage(identity, UID_KEY, uid);
+  }
+  let user = null;
+  const setUser = (email) => {
+    writeStorage(identity, TEACHER_KEY, email);
+    user = { uid, email: email || "", isTeacher: Boolean(email) };
+    userListeners.forEach((cb) => cb(user));
+  };
+
+  const persist = () => { if (!link.relay) writeStorage(storage, STORE_KEY, JSON.stringify(store.get(""))); };
+
+  const request = (msg) => new Promise((resolve, reject) => {
+    const id = ++seq;
+    pending.set(id, { resolve, reject });
+    link.send({ ...msg, id });
+  });
+
+  link.onMessage((msg) => {
+    const waiting = msg.id !== undefined ? pending.get(msg.id) : null;
+    switch (msg.type) {
+      case "op":
+        store.apply(msg.op);
+        persist();
+        break;
+      case "welcome": {
+        offset = msg.now - Date.now();
+        writeStorage(identity, TOKEN_KEY, msg.token || null);
+        // a restarted relay hands out a new identity
+        const changed = user && msg.uid !== uid;
+        uid = msg.uid;
+        if (changed) setUser(user.email || null);
+        store.reset(msg.data);
+        if (welcome) welcome();
+        break;
+      }
+      // peer: a new tab asks for the data we already have
+      case "hello":
+        if (!link.relay && store.get("")) link.send({ type: "snapshot", data: store.get("") });
+        break;
+      case "snapshot":
+        if (!store.get("")) store.reset(msg.data);
+        break;
+      case "closed":
+        pending.forEach((p) => p.reject(new Error(t("network.relayDisconnected"))));
+        pending.clear();
+        if (!closing) setTimeout(reconnect, RECONNECT_MS);
+        break;
+      default:
+        break;
+    }
+    if (!waiting) return;
+    pending.delete(msg.id);
+    if (msg.type === "error") waiting.reject(relayError(msg.code));
+    else waiting.resolve(msg.value ?? null);
+  });
+
+  // relay: ask the server (the answer key is not broadcast); peer: our own copy
+  const get = (path) => (link.relay ? request({ type: "get", path }) : Promise.resolve(store.get(path)));
+
+  // the relay restarted or the wifi dropped: keep trying, then mark ourselves online again
+  const reconnect = async () => {
+    try {
+      await link.open();
+    } catch {
+      return; // the socket's close event schedules the next try
+    }
+    link.send({ type: "hello", token: readStorage(identity, TOKEN_KEY) });
+    presencePaths.forEach((path) => {
+      link.send({ type: "write", op: { type: "set", path, value: true } });
+      link.send({ type: "presence", path });
+    });
+  };
+
+  const write = async (op) => {
+    if (link.relay) return request({ type: "write", op });
+    const resolved = resolveOp(op, Date.now());
+    store.apply(resolved);
+    persist();
+    link.send({ type: "op", op: resolved });
+  };
+
+  return {
+    kind: link.relay ? "relay" : "local",
+
+    async connect() {
+      if (link.relay) {
+        const welcomed = new Promise((resolve) => { welcome = resolve; });
+        await link.open();
+        link.send({ type: "hello", token: readStorage(identity, TOKEN_KEY) });
+        await welcomed;
+      } else {
+        link.send({ type: "hello", uid });
+      }
+      setUser(readStorage(identity, TEACHER_KEY));
+      return true;
+    },
+
+    onUser(cb) {
+      userListeners.add(cb);
+      if (user) cb(user);
+      return () => userListeners.delete(cb);
+    },
+    // no accounts on the local network: the email only labels the teacher
+    async signIn(email) { setUser(String(email || "").trim() || "guru"); },
+    async signOut() { setUser(null); },
+
+    get,
+    set: (path, value) => write({ type: "set", path, value }),
+    update: (path, updates) => write({ type: "update", path, updates }),
+    remove: (path) => write({ type: "set", path, value: null }),
+    listen: (path, cb) => store.listen(path, cb),
+    listenWhere: (path, child, value, cb) => store.listen(path, (children) => cb(childrenWhere(children, child, value))),
+    pushKey: () => pushKey(),
+    serverTimestamp: () => SERVER_TIMESTAMP,
+    now: () => Date.now() + offset,
+
+    // connected=true while this client is around; the relay (or the closing tab) sets it back to false
+    presence(recordPath) {
+      let active = true;
+      const path = `${recordPath}/connected`;
+      (async () => {
+        if (!(await get(recordPath))) return;
+        if (!active) return;
+        // register with the relay first, so a drop right after this still counts
+        presencePaths.add(path);
+        if (link.relay) link.send({ type: "presence", path });
+        await write({ type: "set", path, value: true });
+      })().catch((e) => console.warn("presence err", e));
+      const offline = () => { write({ type: "set", path, value: false }); };
+      if (!link.relay && typeof window !== "undefined") window.addEventListener("pagehide", offline);
+      return () => {
+        active = false;
+        presencePaths.delete(path);
+        if (!link.relay && typeof window !== "undefined") window.removeEventListener("pagehide", offline);
+        if (link.relay) link.send({ type: "presence", path, cancel: true });
+      };
+    },
+
+    close() {
+      closing = true;
+      link.close();
+    }
+  };
+}
@@ -0,0 +1,108 @@
+// src/lib/transport/memoryStore.js
+// In-memory JSON tree with the Realtime Database semantics the app relies on: slash paths,
+// multi-path updates, null deletes, empty objects vanish and listeners get the value at a path.
+// Shared by the local transport (browser) and server/relay.js (Node), so it has no imports.
+
+// same wire format as firebase/database serverTimestamp()
+export const SERVER_TIMESTAMP = Object.freeze({ ".sv": "timestamp" });
+
+export const splitPath = (path) => String(path ?? "").split("/").filter(Boolean);
+export const joinPath = (...parts) => parts.flatMap(splitPath).join("/");
+
+const isObject = (v) => v !== null && typeof v === "object";
+
+export function resolveServerValues(value, now) {
+  if (!isObject(value)) return value === undefined ? null : value;
+  if (value[".sv"] === "timestamp") return now;
+  if (Array.isArray(value)) return value.map((v) => resolveServerValues(v, now));
+  const out = {};
+  Object.entries(value).forEach(([k, v]) => { out[k] = resolveServerValues(v, now); });
+  return out;
+}
+
+// ops travel between tabs and over the relay: { type: "set", path, value } | { type: "update", path, updates }
+export function resolveOp(op, now) {
+  if (op.type === "update") {
+    const updates = {};
+    Object.entries(op.updates || {}).forEach(([k, v]) => { updates[k] = resolveServerValues(v, now); });
+    return { ...op, updates };
+  }
+  return { ...op, value: resolveServerValues(op.value, now) };
+}
+
+// drop nulls and empty objects, like the database does
+function prune(value) {
+  if (!isObject(value)) return value === undefined ? null : value;
+  if (Array.isArray(value)) return value.length ? value.map(prune) : null;
+  const out = {};
+  Object.entries(value).forEach(([k, v]) => {
+    const p = prune(v);
+    if (p !== null) out[k] = p;
+  });
+  return Object.keys(out).length ? out : null;
+}
+
+function readAt(node, parts) {
+  let cur = node;
+  for (const p of parts) {
+    if (!isObject(cur) || cur[p] === undefined) return null;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+// copy-on-write, so untouched subtrees keep their identity and listeners can skip them
+function writeAt(node, parts, value) {
+  if (!parts.length) return prune(value);
+  const [head, ...rest] = parts;
+  const copy = Array.isArray(node) ? node.slice() : isObject(node) ? { ...node } : {};
+  const child = writeAt(copy[head], rest, value);
+  if (child === null) delete copy[head];
+  else copy[head] = child;
+  return Array.isArray(copy) ? copy : Object.keys(copy).length ? copy : null;
+}
+
+const clone = (v) => (v === null ? null : JSON.parse(JSON.stringify(v)));
+
+export function createMemoryStore(initial = null) {
+  let root = prune(clone(initial));
+  const listeners = new Set();
+
+  const notify = () => {
+    listeners.forEach((l) => {
+      const value = readAt(root, l.parts);
+      if (value === l.last) return;
+      l.last = value;
+      l.cb(clone(value));
+    });
+  };
+
+  return {
+    get: (path = "") => clone(readAt(root, splitPath(path))),
+
+    apply(op) {
+      const base = splitPath(op.path);
+      if (op.type === "update") {
+        Object.entries(op.updates || {}).forEach(([k, v]) => { root = writeAt(root, [...base, ...splitPath(k)], clone(v)); });
+      } else {
+        root = writeAt(root, base, clone(op.value));
+      }
+      notify();
+    },
+
+    // replace everything, e.g. with the relay's snapshot after (re)connecting
+    reset(data) {
+      root = prune(clone(data));
+      notify();
+    },
+
+    // called right away with the current value, then on every change
+    listen(path, cb) {
+      const l = { parts: splitPath(path), cb, last: undefined };
+      listeners.add(l);
+      l.last = readAt(root, l.parts);
+      cb(clone(l.last));
+      return () => listeners.delete(l);
+    }
+  };
+}
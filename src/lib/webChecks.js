@@ -0,0 +1,191 @@
+// src/lib/webChecks.js
+// Pemeriksaan DOM untuk soal "web" (HTML/CSS). Penulis soal menulis satu pemeriksaan per baris:
+//   ada h1                  ada elemen yang cocok dengan selector
+//   teks h1 = Halo          ada elemen yang cocok dan teksnya memuat "Halo" (tidak peka huruf besar/kecil)
+//   jumlah li = 3           tepat 3 elemen yang cocok
+//   gaya h1 color = red     nilai CSS terhitung elemen pertama sama dengan "red"
+// Kata kunci bahasa Inggris (exists, text, count, style) juga diterima; yang disimpan tetap kata Indonesia.
+// Penilaian berjalan di browser host (iframe sandbox tanpa skrip dan tanpa sumber luar, beberapa halaman sekaligus), bukan di perangkat peserta.
+import { t } from "./i18n";
+
+// stored kind → its English keyword
+export const CHECK_KINDS = {
+  ada: "exists",
+  teks: "text",
+  jumlah: "count",
+  gaya: "style"
+};
+const ALIASES = Object.fromEntries(Object.entries(CHECK_KINDS).map(([kind, alias]) => [alias, kind]));
+
+export const STARTER_HTML = "<!doctype html>\n<html>\n<head>\n<style>\n\n</style>\n</head>\n<body>\n\n</body>\n</html>\n";
+
+// how long grading waits for images/fonts in the submitted page before checking anyway
+const LOAD_TIMEOUT_MS = 3000;
+// pages rendered at once by gradeHtmlResponses, and the most a whole batch waits for loads
+const GRADE_CONCURRENCY = 4;
+const BATCH_TIMEOUT_MS = 8000;
+// submitted pages may only use inline styles and data: images/fonts, so nothing waits on the network
+const SANDBOX_CSP = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+
+const toList = (v) => (Array.isArray(v) ? v : v && typeof v === "object" ? Object.values(v) : []);
+const normText = (s) => String(s ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/* ---------- Checks as text (editor, CSV) ---------- */
+export function parseCheck(line) {
+  const s = String(line ?? "").trim();
+  const [, word = "", rest = ""] = /^(\S+)\s*(.*)$/.exec(s) || [];
+  const kind = ALIASES[word.toLowerCase()] || word;
+  const eq = rest.indexOf(" = ");
+  const target = (eq >= 0 ? rest.slice(0, eq) : rest).trim();
+  const value = eq >= 0 ? rest.slice(eq + 3).trim() : "";
+  if (kind === "gaya") {
+    // the CSS property is the last word before " = "
+    const m = /^(.*\S)\s+([a-z-]+)$/i.exec(target);
+    return { kind, selector: m ? m[1] : target, property: m ? m[2].toLowerCase() : "", value };
+  }
+  return kind === "ada" ? { kind, selector: target } : { kind, selector: target, value };
+}
+
+export function formatCheck(check) {
+  const c = check || {};
+  if (c.kind === "ada") return `ada ${c.selector}`;
+  if (c.kind === "gaya") return `gaya ${c.selector} ${c.property} = ${c.value}`;
+  return `${c.kind} ${c.selector} = ${c.value}`;
+}
+
+export function normalizeChecks(raw) {
+  return toList(raw).filter((c) => c && typeof c === "object").map((c) => {
+    const out = { kind: String(c.kind || ""), selector: String(c.selector || "") };
+    if (c.kind === "gaya") out.property = String(c.property || "");
+    if (c.kind !== "ada") out.value = String(c.value ?? "");
+    return out;
+  });
+}
+
+// problems with the authored checks, for questionTypes.validateAnswer
+export function validateChecks(checks) {
+  const list = normalizeChecks(checks);
+  const errors = [];
+  if (!list.length) errors.push(t("validation.checks.none"));
+  list.forEach((c, i) => {
+    const n = i + 1;
+    if (!CHECK_KINDS[c.kind]) errors.push(t("validation.checks.kind", { n }));
+    else if (!c.selector.trim()) errors.push(t("validation.checks.selector", { n }));
+    else if (c.kind === "jumlah" && !/^\d+$/.test(c.value.trim())) errors.push(t("validation.checks.count", { n }));
+    else if (c.kind === "gaya" && (!c.property || !c.value.trim())) errors.push(t("validation.checks.style", { n }));
+    else if (c.kind === "teks" && !c.value.trim()) errors.push(t("validation.checks.text", { n }));
+  });
+  return errors;
+}
+
+/* ---------- Running checks against a rendered document ---------- */
+function select(doc, selector) {
+  try {
+    return Array.from(doc.querySelectorAll(selector));
+  } catch {
+    return null;
+  }
+}
+
+// browsers report computed values in their own form (red → rgb(255, 0, 0)); render the expected
+// value on a probe next to the element so both sides go through the same normalisation
+function computedMatches(el, property, expected) {
+  const view = el.ownerDocument.defaultView;
+  const probe = el.ownerDocument.createElement(el.tagName);
+  probe.style.setProperty(property, expected);
+  el.parentNode.insertBefore(probe, el);
+  const want = view.getComputedStyle(probe).getPropertyValue(property);
+  probe.remove();
+  return view.getComputedStyle(el).getPropertyValue(property).trim() === want.trim();
+}
+
+function runCheck(doc, check) {
+  const found = select(doc, check.selector);
+  if (found === null) return false;
+  switch (check.kind) {
+    case "ada": return found.length > 0;
+    case "teks": return found.some((el) => normText(el.textContent).includes(normText(check.value)));
+    case "jumlah": return found.length === Number(check.value);
+    case "gaya": return found.length > 0 && computedMatches(found[0], check.property, check.value);
+    default: return false;
+  }
+}
+
+// a check that throws (e.g. "gaya html ..." has no parent to put the probe in) fails on its own
+function safeCheck(doc, check) {
+  try {
+    return runCheck(doc, check);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run every check on a rendered document.
+ * Returns { passed, checks: [{ label, passed }] }, the shape stored with the player's result.
+ */
+export function runChecks(doc, checks) {
+  const results = normalizeChecks(checks).map((c) => ({ label: formatCheck(c), passed: safeCheck(doc, c) }));
+  return { passed: results.length > 0 && results.every((r) => r.passed), checks: results };
+}
+
+/** `html` with a CSP <meta> in front (after any doctype, so the page keeps its rendering mode). */
+export function withSandboxCsp(html) {
+  const s = String(html ?? "");
+  const meta = `<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">`;
+  const doctype = /^\s*<!doctype[^>]*>/i.exec(s);
+  return doctype ? doctype[0] + meta + s.slice(doctype[0].length) : meta + s;
+}
+
+// render `html` in a hidden iframe without scripts; allow-same-origin only so we can read its DOM
+function renderHidden(html, waitMs = LOAD_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-same-origin");
+    frame.setAttribute("aria-hidden", "true");
+    frame.style.cssText = "position:absolute;left:-10000px;top:0;width:800px;height:600px;border:0;";
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      resolve(frame);
+    };
+    frame.addEventListener("load", finish);
+    setTimeout(finish, waitMs);
+    frame.srcdoc = withSandboxCsp(html);
+    document.body.appendChild(frame);
+  });
+}
+
+/** Grade one submission in the browser. */
+export async function gradeHtml(html, checks, waitMs) {
+  const frame = await renderHidden(html, waitMs);
+  try {
+    return runChecks(frame.contentDocument, checks);
+  } finally {
+    frame.remove();
+  }
+}
+
+/**
+ * Grade { pid: html } a few pages at a time; returns { pid: { passed, checks } }.
+ * Once the batch has waited BATCH_TIMEOUT_MS, the remaining pages are checked without waiting for load.
+ */
+export async function gradeHtmlResponses(responses, checks) {
+  const out = {};
+  const queue = Object.entries(responses || {});
+  const deadline = Date.now() + BATCH_TIMEOUT_MS;
+  const worker = async () => {
+    while (queue.length) {
+      const [pid, html] = queue.shift();
+      try {
+        out[pid] = await gradeHtml(html, checks, Math.max(0, Math.min(LOAD_TIMEOUT_MS, deadline - Date.now())));
+      } catch (e) {
+        console.warn("gradeHtml failed for", pid, e);
+        out[pid] = { passed: false, checks: [] };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(GRADE_CONCURRENCY, queue.length) }, worker));
+  return out;
+}
@@ -0,0 +1,25 @@
+// tests/arduino/arduinoSim.test.js
+// Simulator program blok: batas langkah menjaga perangkat host tetap responsif saat menilai.
+import { describe, expect, it } from "vitest";
+import { checkProgram, runProgram } from "../../src/lib/arduinoSim";
+
+const num = (value) => ({ op: "num", value });
+const blink = {
+  setup: [{ op: "pinMode", pin: 13, mode: "OUTPUT" }],
+  loop: [{ op: "repeat", times: num(3), body: [{ op: "digitalWrite", pin: 13, value: { op: "level", value: "HIGH" } }] }]
+};
+
+describe("arduino simulator", () => {
+  it("runs repeat blocks and grades the pins they drive", () => {
+    expect(runProgram(blink)).toMatchObject({ pins: { 13: 1 }, error: null });
+    expect(checkProgram(blink, [{ inputs: {}, expect: { 13: 1 } }]).passed).toBe(true);
+  });
+
+  it("stops a huge empty repeat quickly with a step-limit error", () => {
+    const started = Date.now();
+    const run = runProgram({ setup: [], loop: [{ op: "repeat", times: num(3e8), body: [] }] });
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(run.error).toBeTruthy();
+    expect(checkProgram({ setup: [{ op: "repeat", times: num(1e12), body: [] }], loop: [] }, [{ inputs: {}, expect: { 13: 0 } }]).passed).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+// tests/formats/quizFormats.test.js
+// Setiap format harus bisa diekspor lalu diimpor ulang tanpa kehilangan data, atau menolak soal
+// yang tidak bisa ditampungnya.
+import { describe, expect, it } from "vitest";
+import { exportQuiz, importQuiz } from "../../src/lib/quizFormats";
+import { trueFalseChoices } from "../../src/lib/questionTypes";
+import { parseCheck } from "../../src/lib/webChecks";
+
+const translations = { en: { title: "Sensors" } };
+const single = (id, extra = {}) => ({
+  id,
+  text: "Pin mana untuk sensor analog?",
+  choices: ["  Pin digital", "Pin A0 ", "\tGND"],
+  answer: 1,
+  time: 20,
+  tags: ["pin", "analog"],
+  difficulty: "easy",
+  translations: { en: { text: "Which pin reads an analog sensor?", choices: ["Digital pin", "Pin A0", "GND"] } },
+  ...extra
+});
+const quizOf = (questions) => ({ id: "Q1", title: "Sensor", lang: "id", translations, questions });
+const roundTrip = (quiz, format) => importQuiz(exportQuiz(quiz, format), format);
+
+describe("quiz formats", () => {
+  it("round-trips every question type through JSON", () => {
+    const quiz = quizOf([
+      single("007"),
+      { id: 2, type: "order", text: "Urutkan", choices: ["a", "b"], time: 10, lang: "en" },
+      { id: "w", type: "web", text: "Buat h1", choices: [], answer: { checks: [parseCheck("ada h1")] }, time: 60, starter: "<p></p>" }
+    ]);
+    expect(roundTrip(quiz, "json")).toEqual({ quiz, errors: [] });
+  });
+
+  it("round-trips CSV, including languages, translations and bank fields", () => {
+    const quiz = quizOf([
+      single("007"),
+      single(2, { type: "multi", answer: [0, 2], lang: "en" }),
+      { id: 3, type: "numeric", text: "Tegangan?", choices: [], answer: { value: 5, tolerance: 0.5 }, time: 15, translations: { en: { text: "Voltage?", choices: [] } } },
+      { id: "x", type: "text", text: "Nama pin?", choices: [], answer: ["A0", "a0"], time: 15 }
+    ]);
+    expect(roundTrip(quiz, "csv")).toEqual({ quiz, errors: [] });
+  });
+
+  it("round-trips GIFT and keeps whitespace inside choices", () => {
+    const quiz = quizOf([
+      single("007"),
+      single(2, { type: "multi", answer: [0, 2], lang: "en" }),
+      { id: 3, type: "truefalse", text: "LED butuh resistor", choices: trueFalseChoices(), answer: 0, time: 10 },
+      { id: 4, type: "numeric", text: "Tegangan?", choices: [], answer: { value: 5, tolerance: 0.5 }, time: 15 },
+      { id: "x", type: "text", text: "Nama pin?", choices: [], answer: [" A0", "a0"], time: 15 }
+    ]);
+    expect(roundTrip(quiz, "gift")).toEqual({ quiz, errors: [] });
+  });
+
+  it("round-trips Aiken and keeps whitespace inside choices", () => {
+    const quiz = quizOf([single("007"), single(2, { lang: "en" }), { id: "a b", text: " Tanpa tag ", choices: ["ya", " tidak  "], answer: 0, time: 20 }]);
+    expect(roundTrip(quiz, "aiken")).toEqual({ quiz, errors: [] });
+  });
+
+  it("keeps a \"|\" in CSV answers and a leading \"%n%\" in GIFT answers", () => {
+    const csv = quizOf([{ id: "x", type: "text", text: "Operator?", choices: [], answer: ["a|b", "c\\|d", "e\\f"], time: 15 }]);
+    expect(roundTrip(csv, "csv")).toEqual({ quiz: csv, errors: [] });
+    const gift = quizOf([
+      single(1, { choices: ["%50% sure", "no"], answer: 0 }),
+      single(2, { type: "multi", choices: ["%50% sure", "yes", "no"], answer: [0, 1] }),
+      { id: "x", type: "text", text: "Berapa persen?", choices: [], answer: ["%10% x"], time: 15 }
+    ]);
+    expect(roundTrip(gift, "gift")).toEqual({ quiz: gift, errors: [] });
+  });
+
+  it("keeps ids as written and refuses what a format cannot hold", () => {
+    const csv = "id,text,answer,choice_1,choice_2\n007,Q,A,a,b\n12,Q,A,a,b\n1.50,Q,A,a,b\n";
+    expect(importQuiz(csv, "csv").quiz.questions.map((q) => q.id)).toEqual(["007", 12, "1.50"]);
+    const order = quizOf([{ id: 1, type: "order", text: "Urutkan", choices: ["a", "b"], time: 10 }]);
+    expect(() => exportQuiz(order, "gift")).toThrow();
+    expect(() => exportQuiz(order, "aiken")).toThrow();
+    expect(importQuiz("// translations: {oops\n::1::Q{=a ~b}\n", "gift").errors).toHaveLength(1);
+  });
+});
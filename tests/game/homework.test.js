@@ -0,0 +1,72 @@
+// tests/game/homework.test.js
+// Penilaian PR: jawaban di hwAnswers/ dan nilai di hwGrades/ (khusus host) sampai PR ditutup, baru lalu
+// nilainya disalin ke room.
+import { beforeEach, describe, expect, it } from "vitest";
+import { createMemoryStore } from "../../src/lib/transport/memoryStore";
+import { newRoom } from "../../src/lib/game";
+import { SCORING_RULES } from "../../src/lib/scoring";
+import { ANSWER_GRACE_MS } from "../../src/lib/timing";
+import { advanceUpdates, closeHomeworkUpdates, gradeHomeworkUpdates, gradesPublic, publishGradesUpdates, startHomeworkUpdates } from "../../src/lib/homework";
+
+const QUIZ = {
+  title: "PR",
+  questions: [
+    { id: 1, text: "Q1", choices: ["a", "b"], answer: 1, time: 20 },
+    { id: 2, text: "Q2", choices: ["x", "y"], answer: 0, time: 20 }
+  ]
+};
+const T0 = 1_000_000;
+const CLOSES = T0 + 60_000;
+
+describe("homework grades", () => {
+  let store;
+  let key;
+  const room = () => store.get("rooms/R");
+  const apply = (path, updates) => store.apply({ type: "update", path, updates });
+  const answers = () => store.get("hwAnswers/R");
+  const grade = () => apply("hwGrades/R", gradeHomeworkUpdates(room(), answers(), store.get("hwGrades/R"), key, SCORING_RULES.classic));
+
+  beforeEach(() => {
+    const created = newRoom({ quiz: QUIZ, hostUid: "host", scoring: SCORING_RULES.classic, seed: "S", homework: true, closesAt: CLOSES });
+    key = created.key;
+    store = createMemoryStore({ rooms: { R: created.room } });
+    apply("rooms/R/players/p1", { name: "Ani", score: 0, connected: true });
+    apply("rooms/R", startHomeworkUpdates("p1", T0));
+    apply("", advanceUpdates(room(), "R", "p1", 0, 1, T0 + 1000));
+    apply("", advanceUpdates(room(), "R", "p1", 1, 1, T0 + 2000));
+  });
+
+  it("keeps the answers out of the room every student reads", () => {
+    expect(room().hwAnswers).toBeUndefined();
+    expect(answers()).toEqual({ p1: { 0: { choice: 1, at: T0 + 1000, start: T0 }, 1: { choice: 1, at: T0 + 2000, start: T0 + 1000 } } });
+    expect(room().players.p1.hw).toEqual({ index: 2, startedAt: T0 + 2000 });
+  });
+
+  it("grades into the host-only node and leaves the room untouched", () => {
+    const updates = gradeHomeworkUpdates(room(), answers(), null, key, SCORING_RULES.classic);
+    expect(Object.keys(updates).sort()).toEqual(["history/0/p1", "history/1/p1", "scores/p1"]);
+    grade();
+    expect(store.get("hwGrades/R/history/0/p1")).toMatchObject({ answered: true, correct: true, choice: 1 });
+    expect(store.get("hwGrades/R/history/1/p1")).toMatchObject({ correct: false });
+    expect(room().history).toBeUndefined();
+    expect(room().players.p1.score).toBe(0);
+    // nothing changed since: nothing to write
+    expect(gradeHomeworkUpdates(room(), answers(), store.get("hwGrades/R"), key, SCORING_RULES.classic)).toEqual({});
+  });
+
+  it("publishes the grades only once no answer can arrive any more", () => {
+    expect(gradesPublic(room(), T0 + 5000)).toBe(false);
+    expect(gradesPublic(room(), CLOSES + ANSWER_GRACE_MS)).toBe(false);
+    expect(gradesPublic(room(), CLOSES + ANSWER_GRACE_MS + 1)).toBe(true);
+    apply("rooms/R", closeHomeworkUpdates(room()));
+    expect(gradesPublic(room(), T0 + 5000)).toBe(true);
+
+    grade();
+    const score = store.get("hwGrades/R/scores/p1");
+    expect(score).toBeGreaterThan(0);
+    apply("rooms/R", publishGradesUpdates(room(), store.get("hwGrades/R")));
+    expect(room().players.p1.score).toBe(score);
+    expect(room().history[0].p1).toEqual(store.get("hwGrades/R/history/0/p1"));
+    expect(publishGradesUpdates(room(), store.get("hwGrades/R"))).toEqual({});
+  });
+});
@@ -0,0 +1,27 @@
+// tests/game/questionBank.test.js
+// Kuis acak dari bank soal: bahasa kuis mengikuti bahasa kebanyakan soal, dan tingkat kesulitan
+// lama ("mudah", ...) tetap dikenali.
+import { describe, expect, it } from "vitest";
+import { bankQuestions, difficultyOf, drawQuiz, filterBank } from "../../src/lib/questionBank";
+
+const quiz = (lang, n) => ({ lang, questions: Array.from({ length: n }, (_, i) => ({ id: `${lang}${i}`, text: `${lang} ${i}`, choices: ["a", "b"], answer: 0, time: 20 })) });
+
+describe("question bank draws", () => {
+  it("takes the language most drawn questions are written in", () => {
+    const bank = bankQuestions([quiz("en", 1), quiz("id", 3)]);
+    // every order of the draw: the English question may come first
+    [0, 0.5, 0.99].forEach((r) => {
+      const drawn = drawQuiz(bank, { count: 4 }, () => r);
+      expect(drawn.lang).toBe("id");
+      expect(drawn.questions.filter((q) => q.lang).map((q) => q.lang)).toEqual(["en"]);
+    });
+  });
+
+  it("reads difficulties saved with the old Indonesian ids", () => {
+    expect(difficultyOf({ difficulty: "mudah" })).toBe("easy");
+    expect(difficultyOf({ difficulty: "Hard" })).toBe("hard");
+    expect(difficultyOf({ difficulty: "x" })).toBeNull();
+    const bank = bankQuestions([{ lang: "id", questions: [{ id: 1, text: "Q", choices: ["a", "b"], answer: 0, time: 20, difficulty: "sulit" }] }]);
+    expect(filterBank(bank, { difficulty: "hard" })).toHaveLength(1);
+  });
+});
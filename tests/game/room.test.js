@@ -0,0 +1,209 @@
+// tests/game/room.test.js
+// Siklus room live (buat → gabung → mulai → jawab → reveal → lanjut → selesai) di atas memory store,
+// dengan fungsi yang sama yang dipakai App.jsx; jam server diganti angka biasa.
+import { beforeEach, describe, expect, it } from "vitest";
+import { createMemoryStore } from "../../src/lib/transport/memoryStore";
+import { answerRecord, joinUpdates, newRoom, revealUpdates } from "../../src/lib/game";
+import { backUpdates, nextUpdates, pauseUpdates, resumeUpdates, skipUpdates, startUpdates } from "../../src/lib/roomCommands";
+import { checkJoin, findDuplicates, leaveUpdates, removePlayerUpdates } from "../../src/lib/players";
+import { SCORING_RULES } from "../../src/lib/scoring";
+import { choiceOrder } from "../../src/lib/shuffle";
+
+const QUIZ = {
+  title: "Tes",
+  questions: [
+    { id: 1, text: "Q1", choices: ["a", "b", "c"], answer: 1, time: 20 },
+    { id: 2, text: "Q2", choices: ["x", "y"], answer: 0, time: 10 }
+  ]
+};
+const T0 = 1_000_000;
+const clock = (now) => ({ now, timestamp: now });
+
+describe("live room lifecycle", () => {
+  let store;
+  const room = () => store.get("rooms/R");
+  const player = (pid) => store.get(`rooms/R/players/${pid}`);
+  const apply = (updates) => {
+    expect(updates).toBeTruthy();
+    store.apply({ type: "update", path: "rooms/R", updates });
+  };
+  const join = (pid, name) => {
+    expect(checkJoin(room(), pid, name)).toBeNull();
+    apply(joinUpdates(room(), pid, name));
+  };
+  const answer = (pid, shown, now) => {
+    const record = answerRecord(room(), pid, shown, clock(now));
+    if (record) store.apply({ type: "set", path: `rooms/R/answers/${pid}`, value: record });
+    return record;
+  };
+  const reveal = () => apply(revealUpdates(room(), store.get(`answerKeys/R/answers/${room().currentIndex}`)));
+
+  beforeEach(() => {
+    const { room: initial, key } = newRoom({ quiz: QUIZ, hostUid: "host", scoring: SCORING_RULES.speed, seed: "S" });
+    store = createMemoryStore({ rooms: { R: { ...initial, meta: { ...initial.meta, shuffleChoices: false } } }, answerKeys: { R: key } });
+    join("p1", "Ani");
+    join("p2", "Budi");
+    join("p3", "Citra");
+  });
+
+  it("creates a lobby room whose quiz carries no answers", () => {
+    expect(room().state).toBe("lobby");
+    expect(room().meta.hostUid).toBe("host");
+    expect(room().quiz.questions.every((q) => q.answer === undefined)).toBe(true);
+    expect(store.get("answerKeys/R/answers")).toEqual([1, 0]);
+    const homework = newRoom({ quiz: QUIZ, hostUid: "host", scoring: SCORING_RULES.classic, seed: "S", homework: true, closesAt: T0 });
+    expect(homework.room.state).toBe("homework");
+    expect(homework.room.meta).toMatchObject({ mode: "homework", closesAt: T0, maxPlayers: 0 });
+  });
+
+  it("keeps a returning player's score and refuses new players once started", () => {
+    apply({ "players/p1/score": 300, "players/p1/connected": false });
+    join("p1", "Ani");
+    expect(player("p1")).toMatchObject({ name: "Ani", score: 300, connected: true });
+    expect(checkJoin(room(), "p4", "Ani")).toBeTruthy();
+    expect(room().playerCount).toBe(3);
+    apply(startUpdates(room(), clock(T0)));
+    expect(checkJoin(room(), "p4", "Dodi")).toBeTruthy();
+    expect(checkJoin(room(), "p2", "Budi")).toBeNull();
+  });
+
+  it("lets a name through when its record is offline and counts seats up to maxPlayers", () => {
+    apply({ "players/p1/connected": false, "meta/maxPlayers": 4 });
+    join("p4", "ani");
+    expect(findDuplicates(room().players).map((g) => g.map(([pid]) => pid))).toEqual([["p4", "p1"]]);
+    expect(room().playerCount).toBe(4);
+    expect(checkJoin(room(), "p5", "Eka")).toBeTruthy();
+    apply(removePlayerUpdates(room(), "p1"));
+    expect(room().playerCount).toBe(3);
+    join("p5", "Eka");
+    store.apply({ type: "update", path: "rooms/R", updates: leaveUpdates(room(), "p5") });
+    expect(room().playerCount).toBe(3);
+    expect(room().players.p5).toBeUndefined();
+  });
+
+  it("puts new players in the smallest team when teams are assigned automatically", () => {
+    apply({ "meta/teams": { enabled: true, count: 2, assign: "auto" }, "players/p1/team": 0, "players/p2/team": 0, "players/p3/team": 1 });
+    join("p4", "Dodi");
+    expect(player("p4").team).toBe(1);
+  });
+
+  it("runs a whole quiz from the lobby to the final scores", () => {
+    apply(startUpdates(room(), clock(T0)));
+    expect(room()).toMatchObject({ state: "question", currentIndex: 0, questionStartedAt: T0 });
+    expect(startUpdates(room(), clock(T0))).toBeNull();
+
+    // p1 right at once, p2 wrong, p3 silent
+    expect(answer("p1", 1, T0)).toEqual({ choice: 1, at: T0 });
+    answer("p2", 0, T0 + 5000);
+    reveal();
+    expect(room().state).toBe("reveal");
+    expect(player("p1")).toMatchObject({ score: 1000, streak: 1 });
+    expect(player("p2")).toMatchObject({ score: 0, streak: 0 });
+    expect(player("p3")).toMatchObject({ score: 0, streak: 0 });
+    expect(room().reveal).toMatchObject({ index: 0, answer: 1, counts: [1, 1, 0], correctCount: 1 });
+    expect(room().reveal.results.p3).toBeUndefined();
+    expect(room().history[0].p1).toMatchObject({ name: "Ani", answered: true, correct: true, points: 1000, choice: 1, ms: 0 });
+    expect(room().history[0].p3).toMatchObject({ answered: false, points: 0 });
+    // the question is closed: no more answers and no second reveal
+    expect(answerRecord(room(), "p3", 1, clock(T0 + 6000))).toBeNull();
+    expect(revealUpdates(room(), 1)).toBeNull();
+
+    const T1 = T0 + 30000;
+    apply(nextUpdates(room(), clock(T1)));
+    expect(room()).toMatchObject({ state: "question", currentIndex: 1, questionStartedAt: T1 });
+    expect(room().answers).toBeUndefined();
+    expect(room().reveal).toBeUndefined();
+
+    // halfway through the time with a streak of two: 1000 × 0.75 × 1.1
+    answer("p1", 0, T1 + 5000);
+    answer("p2", 0, T1);
+    reveal();
+    expect(player("p1")).toMatchObject({ score: 1825, streak: 2 });
+    expect(player("p2")).toMatchObject({ score: 1000, streak: 1 });
+    expect(room().reveal.rankAfter).toEqual({ p1: 1, p2: 2, p3: 3 });
+
+    apply(nextUpdates(room(), clock(T1 + 20000)));
+    expect(room()).toMatchObject({ state: "finished", currentIndex: 2 });
+    expect(room().questionStartedAt).toBeUndefined();
+    expect(nextUpdates(room(), clock(T1 + 21000))).toBeNull();
+  });
+
+  it("refuses late answers and scores a late stored answer as not answered", () => {
+    apply({ "players/p2/streak": 3, "players/p3/extraTimePct": 50 });
+    apply(startUpdates(room(), clock(T0)));
+    expect(answerRecord(room(), "p1", 1, clock(T0 + 20001))).toBeNull();
+    // extra time for one student moves only their deadline
+    expect(answer("p3", 1, T0 + 25000)).toBeTruthy();
+    // an answer that reached the database after the deadline (and the grace period) does not count
+    store.apply({ type: "set", path: "rooms/R/answers/p2", value: { choice: 1, at: T0 + 21000 + 501 } });
+    reveal();
+    expect(room().history[0].p2).toMatchObject({ answered: false, correct: false });
+    expect(player("p2")).toMatchObject({ score: 0, streak: 0 });
+    expect(player("p3").score).toBeGreaterThan(0);
+  });
+
+  it("scores disconnected players with the answer they sent before dropping off", () => {
+    apply(startUpdates(room(), clock(T0)));
+    answer("p2", 1, T0 + 1000);
+    apply({ "players/p2/connected": false, "players/p3/connected": false });
+    reveal();
+    expect(player("p2")).toMatchObject({ connected: false, streak: 1 });
+    expect(player("p2").score).toBeGreaterThan(0);
+    expect(room().history[0].p3.answered).toBe(false);
+    // reconnecting keeps the points
+    join("p2", "Budi");
+    expect(player("p2")).toMatchObject({ connected: true, streak: 1 });
+  });
+
+  it("adds a pause to the question time and refuses answers while paused", () => {
+    apply(startUpdates(room(), clock(T0)));
+    apply(pauseUpdates(room(), clock(T0 + 5000)));
+    expect(room().state).toBe("paused");
+    expect(answerRecord(room(), "p1", 1, clock(T0 + 6000))).toBeNull();
+    apply(resumeUpdates(room(), clock(T0 + 35000)));
+    expect(room()).toMatchObject({ state: "question", timeExtraMs: 30000 });
+    expect(answer("p1", 1, T0 + 45000)).toBeTruthy();
+    reveal();
+    expect(player("p1").streak).toBe(1);
+  });
+
+  it("takes points back when stepping back and skips a question without scoring it", () => {
+    apply(startUpdates(room(), clock(T0)));
+    answer("p1", 1, T0);
+    reveal();
+    apply(nextUpdates(room(), clock(T0 + 30000)));
+    apply(backUpdates(room(), clock(T0 + 40000)));
+    expect(room()).toMatchObject({ state: "question", currentIndex: 0, questionStartedAt: T0 + 40000 });
+    expect(player("p1")).toMatchObject({ score: 0, streak: 0 });
+    expect(room().history).toBeUndefined();
+
+    answer("p1", 1, T0 + 40000);
+    reveal();
+    apply(nextUpdates(room(), clock(T0 + 70000)));
+    apply(skipUpdates(room(), clock(T0 + 71000)));
+    expect(room()).toMatchObject({ state: "finished", skipped: { 1: true } });
+    expect(Object.keys(room().history)).toEqual(["0"]);
+    expect(player("p1").score).toBe(1000);
+  });
+
+  it("lets the majority answer of a team count for all of its members", () => {
+    apply({ "meta/teams": { enabled: true, count: 2, assign: "auto", consensus: true }, "players/p1/team": 0, "players/p2/team": 0, "players/p3/team": 0 });
+    apply(startUpdates(room(), clock(T0)));
+    answer("p1", 1, T0);
+    answer("p2", 1, T0 + 1000);
+    answer("p3", 2, T0);
+    reveal();
+    expect(room().reveal.results.p3).toMatchObject({ choice: 1, correct: true, team: 0 });
+    expect(player("p3").streak).toBe(1);
+  });
+
+  it("stores an answer from shuffled choices by its original index", () => {
+    apply({ "meta/shuffleChoices": true });
+    apply(startUpdates(room(), clock(T0)));
+    const order = choiceOrder(room(), "p1", 0);
+    const shown = order.indexOf(1);
+    expect(answer("p1", shown, T0)).toEqual({ choice: 1, at: T0 });
+    reveal();
+    expect(player("p1").score).toBe(1000);
+  });
+});
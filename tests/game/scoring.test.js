@@ -0,0 +1,61 @@
+// tests/game/scoring.test.js
+// Aturan skor dan batas waktu jawaban, tanpa room.
+import { describe, expect, it } from "vitest";
+import { DEFAULT_SCORING, SCORING_RULES, applyPoints, getScoringRule, scoreAnswer, streakMultiplier } from "../../src/lib/scoring";
+import { ANSWER_GRACE_MS, computeTimeLeft, extraTimeMs, isLate, questionDeadline } from "../../src/lib/timing";
+
+describe("scoring rules", () => {
+  const speed = SCORING_RULES.speed;
+
+  it("falls back to the default rule and keeps a rule copied into the room", () => {
+    expect(getScoringRule(undefined)).toEqual(SCORING_RULES[DEFAULT_SCORING]);
+    expect(getScoringRule({ scoring: "speed" })).toEqual(speed);
+    expect(getScoringRule({ scoring: "unknown" })).toEqual(SCORING_RULES[DEFAULT_SCORING]);
+    expect(getScoringRule({ scoring: { ...speed, base: 500 } }).base).toBe(500);
+  });
+
+  it("gives full points for an instant answer and half at the buzzer", () => {
+    expect(scoreAnswer(speed, { answered: true, correct: true, elapsedMs: 0, timeLimit: 20 })).toEqual({ points: 1000, streak: 1 });
+    expect(scoreAnswer(speed, { answered: true, correct: true, elapsedMs: 10000, timeLimit: 20 }).points).toBe(750);
+    expect(scoreAnswer(speed, { answered: true, correct: true, elapsedMs: 60000, timeLimit: 20 }).points).toBe(500);
+    expect(scoreAnswer(SCORING_RULES.classic, { answered: true, correct: true, elapsedMs: 19000, timeLimit: 20 }).points).toBe(100);
+  });
+
+  it("adds a capped streak bonus and resets the streak on a wrong or missing answer", () => {
+    expect(streakMultiplier(1)).toBe(1);
+    expect(streakMultiplier(3)).toBeCloseTo(1.2);
+    expect(streakMultiplier(20)).toBe(1.5);
+    expect(scoreAnswer(speed, { answered: true, correct: true, elapsedMs: 0, timeLimit: 20, streak: 1 })).toEqual({ points: 1100, streak: 2 });
+    expect(scoreAnswer(speed, { answered: true, correct: false, timeLimit: 20, streak: 4 })).toEqual({ points: -250, streak: 0 });
+    expect(scoreAnswer(speed, { answered: false, timeLimit: 20, streak: 4 })).toEqual({ points: 0, streak: 0 });
+  });
+
+  it("never lets a penalty push a score below zero", () => {
+    expect(applyPoints(100, -250)).toBe(0);
+    expect(applyPoints(undefined, 40)).toBe(40);
+  });
+});
+
+describe("answer deadlines", () => {
+  it("counts down from the shared start time plus any extra time", () => {
+    expect(questionDeadline(1000, 20, 5000)).toBe(26000);
+    expect(questionDeadline(null, 20)).toBeNull();
+    expect(computeTimeLeft(1000, 20, 1000)).toBe(20);
+    expect(computeTimeLeft(1000, 20, 20500)).toBe(1);
+    expect(computeTimeLeft(1000, 20, 99999)).toBe(0);
+    expect(computeTimeLeft(null, 20, 5000)).toBe(20);
+  });
+
+  it("accepts answers within the grace period and rejects later ones", () => {
+    expect(isLate(21000 + ANSWER_GRACE_MS, 1000, 20)).toBe(false);
+    expect(isLate(21001 + ANSWER_GRACE_MS, 1000, 20)).toBe(true);
+    expect(isLate(31000, 1000, 20, 10000)).toBe(false);
+    expect(isLate(undefined, 1000, 20)).toBe(false);
+  });
+
+  it("turns a student's extra time percentage into milliseconds", () => {
+    expect(extraTimeMs({ extraTimePct: 50 }, 20)).toBe(10000);
+    expect(extraTimeMs({}, 20)).toBe(0);
+    expect(extraTimeMs(undefined, 20)).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+// tests/game/shuffle.test.js
+// Pilihan yang diacak per peserta: posisi yang diketuk disimpan sebagai index asli (answerRecord),
+// dan RevealCard menampilkan grafik dalam urutan peserta itu sendiri.
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import { describe, expect, it } from "vitest";
+import { answerRecord, newRoom } from "../../src/lib/game";
+import { SCORING_RULES } from "../../src/lib/scoring";
+import { choiceOrder, toOriginal, toShown } from "../../src/lib/shuffle";
+import RevealCard from "../../src/components/RevealCard";
+
+const QUIZ = {
+  title: "Tes",
+  questions: [
+    { id: 1, text: "Q1", choices: ["a", "b", "c", "d"], answer: 2, time: 20 },
+    { id: 2, type: "multi", text: "Q2", choices: ["w", "x", "y", "z"], answer: [0, 3], time: 20 }
+  ]
+};
+const T0 = 1_000_000;
+
+function startedRoom(index) {
+  const { room } = newRoom({ quiz: QUIZ, hostUid: "host", scoring: SCORING_RULES.speed, seed: "S" });
+  return { ...room, state: "question", currentIndex: index, questionStartedAt: T0, players: { p1: { name: "Ani", score: 0 } } };
+}
+
+describe("shuffled choices", () => {
+  it("stores the tapped position by its original index and maps it back", () => {
+    const room = startedRoom(0);
+    const order = choiceOrder(room, "p1", 0);
+    expect([...order].sort()).toEqual([0, 1, 2, 3]);
+    const record = answerRecord(room, "p1", order.indexOf(2), { now: T0, timestamp: T0 });
+    expect(record.choice).toBe(2);
+    expect(toShown(record.choice, order)).toBe(order.indexOf(2));
+  });
+
+  it("sorts the original indexes of a multiple-answer response", () => {
+    const room = startedRoom(1);
+    const order = choiceOrder(room, "p1", 1);
+    const shown = [order.indexOf(3), order.indexOf(0)];
+    const record = answerRecord(room, "p1", shown, { now: T0, timestamp: T0 });
+    expect(record.choice).toEqual([0, 3]);
+    expect(toOriginal(toShown(record.choice, order), order)).toEqual([0, 3]);
+    // a room without shuffling stores positions as they are
+    const plain = { ...room, meta: { ...room.meta, shuffleChoices: false } };
+    expect(answerRecord(plain, "p1", [1, 2], { now: T0, timestamp: T0 }).choice).toEqual([1, 2]);
+  });
+
+  it("lays out the reveal chart in the player's order", () => {
+    const q = { id: 1, text: "Q1", choices: ["a", "b", "c"], time: 20 };
+    const reveal = { index: 0, answer: 0, counts: [5, 1, 3], correctCount: 5, results: {} };
+    const bars = (order) => {
+      const html = renderToStaticMarkup(createElement(RevealCard, { q, reveal, order }));
+      const values = [...html.matchAll(/font-weight:700">(\d+)<\/div>/g)].map((m) => Number(m[1]));
+      const labels = [...html.matchAll(/font-size:12px;margin-top:4px">([^<]+)</g)].map((m) => m[1]);
+      return { values, labels };
+    };
+    expect(bars(null)).toEqual({ values: [5, 1, 3], labels: ["A ✓", "B", "C"] });
+    expect(bars([2, 0, 1])).toEqual({ values: [3, 5, 1], labels: ["A", "B ✓", "C"] });
+  });
+});
@@ -0,0 +1,54 @@
+// tests/i18n/i18n.test.js
+import { describe, expect, it } from "vitest";
+import { LOCALES, translate } from "../../src/lib/i18n";
+import { localizeQuiz } from "../../src/lib/quiz";
+import { splitQuestion } from "../../src/lib/questionTypes";
+
+const keys = (messages, prefix = "") => Object.entries(messages).flatMap(([k, v]) => (v && typeof v === "object" && !("other" in v) ? keys(v, `${prefix}${k}.`) : [`${prefix}${k}`]));
+
+describe("message catalogue", () => {
+  it("has the same keys in every locale", () => {
+    const base = keys(LOCALES.id.messages).sort();
+    Object.values(LOCALES).forEach((l) => expect(keys(l.messages).sort()).toEqual(base));
+  });
+
+  it("fills placeholders and picks plural forms", () => {
+    expect(translate("en", "common.questionOf", { n: 2, total: 5 })).toBe("Question 2 of 5");
+    expect(translate("en", "common.questionCount", { count: 1 })).toBe("1 question");
+    expect(translate("en", "common.questionCount", { count: 3 })).toBe("3 questions");
+    expect(translate("id", "common.questionCount", { count: 3 })).toBe("3 soal");
+  });
+
+  it("falls back to Indonesian, then to the key", () => {
+    expect(translate("fr", "app.join")).toBe("Gabung");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("quiz translations", () => {
+  const quiz = {
+    title: "Sensor",
+    lang: "id",
+    translations: { en: { title: "Sensors" } },
+    questions: [
+      { text: "Sensor suhu?", choices: ["LDR", "DHT11"], answer: 1, time: 10, translations: { en: { text: "Temperature sensor?", choices: ["", "DHT11 (temp)"] } } },
+      { type: "truefalse", text: "LED butuh resistor", choices: ["Benar", "Salah"], answer: 0, time: 10 },
+      { type: "numeric", text: "5 + 5?", choices: [], answer: { value: 10, tolerance: 0 }, time: 10, translations: { en: { text: " " } } }
+    ]
+  };
+
+  it("shows each question in the chosen language, keeping blank translations in the original", () => {
+    const en = localizeQuiz(quiz, "en");
+    expect(en.title).toBe("Sensors");
+    expect(en.questions[0]).toMatchObject({ text: "Temperature sensor?", choices: ["LDR", "DHT11 (temp)"] });
+    expect(en.questions[1].choices).toEqual(["True", "False"]);
+    expect(en.questions[2].text).toBe("5 + 5?");
+    expect(localizeQuiz(quiz, "id").questions[0].text).toBe("Sensor suhu?");
+  });
+
+  it("shuffles translated order items together with the originals", () => {
+    const q = { type: "order", text: "Urutkan", choices: ["a", "b", "c", "d"], answer: null, time: 10, translations: { en: { choices: ["A", "B", "C", "D"] } } };
+    const { shown } = splitQuestion(q);
+    expect(shown.translations.en.choices).toEqual(shown.choices.map((c) => c.toUpperCase()));
+  });
+});
@@ -0,0 +1,237 @@
+// tests/rules/database.rules.test.js
+// Jalankan lewat `npm run test:rules` (Firebase Database emulator); tanpa emulator test ini dilewati.
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { equalTo, get, orderByChild, query, ref, serverTimestamp, set, update } from "firebase/database";
+
+const emulated = Boolean(process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+
+describe.skipIf(!emulated)("database.rules.json", () => {
+  let env;
+  const ROOM = "ROOM01";
+  const room = (extra = {}) => ({
+    meta: { title: "Test", hostUid: "host" },
+    quiz: { title: "Test", questions: [{ id: 1, text: "Q1", choices: ["a", "b"], time: 20 }] },
+    state: "question",
+    currentIndex: 0,
+    timeExtraMs: 0,
+    players: { p1: { name: "Ani", score: 0, connected: true } },
+    ...extra
+  });
+
+  beforeAll(async () => {
+    const [host, port] = process.env.FIREBASE_DATABASE_EMULATOR_HOST.split(":");
+    env = await initializeTestEnvironment({
+      projectId: "demo-quizlive",
+      database: { host, port: Number(port), rules: readFileSync("database.rules.json", "utf8") }
+    });
+  });
+
+  beforeEach(async () => {
+    await env.clearDatabase();
+    await env.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.database();
+      await set(ref(db, `rooms/${ROOM}`), room({ questionStartedAt: Date.now() }));
+      await set(ref(db, `answerKeys/${ROOM}`), { answers: [1] });
+      // teacher accounts an admin approved; "pending" registered itself but was never approved
+      await set(ref(db, "teachers/host/approved"), true);
+      await set(ref(db, "teachers/teacher/approved"), true);
+      await set(ref(db, "teachers/other/approved"), true);
+    });
+  });
+
+  afterAll(async () => {
+    if (env) await env.cleanup();
+  });
+
+  // teachers sign in with email/password and are approved in teachers/{uid}/approved, students
+  // sign in anonymously; p1 is the student's auth uid
+  const teacherDb = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: "password" } }).database();
+  const studentDb = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: "anonymous" } }).database();
+  const hostDb = () => teacherDb("host");
+  const playerDb = () => studentDb("p1");
+
+  it("lets only the host read the answer key", async () => {
+    await assertSucceeds(get(ref(hostDb(), `answerKeys/${ROOM}`)));
+    await assertFails(get(ref(playerDb(), `answerKeys/${ROOM}`)));
+    await assertFails(get(ref(env.unauthenticatedContext().database(), `answerKeys/${ROOM}`)));
+  });
+
+  it("keeps open homework grades to the host", async () => {
+    await assertSucceeds(set(ref(hostDb(), `hwGrades/${ROOM}/scores/p1`), 800));
+    await assertSucceeds(get(ref(hostDb(), `hwGrades/${ROOM}`)));
+    await assertFails(get(ref(playerDb(), `hwGrades/${ROOM}`)));
+    await assertFails(set(ref(playerDb(), `hwGrades/${ROOM}/scores/p1`), 9999));
+  });
+
+  it("lets players read the room but never an answer inside the quiz", async () => {
+    await assertSucceeds(get(ref(playerDb(), `rooms/${ROOM}/quiz`)));
+    await assertFails(set(ref(hostDb(), `rooms/${ROOM}/quiz/questions/0/answer`), 1));
+  });
+
+  it("creates a room only when an approved teacher is recorded as owner", async () => {
+    const db = teacherDb("teacher");
+    await assertFails(set(ref(db, "rooms/NEW001"), room({ meta: { title: "x", hostUid: "host" } })));
+    await assertSucceeds(set(ref(db, "rooms/NEW001"), room({ meta: { title: "x", hostUid: "teacher" } })));
+    await assertFails(set(ref(studentDb("anon"), "rooms/NEW002"), room({ meta: { title: "x", hostUid: "anon" } })));
+    await assertFails(set(ref(teacherDb("pending"), "rooms/NEW003"), room({ meta: { title: "x", hostUid: "pending" } })));
+  });
+
+  it("never lets an account approve itself as a teacher", async () => {
+    await assertFails(set(ref(teacherDb("pending"), "teachers/pending/approved"), true));
+    await assertFails(set(ref(teacherDb("pending"), "teachers/pending"), { approved: true }));
+    await assertSucceeds(set(ref(teacherDb("pending"), "teachers/pending/locale"), "en"));
+    await assertSucceeds(get(ref(teacherDb("pending"), "teachers/pending/approved")));
+  });
+
+  it("keeps every quiz to the teacher who owns it", async () => {
+    const quiz = (ownerUid) => ({ id: "Q1", title: "x", ownerUid, questions: [{ id: 1, text: "Q", choices: ["a", "b"], answer: 1, time: 20 }] });
+    await assertSucceeds(set(ref(hostDb(), "quizzes/Q1"), quiz("host")));
+    await assertSucceeds(get(ref(hostDb(), "quizzes/Q1")));
+    await assertSucceeds(get(query(ref(hostDb(), "quizzes"), orderByChild("ownerUid"), equalTo("host"))));
+    // another teacher neither reads nor overwrites it, nor takes it over
+    await assertFails(get(ref(teacherDb("other"), "quizzes/Q1")));
+    await assertFails(get(ref(teacherDb("other"), "quizzes")));
+    await assertFails(get(query(ref(teacherDb("other"), "quizzes"), orderByChild("ownerUid"), equalTo("host"))));
+    await assertFails(set(ref(teacherDb("other"), "quizzes/Q1"), quiz("other")));
+    await assertFails(set(ref(teacherDb("other"), "quizzes/Q1"), null));
+    await assertFails(set(ref(hostDb(), "quizzes/Q1/ownerUid"), "other"));
+    await assertFails(set(ref(teacherDb("other"), "quizzes/Q2"), quiz("host")));
+    // a self-registered account is no teacher until approved
+    await assertFails(set(ref(teacherDb("pending"), "quizzes/Q3"), quiz("pending")));
+    await assertSucceeds(set(ref(hostDb(), "quizzes/Q1"), null));
+  });
+
+  it("keeps the quiz library and room index away from students", async () => {
+    await assertFails(get(ref(playerDb(), "quizzes")));
+    await assertFails(set(ref(playerDb(), "quizzes/Q1"), { id: "Q1", title: "x", ownerUid: "p1", questions: [] }));
+    await assertSucceeds(set(ref(hostDb(), "quizzes/Q1"), { id: "Q1", title: "x", ownerUid: "host", questions: [] }));
+    await assertSucceeds(set(ref(hostDb(), `teachers/host/rooms/${ROOM}`), { title: "Test" }));
+    await assertFails(get(ref(teacherDb("other"), "teachers/host/rooms")));
+  });
+
+  it("lets only the host change room state or write the answer key", async () => {
+    await assertFails(update(ref(playerDb(), `rooms/${ROOM}`), { state: "finished" }));
+    await assertFails(set(ref(playerDb(), `answerKeys/${ROOM}`), { answers: [0] }));
+    await assertSucceeds(update(ref(hostDb(), `rooms/${ROOM}`), { state: "reveal" }));
+  });
+
+  it("lets a student join only as their own uid and never change their score", async () => {
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/state`), "lobby"));
+    await assertFails(update(ref(playerDb(), `rooms/${ROOM}`), { "players/p2": { name: "Budi", score: 0, connected: true }, playerCount: 1 }));
+    // a new player has to take a seat in the same write
+    await assertFails(set(ref(studentDb("p2"), `rooms/${ROOM}/players/p2`), { name: "Budi", score: 0, connected: true }));
+    await assertSucceeds(update(ref(studentDb("p2"), `rooms/${ROOM}`), { "players/p2": { name: "Budi", score: 0, connected: true }, playerCount: 1 }));
+    await assertFails(update(ref(studentDb("p3"), `rooms/${ROOM}`), { "players/p3": { name: "Cici", score: 500 }, playerCount: 2 }));
+    await assertSucceeds(set(ref(playerDb(), `rooms/${ROOM}/players/p1/connected`), false));
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/players/p1/score`), 9999));
+    await assertSucceeds(set(ref(hostDb(), `rooms/${ROOM}/players/p1/score`), 100));
+  });
+
+  it("refuses new players in locked or started rooms and kicked players", async () => {
+    const join = (uid) => update(ref(studentDb(uid), `rooms/${ROOM}`), { [`players/${uid}`]: { name: uid, score: 0, connected: true }, playerCount: 1 });
+    await assertFails(join("late"));
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { "meta/allowLateJoin": true, "kicked/banned": true }));
+    await assertSucceeds(join("late"));
+    await assertFails(join("banned"));
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/meta/locked`), true));
+    await assertFails(join("locked"));
+    // players already in the room can still reconnect
+    await assertSucceeds(set(ref(playerDb(), `rooms/${ROOM}/players/p1/connected`), true));
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/players/p1/name`), ""));
+  });
+
+  it("refuses new players once maxPlayers seats are taken", async () => {
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { state: "lobby", "meta/maxPlayers": 2, playerCount: 1 }));
+    const join = (uid, count) => update(ref(studentDb(uid), `rooms/${ROOM}`), { [`players/${uid}`]: { name: uid, score: 0, connected: true }, playerCount: count });
+    // the count has to go up by exactly one
+    await assertFails(join("p2", 1));
+    await assertSucceeds(join("p2", 2));
+    await assertFails(join("p3", 3));
+    await assertFails(set(ref(studentDb("p3"), `rooms/${ROOM}/playerCount`), 0));
+    // leaving gives the seat back
+    await assertSucceeds(update(ref(studentDb("p2"), `rooms/${ROOM}`), { "players/p2": null, playerCount: 1 }));
+    await assertSucceeds(join("p3", 2));
+  });
+
+  it("lets students switch teams only in the lobby when they may pick their own", async () => {
+    const teamRef = ref(playerDb(), `rooms/${ROOM}/players/p1/team`);
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { state: "lobby", "meta/teams": { enabled: true, count: 2, assign: "auto" }, "players/p1/team": 0 }));
+    await assertFails(set(teamRef, 1));
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/meta/teams/assign`), "choose"));
+    await assertSucceeds(set(teamRef, 1));
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/state`), "question"));
+    await assertFails(set(teamRef, 0));
+    await assertSucceeds(set(ref(hostDb(), `rooms/${ROOM}/players/p1/team`), 0));
+  });
+
+  it("lets homework students move forward one question at a time and answer only the current one", async () => {
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { state: "homework", "meta/mode": "homework", "meta/closesAt": Date.now() + 60000 }));
+    const db = playerDb();
+    const hwRef = ref(db, `rooms/${ROOM}/players/p1/hw`);
+    await assertFails(set(hwRef, { index: 1, startedAt: serverTimestamp() }));
+    await assertSucceeds(set(hwRef, { index: 0, startedAt: serverTimestamp() }));
+    const startedAt = (await get(hwRef)).val().startedAt;
+    await assertFails(set(ref(db, `hwAnswers/${ROOM}/p1/1`), { choice: 1, at: serverTimestamp(), start: startedAt }));
+    await assertFails(set(ref(db, `hwAnswers/${ROOM}/p1/0`), { choice: 1, at: serverTimestamp(), start: startedAt - 5000 }));
+    await assertSucceeds(update(ref(db), {
+      [`hwAnswers/${ROOM}/p1/0`]: { choice: 1, at: serverTimestamp(), start: startedAt },
+      [`rooms/${ROOM}/players/p1/hw`]: { index: 1, startedAt: serverTimestamp() }
+    }));
+    await assertFails(set(hwRef, { index: 0, startedAt: serverTimestamp() }));
+    await assertFails(set(ref(db, `rooms/${ROOM}/players/p1/score`), 100));
+  });
+
+  it("closes homework answers at the room deadline", async () => {
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { state: "homework", "meta/closesAt": Date.now() - 1000, "players/p1/hw": { index: 0, startedAt: Date.now() } }));
+    const startedAt = (await get(ref(playerDb(), `rooms/${ROOM}/players/p1/hw/startedAt`))).val();
+    await assertFails(set(ref(playerDb(), `hwAnswers/${ROOM}/p1/0`), { choice: 1, at: serverTimestamp(), start: startedAt }));
+  });
+
+  it("shows homework answers only to the host and the student who wrote them", async () => {
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `hwAnswers/${ROOM}`), { p1: { 0: { choice: 1, at: 1, start: 0 } }, p2: { 0: { choice: 0, at: 1, start: 0 } } }));
+    await assertSucceeds(get(ref(hostDb(), `hwAnswers/${ROOM}`)));
+    await assertSucceeds(get(ref(playerDb(), `hwAnswers/${ROOM}/p1`)));
+    await assertFails(get(ref(playerDb(), `hwAnswers/${ROOM}`)));
+    await assertFails(get(ref(playerDb(), `hwAnswers/${ROOM}/p2`)));
+    await assertFails(set(ref(playerDb(), `hwAnswers/${ROOM}/p2/1`), { choice: 1, at: serverTimestamp(), start: 0 }));
+    // the room itself, which every student reads, holds none of them
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/hwAnswers/p1/0`), { choice: 1, at: serverTimestamp(), start: 0 }));
+  });
+
+  it("accepts one timestamped answer per player while the question is open", async () => {
+    await assertFails(set(ref(studentDb("p2"), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+    const aRef = ref(playerDb(), `rooms/${ROOM}/answers/p1`);
+    await assertFails(set(aRef, { choice: 1, at: 123 }));
+    await assertSucceeds(set(aRef, { choice: 1, at: serverTimestamp() }));
+    await assertFails(set(aRef, { choice: 0, at: serverTimestamp() }));
+  });
+
+  it("rejects answers written after the deadline", async () => {
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/questionStartedAt`), Date.now() - 60000));
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+  });
+
+  it("rejects answers while the room is not in a question", async () => {
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), `rooms/${ROOM}/state`), "reveal"));
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+  });
+
+  it("rejects answers while the host has paused the question", async () => {
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { state: "paused", pausedAt: Date.now() }));
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+  });
+
+  it("moves the deadline when the host adds time", async () => {
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { questionStartedAt: Date.now() - 25000, timeExtraMs: 10000 }));
+    await assertSucceeds(set(ref(playerDb(), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+  });
+
+  it("gives a student with extra time a later deadline that only the host can set", async () => {
+    await assertFails(set(ref(playerDb(), `rooms/${ROOM}/players/p1/extraTimePct`), 50));
+    await assertSucceeds(set(ref(hostDb(), `rooms/${ROOM}/players/p1/extraTimePct`), 50));
+    await env.withSecurityRulesDisabled((ctx) => update(ref(ctx.database(), `rooms/${ROOM}`), { questionStartedAt: Date.now() - 25000 }));
+    await assertSucceeds(set(ref(playerDb(), `rooms/${ROOM}/answers/p1`), { choice: 1, at: serverTimestamp() }));
+  });
+});
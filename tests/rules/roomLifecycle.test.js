@@ -0,0 +1,178 @@
+// tests/rules/roomLifecycle.test.js
+// Satu kuis utuh di Firebase Database emulator dengan aturan asli: host (guru) dan tiga peserta
+// anonim, termasuk peserta yang putus koneksi lalu kembali dan jawaban yang terlambat.
+// Jalankan lewat `npm run test:rules`; tanpa emulator test ini dilewati.
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { assertFails, assertSucceeds, initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { get, goOffline, goOnline, onDisconnect, push, ref, serverTimestamp, set, update } from "firebase/database";
+import { answerRecord, joinUpdates, newRoom, revealUpdates } from "../../src/lib/game";
+import { logEntry, nextUpdates, pauseUpdates, startUpdates } from "../../src/lib/roomCommands";
+import { checkJoin } from "../../src/lib/players";
+import { takeSeat } from "../../src/lib/join";
+import { SCORING_RULES } from "../../src/lib/scoring";
+import { choiceOrder } from "../../src/lib/shuffle";
+
+const emulated = Boolean(process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+
+describe.skipIf(!emulated)("room lifecycle", () => {
+  let env;
+  const ROOM = "LIVE01";
+  const QUIZ = {
+    title: "Tes",
+    questions: [
+      { id: 1, text: "Q1", choices: ["a", "b", "c"], answer: 1, time: 20 },
+      { id: 2, text: "Q2", choices: ["x", "y"], answer: 0, time: 2 }
+    ]
+  };
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const read = async (db, path) => (await get(ref(db, path))).val();
+  // presence and server timestamps arrive asynchronously
+  const waitFor = async (db, path, check) => {
+    for (let i = 0; i < 50; i++) {
+      const value = await read(db, path);
+      if (check(value)) return value;
+      await sleep(100);
+    }
+    throw new Error(`timed out waiting for ${path}`);
+  };
+
+  const teacherDb = () => env.authenticatedContext("host", { firebase: { sign_in_provider: "password" } }).database();
+  const studentDb = (uid) => env.authenticatedContext(uid, { firebase: { sign_in_provider: "anonymous" } }).database();
+
+  // the same steps App.jsx takes, through the pure game modules
+  const createRoom = async (db) => {
+    const { room, key } = newRoom({ quiz: QUIZ, hostUid: "host", scoring: SCORING_RULES.speed, seed: "S" });
+    await assertSucceeds(set(ref(db, `rooms/${ROOM}`), room));
+    await assertSucceeds(set(ref(db, `answerKeys/${ROOM}`), key));
+  };
+  const hostCommand = async (db, command, build) => {
+    const room = await read(db, `rooms/${ROOM}`);
+    const updates = await build(room, { now: Date.now(), timestamp: serverTimestamp() });
+    expect(updates).toBeTruthy();
+    updates[`log/${push(ref(db, `rooms/${ROOM}/log`)).key}`] = logEntry(command, room, serverTimestamp());
+    await assertSucceeds(update(ref(db, `rooms/${ROOM}`), updates));
+  };
+  const reveal = (db) => hostCommand(db, "reveal", async (room) => revealUpdates(room, await read(db, `answerKeys/${ROOM}/answers/${room.currentIndex}`)));
+  const join = async (db, pid, name) => {
+    const room = await read(db, `rooms/${ROOM}`);
+    expect(checkJoin(room, pid, name)).toBeNull();
+    await assertSucceeds(update(ref(db, `rooms/${ROOM}`), joinUpdates(room, pid, name)));
+  };
+  // the two transport calls takeSeat (lib/join.js) needs, on one student's database
+  const seatTx = (db) => ({ get: (path) => read(db, path), update: (path, updates) => update(ref(db, path), updates) });
+  // `choice` is the original index; the player taps wherever their shuffled order shows it
+  const answer = async (db, pid, choice) => {
+    const room = await read(db, `rooms/${ROOM}`);
+    const order = choiceOrder(room, pid, room.currentIndex);
+    return answerRecord(room, pid, order ? order.indexOf(choice) : choice, { now: Date.now(), timestamp: serverTimestamp() });
+  };
+
+  beforeAll(async () => {
+    const [host, port] = process.env.FIREBASE_DATABASE_EMULATOR_HOST.split(":");
+    env = await initializeTestEnvironment({
+      projectId: "demo-quizlive",
+      database: { host, port: Number(port), rules: readFileSync("database.rules.json", "utf8") }
+    });
+  });
+
+  beforeEach(async () => {
+    await env.clearDatabase();
+    await env.withSecurityRulesDisabled((ctx) => set(ref(ctx.database(), "teachers/host/approved"), true));
+  });
+
+  afterAll(async () => {
+    if (env) await env.cleanup();
+  });
+
+  it("plays a whole quiz with a host and three players", async () => {
+    const host = teacherDb();
+    const players = { ani: studentDb("ani"), budi: studentDb("budi"), citra: studentDb("citra") };
+    await createRoom(host);
+    await join(players.ani, "ani", "Ani");
+    await join(players.budi, "budi", "Budi");
+    await join(players.citra, "citra", "Citra");
+
+    // Citra's connection drops in the lobby; the database marks her offline
+    await onDisconnect(ref(players.citra, `rooms/${ROOM}/players/citra/connected`)).set(false);
+    goOffline(players.citra);
+    await waitFor(host, `rooms/${ROOM}/players/citra/connected`, (c) => c === false);
+
+    await hostCommand(host, "start", startUpdates);
+    const started = await read(host, `rooms/${ROOM}`);
+    expect(started.state).toBe("question");
+    expect(typeof started.questionStartedAt).toBe("number");
+    // nobody joins a running quiz
+    await assertFails(set(ref(studentDb("dodi"), `rooms/${ROOM}/players/dodi`), { name: "Dodi", score: 0, connected: true }));
+
+    await assertSucceeds(set(ref(players.ani, `rooms/${ROOM}/answers/ani`), await answer(players.ani, "ani", 1)));
+    await assertSucceeds(set(ref(players.budi, `rooms/${ROOM}/answers/budi`), await answer(players.budi, "budi", 2)));
+    // one answer per player, and never someone else's
+    await assertFails(set(ref(players.budi, `rooms/${ROOM}/answers/budi`), await answer(players.budi, "budi", 1)));
+    await assertFails(set(ref(players.budi, `rooms/${ROOM}/answers/ani`), { choice: 0, at: serverTimestamp() }));
+
+    await reveal(host);
+    let room = await read(host, `rooms/${ROOM}`);
+    expect(room.state).toBe("reveal");
+    expect(room.reveal.correctCount).toBe(1);
+    expect(room.players.ani.score).toBeGreaterThan(500);
+    expect(room.players.budi).toMatchObject({ score: 0, streak: 0 });
+    expect(room.history[0].citra).toMatchObject({ answered: false, points: 0 });
+    await assertFails(set(ref(players.ani, `rooms/${ROOM}/players/ani/score`), 99999));
+
+    // Citra comes back with her record (and score) intact
+    goOnline(players.citra);
+    await join(players.citra, "citra", "Citra");
+    expect(await read(host, `rooms/${ROOM}/players/citra`)).toMatchObject({ connected: true, score: 0 });
+
+    // question 2 lasts two seconds: Budi is too late, both on his device and in the rules
+    await hostCommand(host, "next", nextUpdates);
+    await waitFor(host, `rooms/${ROOM}/questionStartedAt`, (at) => typeof at === "number" && at !== started.questionStartedAt);
+    await assertSucceeds(set(ref(players.ani, `rooms/${ROOM}/answers/ani`), await answer(players.ani, "ani", 0)));
+    await assertSucceeds(set(ref(players.citra, `rooms/${ROOM}/answers/citra`), await answer(players.citra, "citra", 0)));
+    await sleep(2700);
+    expect(await answer(players.budi, "budi", 0)).toBeNull();
+    await assertFails(set(ref(players.budi, `rooms/${ROOM}/answers/budi`), { choice: 0, at: serverTimestamp() }));
+
+    await reveal(host);
+    room = await read(host, `rooms/${ROOM}`);
+    expect(room.reveal.correctCount).toBe(2);
+    expect(room.players.ani.streak).toBe(2);
+    expect(room.players.citra.score).toBeGreaterThan(0);
+    expect(room.history[1].budi.answered).toBe(false);
+
+    await hostCommand(host, "next", nextUpdates);
+    room = await read(host, `rooms/${ROOM}`);
+    expect(room).toMatchObject({ state: "finished", currentIndex: 2 });
+    expect(Object.keys(room.history)).toEqual(["0", "1"]);
+    expect(Object.values(room.log).map((e) => e.command).sort()).toEqual(["next", "next", "reveal", "reveal", "start"]);
+    // students may never drive the room
+    await assertFails(update(ref(players.ani, `rooms/${ROOM}`), { state: "lobby" }));
+  }, 20000);
+
+  it("refuses answers while the host has paused and scores the question afterwards", async () => {
+    const host = teacherDb();
+    const ani = studentDb("ani");
+    await createRoom(host);
+    await join(ani, "ani", "Ani");
+    await hostCommand(host, "start", startUpdates);
+    await hostCommand(host, "pause", pauseUpdates);
+    expect(await answer(ani, "ani", 1)).toBeNull();
+    await assertFails(set(ref(ani, `rooms/${ROOM}/answers/ani`), { choice: 1, at: serverTimestamp() }));
+
+    await reveal(host);
+    const room = await read(host, `rooms/${ROOM}`);
+    expect(room).toMatchObject({ state: "reveal", players: { ani: { score: 0, streak: 0 } } });
+  });
+
+  it("seats every student who scans the QR code at the same moment", async () => {
+    const host = teacherDb();
+    await createRoom(host);
+    const names = ["Ani", "Budi", "Citra", "Dedi", "Eka", "Fajar"];
+    const seated = await Promise.all(names.map((name) => takeSeat(seatTx(studentDb(name.toLowerCase())), ROOM, name.toLowerCase(), name)));
+    expect(seated).toEqual(names.map(() => null));
+    const room = await read(host, `rooms/${ROOM}`);
+    expect(room.playerCount).toBe(names.length);
+    expect(Object.keys(room.players).sort()).toEqual(names.map((n) => n.toLowerCase()).sort());
+  }, 20000);
+});
@@ -0,0 +1,74 @@
+// tests/rules/teacherAuth.test.js
+// Firebase Auth + Database emulator: akun guru (email/password, disetujui admin) vs peserta anonim, lewat SDK asli.
+// Jalankan lewat `npm run test:rules`; tanpa emulator test ini dilewati.
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { deleteApp, initializeApp } from "firebase/app";
+import { connectAuthEmulator, createUserWithEmailAndPassword, getAuth, signInAnonymously, signInWithEmailAndPassword, signOut } from "firebase/auth";
+import { connectDatabaseEmulator, get, getDatabase, ref, set, update } from "firebase/database";
+
+const emulated = Boolean(process.env.FIREBASE_AUTH_EMULATOR_HOST && process.env.FIREBASE_DATABASE_EMULATOR_HOST);
+
+describe.skipIf(!emulated)("teacher accounts", () => {
+  let app;
+  let auth;
+  let db;
+  const email = `guru-${Date.now()}@example.com`;
+  const password = "rahasia123";
+  const room = (hostUid) => ({
+    meta: { title: "Test", hostUid },
+    quiz: { title: "Test", questions: [{ id: 1, text: "Q1", choices: ["a", "b"], time: 20 }] },
+    state: "lobby",
+    currentIndex: 0
+  });
+
+  beforeAll(() => {
+    const [host, port] = process.env.FIREBASE_DATABASE_EMULATOR_HOST.split(":");
+    app = initializeApp({ apiKey: "demo-key", projectId: "demo-quizlive", databaseURL: `http://${host}:${port}?ns=demo-quizlive-default-rtdb` }, "teacher-auth-test");
+    auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    db = getDatabase(app);
+    connectDatabaseEmulator(db, host, Number(port));
+  });
+
+  afterAll(async () => {
+    if (app) await deleteApp(app);
+  });
+
+  // what the school's admin does in the Firebase console; the emulator accepts "owner" as admin token
+  const approve = async (uid) => {
+    const res = await fetch(`http://${process.env.FIREBASE_DATABASE_EMULATOR_HOST}/teachers/${uid}/approved.json?ns=demo-quizlive-default-rtdb`, {
+      method: "PUT",
+      headers: { Authorization: "Bearer owner" },
+      body: "true"
+    });
+    expect(res.ok).toBe(true);
+  };
+
+  it("lets a registered teacher create and control their own room once approved", async () => {
+    const { user } = await createUserWithEmailAndPassword(auth, email, password);
+    expect(user.isAnonymous).toBe(false);
+    // registering alone makes no teacher, and the account cannot approve itself
+    await expect(set(ref(db, "rooms/AUTH01"), room(user.uid))).rejects.toThrow();
+    await expect(set(ref(db, `teachers/${user.uid}/approved`), true)).rejects.toThrow();
+    await approve(user.uid);
+    await set(ref(db, "rooms/AUTH01"), room(user.uid));
+    await set(ref(db, "rooms/AUTH01/state"), "question");
+    expect((await get(ref(db, "rooms/AUTH01/state"))).val()).toBe("question");
+  });
+
+  it("keeps the same owner uid after signing in again", async () => {
+    await signOut(auth);
+    const { user } = await signInWithEmailAndPassword(auth, email, password);
+    expect((await get(ref(db, "rooms/AUTH01/meta/hostUid"))).val()).toBe(user.uid);
+    await set(ref(db, "rooms/AUTH01/state"), "reveal");
+  });
+
+  it("gives students an anonymous uid that cannot create or drive rooms", async () => {
+    await signOut(auth);
+    const { user } = await signInAnonymously(auth);
+    expect(user.isAnonymous).toBe(true);
+    await expect(set(ref(db, "rooms/AUTH02"), room(user.uid))).rejects.toThrow();
+    await expect(set(ref(db, "rooms/AUTH01/state"), "finished")).rejects.toThrow();
+    await update(ref(db, "rooms/AUTH01"), { [`players/${user.uid}`]: { name: "Ani", score: 0, connected: true }, playerCount: 1 });
+  });
+});
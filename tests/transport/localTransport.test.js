@@ -0,0 +1,318 @@
+// tests/transport/localTransport.test.js
+// Alur kuis lewat transport lokal (tab di perangkat yang sama) dan relay WebSocket, tanpa Firebase.
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import WebSocket from "ws";
+import { createLocalTransport, memoryHub, websocketLink } from "../../src/lib/transport/local";
+import { startUpdates } from "../../src/lib/roomCommands";
+import { takeSeat } from "../../src/lib/join";
+import { advanceUpdates, startHomeworkUpdates } from "../../src/lib/homework";
+import { startRelay } from "../../server/relay.js";
+import { t } from "../../src/lib/i18n";
+
+const memoryStorage = () => {
+  const data = new Map();
+  return { getItem: (k) => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)), removeItem: (k) => data.delete(k) };
+};
+
+const room = (hostUid) => ({
+  meta: { title: "Test", hostUid },
+  quiz: { title: "Test", questions: [{ id: 1, text: "Q1", choices: ["a", "b"], time: 20 }] },
+  state: "lobby",
+  currentIndex: 0,
+  timeExtraMs: 0
+});
+
+// wait until a listener sees a value matching `check`
+const waitFor = (tx, path, check) => new Promise((resolve) => {
+  const stop = tx.listen(path, (v) => {
+    if (!check(v)) return;
+    queueMicrotask(() => stop());
+    resolve(v);
+  });
+});
+
+describe("local transport (same device)", () => {
+  it("shares room writes between tabs and keeps each tab's uid apart", async () => {
+    const hub = memoryHub();
+    const host = createLocalTransport({ link: hub.link(), identity: memoryStorage() });
+    const student = createLocalTransport({ link: hub.link(), identity: memoryStorage() });
+    await host.connect();
+    await student.connect();
+    const users = {};
+    host.onUser((u) => { users.host = u; });
+    student.onUser((u) => { users.student = u; });
+    await host.signIn("guru@example.com");
+    expect(users.host.isTeacher).toBe(true);
+    expect(users.student.isTeacher).toBe(false);
+    expect(users.host.uid).not.toBe(users.student.uid);
+
+    await host.set("rooms/ABC234", room(users.host.uid));
+    await waitFor(student, "rooms/ABC234/state", (s) => s === "lobby");
+    await student.set(`rooms/ABC234/players/${users.student.uid}`, { name: "Ani", score: 0, connected: true });
+    await waitFor(host, "rooms/ABC234/players", (p) => p && p[users.student.uid]);
+  });
+
+  it("gives a freshly opened tab the data the others already have", async () => {
+    const hub = memoryHub();
+    const first = createLocalTransport({ link: hub.link() });
+    await first.connect();
+    await first.set("rooms/XYZ789", room("host"));
+    const late = createLocalTransport({ link: hub.link() });
+    await late.connect();
+    expect((await waitFor(late, "rooms/XYZ789/meta/title", Boolean))).toBe("Test");
+  });
+
+  it("reloads the data saved in storage", async () => {
+    const storage = memoryStorage();
+    const before = createLocalTransport({ link: memoryHub().link(), storage });
+    await before.set("quizzes/q1", { title: "Simpan" });
+    const after = createLocalTransport({ link: memoryHub().link(), storage });
+    expect(await after.get("quizzes/q1/title")).toBe("Simpan");
+  });
+});
+
+describe("classroom relay", () => {
+  let relay;
+  const clients = [];
+  const connect = async () => {
+    const tx = createLocalTransport({ link: websocketLink(`ws://127.0.0.1:${relay.port}`, WebSocket), identity: memoryStorage() });
+    await tx.connect();
+    clients.push(tx);
+    let user = null;
+    tx.onUser((u) => { user = u; });
+    return { tx, uid: () => user.uid };
+  };
+
+  beforeAll(async () => {
+    relay = await startRelay({ port: 0, host: "127.0.0.1" });
+  });
+
+  afterAll(async () => {
+    clients.forEach((tx) => tx.close());
+    if (relay) await relay.close();
+  });
+
+  it("runs a question from start to answer with the relay's clock", async () => {
+    const host = await connect();
+    const student = await connect();
+    await host.tx.signIn("guru@example.com");
+    await host.tx.set("rooms/LAN234", room(host.uid()));
+    await host.tx.set("answerKeys/LAN234", { answers: [1] });
+    expect(await takeSeat(student.tx, "LAN234", student.uid(), "Budi")).toBeNull();
+
+    const before = Date.now();
+    const clock = { now: host.tx.now(), timestamp: host.tx.serverTimestamp() };
+    await host.tx.update("rooms/LAN234", startUpdates(await host.tx.get("rooms/LAN234"), clock));
+    const started = await waitFor(student.tx, "rooms/LAN234", (r) => r && r.state === "question");
+    expect(started.questionStartedAt).toBeGreaterThanOrEqual(before);
+
+    await student.tx.set(`rooms/LAN234/answers/${student.uid()}`, { choice: 1, at: student.tx.serverTimestamp() });
+    const answers = await host.tx.get("rooms/LAN234/answers");
+    expect(answers[student.uid()].choice).toBe(1);
+    expect(typeof answers[student.uid()].at).toBe("number");
+  });
+
+  it("keeps the answer key away from everyone but the room owner", async () => {
+    const host = await connect();
+    const student = await connect();
+    await host.tx.set("rooms/KEY234", room(host.uid()));
+    await host.tx.set("answerKeys/KEY234", { answers: [0] });
+    expect(await host.tx.get("answerKeys/KEY234/answers/0")).toBe(0);
+    // the relay sends a code; the message comes from the client's catalogue
+    await expect(student.tx.get("answerKeys/KEY234")).rejects.toMatchObject({ code: "forbidden", message: t("network.relayForbidden") });
+    await expect(student.tx.set("answerKeys/KEY234", { answers: [1] })).rejects.toThrow();
+    expect(student.tx.listen("answerKeys", () => {})).toBeTypeOf("function");
+    expect(relay.store.get("answerKeys/KEY234/answers/0")).toBe(0);
+  });
+
+  // a hand-written client, to send what the app never would
+  const rawClient = async (hello = {}) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${relay.port}`);
+    const replies = new Map();
+    let seq = 0;
+    let welcome;
+    const welcomed = new Promise((resolve) => { welcome = resolve; });
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(String(raw));
+      if (msg.type === "welcome") welcome(msg);
+      if (msg.id !== undefined && replies.has(msg.id)) replies.get(msg.id)(msg);
+    });
+    await new Promise((resolve) => ws.on("open", resolve));
+    ws.send(JSON.stringify({ type: "hello", ...hello }));
+    const request = (msg) => new Promise((resolve) => {
+      const id = ++seq;
+      replies.set(id, resolve);
+      ws.send(JSON.stringify({ ...msg, id }));
+    });
+    return { ws, welcome: await welcomed, request };
+  };
+
+  it("leaves answer keys out of reads above answerKeys/", async () => {
+    const host = await connect();
+    await host.tx.signIn("guru@example.com");
+    await host.tx.set("rooms/TOP234", room(host.uid()));
+    await host.tx.set("answerKeys/TOP234", { answers: [1] });
+    const probe = await rawClient();
+    const whole = await probe.request({ type: "get", path: "" });
+    expect(whole.value.rooms.TOP234).toBeTruthy();
+    expect(whole.value.answerKeys).toBeUndefined();
+    expect((await probe.request({ type: "get", path: "/" })).value.answerKeys).toBeUndefined();
+    expect((await probe.request({ type: "get", path: "answerKeys" })).value).toBeNull();
+    expect((await probe.request({ type: "get", path: "answerKeys/TOP234" })).type).toBe("error");
+    // the owner still sees their own keys, and only those
+    expect(await host.tx.get("answerKeys")).toEqual({ TOP234: { answers: [1] } });
+    probe.ws.close();
+  });
+
+  it("keeps homework grades to the host like the answer key", async () => {
+    const host = await connect();
+    await host.tx.set("rooms/HWG234", room(host.uid()));
+    await host.tx.set("hwGrades/HWG234/scores", { p1: 800 });
+    const probe = await rawClient();
+    expect((await probe.request({ type: "get", path: "" })).value.hwGrades).toBeUndefined();
+    expect((await probe.request({ type: "get", path: "hwGrades/HWG234" })).type).toBe("error");
+    expect((await probe.request({ type: "write", op: { type: "set", path: "hwGrades/HWG234/scores/p1", value: 9999 } })).type).toBe("error");
+    expect(await host.tx.get("hwGrades/HWG234")).toEqual({ scores: { p1: 800 } });
+    probe.ws.close();
+  });
+
+  it("issues identities itself instead of trusting the uid a client claims", async () => {
+    const host = await connect();
+    await host.tx.set("rooms/UID234", room(host.uid()));
+    await host.tx.set("answerKeys/UID234", { answers: [1] });
+    const spoof = await rawClient({ uid: host.uid() });
+    expect(spoof.welcome.uid).not.toBe(host.uid());
+    expect((await spoof.request({ type: "get", path: "answerKeys/UID234" })).type).toBe("error");
+    expect((await spoof.request({ type: "write", op: { type: "set", path: "answerKeys/UID234", value: { answers: [0] } } })).type).toBe("error");
+    // a token from a previous connection gets the same uid back
+    const again = await rawClient({ token: spoof.welcome.token });
+    expect(again.welcome.uid).toBe(spoof.welcome.uid);
+    spoof.ws.close();
+    again.ws.close();
+  });
+
+  it("refuses writes at the root and over every answer key", async () => {
+    const host = await connect();
+    await host.tx.set("rooms/ROOT234", room(host.uid()));
+    await host.tx.set("answerKeys/ROOT234", { answers: [1] });
+    const probe = await rawClient();
+    expect((await probe.request({ type: "write", op: { type: "set", path: "", value: null } })).type).toBe("error");
+    expect((await probe.request({ type: "write", op: { type: "update", path: "/", updates: { answerKeys: null } } })).type).toBe("error");
+    expect((await probe.request({ type: "write", op: { type: "set", path: "answerKeys", value: null } })).type).toBe("error");
+    expect(relay.store.get("answerKeys/ROOT234/answers/0")).toBe(1);
+    expect(relay.store.get("rooms/ROOT234/meta/title")).toBe("Test");
+    probe.ws.close();
+  });
+
+  it("refuses a student taking over a room or writing for someone else", async () => {
+    const host = await connect();
+    const student = await connect();
+    const other = await connect();
+    await host.tx.set("rooms/OWN234", room(host.uid()));
+    await host.tx.set("answerKeys/OWN234", { answers: [2, 1] });
+    await takeSeat(student.tx, "OWN234", student.uid(), "Dewi");
+    await takeSeat(other.tx, "OWN234", other.uid(), "Eko");
+
+    await expect(student.tx.set("rooms/OWN234/meta/hostUid", student.uid())).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.update("rooms/OWN234", { "meta/hostUid": student.uid() })).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set("rooms/OWN234", room(student.uid()))).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.get("answerKeys/OWN234")).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set("rooms/OWN234/state", "finished")).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set(`rooms/OWN234/players/${other.uid()}/score`, 0)).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set(`rooms/OWN234/players/${student.uid()}/score`, 5000)).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set(`rooms/OWN234/answers/${other.uid()}`, { choice: 0, at: 1 })).rejects.toMatchObject({ code: "forbidden" });
+    await expect(student.tx.set(`teachers/${host.uid()}/rooms/OWN234`, null)).rejects.toMatchObject({ code: "forbidden" });
+    expect(relay.store.get("rooms/OWN234/meta/hostUid")).toBe(host.uid());
+    expect(relay.store.get("rooms/OWN234/state")).toBe("lobby");
+
+    // their own record and answer still go through, and a new code is theirs to create
+    await student.tx.set(`rooms/OWN234/players/${student.uid()}/name`, "Dewi S");
+    await student.tx.set(`rooms/OWN234/answers/${student.uid()}`, { choice: 1, at: student.tx.serverTimestamp() });
+    await expect(student.tx.set(`rooms/OWN234/answers/${student.uid()}`, { choice: 0, at: 1 })).rejects.toMatchObject({ code: "forbidden" });
+    await student.tx.set("rooms/NEW234", room(student.uid()));
+    expect(relay.store.get("rooms/NEW234/meta/hostUid")).toBe(student.uid());
+  });
+
+  it("seats students who join at the same moment, up to maxPlayers", async () => {
+    const host = await connect();
+    await host.tx.set("rooms/SEAT234", room(host.uid()));
+    await host.tx.set("rooms/FULL234", { ...room(host.uid()), meta: { ...room(host.uid()).meta, maxPlayers: 3 } });
+    const students = await Promise.all(["Fajar", "Gita", "Hadi", "Indah", "Joko"].map(async (name) => ({ name, ...(await connect()) })));
+
+    const seated = await Promise.all(students.map((s) => takeSeat(s.tx, "SEAT234", s.uid(), s.name)));
+    expect(seated).toEqual([null, null, null, null, null]);
+    expect(relay.store.get("rooms/SEAT234/playerCount")).toBe(5);
+    expect(Object.keys(relay.store.get("rooms/SEAT234/players"))).toHaveLength(5);
+
+    const full = await Promise.all(students.map((s) => takeSeat(s.tx, "FULL234", s.uid(), s.name)));
+    expect(full.filter((problem) => problem === null)).toHaveLength(3);
+    expect(full.filter(Boolean)).toEqual([t("join.full", { max: 3 }), t("join.full", { max: 3 })]);
+    expect(relay.store.get("rooms/FULL234/playerCount")).toBe(3);
+
+    // a seat counted from an old snapshot is refused
+    const late = await connect();
+    await expect(late.tx.update("rooms/SEAT234", { [`players/${late.uid()}`]: { name: "Kiki", score: 0, connected: true }, playerCount: 5 })).rejects.toMatchObject({ code: "forbidden" });
+  });
+
+  it("keeps each teacher's quizzes and account to themselves", async () => {
+    const ana = await connect();
+    const bima = await connect();
+    const quiz = (ownerUid) => ({ id: "QZ1", title: "Sensor", ownerUid, questions: [{ id: 1, text: "Q", choices: ["a", "b"], answer: 1, time: 20 }] });
+    await ana.tx.set("quizzes/QZ1", quiz(ana.uid()));
+    await ana.tx.set(`teachers/${ana.uid()}/locale`, "en");
+    const listed = await new Promise((resolve) => ana.tx.listenWhere("quizzes", "ownerUid", ana.uid(), (v) => v && resolve(v)));
+    expect(listed.QZ1.questions[0].answer).toBe(1);
+
+    await expect(bima.tx.get("quizzes/QZ1")).rejects.toMatchObject({ code: "forbidden" });
+    expect(await bima.tx.get("quizzes")).toBeNull();
+    await expect(bima.tx.set("quizzes/QZ1", quiz(bima.uid()))).rejects.toMatchObject({ code: "forbidden" });
+    await expect(bima.tx.remove("quizzes/QZ1")).rejects.toMatchObject({ code: "forbidden" });
+    await expect(bima.tx.set("quizzes/QZ2", quiz(ana.uid()))).rejects.toMatchObject({ code: "forbidden" });
+    await expect(ana.tx.set("quizzes/QZ1/ownerUid", bima.uid())).rejects.toMatchObject({ code: "forbidden" });
+    await expect(bima.tx.get(`teachers/${ana.uid()}`)).rejects.toMatchObject({ code: "forbidden" });
+    // nothing of it reached the other client, neither when it was written nor in the first snapshot
+    expect(await new Promise((resolve) => bima.tx.listen("quizzes", resolve))).toBeNull();
+    const probe = await rawClient();
+    expect(probe.welcome.data.quizzes).toBeUndefined();
+    expect(probe.welcome.data.teachers).toBeUndefined();
+    probe.ws.close();
+    expect(relay.store.get("quizzes/QZ1/ownerUid")).toBe(ana.uid());
+  });
+
+  it("sends homework answers only to the host and the student who wrote them", async () => {
+    const host = await connect();
+    const ani = await connect();
+    const budi = await connect();
+    await host.tx.set("rooms/HWA234", { ...room(host.uid()), state: "homework", meta: { ...room(host.uid()).meta, mode: "homework" } });
+    const hostSees = new Promise((resolve) => host.tx.listen("hwAnswers/HWA234", (v) => v && resolve(v)));
+    for (const [s, name] of [[ani, "Ani"], [budi, "Budi"]]) {
+      await takeSeat(s.tx, "HWA234", s.uid(), name);
+      await s.tx.update("rooms/HWA234", startHomeworkUpdates(s.uid(), s.tx.serverTimestamp()));
+    }
+    await ani.tx.update("", advanceUpdates(await ani.tx.get("rooms/HWA234"), "HWA234", ani.uid(), 0, 1, ani.tx.serverTimestamp()));
+
+    expect(Object.keys(await hostSees)).toEqual([ani.uid()]);
+    expect(await ani.tx.get(`hwAnswers/HWA234/${ani.uid()}/0`)).toMatchObject({ choice: 1 });
+    await expect(budi.tx.get("hwAnswers/HWA234")).rejects.toMatchObject({ code: "forbidden" });
+    await expect(budi.tx.get(`hwAnswers/HWA234/${ani.uid()}`)).rejects.toMatchObject({ code: "forbidden" });
+    expect(await new Promise((resolve) => budi.tx.listen("hwAnswers", resolve))).toBeNull();
+    expect((await budi.tx.get("rooms/HWA234")).hwAnswers).toBeUndefined();
+    // once per question, only the one they are on, and never for someone else
+    await expect(ani.tx.set(`hwAnswers/HWA234/${ani.uid()}/0`, { choice: 0, at: 1, start: 0 })).rejects.toMatchObject({ code: "forbidden" });
+    await expect(budi.tx.set(`hwAnswers/HWA234/${budi.uid()}/1`, { choice: 0, at: 1, start: 0 })).rejects.toMatchObject({ code: "forbidden" });
+    await expect(budi.tx.set(`hwAnswers/HWA234/${ani.uid()}/1`, { choice: 0, at: 1, start: 0 })).rejects.toMatchObject({ code: "forbidden" });
+  });
+
+  it("marks a player offline when their connection drops", async () => {
+    const host = await connect();
+    const student = await connect();
+    await host.tx.set("rooms/OFF234", room(host.uid()));
+    const recordPath = `rooms/OFF234/players/${student.uid()}`;
+    await takeSeat(student.tx, "OFF234", student.uid(), "Citra");
+    await student.tx.set(`${recordPath}/connected`, false);
+    student.tx.presence(recordPath);
+    await waitFor(host.tx, `${recordPath}/connected`, (c) => c === true);
+    student.tx.close();
+    await waitFor(host.tx, `${recordPath}/connected`, (c) => c === false);
+  });
+});
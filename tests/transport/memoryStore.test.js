@@ -0,0 +1,39 @@
+// tests/transport/memoryStore.test.js
+import { describe, expect, it } from "vitest";
+import { SERVER_TIMESTAMP, createMemoryStore, resolveOp } from "../../src/lib/transport/memoryStore";
+
+describe("memory store", () => {
+  it("reads and writes slash paths and applies multi-path updates", () => {
+    const store = createMemoryStore();
+    store.apply({ type: "set", path: "rooms/A", value: { state: "lobby", players: { p1: { name: "Ani", score: 0 } } } });
+    store.apply({ type: "update", path: "rooms/A", updates: { state: "question", "players/p1/score": 5 } });
+    expect(store.get("rooms/A/state")).toBe("question");
+    expect(store.get("rooms/A/players/p1")).toEqual({ name: "Ani", score: 5 });
+    expect(store.get("rooms/B")).toBeNull();
+  });
+
+  it("deletes with null and drops empty parents, like the database", () => {
+    const store = createMemoryStore({ rooms: { A: { players: { p1: { name: "Ani" } }, answers: {} } } });
+    expect(store.get("rooms/A/answers")).toBeNull();
+    store.apply({ type: "update", path: "rooms/A", updates: { "players/p1": null } });
+    expect(store.get("rooms")).toBeNull();
+  });
+
+  it("notifies listeners only when their path changed and hands out copies", () => {
+    const store = createMemoryStore({ rooms: { A: { state: "lobby" }, B: { state: "lobby" } } });
+    const seen = [];
+    const stop = store.listen("rooms/A", (v) => seen.push(v));
+    store.apply({ type: "set", path: "rooms/B/state", value: "question" });
+    store.apply({ type: "set", path: "rooms/A/state", value: "question" });
+    seen[1].state = "mutated";
+    expect(store.get("rooms/A/state")).toBe("question");
+    stop();
+    store.apply({ type: "set", path: "rooms/A/state", value: "reveal" });
+    expect(seen.map((v) => v.state)).toEqual(["lobby", "mutated"]);
+  });
+
+  it("stamps server timestamps when an op is resolved", () => {
+    const op = resolveOp({ type: "update", path: "rooms/A", updates: { questionStartedAt: SERVER_TIMESTAMP, "log/x": { at: SERVER_TIMESTAMP } } }, 1234);
+    expect(op.updates).toEqual({ questionStartedAt: 1234, "log/x": { at: 1234 } });
+  });
+});
@@ -0,0 +1,36 @@
+// tests/web/webChecks.test.js
+// Pemeriksaan soal web: sintaks (termasuk kata kunci bahasa Inggris) dan penilaian per pemeriksaan.
+// Dokumennya tiruan kecil; hanya bagian DOM yang dipakai runChecks yang ada.
+import { describe, expect, it } from "vitest";
+import { formatCheck, parseCheck, runChecks, validateChecks, withSandboxCsp } from "../../src/lib/webChecks";
+
+function fakeDocument() {
+  const doc = {};
+  const html = { tagName: "HTML", textContent: "Halo dunia", parentNode: doc, ownerDocument: doc };
+  const h1 = { tagName: "H1", textContent: "Halo dunia", parentNode: html, ownerDocument: doc };
+  doc.querySelectorAll = (selector) => ({ html: [html], h1: [h1] }[selector] || []);
+  return doc;
+}
+
+describe("web checks", () => {
+  it("reads English keywords as the stored kinds", () => {
+    expect(parseCheck("exists h1")).toEqual(parseCheck("ada h1"));
+    expect(parseCheck("Text h1 = Halo")).toEqual({ kind: "teks", selector: "h1", value: "Halo" });
+    expect(parseCheck("count li = 3")).toEqual({ kind: "jumlah", selector: "li", value: "3" });
+    expect(formatCheck(parseCheck("style h1 color = red"))).toBe("gaya h1 color = red");
+    expect(validateChecks(["exists h1", "count li = 3"].map(parseCheck))).toEqual([]);
+  });
+
+  it("fails only the check that throws and grades the rest", () => {
+    const result = runChecks(fakeDocument(), ["gaya html color = red", "ada h1", "teks h1 = halo"].map(parseCheck));
+    expect(result.checks.map((c) => c.passed)).toEqual([false, true, true]);
+    expect(result.passed).toBe(false);
+  });
+
+  it("blocks outside resources in the graded page without changing its doctype", () => {
+    const page = withSandboxCsp("<!DOCTYPE html>\n<html><head><link rel=\"stylesheet\" href=\"https://x.test/a.css\"></head></html>");
+    expect(page.startsWith("<!DOCTYPE html><meta http-equiv=\"Content-Security-Policy\"")).toBe(true);
+    expect(page).toContain("default-src 'none'");
+    expect(withSandboxCsp("<h1>Halo</h1>")).toMatch(/^<meta [^>]+><h1>Halo<\/h1>$/);
+  });
+});
@@ -1,16 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
-import path from 'path'
+import { fileURLToPath } from 'node:url'
+
+// node_modules/<pkg> next to this file; vite.config.js is an ES module, so there is no __dirname
+const local = (pkg) => fileURLToPath(new URL(`./node_modules/${pkg}`, import.meta.url))
 
 export default defineConfig({
   plugins: [react()],
   resolve: {
     alias: {
       // force all imports to use the single installed copy
-      '@codemirror/state': path.resolve(__dirname, 'node_modules/@codemirror/state'),
-      '@codemirror/view':  path.resolve(__dirname, 'node_modules/@codemirror/view'),
-      '@codemirror/basic-setup': path.resolve(__dirname, 'node_modules/@codemirror/basic-setup'),
-      '@codemirror/lang-html': path.resolve(__dirname, 'node_modules/@codemirror/lang-html'),
+      '@codemirror/state': local('@codemirror/state'),
+      '@codemirror/view':  local('@codemirror/view'),
+      '@codemirror/basic-setup': local('@codemirror/basic-setup'),
+      '@codemirror/lang-html': local('@codemirror/lang-html'),
+      '@codemirror/language': local('@codemirror/language'),
+      '@lezer/common': local('@lezer/common'),
+      '@lezer/highlight': local('@lezer/highlight'),
     }
   }
 })